@@ -0,0 +1,104 @@
+/**
+ * Service worker do CineBusca
+ * -------------------------------------------------------------
+ * - App shell: navegação é "rede primeiro", caindo no index.html guardado
+ * - Arquivos estáticos (JS/CSS com hash, ícones, Tailwind do CDN):
+ *   "stale-while-revalidate" — responde do cache e atualiza em segundo plano
+ * - Pôsteres: "cache primeiro", com limite de entradas
+ * - Chamadas à OMDb não passam por aqui: a própria app cuida do cache e do
+ *   catálogo offline no IndexedDB
+ */
+
+const VERSION = "v1";
+const SHELL_CACHE = `cinebusca-shell-${VERSION}`;
+const POSTER_CACHE = `cinebusca-posters-${VERSION}`;
+const MAX_POSTERS = 400;
+
+const SHELL_FILES = ["./", "./index.html", "./manifest.webmanifest", "./icon.svg"];
+const POSTER_HOSTS = ["m.media-amazon.com", "ia.media-imdb.com", "img.omdbapi.com"];
+const CDN_HOSTS = ["cdn.tailwindcss.com"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((k) => k.startsWith("cinebusca-") && k !== SHELL_CACHE && k !== POSTER_CACHE)
+            .map((k) => caches.delete(k))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// Mantém o cache de pôsteres abaixo do limite (remove os mais antigos)
+async function trimPosters() {
+  const cache = await caches.open(POSTER_CACHE);
+  const keys = await cache.keys();
+  for (let i = 0; i < keys.length - MAX_POSTERS; i++) await cache.delete(keys[i]);
+}
+
+async function networkFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put("./index.html", response.clone());
+    return response;
+  } catch {
+    return (await cache.match("./index.html")) || (await cache.match("./")) || Response.error();
+  }
+}
+
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  const network = fetch(request)
+    .then((response) => {
+      // Respostas opacas (CDN sem CORS) também servem para <script>
+      if (response.ok || response.type === "opaque") cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached || Response.error());
+  return cached || network;
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(POSTER_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  try {
+    const response = await fetch(request);
+    if (response.ok || response.type === "opaque") {
+      await cache.put(request, response.clone());
+      trimPosters();
+    }
+    return response;
+  } catch {
+    return Response.error();
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request));
+  } else if (POSTER_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request));
+  } else if (url.origin === self.location.origin || CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
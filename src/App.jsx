@@ -1,79 +1,201 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import {
   Search,
-  Heart,
-  HeartOff,
   Loader2,
   Film,
   Star,
   ArrowLeft,
-  ChevronLeft,
-  ChevronRight,
-  ChevronsLeft,
-  ChevronsRight,
   Trash2,
+  Pencil,
+  Eye,
+  ArrowUp,
+  ArrowDown,
+  Download,
+  Upload,
+  WifiOff,
+  Keyboard,
+  Sun,
+  Moon,
+  Monitor,
+  Share2,
+  Sparkles,
+  X,
 } from "lucide-react";
+import { ErrorKind, ProviderError, errorMessage, isAbortError } from "./lib/errors.js";
+import { createProvider } from "./lib/providers/index.js";
+import {
+  DEFAULT_FILTERS,
+  MAX_OMDB_PAGES,
+  PAGE_SIZE,
+  TYPE_OPTIONS,
+  appendUnique,
+  hasYearRange,
+  normalizeFilters,
+  readSearchQuery,
+  searchYearRange,
+  toSearchQuery,
+  totalPagesOf,
+} from "./lib/search.js";
+import { buildHash, parseHash, rememberScroll, takeScroll, toQueryString } from "./lib/router.js";
+import {
+  FAVORITES_KEY,
+  STATUS_OPTIONS,
+  createFavorite,
+  mergeFavorites,
+  migrateFavorites,
+  pickDetails,
+  serializeFavorites,
+  updateFavorite,
+} from "./lib/favorites.js";
+import {
+  FILTER_FIELDS,
+  SORT_OPTIONS,
+  collectionFacets,
+  filterFavorites,
+  readCollectionQuery,
+  sortFavorites,
+  toCollectionQuery,
+} from "./lib/collection.js";
+import {
+  LISTS_KEY,
+  addToList,
+  createList,
+  deleteList,
+  findListBySlug,
+  migrateLists,
+  removeFromList,
+  renameList,
+  reorderListItems,
+  reorderLists,
+  serializeLists,
+  toggleInList,
+} from "./lib/lists.js";
+import { downloadText, exportCsv, exportJson } from "./lib/transfer.js";
+import { enqueue, readQueue, writeQueue } from "./lib/offline.js";
+import { LOCALES, formatDate, setLocale, t } from "./lib/i18n.js";
+import {
+  API_KEY_STORAGE,
+  SETTINGS_KEY,
+  apiKeySource,
+  defaultSettings,
+  migrateSettings,
+  serializeSettings,
+} from "./lib/settings.js";
+import { formatBoxOffice, formatReleaseDate, formatRuntime } from "./lib/ratings.js";
+import { COMPARE_KEY, migrateCompareTray, normalizeCompareIds, toggleCompare } from "./lib/compare.js";
+import { RESULT_SELECTOR, SEARCH_INPUT_ID, nextResult } from "./lib/shortcuts.js";
+import { THEME_OPTIONS, nextTheme } from "./lib/theme.js";
+import {
+  HISTORY_KEY,
+  emptyHistory,
+  migrateHistory,
+  recordSearch,
+  recordView,
+  removeSearch,
+  removeView,
+  serializeHistory,
+} from "./lib/history.js";
+import {
+  PROGRESS_KEY,
+  migrateProgress,
+  serializeProgress,
+  setSeasonWatched,
+  toggleEpisode,
+} from "./lib/progress.js";
+import { mergeById, mergeListById } from "./lib/storage.js";
+import { isOverdue } from "./lib/agenda.js";
+import useLocalStorage from "./hooks/useLocalStorage.js";
+import useFavoriteDetails from "./hooks/useFavoriteDetails.js";
+import useOnlineStatus from "./hooks/useOnlineStatus.js";
+import useShortcuts from "./hooks/useShortcuts.js";
+import useRouteFocus from "./hooks/useRouteFocus.js";
+import useTheme from "./hooks/useTheme.js";
+import useRecommendations from "./hooks/useRecommendations.js";
+import useCollection, { CollectionContext } from "./hooks/useCollection.js";
+import SearchCombobox from "./components/SearchCombobox.jsx";
+import ResultsGrid from "./components/ResultsGrid.jsx";
+import LayoutSwitcher from "./components/LayoutSwitcher.jsx";
+import MovieCard, { PosterFallback } from "./components/MovieCard.jsx";
+import AddToListMenu from "./components/AddToListMenu.jsx";
+import FavoriteEditor from "./components/FavoriteEditor.jsx";
+import Modal from "./components/Modal.jsx";
+import ImportDialog from "./components/ImportDialog.jsx";
+import ShareDialog from "./components/ShareDialog.jsx";
+import RatingsPanel from "./components/RatingsPanel.jsx";
+import InfoField from "./components/InfoField.jsx";
+import Pagination from "./components/Pagination.jsx";
+import StorageAlert from "./components/StorageAlert.jsx";
+import PlannedBadge from "./components/PlannedBadge.jsx";
+import WatchPrompt from "./components/WatchPrompt.jsx";
+import NameLinks from "./components/NameLinks.jsx";
+import SeriesBrowser from "./components/SeriesBrowser.jsx";
+import CompareTray from "./components/CompareTray.jsx";
+import ShortcutsHelp from "./components/ShortcutsHelp.jsx";
+import RecentSearches from "./components/RecentSearches.jsx";
+import RecentlyViewed from "./components/RecentlyViewed.jsx";
+import Recommendations from "./components/Recommendations.jsx";
+import ListsView from "./views/ListsView.jsx";
+import ListView from "./views/ListView.jsx";
+import EpisodeView from "./views/EpisodeView.jsx";
+import CompareView from "./views/CompareView.jsx";
+import StatsView from "./views/StatsView.jsx";
+import DiscoverView from "./views/DiscoverView.jsx";
+import AgendaView from "./views/AgendaView.jsx";
+import SettingsView from "./views/SettingsView.jsx";
+import HistoryView from "./views/HistoryView.jsx";
+import SharedView from "./views/SharedView.jsx";
 
 /**
  * Aplicação React — Catálogo de Filmes (OMDb)
  * -------------------------------------------------------------
  * Funcionalidades:
  * 1) Página de busca com resultados (pôster, título, ano, detalhes)
- * 2) Paginação completa (baseada em totalResults da OMDb)
+ * 2) Paginação completa (baseada no total de resultados informado pelo provedor)
  * 3) Página de detalhes (diretor, elenco, sinopse, avaliação etc.)
  * 4) Lista de favoritos (adicionar/remover) com persistência em localStorage
  * 5) Tratamento de loading e erros (mensagens amigáveis)
+ * 6) Listas nomeadas (#/listas) com ordem manual; um título pode estar em várias
+ * 7) PWA instalável: títulos já abertos funcionam offline e mudanças sem rede entram numa fila
+ * 8) Avaliações de várias fontes numa mesma escala; nomes de elenco/equipe iniciam uma busca
+ * 9) Séries: temporadas, episódios (#/episodio/:id) e progresso de episódios assistidos
+ * 10) Comparação lado a lado de 2 a 4 títulos (#/comparar/id1,id2,…)
+ * 11) Estatísticas da coleção (#/estatisticas) com gráficos em SVG que levam aos favoritos filtrados
+ * 12) Interface em pt-BR ou en-US (lib/i18n.js + src/locales), escolhida na Navbar
+ * 13) Configurações (#/configuracoes): API Key validada na OMDb, preferências e limpeza de dados
+ * 14) Resultados em grade, lista compacta ou mural de pôsteres; páginas numeradas ou rolagem infinita
+ * 15) Atalhos de teclado (lista com "?"), foco no título a cada página e avisos para leitores de tela
+ * 16) Histórico (#/historico) de títulos abertos e buscas, com buscas recentes sob o campo de busca
+ * 17) Tema claro, escuro ou do sistema (tokens de cor em src/index.css), escolhido na Navbar
+ * 18) Favoritos compartilhados por link (#/compartilhado/…), sem servidor, com importação parcial ou total
+ * 19) Provedores de metadados plugáveis (lib/providers/): a interface só conhece o modelo de lib/model.js
+ * 20) Coleção e preferências sincronizadas entre abas; falhas ao salvar e dados corrompidos são avisados (lib/storage.js)
+ * 21) Sugestões a partir da coleção: "Mais como este" nos detalhes e #/descobrir (lib/recommend.js)
+ * 22) Agenda (#/agenda) em mês ou semana: datas planejadas, estreias, exportação .ics e "Já assistiu?"
  *
  * ⚙️ Como usar a API Key (OMDb)
  * - Crie uma chave gratuita em http://www.omdbapi.com/apikey.aspx
- * - Você pode informar a chave direto na UI (banner no topo) e ela será salva em localStorage, OU
- * - Defina VITE_OMDB_API_KEY em um .env (Vite) e a app tentará ler automaticamente.
+ * - Você pode informar a chave direto na UI (banner no topo ou #/configuracoes) e ela será salva em localStorage, OU
+ * - Defina VITE_OMDB_API_KEY em um .env (Vite); ela é usada enquanto não houver chave salva.
+ *
+ * 🔌 Provedor de metadados
+ * - VITE_METADATA_PROVIDER escolhe o provedor: "omdb" (padrão) ou "mock", que
+ *   responde com títulos de exemplo locais, sem chave nem rede
+ * - VITE_OMDB_BASE_URL troca o endereço da OMDb (ex.: um proxy)
+ *
+ * 🧪 Testes
+ * - `npm test` roda o Vitest (jsdom + Testing Library), sem rede: a OMDb é
+ *   substituída por src/test/omdbServer.js, que serve respostas gravadas
+ * - Os testes ficam ao lado do código (*.test.js/jsx); favorites.test.js guarda
+ *   amostras de cada versão do formato salvo dos favoritos
  */
 
-// Base da API OMDb
-const OMDB_BASE = "https://www.omdbapi.com/";
-
-// Lê possíveis fontes de API key (env/localStorage/UI)
-const envKey =
-  (import.meta.env && import.meta.env.VITE_OMDB_API_KEY) ||
-  (typeof process !== "undefined" && process.env && process.env.OMDB_API_KEY) ||
-  "";
+const env = import.meta.env || {};
 
+// Chave definida no build (.env do Vite); a digitada na UI tem prioridade
+const envKey = env.VITE_OMDB_API_KEY || "";
+const envProvider = env.VITE_METADATA_PROVIDER || undefined;
+const envBaseUrl = env.VITE_OMDB_BASE_URL || undefined;
 
-// Hook prático para sincronizar estado com localStorage
-function useLocalStorage(key, initialValue) {
-  const [value, setValue] = useState(() => {
-    try {
-      const item = window.localStorage.getItem(key);
-      return item ? JSON.parse(item) : initialValue;
-    } catch {
-      return initialValue;
-    }
-  });
-  useEffect(() => {
-    try {
-      window.localStorage.setItem(key, JSON.stringify(value));
-    } catch {}
-  }, [key, value]);
-  return [value, setValue];
-}
-
-// Utilitário para transformar hash em rota simples
-function parseHash() {
-  const hash = window.location.hash.replace(/^#\/?/, ""); // remove # e /
-  if (!hash) return { name: "search", params: {} };
-  const parts = hash.split("/");
-  if (parts[0] === "detalhes" && parts[1]) return { name: "details", params: { id: parts[1] } };
-  if (parts[0] === "favoritos") return { name: "favorites", params: {} };
-  return { name: "search", params: {} };
-}
-
-// Placeholder quando pôster não disponível
-const PosterFallback = () => (
-  <div className="flex h-64 w-full items-center justify-center bg-slate-100 text-slate-500">
-    <Film className="h-8 w-8" />
-  </div>
-);
 
 // Componente de banner para definir/alterar a API Key
 function ApiKeyBanner({ apiKey, onSave }) {
@@ -85,25 +207,24 @@ function ApiKeyBanner({ apiKey, onSave }) {
 
   if (apiKey) return null;
   return (
-    <div className="sticky top-0 z-50 w-full bg-amber-50 p-3 shadow">
+    <div className="sticky top-0 z-50 w-full bg-warning-subtle p-3 shadow">
       <div className="mx-auto flex max-w-5xl flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
-        <p className="text-sm text-amber-900">
-          Informe sua <span className="font-semibold">OMDb API Key</span> para habilitar as buscas.
-          Você pode obter uma gratuitamente em omdbapi.com/apikey.aspx.
+        <p className="text-sm text-warning">
+          {t("apiKey.promptBefore")} <span className="font-semibold">OMDb API Key</span> {t("apiKey.promptAfter")}
         </p>
         <div className="flex items-center gap-2">
           <input
             ref={inputRef}
             value={temp}
             onChange={(e) => setTemp(e.target.value)}
-            placeholder="Cole sua API Key aqui"
-            className="w-56 rounded-xl border border-amber-200 bg-white px-3 py-2 text-sm outline-none ring-amber-300 focus:ring"
+            placeholder={t("apiKey.placeholder")}
+            className="w-56 rounded-xl border border-warning-line bg-surface px-3 py-2 text-sm outline-none ring-warning-line focus:ring"
           />
           <button
             onClick={() => onSave(temp.trim())}
-            className="rounded-xl bg-amber-600 px-3 py-2 text-sm font-medium text-white transition hover:bg-amber-700"
+            className="rounded-xl bg-warning-solid px-3 py-2 text-sm font-medium text-white transition hover:bg-warning-solid/90"
           >
-            Salvar
+            {t("common.save")}
           </button>
         </div>
       </div>
@@ -111,31 +232,102 @@ function ApiKeyBanner({ apiKey, onSave }) {
   );
 }
 
+// Abas da Navbar (rota → chave do rótulo)
+const NAV_ITEMS = [
+  { route: "search", labelKey: "nav.search" },
+  { route: "favorites", labelKey: "nav.favorites" },
+  { route: "discover", labelKey: "nav.discover" },
+  { route: "lists", labelKey: "nav.lists" },
+  { route: "agenda", labelKey: "nav.agenda" },
+  { route: "stats", labelKey: "nav.stats" },
+  { route: "history", labelKey: "nav.history" },
+  { route: "settings", labelKey: "nav.settings" },
+];
+
+const THEME_ICONS = { light: Sun, dark: Moon, system: Monitor };
+
+// Alterna claro → escuro → sistema; o ícone mostra a escolha atual
+function ThemeToggle({ theme, onChange }) {
+  const Icon = THEME_ICONS[theme];
+  const option = THEME_OPTIONS.find((o) => o.value === theme);
+  const label = t("theme.current", { theme: t(option.labelKey) });
+  return (
+    <button
+      type="button"
+      onClick={() => onChange(nextTheme(theme))}
+      aria-label={label}
+      title={label}
+      className="rounded-xl p-1.5 text-fg-soft hover:bg-muted"
+    >
+      <Icon className="h-4 w-4" />
+    </button>
+  );
+}
+
 // Navbar simples
-function Navbar({ onNavigate, currentRoute }) {
+function Navbar({
+  onNavigate,
+  currentRoute,
+  online,
+  pendingChanges,
+  locale,
+  onLocaleChange,
+  theme,
+  onThemeChange,
+  onShowShortcuts,
+}) {
   return (
-    <header className="sticky top-0 z-40 border-b border-slate-200 bg-white/80 backdrop-blur">
+    <header className="sticky top-0 z-40 border-b border-line bg-surface/80 backdrop-blur">
       <div className="mx-auto flex max-w-5xl items-center justify-between px-4 py-3">
         <div className="flex items-center gap-2">
-          <Film className="h-6 w-6 text-slate-700" />
-          <span className="text-lg font-semibold text-slate-800">CineBusca</span>
+          <Film className="h-6 w-6 text-fg-soft" aria-hidden="true" />
+          <span className="text-lg font-semibold text-fg">CineBusca</span>
+          {!online && (
+            <span
+              role="status"
+              className="ml-2 inline-flex items-center gap-1 rounded-full bg-warning-subtle px-2 py-0.5 text-xs font-medium text-warning"
+              title={t("nav.offlineHint")}
+            >
+              <WifiOff className="h-3 w-3" /> {t("nav.offline")}
+              {pendingChanges > 0 && ` • ${t("nav.pending", { count: pendingChanges })}`}
+            </span>
+          )}
         </div>
-        <nav className="flex items-center gap-3 text-sm">
-          <button
-            onClick={() => onNavigate("search")}
-            className={`rounded-xl px-3 py-1.5 ${
-              currentRoute === "search" ? "bg-slate-900 text-white" : "text-slate-700 hover:bg-slate-100"
-            }`}
+        <nav className="flex flex-wrap items-center gap-3 text-sm" aria-label={t("nav.main")}>
+          {NAV_ITEMS.map((item) => (
+            <button
+              key={item.route}
+              onClick={() => onNavigate(item.route)}
+              aria-current={currentRoute === item.route ? "page" : undefined}
+              className={`rounded-xl px-3 py-1.5 ${
+                currentRoute === item.route ? "bg-accent text-on-accent" : "text-fg-soft hover:bg-muted"
+              }`}
+            >
+              {t(item.labelKey)}
+            </button>
+          ))}
+          <select
+            value={locale}
+            onChange={(e) => onLocaleChange(e.target.value)}
+            aria-label={t("nav.language")}
+            className="rounded-xl border border-line-strong bg-surface px-2 py-1.5 text-sm text-fg-soft"
           >
-            Buscar
-          </button>
+            {LOCALES.map((l) => (
+              <option key={l.value} value={l.value}>
+                {l.label}
+              </option>
+            ))}
+          </select>
+          <ThemeToggle theme={theme} onChange={onThemeChange} />
           <button
-            onClick={() => onNavigate("favorites")}
-            className={`rounded-xl px-3 py-1.5 ${
-              currentRoute === "favorites" ? "bg-slate-900 text-white" : "text-slate-700 hover:bg-slate-100"
-            }`}
+            type="button"
+            onClick={onShowShortcuts}
+            aria-label={t("shortcuts.title")}
+            title={`${t("shortcuts.title")} (?)`}
+            aria-keyshortcuts="?"
+            className="rounded-xl p-1.5 text-fg-soft hover:bg-muted"
           >
-            Favoritos
+            <Keyboard className="h-4 w-4" />
           </button>
         </nav>
       </div>
@@ -143,380 +335,845 @@ function Navbar({ onNavigate, currentRoute }) {
   );
 }
 
-// Cartão de filme na lista de resultados/favoritos
-function MovieCard({ movie, isFavorite, onToggleFavorite, onDetails }) {
-  const poster = movie.Poster && movie.Poster !== "N/A" ? (
-    <img src={movie.Poster} alt={`Pôster de ${movie.Title}`} className="h-64 w-full rounded-t-2xl object-cover" />
-  ) : (
-    <PosterFallback />
-  );
-
+// Filtros da busca: tipo, ano exato e intervalo de anos
+function FilterBar({ filters, onChange }) {
+  const inputClass =
+    "w-24 rounded-xl border border-line-strong bg-surface px-3 py-1.5 text-sm outline-none ring-line-strong focus:ring disabled:opacity-50";
   return (
-    <div className="group flex flex-col overflow-hidden rounded-2xl border border-slate-200 bg-white shadow-sm transition hover:shadow-md">
-      {poster}
-      <div className="flex flex-1 flex-col gap-2 p-3">
-        <div>
-          <h3 className="line-clamp-2 text-base font-semibold text-slate-800" title={movie.Title}>
-            {movie.Title}
-          </h3>
-          <p className="text-xs text-slate-500">{movie.Year} • {movie.Type?.toUpperCase?.()}</p>
-        </div>
-        <div className="mt-auto flex items-center justify-between gap-2">
+    <div className="flex flex-wrap items-center gap-3 text-sm text-fg-soft">
+      <div className="flex items-center gap-1" role="radiogroup" aria-label={t("search.typeLabel")}>
+        {TYPE_OPTIONS.map((opt) => (
           <button
-            onClick={onDetails}
-            className="inline-flex items-center gap-2 rounded-xl border border-slate-300 px-3 py-1.5 text-sm font-medium text-slate-700 transition hover:bg-slate-50"
-          >
-            <Search className="h-4 w-4" /> Detalhes
-          </button>
-          <button
-            onClick={onToggleFavorite}
-            className={`inline-flex items-center gap-2 rounded-xl px-3 py-1.5 text-sm font-medium transition ${
-              isFavorite ? "bg-rose-600 text-white hover:bg-rose-700" : "bg-slate-900 text-white hover:bg-black"
+            key={opt.value || "all"}
+            type="button"
+            role="radio"
+            aria-checked={filters.type === opt.value}
+            onClick={() => onChange("type", opt.value)}
+            className={`rounded-xl px-3 py-1.5 ${
+              filters.type === opt.value ? "bg-accent text-on-accent" : "border border-line-strong hover:bg-muted"
             }`}
-            title={isFavorite ? "Remover dos favoritos" : "Adicionar aos favoritos"}
           >
-            {isFavorite ? <HeartOff className="h-4 w-4" /> : <Heart className="h-4 w-4" />}
-            {isFavorite ? "Remover" : "Favoritar"}
+            {t(opt.labelKey)}
           </button>
-        </div>
+        ))}
       </div>
-    </div>
-  );
-}
-
-// Paginação
-function Pagination({ page, totalPages, onChange }) {
-  if (!totalPages || totalPages <= 1) return null;
-
-  const canPrev = page > 1;
-  const canNext = page < totalPages;
-
-  const goto = (p) => {
-    if (p < 1) p = 1;
-    if (p > totalPages) p = totalPages;
-    onChange(p);
-  };
-
-  // Gerar um pequeno range ao redor da página atual
-  const pages = [];
-  const from = Math.max(1, page - 2);
-  const to = Math.min(totalPages, page + 2);
-  for (let p = from; p <= to; p++) pages.push(p);
-
-  return (
-    <div className="mt-4 flex items-center justify-center gap-1">
-      <button
-        className="rounded-xl border border-slate-300 p-2 text-slate-700 hover:bg-slate-50 disabled:opacity-40"
-        onClick={() => goto(1)}
-        disabled={!canPrev}
-        aria-label="Primeira página"
-      >
-        <ChevronsLeft className="h-4 w-4" />
-      </button>
-      <button
-        className="rounded-xl border border-slate-300 p-2 text-slate-700 hover:bg-slate-50 disabled:opacity-40"
-        onClick={() => goto(page - 1)}
-        disabled={!canPrev}
-        aria-label="Anterior"
-      >
-        <ChevronLeft className="h-4 w-4" />
-      </button>
-
-      {pages.map((p) => (
-        <button
-          key={p}
-          onClick={() => goto(p)}
-          className={`rounded-xl px-3 py-1.5 text-sm font-medium ${
-            p === page ? "bg-slate-900 text-white" : "border border-slate-300 text-slate-700 hover:bg-slate-50"
-          }`}
-        >
-          {p}
-        </button>
-      ))}
-
-      <button
-        className="rounded-xl border border-slate-300 p-2 text-slate-700 hover:bg-slate-50 disabled:opacity-40"
-        onClick={() => goto(page + 1)}
-        disabled={!canNext}
-        aria-label="Próxima"
-      >
-        <ChevronRight className="h-4 w-4" />
-      </button>
-      <button
-        className="rounded-xl border border-slate-300 p-2 text-slate-700 hover:bg-slate-50 disabled:opacity-40"
-        onClick={() => goto(totalPages)}
-        disabled={!canNext}
-        aria-label="Última página"
-      >
-        <ChevronsRight className="h-4 w-4" />
-      </button>
+      <label className="flex items-center gap-2">
+        {t("search.year")}
+        <input
+          type="number"
+          inputMode="numeric"
+          min="1870"
+          max="2100"
+          value={filters.year}
+          onChange={(e) => onChange("year", e.target.value)}
+          placeholder={t("search.yearPlaceholder")}
+          className={inputClass}
+        />
+      </label>
+      <span className="flex items-center gap-2">
+        <label className="flex items-center gap-2">
+          {t("search.yearFrom")}
+          <input
+            type="number"
+            inputMode="numeric"
+            min="1870"
+            max="2100"
+            value={filters.yearFrom}
+            onChange={(e) => onChange("yearFrom", e.target.value)}
+            disabled={Boolean(filters.year)}
+            className={inputClass}
+          />
+        </label>
+        <label className="flex items-center gap-2">
+          {t("search.yearTo")}
+          <input
+            type="number"
+            inputMode="numeric"
+            min="1870"
+            max="2100"
+            value={filters.yearTo}
+            onChange={(e) => onChange("yearTo", e.target.value)}
+            disabled={Boolean(filters.year)}
+            className={inputClass}
+          />
+        </label>
+      </span>
     </div>
   );
 }
 
 // Página de Busca
-function SearchView({ apiKey, favorites, onToggleFavorite, onOpenDetails }) {
-  const [term, setTerm] = useState("");
-  const [page, setPage] = useState(1);
+function SearchView({
+  provider,
+  search,
+  defaultType,
+  layout,
+  paging,
+  recentSearches,
+  recentViews,
+  onDisplayChange,
+  onSearchChange,
+  onRecordSearch,
+  onRemoveSearch,
+  onOpenDetails,
+}) {
+  // A busca efetiva (termo, filtros e página) vem da URL; o formulário é um rascunho até o submit
+  const query = useMemo(
+    () => readSearchQuery(Object.fromEntries(new URLSearchParams(search)), defaultType),
+    [search, defaultType]
+  );
+  const { page } = query;
+  // Na rolagem infinita a página da URL é ignorada: a lista começa na 1 e cresce
+  const infinite = paging === "scroll";
+  const [term, setTerm] = useState(query.term);
+  const [filters, setFilters] = useState(query.filters);
   const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState("");
+  const [moreError, setMoreError] = useState("");
   const [results, setResults] = useState([]);
   const [total, setTotal] = useState(0);
+  const [loadedPage, setLoadedPage] = useState(0);
+  const [rangeInfo, setRangeInfo] = useState(null);
 
-  const totalPages = useMemo(() => Math.ceil(total / 10), [total]);
+  const totalPages = useMemo(() => totalPagesOf(total), [total]);
+  const hasMore = infinite && loadedPage > 0 && loadedPage < totalPages;
 
-  const doSearch = async (q, p = 1) => {
-    if (!q || !apiKey) return;
-    setLoading(true);
+  // Requisição em andamento; é abortada quando o termo ou a página mudam
+  const abortRef = useRef(null);
+  // Resultado filtrado por intervalo de anos, reaproveitado ao trocar de página
+  const rangeRef = useRef(null);
+
+  // Busca a página `p`; com `append` (rolagem infinita) soma aos resultados já exibidos
+  const doSearch = async (q, p = 1, f = DEFAULT_FILTERS, { append = false } = {}) => {
+    if (!q || !provider.ready) return;
+    if (abortRef.current) abortRef.current.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const setBusy = append ? setLoadingMore : setLoading;
+    setBusy(true);
+    // Nova busca substitui um acréscimo em andamento, que não vai mais limpar o próprio indicador
+    if (!append) setLoadingMore(false);
     setError("");
+    setMoreError("");
     try {
-      const url = `${OMDB_BASE}?apikey=${encodeURIComponent(apiKey)}&s=${encodeURIComponent(q)}&type=movie&page=${p}`;
-      const res = await fetch(url);
-      const data = await res.json();
-      if (data.Response === "False") {
-        setResults([]);
-        setTotal(0);
-        setError(data.Error || "Nenhum resultado encontrado.");
+      let found;
+      if (hasYearRange(f)) {
+        const key = JSON.stringify([q, f]);
+        let range = rangeRef.current;
+        if (!range || range.key !== key) {
+          const scanned = await searchYearRange(provider, { term: q, ...f }, { signal: controller.signal });
+          range = rangeRef.current = { key, ...scanned };
+        }
+        if (range.items.length === 0) {
+          setResults([]);
+          setTotal(0);
+          setLoadedPage(0);
+          setRangeInfo(null);
+          setError(t("search.rangeEmpty"));
+          return;
+        }
+        found = { results: range.items.slice((p - 1) * PAGE_SIZE, p * PAGE_SIZE), total: range.items.length };
+        setRangeInfo({ scanned: range.scanned, truncated: range.truncated });
       } else {
-        setResults(Array.isArray(data.Search) ? data.Search : []);
-        setTotal(Number(data.totalResults || 0));
+        found = await provider.search({ term: q, type: f.type, year: f.year, page: p }, { signal: controller.signal });
+        setRangeInfo(null);
+      }
+      setResults((prev) => (append ? appendUnique(prev, found.results) : found.results));
+      setTotal(found.total);
+      setLoadedPage(p);
+    } catch (err) {
+      if (isAbortError(err)) return;
+      // Falha ao acrescentar uma página não apaga o que já está na tela
+      if (append) {
+        setMoreError(errorMessage(err));
+        return;
       }
-    } catch (e) {
-      setError("Ocorreu um erro na busca. Verifique sua conexão e tente novamente.");
+      setResults([]);
+      setTotal(0);
+      setLoadedPage(0);
+      setRangeInfo(null);
+      setError(errorMessage(err));
     } finally {
-      setLoading(false);
+      if (abortRef.current === controller) setBusy(false);
     }
   };
 
+  // Novo termo digitado torna a busca em andamento obsoleta
+  const onTermChange = (value) => {
+    setTerm(value);
+    if (abortRef.current) abortRef.current.abort();
+  };
+
+  const onFilterChange = (field, value) => setFilters((prev) => ({ ...prev, [field]: value }));
+
+  useEffect(() => () => abortRef.current && abortRef.current.abort(), []);
+
+  // Voltar/avançar no navegador: o formulário acompanha a URL
+  useEffect(() => {
+    setTerm(query.term);
+    setFilters(query.filters);
+  }, [query]);
+
+  // Envia uma busca (formulário ou busca recente) e a registra no histórico
+  const submit = (nextTerm, nextFilters) => {
+    const entry = { term: nextTerm.trim(), filters: normalizeFilters(nextFilters) };
+    const next = toSearchQuery({ ...entry, page: 1 }, defaultType);
+    if (entry.term) onRecordSearch(entry);
+    // Mesma URL não dispara hashchange: refaz a busca diretamente (ex.: após um erro)
+    if (toQueryString(next) === toQueryString(toSearchQuery(query, defaultType))) doSearch(query.term, 1, query.filters);
+    else onSearchChange(next);
+  };
+
   const onSubmit = (e) => {
     e.preventDefault();
-    setPage(1);
-    doSearch(term, 1);
+    submit(term, filters);
   };
 
+  const goToPage = (p) => onSearchChange(toSearchQuery({ ...query, page: p }, defaultType));
+
+  // "[" e "]" trocam de página; na rolagem infinita não há páginas
+  useShortcuts(
+    {
+      prevPage: () => page > 1 && goToPage(page - 1),
+      nextPage: () => page < totalPages && goToPage(page + 1),
+    },
+    !infinite
+  );
+
   useEffect(() => {
-    if (term && apiKey) doSearch(term, page);
+    if (query.term && provider.ready) {
+      doSearch(query.term, infinite ? 1 : page, query.filters);
+    } else {
+      setResults([]);
+      setTotal(0);
+      setLoadedPage(0);
+      setError("");
+      setRangeInfo(null);
+    }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [page]);
+  }, [query, provider, infinite]);
+
+  // Rolagem infinita: a sentinela no fim da lista pede a próxima página ao se aproximar da tela
+  const loadMoreRef = useRef(null);
+  useEffect(() => {
+    loadMoreRef.current = () => {
+      if (loading || loadingMore || moreError || !hasMore) return;
+      doSearch(query.term, loadedPage + 1, query.filters, { append: true });
+    };
+  });
+  const sentinelRef = useRef(null);
+  useEffect(() => {
+    const el = sentinelRef.current;
+    if (!el || typeof IntersectionObserver === "undefined") return;
+    // Recriado a cada página: se a sentinela continuar visível, a próxima já é pedida
+    const observer = new IntersectionObserver(([entry]) => entry.isIntersecting && loadMoreRef.current(), {
+      rootMargin: "800px 0px",
+    });
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [hasMore, loadedPage]);
+
+  // Ao terminar de carregar, volta à rolagem salva para esta URL (voltar/avançar, recarregar)
+  useEffect(() => {
+    if (loading || (query.term && provider.ready && results.length === 0 && !error)) return;
+    const y = takeScroll(window.location.hash);
+    if (y !== null) window.scrollTo(0, y);
+  }, [loading, results, error, query, provider]);
+
+  // Trocar de página mantém os resultados anteriores (esmaecidos) até a nova chegar
+  const stale = loading && results.length > 0;
+
+  // Texto da região viva: carregamento e contagem (erros são anunciados pelo role="alert")
+  let status = "";
+  if (loading) status = t("common.loading");
+  else if (loadingMore) status = t("search.loadingMore");
+  else if (!error && results.length > 0) status = t("search.showing", { shown: results.length, count: total });
 
   return (
     <section className="mx-auto max-w-5xl px-4 py-6">
-      <form onSubmit={onSubmit} className="flex items-center gap-2">
-        <div className="relative w-full">
-          <Search className="pointer-events-none absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-slate-400" />
-          <input
-            type="text"
+      <h1 className="sr-only">{t("nav.search")}</h1>
+      <p role="status" className="sr-only">
+        {status}
+      </p>
+      <form onSubmit={onSubmit} className="flex flex-col gap-3" role="search">
+        <div className="flex items-center gap-2">
+          <SearchCombobox
+            id={SEARCH_INPUT_ID}
+            provider={provider}
             value={term}
-            onChange={(e) => setTerm(e.target.value)}
-            placeholder="Busque por título (ex.: Matrix, Inception, Cidade de Deus)"
-            className="w-full rounded-2xl border border-slate-300 bg-white px-9 py-3 text-sm outline-none ring-slate-300 placeholder:text-slate-400 focus:ring"
+            onChange={onTermChange}
+            onSelect={onOpenDetails}
+            type={filters.type}
+            disabled={!provider.ready}
+            placeholder={t("search.placeholder")}
           />
+          <button
+            type="submit"
+            disabled={!provider.ready || !term}
+            className="inline-flex items-center gap-2 rounded-2xl bg-accent px-4 py-3 text-sm font-semibold text-on-accent transition hover:bg-accent-hover disabled:opacity-50"
+            title={!provider.ready ? t("search.needsKey") : t("search.submit")}
+          >
+            <Search className="h-4 w-4" /> {t("search.submit")}
+          </button>
         </div>
-        <button
-          type="submit"
-          disabled={!apiKey || !term}
-          className="inline-flex items-center gap-2 rounded-2xl bg-slate-900 px-4 py-3 text-sm font-semibold text-white transition hover:bg-black disabled:opacity-50"
-          title={!apiKey ? "Informe a API Key para habilitar a busca" : "Buscar"}
-        >
-          <Search className="h-4 w-4" /> Buscar
-        </button>
+
+        <FilterBar filters={filters} onChange={onFilterChange} />
+
+        <RecentSearches
+          searches={recentSearches}
+          onSelect={(entry) => submit(entry.term, entry.filters)}
+          onRemove={onRemoveSearch}
+        />
       </form>
 
-      {/* Estado de carregamento */}
-      {loading && (
-        <div className="mt-10 flex items-center justify-center gap-2 text-slate-600">
+      {/* Estado de carregamento (anunciado pela região viva acima) */}
+      {loading && !stale && (
+        <div className="mt-10 flex items-center justify-center gap-2 text-fg-muted" aria-hidden="true">
           <Loader2 className="h-5 w-5 animate-spin" />
-          <span>Carregando…</span>
+          <span>{t("common.loading")}</span>
         </div>
       )}
 
       {/* Mensagens de erro */}
       {!loading && error && (
-        <div className="mt-6 rounded-2xl border border-rose-200 bg-rose-50 p-4 text-rose-800">
+        <div role="alert" className="mt-6 rounded-2xl border border-danger-line bg-danger-subtle p-4 text-danger">
           {error}
         </div>
       )}
 
       {/* Lista de resultados */}
-      {!loading && !error && results.length > 0 && (
+      {(stale || (!loading && !error)) && results.length > 0 && (
         <>
-          <div className="mt-6 flex items-center justify-between text-sm text-slate-600">
-            <p>
-              Exibindo <span className="font-semibold">{results.length}</span> de {total} resultado(s)
+          <div className="mt-6 flex flex-wrap items-center justify-between gap-2 text-sm text-fg-muted">
+            <p className="inline-flex items-center gap-2">
+              {stale && <Loader2 className="h-4 w-4 animate-spin" aria-hidden="true" />}
+              {t("search.showing", { shown: results.length, count: total })}
+              {rangeInfo && ` ${t("search.rangeScanned", { count: rangeInfo.scanned })}`}
             </p>
+            <LayoutSwitcher layout={layout} paging={paging} onChange={onDisplayChange} />
           </div>
+          {rangeInfo && rangeInfo.truncated && (
+            <p className="mt-1 text-xs text-fg-subtle">
+              {t("search.rangeTruncated", { count: rangeInfo.scanned })}
+            </p>
+          )}
+          {total > MAX_OMDB_PAGES * PAGE_SIZE && (
+            <p className="mt-1 text-xs text-fg-subtle">{t("search.pageLimit", { count: MAX_OMDB_PAGES * PAGE_SIZE })}</p>
+          )}
 
-          <div className="mt-4 grid grid-cols-1 gap-4 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4">
-            {results.map((m) => (
-              <MovieCard
-                key={m.imdbID}
-                movie={m}
-                isFavorite={Boolean(favorites[m.imdbID])}
-                onToggleFavorite={() => onToggleFavorite(m)}
-                onDetails={() => onOpenDetails(m.imdbID)}
-              />)
-            )}
+          <div aria-busy={stale} className={`mt-4 transition-opacity ${stale ? "opacity-50" : ""}`}>
+            <ResultsGrid items={results} layout={layout} onOpenDetails={onOpenDetails} />
           </div>
 
-          <Pagination page={page} totalPages={totalPages} onChange={setPage} />
+          {infinite ? (
+            <div className="mt-6 flex flex-col items-center gap-2 text-sm text-fg-muted">
+              {hasMore && <div ref={sentinelRef} aria-hidden="true" />}
+              {loadingMore && (
+                <span className="inline-flex items-center gap-2" aria-hidden="true">
+                  <Loader2 className="h-4 w-4 animate-spin" /> {t("search.loadingMore")}
+                </span>
+              )}
+              {moreError && (
+                <div role="alert" className="flex items-center gap-2 text-danger">
+                  {moreError}
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setMoreError("");
+                      doSearch(query.term, loadedPage + 1, query.filters, { append: true });
+                    }}
+                    className="rounded-xl border border-danger-line px-3 py-1 hover:bg-danger-subtle"
+                  >
+                    {t("search.retry")}
+                  </button>
+                </div>
+              )}
+              {!hasMore && !loadingMore && <span className="text-xs text-fg-subtle">{t("search.end")}</span>}
+            </div>
+          ) : (
+            <Pagination page={page} totalPages={totalPages} onChange={goToPage} />
+          )}
         </>
       )}
 
       {!loading && !error && results.length === 0 && (
-        <div className="mt-10 text-center text-slate-500">
-          <p>Comece buscando por um filme no campo acima.</p>
+        <div className="mt-10 text-center text-fg-subtle">
+          <p>{t("search.empty")}</p>
         </div>
       )}
+
+      {!query.term && <RecentlyViewed views={recentViews} onOpenDetails={onOpenDetails} />}
     </section>
   );
 }
 
 // Página de Detalhes
-function DetailsView({ apiKey, id, onBack, onToggleFavorite, isFavorite }) {
+function DetailsView({
+  provider,
+  id,
+  season,
+  plot,
+  onBack,
+  favorite,
+  onUpdateFavorite,
+  onLoaded,
+  onSearchName,
+  onSeasonChange,
+  onOpenEpisode,
+  onOpenDetails,
+}) {
+  const onLoadedRef = useRef(onLoaded);
+  useEffect(() => {
+    onLoadedRef.current = onLoaded;
+  });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
   const [data, setData] = useState(null);
 
-  const load = async () => {
+  useEffect(() => {
+    if (!provider.ready || !id) return;
+    const controller = new AbortController();
     setLoading(true);
     setError("");
-    try {
-      const url = `${OMDB_BASE}?apikey=${encodeURIComponent(apiKey)}&i=${encodeURIComponent(id)}&plot=full`;
-      const res = await fetch(url);
-      const json = await res.json();
-      if (json.Response === "False") {
-        setError(json.Error || "Não foi possível obter os detalhes.");
+    provider
+      .getById(id, { plot, signal: controller.signal })
+      .then((title) => {
+        setData(title);
+        if (onLoadedRef.current) onLoadedRef.current(title);
+      })
+      .catch((err) => {
+        if (isAbortError(err)) return;
+        setError(errorMessage(err));
         setData(null);
-      } else {
-        setData(json);
-      }
-    } catch (e) {
-      setError("Ocorreu um erro ao carregar os detalhes.");
-    } finally {
-      setLoading(false);
-    }
-  };
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+    return () => controller.abort();
+  }, [provider, id, plot]);
 
-  useEffect(() => {
-    if (apiKey && id) load();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [apiKey, id]);
+  // "f" favorita o título aberto
+  const { toggleFavorite } = useCollection();
+  useShortcuts({ favorite: () => data && toggleFavorite(data) });
 
   return (
     <section className="mx-auto max-w-4xl px-4 py-6">
       <button
         onClick={onBack}
-        className="mb-4 inline-flex items-center gap-2 rounded-2xl border border-slate-300 px-3 py-1.5 text-sm text-slate-700 hover:bg-slate-50"
+        className="mb-4 inline-flex items-center gap-2 rounded-2xl border border-line-strong px-3 py-1.5 text-sm text-fg-soft hover:bg-subtle"
       >
-        <ArrowLeft className="h-4 w-4" /> Voltar
+        <ArrowLeft className="h-4 w-4" aria-hidden="true" /> {t("common.back")}
       </button>
 
       {loading && (
-        <div className="mt-10 flex items-center justify-center gap-2 text-slate-600">
-          <Loader2 className="h-5 w-5 animate-spin" />
-          <span>Carregando detalhes…</span>
+        <div role="status" className="mt-10 flex items-center justify-center gap-2 text-fg-muted">
+          <Loader2 className="h-5 w-5 animate-spin" aria-hidden="true" />
+          <span>{t("details.loading")}</span>
         </div>
       )}
 
       {!loading && error && (
-        <div className="rounded-2xl border border-rose-200 bg-rose-50 p-4 text-rose-800">{error}</div>
+        <div role="alert" className="rounded-2xl border border-danger-line bg-danger-subtle p-4 text-danger">{error}</div>
       )}
 
       {!loading && !error && data && (
         <div className="grid grid-cols-1 gap-6 md:grid-cols-[200px,1fr]">
-          <div className="overflow-hidden rounded-2xl border border-slate-200 bg-white">
-            {data.Poster && data.Poster !== "N/A" ? (
-              <img src={data.Poster} alt={`Pôster de ${data.Title}`} className="h-full w-full object-cover" />
+          <div className="overflow-hidden rounded-2xl border border-line bg-surface">
+            {data.poster ? (
+              <img src={data.poster} alt={t("common.posterOf", { title: data.title })} className="h-full w-full object-cover" />
             ) : (
-              <PosterFallback />
+              <PosterFallback title={data.title} />
             )}
           </div>
           <div className="flex flex-col gap-3">
             <div className="flex items-start justify-between gap-3">
               <div>
-                <h1 className="text-2xl font-bold text-slate-900">{data.Title}</h1>
-                <p className="text-sm text-slate-600">{data.Year} • {data.Rated} • {data.Runtime}</p>
-                <p className="text-sm text-slate-600">{data.Genre}</p>
+                <h1 className="text-2xl font-bold text-fg">{data.title}</h1>
+                <p className="text-sm text-fg-muted">
+                  {[data.year, data.rated, formatRuntime(data.runtime)].filter(Boolean).join(" • ")}
+                </p>
+                <NameLinks value={data.genre} onSearch={onSearchName} className="text-sm text-fg-muted" />
+                <PlannedBadge movieId={data.id} />
               </div>
-              <button
-                onClick={() => onToggleFavorite({ imdbID: data.imdbID, Title: data.Title, Year: data.Year, Poster: data.Poster, Type: data.Type })}
-                className={`inline-flex items-center gap-2 rounded-2xl px-3 py-2 text-sm font-medium transition ${
-                  isFavorite ? "bg-rose-600 text-white hover:bg-rose-700" : "bg-slate-900 text-white hover:bg-black"
-                }`}
-              >
-                {isFavorite ? <HeartOff className="h-4 w-4" /> : <Heart className="h-4 w-4" />}
-                {isFavorite ? "Remover dos favoritos" : "Adicionar aos favoritos"}
-              </button>
+              <AddToListMenu movie={data} size="lg" />
             </div>
 
-            <div className="mt-1 inline-flex items-center gap-2 rounded-xl bg-yellow-50 px-2 py-1 text-sm text-yellow-900">
-              <Star className="h-4 w-4" /> IMDb: <span className="font-semibold">{data.imdbRating}</span>
-            </div>
+            {favorite && isOverdue(favorite) && (
+              <WatchPrompt favorite={favorite} onChange={(patch) => onUpdateFavorite(data.id, patch)} />
+            )}
+
+            <RatingsPanel data={data} />
 
             <div>
-              <h2 className="mb-1 text-sm font-semibold text-slate-700">Sinopse</h2>
-              <p className="text-sm leading-relaxed text-slate-700">{data.Plot}</p>
+              <h2 className="mb-1 text-sm font-semibold text-fg-soft">{t("field.plot")}</h2>
+              <p className="text-sm leading-relaxed text-fg-soft">{data.plot}</p>
             </div>
 
             <div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
-              <InfoField label="Direção" value={data.Director} />
-              <InfoField label="Roteiro" value={data.Writer} />
-              <InfoField label="Elenco" value={data.Actors} />
-              <InfoField label="País/Idioma" value={`${data.Country} • ${data.Language}`} />
-              <InfoField label="Prêmios" value={data.Awards} />
-              <InfoField label="Bilheteria" value={data.BoxOffice} />
+              <InfoField label={t("field.director")} value={data.director}>
+                <NameLinks value={data.director} onSearch={onSearchName} />
+              </InfoField>
+              <InfoField label={t("field.writer")} value={data.writer}>
+                <NameLinks value={data.writer} onSearch={onSearchName} />
+              </InfoField>
+              <InfoField label={t("field.actors")} value={data.actors}>
+                <NameLinks value={data.actors} onSearch={onSearchName} />
+              </InfoField>
+              <InfoField label={t("field.countryLanguage")} value={[data.country, data.language].filter(Boolean).join(" • ")} />
+              <InfoField label={t("field.released")} value={formatReleaseDate(data.released)} />
+              <InfoField label={t("field.dvd")} value={formatReleaseDate(data.dvd)} />
+              <InfoField label={t("field.awards")} value={data.awards} />
+              <InfoField label={t("field.boxOffice")} value={formatBoxOffice(data.boxOffice)} />
+              <InfoField label={t("field.production")} value={data.production} />
+              <InfoField label={t("field.website")} value={data.website}>
+                <a
+                  href={data.website}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="break-all text-info underline hover:text-info/80"
+                >
+                  {data.website}
+                </a>
+              </InfoField>
             </div>
 
-            <div className="text-xs text-slate-500">ID: {data.imdbID}</div>
+            {data.type === "series" && (
+              <SeriesBrowser
+                series={data}
+                provider={provider}
+                season={season}
+                onSeasonChange={onSeasonChange}
+                onOpenEpisode={onOpenEpisode}
+              />
+            )}
+
+            {favorite && (
+              <div className="rounded-2xl border border-line bg-surface p-4">
+                <h2 className="mb-3 text-sm font-semibold text-fg-soft">{t("details.myCollection")}</h2>
+                <FavoriteEditor favorite={favorite} onChange={(patch) => onUpdateFavorite(data.id, patch)} />
+              </div>
+            )}
+
+            <div className="text-xs text-fg-subtle">ID: {data.id}</div>
           </div>
         </div>
       )}
+
+      {!loading && !error && data && (
+        <MoreLikeThis key={data.id} provider={provider} seed={data} onOpenDetails={onOpenDetails} />
+      )}
+    </section>
+  );
+}
+
+// "Mais como este": sugestões a partir do título aberto e da coleção, buscadas só quando pedidas
+function MoreLikeThis({ provider, seed, onOpenDetails }) {
+  const { favorites } = useCollection();
+  const [requested, setRequested] = useState(false);
+  const recommendations = useRecommendations(provider, favorites, seed, { enabled: requested });
+  const { items, loading, error } = recommendations;
+  if (!provider.ready || (requested && items.length === 0 && !loading && !error)) return null;
+  return (
+    <section className="mt-8" aria-labelledby="mais-como-este">
+      <h2 id="mais-como-este" className="mb-3 text-lg font-semibold text-fg">
+        {t("recommend.moreLikeThis")}
+      </h2>
+      {requested ? (
+        <Recommendations state={recommendations} onOpenDetails={onOpenDetails} />
+      ) : (
+        <button
+          type="button"
+          onClick={() => setRequested(true)}
+          className="inline-flex items-center gap-1 rounded-xl border border-line-strong px-3 py-1.5 text-sm text-fg-soft hover:bg-subtle"
+        >
+          <Sparkles className="h-4 w-4" /> {t("recommend.show")}
+        </button>
+      )}
     </section>
   );
 }
 
-function InfoField({ label, value }) {
-  if (!value || value === "N/A") return null;
+// Resumo dos dados pessoais exibido no cartão do favorito
+function FavoriteSummary({ favorite }) {
+  const status = STATUS_OPTIONS.find((o) => o.value === favorite.status);
   return (
-    <div>
-      <div className="text-xs font-semibold text-slate-500">{label}</div>
-      <div className="text-sm text-slate-800">{value}</div>
+    <div className="flex flex-wrap items-center gap-1 text-xs">
+      {favorite.score && (
+        <span className="inline-flex items-center gap-1 rounded-lg bg-warning-subtle px-2 py-0.5 font-semibold text-warning">
+          <Star className="h-3 w-3" /> {t("favorites.score", { score: favorite.score })}
+        </span>
+      )}
+      <span
+        className={`inline-flex items-center gap-1 rounded-lg px-2 py-0.5 ${
+          favorite.status === "watched" ? "bg-success-subtle text-success" : "bg-muted text-fg-muted"
+        }`}
+      >
+        {favorite.status === "watched" && <Eye className="h-3 w-3" />}
+        {status && t(status.labelKey)}
+        {favorite.watchedAt && ` ${t("favorites.watchedOn", { date: formatDate(favorite.watchedAt) })}`}
+      </span>
+      {favorite.tags.map((tag) => (
+        <span key={tag} className="rounded-lg bg-muted px-2 py-0.5 text-fg-muted">
+          #{tag}
+        </span>
+      ))}
+      {favorite.note && (
+        <p className="mt-1 line-clamp-2 w-full text-fg-subtle" title={favorite.note}>
+          {favorite.note}
+        </p>
+      )}
+    </div>
+  );
+}
+
+// Barra de ordenação, filtros e busca da página de favoritos
+function CollectionToolbar({ view, facets, onChange }) {
+  const selectClass =
+    "rounded-xl border border-line-strong bg-surface px-3 py-1.5 text-sm outline-none ring-line-strong focus:ring";
+  const set = (field) => (e) => onChange({ ...view, [field]: e.target.value });
+  const filtered = FILTER_FIELDS.some((f) => view[f]);
+  const chips = [
+    { field: "person", label: t("collection.person") },
+    { field: "country", label: t("field.country") },
+    { field: "language", label: t("field.language") },
+  ].filter((c) => view[c.field]);
+
+  return (
+    <div className="mb-4 flex flex-wrap items-center gap-2 text-sm text-fg-soft">
+      <div className="relative min-w-48 flex-1">
+        <Search className="pointer-events-none absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-fg-faint" />
+        <input
+          type="search"
+          value={view.q}
+          onChange={set("q")}
+          placeholder={t("collection.searchPlaceholder")}
+          aria-label={t("collection.searchLabel")}
+          className="w-full rounded-xl border border-line-strong bg-surface py-1.5 pl-9 pr-3 outline-none ring-line-strong focus:ring"
+        />
+      </div>
+      <select value={view.sort} onChange={set("sort")} className={selectClass} aria-label={t("collection.sortBy")}>
+        {SORT_OPTIONS.map((o) => (
+          <option key={o.value} value={o.value}>
+            {t(o.labelKey)}
+          </option>
+        ))}
+      </select>
+      <button
+        type="button"
+        onClick={() => onChange({ ...view, dir: view.dir === "asc" ? "desc" : "asc" })}
+        className="inline-flex items-center gap-1 rounded-xl border border-line-strong px-3 py-1.5 hover:bg-subtle"
+      >
+        {view.dir === "asc" ? <ArrowUp className="h-4 w-4" /> : <ArrowDown className="h-4 w-4" />}
+        {view.dir === "asc" ? t("collection.ascending") : t("collection.descending")}
+      </button>
+      <select value={view.type} onChange={set("type")} className={selectClass} aria-label={t("search.typeLabel")}>
+        <option value="">{t("collection.allTypes")}</option>
+        {facets.types.map((type) => (
+          <option key={type} value={type}>
+            {t(`search.type.${type}`)}
+          </option>
+        ))}
+      </select>
+      <select value={view.decade} onChange={set("decade")} className={selectClass} aria-label={t("collection.decadeLabel")}>
+        <option value="">{t("collection.allDecades")}</option>
+        {facets.decades.map((d) => (
+          <option key={d} value={String(d)}>
+            {t("collection.decade", { decade: String(d) })}
+          </option>
+        ))}
+      </select>
+      <select value={view.genre} onChange={set("genre")} className={selectClass} aria-label={t("field.genre")}>
+        <option value="">{t("collection.allGenres")}</option>
+        {facets.genres.map((g) => (
+          <option key={g} value={g}>
+            {g}
+          </option>
+        ))}
+      </select>
+      {chips.map((c) => (
+        <span
+          key={c.field}
+          className="inline-flex items-center gap-1 rounded-xl bg-accent py-1 pl-3 pr-1 text-xs font-medium text-on-accent"
+        >
+          {c.label}: {view[c.field]}
+          <button
+            type="button"
+            onClick={() => onChange({ ...view, [c.field]: "" })}
+            aria-label={t("collection.removeFilter", { name: c.label })}
+            className="rounded-lg p-0.5 hover:bg-on-accent/20"
+          >
+            <X className="h-3 w-3" />
+          </button>
+        </span>
+      ))}
+      {filtered && (
+        <button
+          type="button"
+          onClick={() => onChange({ ...view, ...Object.fromEntries(FILTER_FIELDS.map((f) => [f, ""])) })}
+          className="rounded-xl px-3 py-1.5 text-fg-muted underline hover:text-fg"
+        >
+          {t("collection.clearFilters")}
+        </button>
+      )}
+    </div>
+  );
+}
+
+// Botões de exportar, importar e compartilhar a coleção
+function TransferActions({ favoritesMap, onOpenImport, onOpenShare }) {
+  const stamp = new Date().toISOString().slice(0, 10);
+  const count = Object.keys(favoritesMap).length;
+  const buttonClass =
+    "inline-flex items-center gap-1 rounded-xl border border-line-strong px-3 py-1.5 text-sm text-fg-soft hover:bg-subtle disabled:opacity-40";
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <button
+        type="button"
+        disabled={!count}
+        onClick={() => downloadText(`cinebusca-favoritos-${stamp}.json`, exportJson(favoritesMap), "application/json")}
+        className={buttonClass}
+      >
+        <Download className="h-4 w-4" /> JSON
+      </button>
+      <button
+        type="button"
+        disabled={!count}
+        onClick={() => downloadText(`cinebusca-favoritos-${stamp}.csv`, exportCsv(favoritesMap), "text/csv")}
+        className={buttonClass}
+      >
+        <Download className="h-4 w-4" /> CSV
+      </button>
+      <button type="button" onClick={onOpenImport} className={buttonClass}>
+        <Upload className="h-4 w-4" /> {t("import.open")}
+      </button>
+      {onOpenShare && (
+        <button type="button" disabled={!count} onClick={onOpenShare} className={buttonClass}>
+          <Share2 className="h-4 w-4" /> {t("share.open")}
+        </button>
+      )}
     </div>
   );
 }
 
 // Página de Favoritos
-function FavoritesView({ favoritesMap, onToggleFavorite, onOpenDetails }) {
-  const list = Object.values(favoritesMap);
-  if (list.length === 0) {
+function FavoritesView({
+  provider,
+  favoritesMap,
+  search,
+  onQueryChange,
+  onToggleFavorite,
+  onUpdateFavorite,
+  onImport,
+  onOpenDetails,
+}) {
+  const [editingId, setEditingId] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [sharing, setSharing] = useState(false);
+  const all = useMemo(() => Object.values(favoritesMap), [favoritesMap]);
+  const view = useMemo(() => readCollectionQuery(Object.fromEntries(new URLSearchParams(search))), [search]);
+  const facets = useMemo(() => collectionFacets(all), [all]);
+  const list = useMemo(() => sortFavorites(filterFavorites(all, view), view.sort, view.dir), [all, view]);
+  const editing = editingId && favoritesMap[editingId];
+
+  // Gênero e nota IMDb não vêm da busca: completa os favoritos antigos aos poucos
+  const online = useOnlineStatus();
+  const enrich = useFavoriteDetails(favoritesMap, provider, onUpdateFavorite, { enabled: online });
+
+  const importDialog = importing && (
+    <ImportDialog
+      provider={provider}
+      favoritesCount={all.length}
+      onImport={onImport}
+      onClose={() => setImporting(false)}
+    />
+  );
+
+  if (all.length === 0) {
     return (
-      <section className="mx-auto max-w-5xl px-4 py-6 text-center text-slate-500">
-        Você ainda não adicionou filmes aos favoritos.
+      <section className="mx-auto flex max-w-5xl flex-col items-center gap-3 px-4 py-6 text-center text-fg-subtle">
+        <h1 className="sr-only">{t("nav.favorites")}</h1>
+        {t("favorites.empty")}
+        <TransferActions favoritesMap={favoritesMap} onOpenImport={() => setImporting(true)} />
+        {importDialog}
       </section>
     );
   }
   return (
     <section className="mx-auto max-w-5xl px-4 py-6">
-      <div className="mb-3 text-sm text-slate-600">Total de favoritos: {list.length}</div>
+      <h1 className="sr-only">{t("nav.favorites")}</h1>
+      <div className="mb-3 flex justify-end">
+        <TransferActions
+          favoritesMap={favoritesMap}
+          onOpenImport={() => setImporting(true)}
+          onOpenShare={() => setSharing(true)}
+        />
+      </div>
+      <CollectionToolbar view={view} facets={facets} onChange={(next) => onQueryChange(toCollectionQuery(next))} />
+
+      <div className="mb-3 flex flex-wrap items-center justify-between gap-2 text-sm text-fg-muted">
+        <span role="status">
+          {t("favorites.total", { count: all.length })}
+          {list.length !== all.length && ` • ${t("favorites.showing", { count: list.length })}`}
+          {all.length > 0 && (
+            <>
+              {" • "}
+              <a href={`#${buildHash("stats")}`} className="underline hover:text-fg">
+                {t("favorites.seeStats")}
+              </a>
+            </>
+          )}
+        </span>
+        {enrich.remaining > 0 && (
+          <span className="inline-flex items-center gap-1 text-xs text-fg-subtle">
+            <Loader2 className="h-3 w-3 animate-spin" aria-hidden="true" /> {t("favorites.enriching", { count: enrich.remaining })}
+          </span>
+        )}
+      </div>
+
+      {list.length === 0 && (
+        <p className="mt-10 text-center text-fg-subtle">{t("favorites.noMatch")}</p>
+      )}
+
       <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4">
         {list.map((m) => (
-          <div key={m.imdbID} className="relative">
+          <div key={m.id} className="relative">
             <MovieCard
               movie={m}
-              isFavorite={true}
-              onToggleFavorite={() => onToggleFavorite(m)}
-              onDetails={() => onOpenDetails(m.imdbID)}
-            />
-            <button
-              onClick={() => onToggleFavorite(m)}
-              title="Remover"
-              className="absolute right-2 top-2 inline-flex items-center justify-center rounded-full bg-white/90 p-2 text-rose-600 shadow hover:bg-white"
+              onDetails={() => onOpenDetails(m.id)}
             >
-              <Trash2 className="h-4 w-4" />
-            </button>
+              <FavoriteSummary favorite={m} />
+            </MovieCard>
+            <div className="absolute right-2 top-2 flex gap-1">
+              <button
+                onClick={() => setEditingId(m.id)}
+                title={t("favorites.edit")}
+                aria-label={`${t("favorites.edit")}: ${m.title}`}
+                className="inline-flex items-center justify-center rounded-full bg-surface/90 p-2 text-fg-soft shadow hover:bg-surface"
+              >
+                <Pencil className="h-4 w-4" />
+              </button>
+              <button
+                onClick={() => onToggleFavorite(m)}
+                title={t("common.remove")}
+                aria-label={`${t("common.remove")}: ${m.title}`}
+                className="inline-flex items-center justify-center rounded-full bg-surface/90 p-2 text-danger shadow hover:bg-surface"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
           </div>
         ))}
       </div>
+
+      {editing && (
+        <Modal title={editing.title} onClose={() => setEditingId(null)}>
+          <FavoriteEditor favorite={editing} onChange={(patch) => onUpdateFavorite(editing.id, patch)} />
+        </Modal>
+      )}
+      {importDialog}
+      {/* Compartilha o que está na tela: filtros e ordem aplicados */}
+      {sharing && <ShareDialog favorites={list} onClose={() => setSharing(false)} />}
     </section>
   );
 }
@@ -525,81 +1182,469 @@ function FavoritesView({ favoritesMap, onToggleFavorite, onOpenDetails }) {
 // App principal (roteamento simples por hash)
 // -----------------------
 export default function App() {
-  // API key, priorizando env e permitindo sobrescrever via localStorage/UI
-  const [apiKey, setApiKey] = useLocalStorage("omdbApiKey", envKey || "");
+  // API key: a digitada na UI (localStorage) tem prioridade sobre a do .env
+  const [storedKey, setStoredKey] = useLocalStorage(API_KEY_STORAGE, "");
+  const apiKey = storedKey || envKey;
+  const keySource = apiKeySource(storedKey, envKey);
+  const provider = useMemo(() => createProvider(envProvider, { apiKey, baseUrl: envBaseUrl }), [apiKey]);
 
-  // Favoritos (map por imdbID)
-  const [favorites, setFavorites] = useLocalStorage("omdbFavorites", {});
+  // Preferências (idioma…); o idioma ativo vale para todo o render desta árvore.
+  // Com várias abas abertas, cada campo vem da aba que o mudou por último (idem favoritos, listas e progresso, por id).
+  const [settings, setSettings, settingsStorage] = useLocalStorage(SETTINGS_KEY, defaultSettings(), {
+    serialize: serializeSettings,
+    deserialize: migrateSettings,
+    merge: mergeById,
+  });
+  setLocale(settings.locale);
+  useEffect(() => {
+    document.documentElement.lang = settings.locale;
+  }, [settings.locale]);
+  useTheme(settings.theme);
+
+  // Favoritos (map por id), com migração de formatos antigos na leitura
+  const [favorites, setFavorites, favoritesStorage] = useLocalStorage(FAVORITES_KEY, {}, {
+    serialize: serializeFavorites,
+    deserialize: migrateFavorites,
+    merge: mergeById,
+  });
+
+  // Listas nomeadas, na ordem escolhida pelo usuário
+  const [lists, setLists, listsStorage] = useLocalStorage(LISTS_KEY, [], {
+    serialize: serializeLists,
+    deserialize: migrateLists,
+    merge: mergeListById,
+  });
 
-  const [route, setRoute] = useState(parseHash());
+  // Episódios assistidos de cada série
+  const [progress, setProgress, progressStorage] = useLocalStorage(PROGRESS_KEY, {}, {
+    serialize: serializeProgress,
+    deserialize: migrateProgress,
+    merge: mergeById,
+  });
+
+  // Títulos escolhidos para a comparação lado a lado
+  const [compareTray, setCompareTray] = useLocalStorage(COMPARE_KEY, [], { deserialize: migrateCompareTray });
+
+  // Títulos abertos e buscas enviadas (#/historico); a gravação pode ser pausada nas configurações
+  const [history, setHistory, historyStorage] = useLocalStorage(HISTORY_KEY, emptyHistory(), {
+    serialize: serializeHistory,
+    deserialize: migrateHistory,
+  });
+  const recordingHistory = settings.history === "on";
+
+  // Gravação que falhou ou dado corrompido: avisados no topo, com a saída para cada caso
+  const storedData = [
+    { key: FAVORITES_KEY, labelKey: "storage.store.favorites", storage: favoritesStorage },
+    { key: LISTS_KEY, labelKey: "storage.store.lists", storage: listsStorage },
+    { key: PROGRESS_KEY, labelKey: "storage.store.progress", storage: progressStorage },
+    { key: HISTORY_KEY, labelKey: "storage.store.history", storage: historyStorage },
+    { key: SETTINGS_KEY, labelKey: "storage.store.settings", storage: settingsStorage },
+  ];
+  const recordSearchEntry = (entry) => {
+    if (recordingHistory) setHistory((prev) => recordSearch(prev, entry));
+  };
+
+  const [route, setRoute] = useState(() => parseHash());
+
+  // Navegações feitas dentro do app: com zero, "voltar" sairia do site
+  const inAppStepsRef = useRef(0);
+
+  // Alterações feitas sem conexão; os detalhes desses títulos são buscados ao voltar a rede
+  const online = useOnlineStatus();
+  const [offlineQueue, setOfflineQueue] = useState(readQueue);
+  useEffect(() => writeQueue(offlineQueue), [offlineQueue]);
+
+  // Última busca visitada, para "Voltar" e para a aba "Buscar" retomarem os resultados
+  const lastSearchRef = useRef(route.name === "search" ? buildHash("search", {}, route.query) : "/");
 
   useEffect(() => {
-    const onHash = () => setRoute(parseHash());
+    if ("scrollRestoration" in window.history) window.history.scrollRestoration = "manual";
+    let current = window.location.hash;
+    const onHash = () => {
+      inAppStepsRef.current += 1;
+      rememberScroll(current, window.scrollY);
+      current = window.location.hash;
+      window.scrollTo(0, 0);
+      setRoute(parseHash());
+    };
+    const onHide = () => rememberScroll(window.location.hash, window.scrollY);
     window.addEventListener("hashchange", onHash);
-    return () => window.removeEventListener("hashchange", onHash);
+    window.addEventListener("pagehide", onHide);
+    return () => {
+      window.removeEventListener("hashchange", onHash);
+      window.removeEventListener("pagehide", onHide);
+    };
   }, []);
 
-  const navigate = (name, params = {}) => {
-    if (name === "search") window.location.hash = "/";
-    if (name === "favorites") window.location.hash = "/favoritos";
-    if (name === "details") window.location.hash = `/detalhes/${params.id}`;
+  useEffect(() => {
+    if (route.name === "search") lastSearchRef.current = buildHash("search", {}, route.query);
+  }, [route]);
+
+  // `replace` troca a entrada atual do histórico (ex.: filtros digitados), sem empilhar
+  const navigate = (name, params = {}, query = {}, { replace = false } = {}) => {
+    const hash = `#${buildHash(name, params, query)}`;
+    if (!replace) {
+      window.location.hash = hash;
+      return;
+    }
+    // replaceState não dispara hashchange: atualiza a rota manualmente
+    window.history.replaceState(null, "", hash);
+    setRoute(parseHash());
+  };
+
+  const backToSearch = () => {
+    window.location.hash = lastSearchRef.current;
+  };
+
+  // Foco no <h1> a cada página nova; mudanças só na query (filtros, página) não movem o foco
+  const mainRef = useRef(null);
+  useRouteFocus(mainRef, buildHash(route.name, route.params));
+
+  // "/" fora da busca volta a ela; o campo recebe o foco depois do foco da rota
+  const focusSearchRef = useRef(false);
+  const focusSearch = () => {
+    const input = document.getElementById(SEARCH_INPUT_ID);
+    if (input) input.focus();
+    return Boolean(input);
+  };
+  useEffect(() => {
+    if (focusSearchRef.current && focusSearch()) focusSearchRef.current = false;
+  }, [route]);
+
+  const [showShortcuts, setShowShortcuts] = useState(false);
+
+  // j/k: percorre os cartões visíveis na página atual
+  const moveResultFocus = (step) => {
+    const items = mainRef.current ? [...mainRef.current.querySelectorAll(RESULT_SELECTOR)] : [];
+    const current = document.activeElement && document.activeElement.closest(RESULT_SELECTOR);
+    const target = nextResult(items, current, step);
+    if (!target) return;
+    target.focus({ preventScroll: true });
+    target.scrollIntoView({ block: "nearest" });
+  };
+
+  // Atalhos globais; os de página (favoritar, trocar de página) ficam nas próprias views
+  useShortcuts({
+    search: () => {
+      if (focusSearch()) return;
+      focusSearchRef.current = true;
+      backToSearch();
+    },
+    next: () => moveResultFocus(1),
+    prev: () => moveResultFocus(-1),
+    back: () => {
+      if (route.name === "search") return;
+      if (inAppStepsRef.current > 0) window.history.back();
+      else backToSearch();
+    },
+    help: () => setShowShortcuts(true),
+  });
+
+  const recordOffline = (type, movie) => {
+    if (!online) setOfflineQueue((q) => enqueue(q, { type, id: movie.id }));
   };
 
+  // De volta à rede: processa a fila, um título por vez
+  useEffect(() => {
+    if (!online || !provider.ready || offlineQueue.length === 0) return;
+    const controller = new AbortController();
+    const [change] = offlineQueue;
+    const done = () => setOfflineQueue((q) => q.filter((c) => c !== change));
+    provider
+      .getById(change.id, { signal: controller.signal })
+      .then((title) => {
+        const patch = { ...pickDetails(title), poster: title.poster };
+        setFavorites((prev) =>
+          prev[title.id] ? { ...prev, [title.id]: updateFavorite(prev[title.id], patch) } : prev
+        );
+        done();
+      })
+      .catch((err) => {
+        if (isAbortError(err)) return;
+        // Falha de rede mantém a fila para a próxima reconexão; o resto é descartado
+        if (!(err instanceof ProviderError && err.kind === ErrorKind.NETWORK)) done();
+      });
+    return () => controller.abort();
+  }, [online, provider, offlineQueue, setFavorites]);
+
   const toggleFavorite = (movie) => {
+    const current = favorites[movie.id];
+    // Remover apaga nota, anotação e tags: pede confirmação se houver algo pessoal
+    if (current && (current.score || current.note || current.tags.length)) {
+      if (!window.confirm(t("favorites.confirmRemove", { title: current.title }))) return;
+    }
+    recordOffline("favorite", movie);
     setFavorites((prev) => {
       const next = { ...prev };
-      if (next[movie.imdbID]) delete next[movie.imdbID];
-      else next[movie.imdbID] = {
-        imdbID: movie.imdbID,
-        Title: movie.Title,
-        Year: movie.Year,
-        Poster: movie.Poster,
-        Type: movie.Type,
-      };
+      if (next[movie.id]) delete next[movie.id];
+      else next[movie.id] = createFavorite(movie);
       return next;
     });
   };
 
-  const isFav = (id) => Boolean(favorites[id]);
+  const updateFav = (id, patch) => {
+    setFavorites((prev) => (prev[id] ? { ...prev, [id]: updateFavorite(prev[id], patch) } : prev));
+  };
+
+  // Importação: "merge" preserva o que já existe; "replace" troca a coleção inteira
+  const importFavorites = (incoming, mode) => {
+    setFavorites((prev) => (mode === "replace" ? incoming : mergeFavorites(prev, incoming)));
+  };
+
+  // Cria a lista e, se vier um título, já o inclui nela
+  const createNamedList = (name, movie) => {
+    if (movie) recordOffline("list", movie);
+    const result = createList(lists, name);
+    setLists(movie ? addToList(result.lists, result.list.id, movie) : result.lists);
+    return result.list;
+  };
+
+  const renameNamedList = (id, name) => {
+    const next = renameList(lists, id, name);
+    setLists(next);
+    // Renomear muda o slug: se a lista está aberta, acompanha a nova URL
+    const renamed = next.find((l) => l.id === id);
+    if (route.name === "list" && renamed && lists.some((l) => l.id === id && l.slug === route.params.slug)) {
+      navigate("list", { slug: renamed.slug }, {}, { replace: true });
+    }
+  };
+
+  const collection = {
+    favorites,
+    lists,
+    toggleFavorite,
+    toggleInList: (id, movie) => {
+      recordOffline("list", movie);
+      setLists((prev) => toggleInList(prev, id, movie));
+    },
+    createList: createNamedList,
+    progress,
+    toggleEpisode: (seriesId, episode, info) => setProgress((prev) => toggleEpisode(prev, seriesId, episode, info)),
+    setSeasonWatched: (seriesId, episodes, watched, info) =>
+      setProgress((prev) => setSeasonWatched(prev, seriesId, episodes, watched, info)),
+    compareTray,
+    toggleCompare: (movie) => setCompareTray((prev) => toggleCompare(prev, movie)),
+    clearCompare: () => setCompareTray([]),
+  };
+
+  const compareIds = route.name === "compare" ? normalizeCompareIds(route.params.ids) : [];
+
+  // "Apagar coleção" nas configurações: favoritos, listas, progresso, comparação e fila offline
+  const resetCollection = () => {
+    setFavorites({});
+    setLists([]);
+    setProgress({});
+    setCompareTray([]);
+    setOfflineQueue([]);
+  };
+
+  const searchName = (name) =>
+    navigate(
+      "search",
+      {},
+      toSearchQuery({ term: name, filters: { ...DEFAULT_FILTERS, type: "" } }, settings.searchType)
+    );
+
+  const currentList = route.name === "list" ? findListBySlug(lists, route.params.slug) : null;
 
   return (
-    <div className="min-h-screen bg-slate-50 text-slate-900">
-      <ApiKeyBanner apiKey={apiKey} onSave={setApiKey} />
-      <Navbar
-        onNavigate={(where) => navigate(where)}
-        currentRoute={route.name === "details" ? "search" : route.name}
-      />
-
-      {route.name === "search" && (
-        <SearchView
-          apiKey={apiKey}
-          favorites={favorites}
-          onToggleFavorite={toggleFavorite}
-          onOpenDetails={(id) => navigate("details", { id })}
+    <CollectionContext.Provider value={collection}>
+      <div className="min-h-screen bg-canvas text-fg">
+        <a
+          href="#conteudo"
+          onClick={(e) => {
+            // O hash é das rotas: pular para o conteúdo só move o foco
+            e.preventDefault();
+            mainRef.current.focus();
+          }}
+          className="sr-only focus:not-sr-only focus:absolute focus:left-2 focus:top-2 focus:z-50 focus:rounded-xl focus:bg-surface focus:px-3 focus:py-2 focus:shadow"
+        >
+          {t("nav.skipToContent")}
+        </a>
+        {provider.needsKey && <ApiKeyBanner apiKey={apiKey} onSave={setStoredKey} />}
+        <StorageAlert stores={storedData} />
+        <Navbar
+          onNavigate={(where) => (where === "search" ? backToSearch() : navigate(where))}
+          online={online}
+          pendingChanges={offlineQueue.length}
+          locale={settings.locale}
+          onLocaleChange={(locale) => setSettings((prev) => ({ ...prev, locale }))}
+          theme={settings.theme}
+          onThemeChange={(theme) => setSettings((prev) => ({ ...prev, theme }))}
+          currentRoute={route.name === "details" || route.name === "episode" ? "search" : route.name === "list" ? "lists" : route.name}
+          onShowShortcuts={() => setShowShortcuts(true)}
         />
-      )}
 
-      {route.name === "details" && (
-        <DetailsView
-          apiKey={apiKey}
-          id={route.params.id}
-          isFavorite={isFav(route.params.id)}
-          onBack={() => navigate("search")}
-          onToggleFavorite={toggleFavorite}
-        />
-      )}
+        <main id="conteudo" ref={mainRef} tabIndex={-1} className="outline-none">
+          {route.name === "search" && (
+            <SearchView
+              provider={provider}
+              search={route.search}
+              defaultType={settings.searchType}
+              layout={settings.layout}
+              paging={settings.paging}
+              recentSearches={history.searches}
+              recentViews={history.views}
+              onDisplayChange={(patch) => setSettings((prev) => ({ ...prev, ...patch }))}
+              onSearchChange={(query) => navigate("search", {}, query)}
+              onRecordSearch={recordSearchEntry}
+              onRemoveSearch={(entry) => setHistory((prev) => removeSearch(prev, entry))}
+              onOpenDetails={(id) => navigate("details", { id })}
+            />
+          )}
 
-      {route.name === "favorites" && (
-        <FavoritesView
-          favoritesMap={favorites}
-          onToggleFavorite={toggleFavorite}
-          onOpenDetails={(id) => navigate("details", { id })}
-        />
-      )}
+          {route.name === "details" && (
+            <DetailsView
+              provider={provider}
+              id={route.params.id}
+              season={Number(route.query.temporada) || 1}
+              plot={settings.plot}
+              favorite={favorites[route.params.id]}
+              onUpdateFavorite={updateFav}
+              onLoaded={(title) => {
+                updateFav(title.id, pickDetails(title));
+                if (recordingHistory) setHistory((prev) => recordView(prev, title));
+              }}
+              onSearchName={searchName}
+              onSeasonChange={(n) =>
+                navigate("details", { id: route.params.id }, { temporada: n > 1 ? n : "" }, { replace: true })
+              }
+              onOpenEpisode={(id) => navigate("episode", { id })}
+              onOpenDetails={(id) => navigate("details", { id })}
+              onBack={backToSearch}
+            />
+          )}
 
-      <footer className="mx-auto mt-10 max-w-5xl px-4 pb-10 text-center text-xs text-slate-500">
-        Construído com React + Tailwind e dados da OMDb. Este projeto é somente para fins educativos.
-      </footer>
-    </div>
+          {route.name === "episode" && (
+            <EpisodeView
+              provider={provider}
+              id={route.params.id}
+              plot={settings.plot}
+              onSearchName={searchName}
+              onOpenSeries={(id, season) => navigate("details", { id }, { temporada: season > 1 ? season : "" })}
+            />
+          )}
+
+          {route.name === "compare" && (
+            <CompareView
+              provider={provider}
+              ids={compareIds}
+              onRemove={(id) => navigate("compare", { ids: compareIds.filter((x) => x !== id) }, {}, { replace: true })}
+              onOpenDetails={(id) => navigate("details", { id })}
+            />
+          )}
+
+          {route.name === "favorites" && (
+            <FavoritesView
+              provider={provider}
+              favoritesMap={favorites}
+              search={route.search}
+              onQueryChange={(query) => navigate("favorites", {}, query, { replace: true })}
+              onToggleFavorite={toggleFavorite}
+              onUpdateFavorite={updateFav}
+              onImport={importFavorites}
+              onOpenDetails={(id) => navigate("details", { id })}
+            />
+          )}
+
+          {route.name === "shared" && (
+            <SharedView
+              provider={provider}
+              payload={route.params.payload}
+              favoritesMap={favorites}
+              onImport={importFavorites}
+              onOpenDetails={(id) => navigate("details", { id })}
+            />
+          )}
+
+          {route.name === "stats" && <StatsView favoritesMap={favorites} />}
+
+          {route.name === "agenda" && (
+            <AgendaView
+              provider={provider}
+              favoritesMap={favorites}
+              online={online}
+              query={route.query}
+              onQueryChange={(query) => navigate("agenda", {}, query, { replace: true })}
+              onUpdateFavorite={updateFav}
+              onOpenDetails={(id) => navigate("details", { id })}
+            />
+          )}
+
+          {route.name === "discover" && (
+            <DiscoverView
+              provider={provider}
+              favoritesMap={favorites}
+              online={online}
+              onOpenDetails={(id) => navigate("details", { id })}
+            />
+          )}
+
+          {route.name === "history" && (
+            <HistoryView
+              history={history}
+              paused={!recordingHistory}
+              onOpenDetails={(id) => navigate("details", { id })}
+              onSearch={(entry) => {
+                recordSearchEntry(entry);
+                navigate("search", {}, toSearchQuery(entry, settings.searchType));
+              }}
+              onRemoveView={(id) => setHistory((prev) => removeView(prev, id))}
+              onRemoveSearch={(entry) => setHistory((prev) => removeSearch(prev, entry))}
+              onClear={() => setHistory(emptyHistory())}
+            />
+          )}
+
+          {route.name === "settings" && (
+            <SettingsView
+              provider={provider}
+              apiKey={apiKey}
+              keySource={keySource}
+              onSaveKey={setStoredKey}
+              onRemoveKey={() => setStoredKey("")}
+              settings={settings}
+              onSettingsChange={(patch) => setSettings((prev) => ({ ...prev, ...patch }))}
+              onResetCollection={resetCollection}
+              onClearHistory={() => setHistory(emptyHistory())}
+              onResetSettings={() => setSettings(defaultSettings())}
+            />
+          )}
+
+          {route.name === "lists" && (
+            <ListsView
+              lists={lists}
+              onCreate={(name) => createNamedList(name)}
+              onRename={renameNamedList}
+              onDelete={(id) => setLists((prev) => deleteList(prev, id))}
+              onMove={(from, to) => setLists((prev) => reorderLists(prev, from, to))}
+              onOpen={(slug) => navigate("list", { slug })}
+            />
+          )}
+
+          {route.name === "list" && (
+            <ListView
+              list={currentList}
+              onBack={() => navigate("lists")}
+              onRemoveItem={(id) => setLists((prev) => removeFromList(prev, currentList.id, id))}
+              onMoveItem={(from, to) => setLists((prev) => reorderListItems(prev, currentList.id, from, to))}
+              onOpenDetails={(id) => navigate("details", { id })}
+            />
+          )}
+        </main>
+
+        {showShortcuts && <ShortcutsHelp onClose={() => setShowShortcuts(false)} />}
+
+        <CompareTray onCompare={(ids) => navigate("compare", { ids })} />
+
+        {/* Espaço extra para a bandeja de comparação não cobrir o rodapé */}
+        <footer
+          className={`mx-auto mt-10 max-w-5xl px-4 text-center text-xs text-fg-subtle ${
+            compareTray.length ? "pb-24" : "pb-10"
+          }`}
+        >
+          {t("app.footer")}
+        </footer>
+      </div>
+    </CollectionContext.Provider>
   );
 }
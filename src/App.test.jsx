@@ -0,0 +1,326 @@
+import React from "react";
+import { act, fireEvent, render, screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import App from "./App.jsx";
+import { addDays, todayISO } from "./lib/agenda.js";
+import { FAVORITES_KEY, FAVORITES_VERSION, createFavorite } from "./lib/favorites.js";
+import { formatDate, setLocale, t } from "./lib/i18n.js";
+import { LISTS_KEY } from "./lib/lists.js";
+import { PROGRESS_KEY } from "./lib/progress.js";
+import { API_KEY_STORAGE, SETTINGS_KEY, SETTINGS_VERSION } from "./lib/settings.js";
+import { backupKey } from "./lib/storage.js";
+import { createOmdbServer, TEST_API_KEY } from "./test/omdbServer.js";
+
+/**
+ * Fluxos principais da app contra a OMDb local (test/omdbServer.js):
+ * busca, paginação, detalhes, sugestões, agenda, favoritos salvos, avisos de armazenamento e mensagens de erro.
+ */
+
+let server;
+
+// Abre a app numa rota, com a chave salva como se digitada nas configurações
+function renderApp(hash = "#/", { apiKey = TEST_API_KEY } = {}) {
+  window.localStorage.setItem(API_KEY_STORAGE, JSON.stringify(apiKey));
+  window.history.replaceState(null, "", hash);
+  return render(<App />);
+}
+
+beforeEach(() => {
+  setLocale("pt-BR");
+  const settings = { version: SETTINGS_VERSION, settings: { locale: "pt-BR" } };
+  window.localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  server = createOmdbServer();
+  vi.stubGlobal("fetch", server.fetch);
+});
+
+describe("busca", () => {
+  it("envia o termo digitado e mostra a primeira página", async () => {
+    const user = userEvent.setup();
+    renderApp();
+
+    await user.type(screen.getByRole("combobox", { name: t("search.inputLabel") }), "matrix{Enter}");
+
+    expect(await screen.findAllByRole("article")).toHaveLength(10);
+    expect(window.location.hash).toBe("#/busca?q=matrix");
+    const first = screen.getByRole("article", { name: "The Matrix" });
+    expect(within(first).getByText(`1999 • ${t("search.type.movie", { count: 1 })}`)).toBeInTheDocument();
+    const status = t("search.showing", { shown: 10, count: 13 });
+    expect(screen.getByText(status, { selector: "[role=status]" })).toBeInTheDocument();
+    expect(server.requests).toContainEqual({ s: "matrix", type: "movie", page: "1" });
+  });
+
+  it("troca de página pela paginação e guarda a página na URL", async () => {
+    const user = userEvent.setup();
+    renderApp("#/busca?q=matrix");
+    await screen.findByRole("heading", { level: 3, name: "The Matrix" });
+
+    await user.click(screen.getByRole("button", { name: t("pagination.next") }));
+
+    expect(await screen.findByRole("heading", { level: 3, name: "The Roots of the Matrix" })).toBeInTheDocument();
+    expect(screen.getAllByRole("article")).toHaveLength(3);
+    expect(window.location.hash).toBe("#/busca?q=matrix&page=2");
+    expect(screen.getByRole("button", { name: t("pagination.page", { page: 2 }) })).toHaveAttribute(
+      "aria-current",
+      "page"
+    );
+  });
+
+  it("abre os detalhes a partir do resultado", async () => {
+    const user = userEvent.setup();
+    renderApp("#/busca?q=breaking%20bad&type=series");
+    const card = await screen.findByRole("article", { name: "Breaking Bad" });
+
+    await user.click(within(card).getByRole("button", { name: t("card.details") }));
+
+    expect(await screen.findByRole("heading", { level: 1, name: "Breaking Bad" })).toBeInTheDocument();
+    expect(window.location.hash).toBe("#/detalhes/tt0903747");
+    expect(await screen.findByText("Pilot")).toBeInTheDocument();
+  });
+});
+
+describe("detalhes", () => {
+  it("mostra o título completo", async () => {
+    renderApp("#/detalhes/tt0133093");
+
+    expect(await screen.findByRole("heading", { level: 1, name: "The Matrix" })).toBeInTheDocument();
+    expect(screen.getByText(/When a beautiful stranger leads computer hacker Neo/)).toBeInTheDocument();
+    expect(screen.getByText("Keanu Reeves")).toBeInTheDocument();
+    expect(server.requests).toContainEqual({ i: "tt0133093", plot: "full" });
+  });
+});
+
+describe("sugestões", () => {
+  it("mostra títulos parecidos nos detalhes quando pedidos, com o motivo", async () => {
+    const user = userEvent.setup();
+    renderApp("#/detalhes/tt0133093");
+
+    const show = await screen.findByRole("button", { name: t("recommend.show") });
+    expect(server.requests.some((params) => params.s)).toBe(false);
+    await user.click(show);
+
+    const section = screen.getByRole("region", { name: t("recommend.moreLikeThis") });
+    expect(await within(section).findByText("The Matrix Reloaded")).toBeInTheDocument();
+    expect(within(section).getByText("também dirigido por Lana Wachowski")).toBeInTheDocument();
+    expect(server.requests).toContainEqual({ s: "Matrix", page: "1" });
+  });
+
+  it("sugere a partir dos favoritos em #/descobrir, sem repetir o que já está salvo", async () => {
+    const matrix = createFavorite({
+      id: "tt0133093",
+      title: "The Matrix",
+      year: "1999",
+      type: "movie",
+      genre: "Action, Sci-Fi",
+      director: "Lana Wachowski, Lilly Wachowski",
+      actors: "Keanu Reeves, Laurence Fishburne, Carrie-Anne Moss",
+    });
+    const stored = { version: FAVORITES_VERSION, items: { tt0133093: matrix } };
+    window.localStorage.setItem(FAVORITES_KEY, JSON.stringify(stored));
+    renderApp("#/descobrir");
+
+    expect(await screen.findByText("porque você salvou 1 título de Lana Wachowski")).toBeInTheDocument();
+    const poster = (title) => t("common.posterOf", { title });
+    expect(screen.getByRole("button", { name: poster("The Matrix Reloaded") })).toBeInTheDocument();
+    expect(screen.queryByRole("button", { name: poster("The Matrix") })).toBeNull();
+    const chip = screen.getByRole("link", { name: "Keanu Reeves (1)" });
+    expect(chip).toHaveAttribute("href", "#/favoritos?pessoa=Keanu+Reeves");
+  });
+
+  it("pede favoritos quando a coleção está vazia", async () => {
+    renderApp("#/descobrir");
+    expect(await screen.findByText(t("recommend.noFavorites"))).toBeInTheDocument();
+    expect(server.requests).toEqual([]);
+  });
+});
+
+describe("agenda", () => {
+  const saveFavorites = (items) =>
+    window.localStorage.setItem(FAVORITES_KEY, JSON.stringify({ version: FAVORITES_VERSION, items }));
+  const savedFavorites = () => JSON.parse(window.localStorage.getItem(FAVORITES_KEY)).items;
+  const matrix = () => createFavorite({ id: "tt0133093", title: "The Matrix", year: "1999", type: "movie" });
+
+  it("agenda um favorito e mostra a data no cartão", async () => {
+    const user = userEvent.setup();
+    saveFavorites({ tt0133093: matrix() });
+    const { unmount } = renderApp("#/agenda?visao=semana");
+    const planned = todayISO();
+
+    await user.selectOptions(await screen.findByRole("combobox", { name: t("agenda.pickTitle") }), "tt0133093");
+    fireEvent.change(screen.getByLabelText(t("agenda.pickDate")), { target: { value: planned } });
+    await user.click(screen.getByRole("button", { name: t("agenda.schedule") }));
+
+    expect(savedFavorites().tt0133093.plannedAt).toBe(planned);
+    expect(screen.getByRole("button", { name: "The Matrix" })).toBeInTheDocument();
+
+    unmount();
+    renderApp("#/favoritos");
+    expect(await screen.findByText(t("agenda.plannedFor", { date: formatDate(planned) }))).toBeInTheDocument();
+  });
+
+  it("pergunta se o título planejado foi assistido e marca como assistido", async () => {
+    const user = userEvent.setup();
+    const planned = addDays(todayISO(), -3);
+    saveFavorites({ tt0133093: { ...matrix(), plannedAt: planned } });
+    renderApp("#/agenda");
+
+    const question = t("agenda.prompt.question", { title: "The Matrix", date: formatDate(planned) });
+    expect(await screen.findByText(question)).toBeInTheDocument();
+    await user.click(screen.getByRole("button", { name: t("agenda.prompt.yes") }));
+
+    expect(savedFavorites().tt0133093).toMatchObject({ status: "watched", watchedAt: planned });
+    expect(screen.queryByText(question)).toBeNull();
+  });
+});
+
+describe("favoritos", () => {
+  it("salva o favorito no formato atual e o mostra depois de recarregar", async () => {
+    const user = userEvent.setup();
+    const { unmount } = renderApp("#/detalhes/tt0133093");
+    await screen.findByRole("heading", { level: 1, name: "The Matrix" });
+
+    await user.click(screen.getByRole("button", { name: t("lists.addTo") }));
+    await user.click(screen.getByRole("checkbox", { name: t("nav.favorites") }));
+
+    const saved = JSON.parse(window.localStorage.getItem(FAVORITES_KEY));
+    expect(saved.version).toBe(FAVORITES_VERSION);
+    expect(Object.keys(saved.items)).toEqual(["tt0133093"]);
+    expect(saved.items.tt0133093).toMatchObject({
+      id: "tt0133093",
+      title: "The Matrix",
+      year: "1999",
+      type: "movie",
+      genre: "Action, Sci-Fi",
+      rating: 8.7,
+      runtime: 136,
+      status: "want",
+      tags: [],
+    });
+
+    unmount();
+    renderApp("#/favoritos");
+    expect(await screen.findByRole("heading", { level: 3, name: "The Matrix" })).toBeInTheDocument();
+    expect(screen.getByText(t("favorites.total", { count: 1 }), { exact: false })).toBeInTheDocument();
+  });
+
+  it("abre favoritos salvos por versões antigas", async () => {
+    window.localStorage.setItem(
+      FAVORITES_KEY,
+      JSON.stringify({ tt0317248: { imdbID: "tt0317248", Title: "Cidade de Deus", Year: "2002", Type: "movie" } })
+    );
+    renderApp("#/favoritos");
+
+    expect(await screen.findByRole("heading", { level: 3, name: "Cidade de Deus" })).toBeInTheDocument();
+    expect(JSON.parse(window.localStorage.getItem(FAVORITES_KEY))).toMatchObject({
+      version: FAVORITES_VERSION,
+      items: { tt0317248: { id: "tt0317248", title: "Cidade de Deus" } },
+    });
+  });
+});
+
+describe("armazenamento local", () => {
+  it("avisa quando os favoritos salvos estão corrompidos e guarda uma cópia", async () => {
+    const user = userEvent.setup();
+    window.localStorage.setItem(FAVORITES_KEY, '{"version":3,"items":{"tt0133093":');
+    renderApp("#/favoritos");
+
+    const store = t("storage.store.favorites");
+    expect(screen.getByRole("alert")).toHaveTextContent(t("storage.corrupt", { store }));
+    expect(screen.getByRole("button", { name: t("storage.downloadCorrupt") })).toBeInTheDocument();
+    expect(window.localStorage.getItem(backupKey(FAVORITES_KEY))).toBe('{"version":3,"items":{"tt0133093":');
+
+    await user.click(screen.getByRole("button", { name: t("storage.discard") }));
+    expect(screen.queryByRole("alert")).not.toBeInTheDocument();
+    expect(window.localStorage.getItem(backupKey(FAVORITES_KEY))).toBeNull();
+  });
+
+  it("trata JSON válido em formato irreconhecível como corrompido, sem apagar os dados", async () => {
+    window.localStorage.setItem(FAVORITES_KEY, '["tt0133093"]');
+    renderApp("#/favoritos");
+
+    const store = t("storage.store.favorites");
+    expect(screen.getByRole("alert")).toHaveTextContent(t("storage.corrupt", { store }));
+    expect(window.localStorage.getItem(backupKey(FAVORITES_KEY))).toBe('["tt0133093"]');
+  });
+
+  it("não apaga listas salvas num formato irreconhecível", () => {
+    const raw = '{"version":9,"lists":[{"id":"l1","slug":"fila","name":"Fila","items":[]}]}';
+    window.localStorage.setItem(LISTS_KEY, raw);
+    renderApp("#/listas");
+
+    const store = t("storage.store.lists");
+    expect(screen.getByRole("alert")).toHaveTextContent(t("storage.corrupt", { store }));
+    expect(window.localStorage.getItem(backupKey(LISTS_KEY))).toBe(raw);
+  });
+
+  it("não apaga o progresso das séries salvo num formato irreconhecível", () => {
+    window.localStorage.setItem(PROGRESS_KEY, '{"version":1,"series":"tt0903747"}');
+    renderApp("#/");
+
+    const store = t("storage.store.progress");
+    expect(screen.getByRole("alert")).toHaveTextContent(t("storage.corrupt", { store }));
+    expect(window.localStorage.getItem(backupKey(PROGRESS_KEY))).toBe('{"version":1,"series":"tt0903747"}');
+  });
+
+  it("avisa quando não consegue salvar e tenta de novo", async () => {
+    const user = userEvent.setup();
+    renderApp("#/detalhes/tt0133093");
+    await screen.findByRole("heading", { level: 1, name: "The Matrix" });
+
+    const setItem = vi.spyOn(Storage.prototype, "setItem").mockImplementation(() => {
+      throw new DOMException("Quota exceeded", "QuotaExceededError");
+    });
+    await user.click(screen.getByRole("button", { name: t("lists.addTo") }));
+    await user.click(screen.getByRole("checkbox", { name: t("nav.favorites") }));
+
+    const store = t("storage.store.favorites");
+    expect(await screen.findByText(t("storage.writeFailed", { store }))).toBeInTheDocument();
+    expect(window.localStorage.getItem(FAVORITES_KEY)).toBe(JSON.stringify({ version: FAVORITES_VERSION, items: {} }));
+
+    setItem.mockRestore();
+    await user.click(screen.getByRole("button", { name: t("storage.retry") }));
+    expect(screen.queryByText(t("storage.writeFailed", { store }))).not.toBeInTheDocument();
+    expect(JSON.parse(window.localStorage.getItem(FAVORITES_KEY)).items).toHaveProperty("tt0133093");
+  });
+
+  it("acompanha os favoritos alterados em outra aba", async () => {
+    renderApp("#/favoritos");
+    expect(screen.getByText(t("favorites.empty"))).toBeInTheDocument();
+
+    const other = { tt0133093: createFavorite({ id: "tt0133093", title: "The Matrix", year: "1999", type: "movie" }) };
+    window.localStorage.setItem(FAVORITES_KEY, JSON.stringify({ version: FAVORITES_VERSION, items: other }));
+    act(() => window.dispatchEvent(new StorageEvent("storage", { key: FAVORITES_KEY })));
+
+    expect(await screen.findByRole("heading", { level: 3, name: "The Matrix" })).toBeInTheDocument();
+  });
+});
+
+describe("erros", () => {
+  it("avisa quando a chave é recusada", async () => {
+    renderApp("#/busca?q=matrix", { apiKey: "chave-errada" });
+    expect(await screen.findByText(t("error.invalidKey"))).toBeInTheDocument();
+    expect(screen.queryAllByRole("article")).toHaveLength(0);
+  });
+
+  it("avisa quando nada é encontrado", async () => {
+    renderApp("#/busca?q=xyzzy");
+    expect(await screen.findByText(t("error.notFound"))).toBeInTheDocument();
+  });
+
+  it("avisa sobre falha de rede", async () => {
+    server.fail("network");
+    renderApp("#/busca?q=matrix");
+    expect(await screen.findByText(t("error.network"))).toBeInTheDocument();
+  });
+
+  it("avisa quando a cota acaba", async () => {
+    server.fail("limit");
+    renderApp("#/detalhes/tt0133093");
+    expect(await screen.findByText(t("error.limit"))).toBeInTheDocument();
+  });
+
+  it("avisa quando o título não existe", async () => {
+    renderApp("#/detalhes/tt0000000");
+    expect(await screen.findByText(t("error.notFound"))).toBeInTheDocument();
+  });
+});
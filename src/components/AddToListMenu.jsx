@@ -0,0 +1,110 @@
+import React, { useEffect, useId, useRef, useState } from "react";
+import { Check, Heart, ListPlus, Plus } from "lucide-react";
+import useCollection from "../hooks/useCollection.js";
+import { t } from "../lib/i18n.js";
+
+/**
+ * Botão "Adicionar à lista…" com um menu de caixas de seleção:
+ * Favoritos + cada lista nomeada, e um campo para criar uma lista nova
+ * já contendo o título. Um mesmo título pode estar em várias listas.
+ */
+export default function AddToListMenu({ movie, size = "sm" }) {
+  const { favorites, lists, toggleFavorite, toggleInList, createList } = useCollection();
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState("");
+  const rootRef = useRef(null);
+  const buttonRef = useRef(null);
+  const menuId = useId();
+
+  const isFavorite = Boolean(favorites[movie.id]);
+  const inList = (list) => list.items.some((i) => i.id === movie.id);
+  const count = lists.filter(inList).length + (isFavorite ? 1 : 0);
+
+  // Fecha ao clicar fora ou com Escape (devolvendo o foco ao botão)
+  useEffect(() => {
+    if (!open) return;
+    const onDown = (e) => {
+      if (rootRef.current && !rootRef.current.contains(e.target)) setOpen(false);
+    };
+    const onKey = (e) => {
+      if (e.key !== "Escape") return;
+      e.stopPropagation();
+      setOpen(false);
+      if (buttonRef.current) buttonRef.current.focus();
+    };
+    document.addEventListener("mousedown", onDown);
+    document.addEventListener("keydown", onKey);
+    return () => {
+      document.removeEventListener("mousedown", onDown);
+      document.removeEventListener("keydown", onKey);
+    };
+  }, [open]);
+
+  const onCreate = (e) => {
+    e.preventDefault();
+    if (!draft.trim()) return;
+    createList(draft, movie);
+    setDraft("");
+  };
+
+  const buttonSize = size === "lg" ? "rounded-2xl px-3 py-2" : "rounded-xl px-3 py-1.5";
+
+  return (
+    <div ref={rootRef} className="relative">
+      <button
+        ref={buttonRef}
+        type="button"
+        onClick={() => setOpen((o) => !o)}
+        aria-expanded={open}
+        aria-controls={menuId}
+        className={`inline-flex items-center gap-2 text-sm font-medium transition ${buttonSize} ${
+          count ? "bg-danger-solid text-white hover:bg-danger-solid/90" : "bg-accent text-on-accent hover:bg-accent-hover"
+        }`}
+      >
+        {count ? <Check className="h-4 w-4" /> : <ListPlus className="h-4 w-4" />}
+        {count ? t("lists.inLists", { count }) : t("lists.addTo")}
+      </button>
+
+      {open && (
+        <div
+          id={menuId}
+          role="group"
+          aria-label={t("lists.menuLabel", { title: movie.title })}
+          className="absolute right-0 z-30 mt-1 w-64 rounded-2xl border border-line bg-surface p-2 text-sm text-fg-soft shadow-lg"
+        >
+          <label className="flex cursor-pointer items-center gap-2 rounded-lg px-2 py-1.5 hover:bg-subtle">
+            <input type="checkbox" checked={isFavorite} onChange={() => toggleFavorite(movie)} />
+            <Heart className="h-4 w-4 text-danger" /> {t("nav.favorites")}
+          </label>
+          {lists.map((list) => (
+            <label
+              key={list.id}
+              className="flex cursor-pointer items-center gap-2 rounded-lg px-2 py-1.5 hover:bg-subtle"
+            >
+              <input type="checkbox" checked={inList(list)} onChange={() => toggleInList(list.id, movie)} />
+              <span className="truncate">{list.name}</span>
+              <span className="ml-auto text-xs text-fg-faint">{list.items.length}</span>
+            </label>
+          ))}
+          <form onSubmit={onCreate} className="mt-1 flex items-center gap-1 border-t border-line-soft pt-2">
+            <input
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              placeholder={t("lists.newPlaceholderShort")}
+              aria-label={t("lists.newName")}
+              className="min-w-0 flex-1 rounded-lg border border-line-strong px-2 py-1 outline-none ring-line-strong focus:ring"
+            />
+            <button
+              type="submit"
+              disabled={!draft.trim()}
+              aria-label={t("lists.createWithTitle")}
+              className="rounded-lg bg-accent p-1.5 text-on-accent hover:bg-accent-hover disabled:opacity-40"
+            >
+              <Plus className="h-4 w-4" />
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+import React from "react";
+
+const ROW = 28;
+const LABEL_WIDTH = 150;
+const WIDTH = 480;
+
+/**
+ * Gráfico de barras horizontais em SVG puro.
+ * items: [{ key, label, count, href }] — cada barra é um link (href).
+ * color: qualquer cor CSS; o padrão segue o token de destaque do tema.
+ */
+export default function BarChart({ title, items, color = "rgb(var(--accent))" }) {
+  if (items.length === 0) return null;
+  const max = Math.max(...items.map((i) => i.count));
+  const barSpace = WIDTH - LABEL_WIDTH - 40;
+  const height = items.length * ROW;
+
+  return (
+    <figure className="rounded-2xl border border-line bg-surface p-4">
+      <figcaption className="mb-2 text-sm font-semibold text-fg-soft">{title}</figcaption>
+      <svg viewBox={`0 0 ${WIDTH} ${height}`} className="w-full" role="list" aria-label={title}>
+        {items.map((item, i) => {
+          const y = i * ROW;
+          const width = Math.max(2, (item.count / max) * barSpace);
+          return (
+            <a key={item.key} href={item.href} role="listitem" aria-label={`${item.label}: ${item.count}`}>
+              <g className="group">
+                <rect x="0" y={y} width={WIDTH} height={ROW} fill="transparent" />
+                <text
+                  x={LABEL_WIDTH - 8}
+                  y={y + ROW / 2}
+                  textAnchor="end"
+                  dominantBaseline="middle"
+                  className="fill-fg-muted text-[12px] group-hover:fill-fg"
+                >
+                  {item.label.length > 22 ? `${item.label.slice(0, 21)}…` : item.label}
+                </text>
+                <rect
+                  x={LABEL_WIDTH}
+                  y={y + 5}
+                  width={width}
+                  height={ROW - 10}
+                  rx="4"
+                  style={{ fill: color }}
+                  className="opacity-80 group-hover:opacity-100"
+                />
+                <text
+                  x={LABEL_WIDTH + width + 6}
+                  y={y + ROW / 2}
+                  dominantBaseline="middle"
+                  className="fill-fg-subtle text-[12px]"
+                >
+                  {item.count}
+                </text>
+                <title>{`${item.label}: ${item.count}`}</title>
+              </g>
+            </a>
+          );
+        })}
+      </svg>
+    </figure>
+  );
+}
@@ -0,0 +1,62 @@
+import React from "react";
+import { Columns3, X } from "lucide-react";
+import useCollection from "../hooks/useCollection.js";
+import { MAX_COMPARE, MIN_COMPARE } from "../lib/compare.js";
+import { t } from "../lib/i18n.js";
+
+// Bandeja fixa no rodapé com os títulos escolhidos para comparar
+export default function CompareTray({ onCompare }) {
+  const { compareTray, toggleCompare, clearCompare } = useCollection();
+  if (compareTray.length === 0) return null;
+  const ready = compareTray.length >= MIN_COMPARE;
+
+  return (
+    <div
+      role="region"
+      aria-label={t("compare.tray")}
+      className="fixed inset-x-0 bottom-0 z-30 border-t border-line bg-surface/95 shadow-lg backdrop-blur"
+    >
+      <div className="mx-auto flex max-w-5xl flex-wrap items-center gap-2 px-4 py-2">
+        <ul className="flex flex-1 flex-wrap gap-2">
+          {compareTray.map((m) => (
+            <li
+              key={m.id}
+              className="inline-flex max-w-48 items-center gap-1 rounded-xl border border-line bg-subtle py-1 pl-2 pr-1 text-xs"
+            >
+              <span className="truncate" title={m.title}>
+                {m.title} ({m.year})
+              </span>
+              <button
+                type="button"
+                onClick={() => toggleCompare(m)}
+                aria-label={t("compare.removeFromTray", { title: m.title })}
+                className="rounded-md p-0.5 text-fg-faint hover:bg-muted hover:text-fg-soft"
+              >
+                <X className="h-3 w-3" />
+              </button>
+            </li>
+          ))}
+        </ul>
+        <span className="text-xs text-fg-subtle">
+          {compareTray.length}/{MAX_COMPARE}
+        </span>
+        <button
+          type="button"
+          onClick={clearCompare}
+          className="rounded-xl px-3 py-1.5 text-sm text-fg-muted hover:bg-muted"
+        >
+          {t("common.clear")}
+        </button>
+        <button
+          type="button"
+          onClick={() => onCompare(compareTray.map((m) => m.id))}
+          disabled={!ready}
+          title={ready ? undefined : t("compare.needMore", { count: MIN_COMPARE })}
+          className="inline-flex items-center gap-2 rounded-xl bg-accent px-3 py-1.5 text-sm font-semibold text-on-accent hover:bg-accent-hover disabled:opacity-50"
+        >
+          <Columns3 className="h-4 w-4" /> {t("compare.action")}
+        </button>
+      </div>
+    </div>
+  );
+}
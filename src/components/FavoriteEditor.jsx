@@ -0,0 +1,138 @@
+import React, { useState } from "react";
+import { Tag, X } from "lucide-react";
+import { STATUS_OPTIONS } from "../lib/favorites.js";
+import { formatDate, t } from "../lib/i18n.js";
+
+/**
+ * Edição dos dados pessoais de um favorito: nota (1–10), status,
+ * data em que assistiu (ou em que planeja assistir), tags e anotação. Cada alteração é aplicada na hora
+ * via onChange(patch); não há botão de salvar.
+ */
+export default function FavoriteEditor({ favorite, onChange }) {
+  const [tagDraft, setTagDraft] = useState("");
+
+  const addTags = (text) => {
+    const parts = text.split(",").map((part) => part.trim()).filter(Boolean);
+    if (parts.length) onChange({ tags: [...favorite.tags, ...parts] });
+    setTagDraft("");
+  };
+
+  const onTagKeyDown = (e) => {
+    if (e.key === "Enter" || e.key === ",") {
+      e.preventDefault();
+      addTags(tagDraft);
+    } else if (e.key === "Backspace" && !tagDraft && favorite.tags.length) {
+      onChange({ tags: favorite.tags.slice(0, -1) });
+    }
+  };
+
+  return (
+    <div className="flex flex-col gap-4 text-sm text-fg-soft">
+      <fieldset>
+        <legend className="mb-1 text-xs font-semibold text-fg-subtle">{t("sort.score")}</legend>
+        <div className="flex flex-wrap gap-1">
+          {Array.from({ length: 10 }, (_, i) => i + 1).map((n) => (
+            <button
+              key={n}
+              type="button"
+              aria-pressed={favorite.score === n}
+              onClick={() => onChange({ score: favorite.score === n ? null : n })}
+              className={`h-8 w-8 rounded-lg text-sm font-medium ${
+                favorite.score && n <= favorite.score
+                  ? "bg-warning-solid text-white"
+                  : "border border-line-strong text-fg-muted hover:bg-subtle"
+              }`}
+            >
+              {n}
+            </button>
+          ))}
+        </div>
+      </fieldset>
+
+      <fieldset className="flex flex-wrap items-center gap-3">
+        <legend className="mb-1 text-xs font-semibold text-fg-subtle">{t("editor.status")}</legend>
+        {STATUS_OPTIONS.map((opt) => (
+          <label key={opt.value} className="inline-flex items-center gap-1.5">
+            <input
+              type="radio"
+              name={`status-${favorite.id}`}
+              value={opt.value}
+              checked={favorite.status === opt.value}
+              onChange={() => onChange({ status: opt.value })}
+            />
+            {t(opt.labelKey)}
+          </label>
+        ))}
+        {favorite.status === "watched" && (
+          <label className="inline-flex items-center gap-2">
+            {t("editor.watchedOn")}
+            <input
+              type="date"
+              value={favorite.watchedAt || ""}
+              onChange={(e) => onChange({ watchedAt: e.target.value || null })}
+              className="rounded-lg border border-line-strong px-2 py-1"
+            />
+          </label>
+        )}
+        {favorite.status === "want" && (
+          <label className="inline-flex items-center gap-2">
+            {t("editor.plannedFor")}
+            <input
+              type="date"
+              value={favorite.plannedAt || ""}
+              onChange={(e) => onChange({ plannedAt: e.target.value || null })}
+              className="rounded-lg border border-line-strong px-2 py-1"
+            />
+          </label>
+        )}
+      </fieldset>
+
+      <div>
+        <label htmlFor={`tags-${favorite.id}`} className="mb-1 block text-xs font-semibold text-fg-subtle">
+          {t("editor.tags")}
+        </label>
+        <div className="flex flex-wrap items-center gap-1 rounded-xl border border-line-strong bg-surface px-2 py-1.5">
+          {favorite.tags.map((tag) => (
+            <span key={tag} className="inline-flex items-center gap-1 rounded-lg bg-muted px-2 py-0.5 text-xs">
+              <Tag className="h-3 w-3" /> {tag}
+              <button
+                type="button"
+                onClick={() => onChange({ tags: favorite.tags.filter((other) => other !== tag) })}
+                aria-label={t("editor.removeTag", { tag })}
+                className="text-fg-subtle hover:text-fg"
+              >
+                <X className="h-3 w-3" />
+              </button>
+            </span>
+          ))}
+          <input
+            id={`tags-${favorite.id}`}
+            value={tagDraft}
+            onChange={(e) => setTagDraft(e.target.value)}
+            onKeyDown={onTagKeyDown}
+            onBlur={() => tagDraft && addTags(tagDraft)}
+            placeholder={favorite.tags.length ? "" : t("editor.tagsPlaceholder")}
+            className="min-w-24 flex-1 bg-transparent py-0.5 outline-none"
+          />
+        </div>
+      </div>
+
+      <div>
+        <label htmlFor={`note-${favorite.id}`} className="mb-1 block text-xs font-semibold text-fg-subtle">
+          {t("editor.note")}
+        </label>
+        <textarea
+          id={`note-${favorite.id}`}
+          value={favorite.note}
+          onChange={(e) => onChange({ note: e.target.value })}
+          rows={3}
+          className="w-full rounded-xl border border-line-strong px-3 py-2 outline-none ring-line-strong focus:ring"
+        />
+      </div>
+
+      <p className="text-xs text-fg-subtle">
+        {t("editor.addedOn", { date: formatDate(new Date(favorite.addedAt)) })}
+      </p>
+    </div>
+  );
+}
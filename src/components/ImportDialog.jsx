@@ -0,0 +1,193 @@
+import React, { useEffect, useRef, useState } from "react";
+import { AlertTriangle, CheckCircle2, HelpCircle, Loader2, Upload } from "lucide-react";
+import Modal from "./Modal.jsx";
+import { buildImportMap, formatLabel, parseImportFile, resolveImportRows } from "../lib/transfer.js";
+import { t } from "../lib/i18n.js";
+import { isAbortError } from "../lib/errors.js";
+
+/**
+ * Importação de favoritos em três passos:
+ * 1) escolher o arquivo  2) associar cada linha a um título do provedor (com progresso)
+ * 3) prévia — encontrados, ambíguos (o usuário escolhe) e falhas — e
+ *    confirmação com "mesclar" ou "substituir".
+ */
+export default function ImportDialog({ provider, favoritesCount, onImport, onClose }) {
+  const [step, setStep] = useState("file");
+  const [error, setError] = useState("");
+  const [format, setFormat] = useState(null);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [results, setResults] = useState([]);
+  const [choices, setChoices] = useState({});
+  const [mode, setMode] = useState("merge");
+  const abortRef = useRef(null);
+
+  useEffect(() => () => abortRef.current && abortRef.current.abort(), []);
+
+  const onFile = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    setError("");
+    let parsed;
+    try {
+      parsed = parseImportFile(await file.text(), file.name);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    if (parsed.rows.length === 0) {
+      setError(t("import.error.empty"));
+      return;
+    }
+
+    setFormat(parsed.format);
+    setStep("resolving");
+    setProgress({ done: 0, total: parsed.rows.length });
+    const controller = new AbortController();
+    abortRef.current = controller;
+    try {
+      const resolved = await resolveImportRows(provider, parsed.rows, {
+        signal: controller.signal,
+        onProgress: (done, total) => setProgress({ done, total }),
+      });
+      setResults(resolved);
+      setStep("preview");
+    } catch (err) {
+      if (isAbortError(err)) return;
+      setError(err.message);
+      setStep("file");
+    }
+  };
+
+  const matched = results.filter((r) => r.status === "matched");
+  const ambiguous = results.filter((r) => r.status === "ambiguous");
+  const failed = results.filter((r) => r.status === "failed");
+  const importMap = step === "preview" ? buildImportMap(results, choices) : {};
+  const importCount = Object.keys(importMap).length;
+
+  const confirm = () => {
+    if (mode === "replace") {
+      const msg = t("import.confirmReplace", { count: favoritesCount, imported: importCount });
+      if (favoritesCount && !window.confirm(msg)) return;
+    }
+    onImport(importMap, mode);
+    onClose();
+  };
+
+  return (
+    <Modal title={t("import.title")} onClose={onClose}>
+      {step === "file" && (
+        <div className="flex flex-col gap-3 text-sm text-fg-soft">
+          <p>{t("import.accepts")}</p>
+          <label className="inline-flex w-fit cursor-pointer items-center gap-2 rounded-2xl bg-accent px-4 py-2 font-medium text-on-accent hover:bg-accent-hover">
+            <Upload className="h-4 w-4" /> {t("import.chooseFile")}
+            <input type="file" accept=".json,.csv,application/json,text/csv" onChange={onFile} className="sr-only" />
+          </label>
+          {error && <div role="alert" className="rounded-2xl border border-danger-line bg-danger-subtle p-3 text-danger">{error}</div>}
+        </div>
+      )}
+
+      {step === "resolving" && (
+        <div role="status" className="flex flex-col items-center gap-3 py-6 text-sm text-fg-muted">
+          <Loader2 className="h-6 w-6 animate-spin" aria-hidden="true" />
+          <p>
+            {t("import.resolving", { format: formatLabel(format), done: progress.done, total: progress.total })}
+          </p>
+          <progress value={progress.done} max={progress.total} className="w-full" />
+        </div>
+      )}
+
+      {step === "preview" && (
+        <div className="flex flex-col gap-4 text-sm text-fg-soft">
+          <p className="text-xs text-fg-subtle">{formatLabel(format)}</p>
+
+          <details open={matched.length <= 20}>
+            <summary className="cursor-pointer font-semibold text-success">
+              <CheckCircle2 className="mr-1 inline h-4 w-4" /> {t("import.matched", { count: matched.length })}
+            </summary>
+            <ul className="mt-2 max-h-48 overflow-auto pl-5 text-xs text-fg-muted">
+              {matched.map((r) => (
+                <li key={r.row.line}>
+                  {r.movie.title} ({r.movie.year})
+                </li>
+              ))}
+            </ul>
+          </details>
+
+          {ambiguous.length > 0 && (
+            <div>
+              <h3 className="font-semibold text-warning">
+                <HelpCircle className="mr-1 inline h-4 w-4" /> {t("import.ambiguous", { count: ambiguous.length })}
+              </h3>
+              <ul className="mt-2 flex max-h-64 flex-col gap-2 overflow-auto">
+                {ambiguous.map((r) => (
+                  <li key={r.row.line} className="flex flex-col gap-1">
+                    <span className="text-xs text-fg-subtle">
+                      {t("import.line", { line: String(r.row.line) })}: “{r.row.title}” {r.row.year && `(${r.row.year})`}
+                    </span>
+                    <select
+                      value={choices[r.row.line] || ""}
+                      onChange={(e) => setChoices((prev) => ({ ...prev, [r.row.line]: e.target.value }))}
+                      className="rounded-xl border border-line-strong px-2 py-1"
+                    >
+                      <option value="">{t("import.skip")}</option>
+                      {r.candidates.map((c) => (
+                        <option key={c.id} value={c.id}>
+                          {c.title} ({c.year}) • {c.type}
+                        </option>
+                      ))}
+                    </select>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {failed.length > 0 && (
+            <details>
+              <summary className="cursor-pointer font-semibold text-danger">
+                <AlertTriangle className="mr-1 inline h-4 w-4" /> {t("import.failed", { count: failed.length })}
+              </summary>
+              <ul className="mt-2 max-h-48 overflow-auto pl-5 text-xs text-fg-muted">
+                {failed.map((r) => (
+                  <li key={r.row.line}>
+                    {t("import.line", { line: String(r.row.line) })}: {r.row.title || r.row.id || "—"} — {r.reason}
+                  </li>
+                ))}
+              </ul>
+            </details>
+          )}
+
+          <fieldset className="flex flex-col gap-1">
+            <legend className="mb-1 text-xs font-semibold text-fg-subtle">{t("import.mode")}</legend>
+            <label className="inline-flex items-center gap-2">
+              <input type="radio" checked={mode === "merge"} onChange={() => setMode("merge")} />
+              {t("import.merge")}
+            </label>
+            <label className="inline-flex items-center gap-2">
+              <input type="radio" checked={mode === "replace"} onChange={() => setMode("replace")} />
+              {t("import.replace")}
+            </label>
+          </fieldset>
+
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="rounded-2xl border border-line-strong px-4 py-2 hover:bg-subtle"
+            >
+              {t("common.cancel")}
+            </button>
+            <button
+              type="button"
+              onClick={confirm}
+              disabled={importCount === 0}
+              className="rounded-2xl bg-accent px-4 py-2 font-semibold text-on-accent hover:bg-accent-hover disabled:opacity-50"
+            >
+              {t("import.submit", { count: importCount })}
+            </button>
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+}
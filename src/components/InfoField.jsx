@@ -0,0 +1,12 @@
+import React from "react";
+
+// Campo rotulado dos detalhes; some quando o título não tem o valor
+export default function InfoField({ label, value, children }) {
+  if (!value) return null;
+  return (
+    <div>
+      <div className="text-xs font-semibold text-fg-subtle">{label}</div>
+      <div className="text-sm text-fg">{children || value}</div>
+    </div>
+  );
+}
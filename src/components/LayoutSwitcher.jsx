@@ -0,0 +1,51 @@
+import React from "react";
+import { Infinity as InfinityIcon, Images, LayoutGrid, List, ListOrdered } from "lucide-react";
+import { t } from "../lib/i18n.js";
+import { LAYOUT_OPTIONS, PAGING_OPTIONS } from "../lib/settings.js";
+
+const ICONS = { grid: LayoutGrid, list: List, wall: Images, pages: ListOrdered, scroll: InfinityIcon };
+
+function IconRadios({ label, options, value, onChange }) {
+  return (
+    <div role="radiogroup" aria-label={label} className="flex items-center rounded-xl border border-line-strong p-0.5">
+      {options.map((opt) => {
+        const Icon = ICONS[opt.value];
+        const active = opt.value === value;
+        return (
+          <button
+            key={opt.value}
+            type="button"
+            role="radio"
+            aria-checked={active}
+            aria-label={t(opt.labelKey)}
+            title={t(opt.labelKey)}
+            onClick={() => onChange(opt.value)}
+            className={`rounded-lg p-1.5 ${active ? "bg-accent text-on-accent" : "text-fg-muted hover:bg-muted"}`}
+          >
+            <Icon className="h-4 w-4" />
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+// Disposição dos resultados e modo de navegação (salvos nas configurações)
+export default function LayoutSwitcher({ layout, paging, onChange }) {
+  return (
+    <div className="flex items-center gap-2">
+      <IconRadios
+        label={t("settings.layout")}
+        options={LAYOUT_OPTIONS}
+        value={layout}
+        onChange={(value) => onChange({ layout: value })}
+      />
+      <IconRadios
+        label={t("settings.paging")}
+        options={PAGING_OPTIONS}
+        value={paging}
+        onChange={(value) => onChange({ paging: value })}
+      />
+    </div>
+  );
+}
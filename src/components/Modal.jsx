@@ -0,0 +1,61 @@
+import React, { useEffect, useId, useRef } from "react";
+import { X } from "lucide-react";
+import { t } from "../lib/i18n.js";
+
+/**
+ * Diálogo modal simples: fecha com Escape, clique no fundo ou no botão X.
+ * O foco vai para o diálogo ao abrir e volta ao elemento anterior ao fechar.
+ */
+export default function Modal({ title, onClose, children }) {
+  const titleId = useId();
+  const dialogRef = useRef(null);
+  // onClose costuma ser uma função inline; a ref evita refazer o efeito a cada render
+  const onCloseRef = useRef(onClose);
+  useEffect(() => {
+    onCloseRef.current = onClose;
+  });
+
+  useEffect(() => {
+    const previous = document.activeElement;
+    if (dialogRef.current) dialogRef.current.focus();
+    const onKey = (e) => {
+      if (e.key === "Escape") onCloseRef.current();
+    };
+    document.addEventListener("keydown", onKey);
+    return () => {
+      document.removeEventListener("keydown", onKey);
+      if (previous && previous.focus) previous.focus();
+    };
+  }, []);
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-overlay/50 p-4"
+      onMouseDown={(e) => e.target === e.currentTarget && onClose()}
+    >
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        tabIndex={-1}
+        className="max-h-[90vh] w-full max-w-lg overflow-auto rounded-2xl bg-surface p-5 shadow-xl outline-none"
+      >
+        <div className="mb-4 flex items-start justify-between gap-3">
+          <h2 id={titleId} className="text-lg font-semibold text-fg">
+            {title}
+          </h2>
+          <button
+            type="button"
+            onClick={onClose}
+            aria-label={t("common.close")}
+            className="rounded-lg p-1 text-fg-subtle hover:bg-muted"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+        {children}
+      </div>
+    </div>
+  );
+}
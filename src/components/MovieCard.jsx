@@ -0,0 +1,105 @@
+import React, { useId } from "react";
+import { Columns3, Film, Search } from "lucide-react";
+import useCollection from "../hooks/useCollection.js";
+import { MAX_COMPARE } from "../lib/compare.js";
+import { t } from "../lib/i18n.js";
+import { typeLabel } from "../lib/search.js";
+import { shortcutAction } from "../lib/shortcuts.js";
+import AddToListMenu from "./AddToListMenu.jsx";
+import PlannedBadge from "./PlannedBadge.jsx";
+import SeriesProgressBadge from "./SeriesProgressBadge.jsx";
+
+// Placeholder quando pôster não disponível; `title` vira o texto alternativo
+export const PosterFallback = ({ className = "h-64 w-full", title }) => (
+  <div
+    role="img"
+    aria-label={title ? t("common.noPosterOf", { title }) : t("common.noPoster")}
+    className={`flex ${className} items-center justify-center bg-muted text-fg-subtle`}
+  >
+    <Film className="h-8 w-8" aria-hidden="true" />
+  </div>
+);
+
+// Cartão de filme na lista de resultados/favoritos; layout "list" vira uma linha compacta
+export default function MovieCard({ movie, onDetails, layout = "grid", children }) {
+  const { compareTray, toggleCompare, toggleFavorite } = useCollection();
+  const titleId = useId();
+  const comparing = compareTray.some((m) => m.id === movie.id);
+  const trayFull = !comparing && compareTray.length >= MAX_COMPARE;
+  const row = layout === "list";
+  const poster = movie.poster ? (
+    <img
+      src={movie.poster}
+      alt={t("common.posterOf", { title: movie.title })}
+      className={row ? "h-24 w-16 object-cover" : "h-64 w-full rounded-t-2xl object-cover"}
+    />
+  ) : (
+    <PosterFallback className={row ? "h-24 w-16" : undefined} title={movie.title} />
+  );
+
+  // Com o cartão em foco (j/k ou Tab), Enter abre os detalhes e "f" favorita
+  const onKeyDown = (e) => {
+    if (e.target !== e.currentTarget) return;
+    const action = shortcutAction(e);
+    if (action === "open") onDetails();
+    else if (action === "favorite") toggleFavorite(movie);
+    else return;
+    e.preventDefault();
+  };
+
+  return (
+    // Sem overflow-hidden no cartão: o menu de listas precisa poder transbordar
+    <article
+      data-result
+      tabIndex={0}
+      aria-labelledby={titleId}
+      onKeyDown={onKeyDown}
+      className={`group flex rounded-2xl border border-line bg-surface shadow-sm outline-none ring-accent transition hover:shadow-md focus-visible:ring-2 ${
+        row ? "items-center gap-3 p-2" : "flex-col"
+      }`}
+    >
+      <div className={row ? "flex-none overflow-hidden rounded-lg" : "overflow-hidden rounded-t-2xl"}>{poster}</div>
+      <div
+        className={
+          row
+            ? "flex min-w-0 flex-1 flex-col gap-2 sm:flex-row sm:items-center sm:gap-3"
+            : "flex flex-1 flex-col gap-2 p-3"
+        }
+      >
+        <div>
+          <h3 id={titleId} className="line-clamp-2 text-base font-semibold text-fg" title={movie.title}>
+            {movie.title}
+          </h3>
+          <p className="text-xs text-fg-subtle">{movie.year} • {typeLabel(movie.type)}</p>
+        </div>
+        {movie.type === "series" && <SeriesProgressBadge seriesId={movie.id} />}
+        <PlannedBadge movieId={movie.id} />
+        {children}
+        <div className={`flex items-center justify-between gap-2 ${row ? "sm:ml-auto" : "mt-auto"}`}>
+          <button
+            onClick={onDetails}
+            className="inline-flex items-center gap-2 rounded-xl border border-line-strong px-3 py-1.5 text-sm font-medium text-fg-soft transition hover:bg-subtle"
+          >
+            <Search className="h-4 w-4" /> {t("card.details")}
+          </button>
+          <div className="flex items-center gap-1">
+            <button
+              type="button"
+              onClick={() => toggleCompare(movie)}
+              disabled={trayFull}
+              aria-pressed={comparing}
+              title={trayFull ? t("compare.trayFull", { count: MAX_COMPARE }) : t("compare.action")}
+              aria-label={t("compare.actionFor", { title: movie.title })}
+              className={`rounded-xl border p-1.5 transition disabled:opacity-40 ${
+                comparing ? "border-accent bg-accent text-on-accent" : "border-line-strong text-fg-soft hover:bg-subtle"
+              }`}
+            >
+              <Columns3 className="h-4 w-4" />
+            </button>
+            <AddToListMenu movie={movie} />
+          </div>
+        </div>
+      </div>
+    </article>
+  );
+}
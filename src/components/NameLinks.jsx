@@ -0,0 +1,26 @@
+import React from "react";
+import { t } from "../lib/i18n.js";
+import { splitNames } from "../lib/ratings.js";
+
+// Nomes separados por vírgula viram links que iniciam uma busca pelo nome
+export default function NameLinks({ value, onSearch, className = "" }) {
+  const names = splitNames(value);
+  if (names.length === 0) return null;
+  return (
+    <p className={className}>
+      {names.map((name, i) => (
+        <React.Fragment key={name}>
+          {i > 0 && ", "}
+          <button
+            type="button"
+            onClick={() => onSearch(name)}
+            className="text-left underline decoration-line-strong underline-offset-2 hover:text-fg hover:decoration-fg-muted"
+            title={t("names.searchFor", { name })}
+          >
+            {name}
+          </button>
+        </React.Fragment>
+      ))}
+    </p>
+  );
+}
@@ -0,0 +1,75 @@
+import React from "react";
+import { ChevronLeft, ChevronRight, ChevronsLeft, ChevronsRight } from "lucide-react";
+import { t } from "../lib/i18n.js";
+
+// Paginação numerada: primeira/anterior, até 5 páginas ao redor da atual, próxima/última
+export default function Pagination({ page, totalPages, onChange }) {
+  if (!totalPages || totalPages <= 1) return null;
+
+  const canPrev = page > 1;
+  const canNext = page < totalPages;
+
+  const goto = (p) => {
+    if (p < 1) p = 1;
+    if (p > totalPages) p = totalPages;
+    onChange(p);
+  };
+
+  // Gerar um pequeno range ao redor da página atual
+  const pages = [];
+  const from = Math.max(1, page - 2);
+  const to = Math.min(totalPages, page + 2);
+  for (let p = from; p <= to; p++) pages.push(p);
+
+  return (
+    <nav aria-label={t("pagination.label")} className="mt-4 flex items-center justify-center gap-1">
+      <button
+        className="rounded-xl border border-line-strong p-2 text-fg-soft hover:bg-subtle disabled:opacity-40"
+        onClick={() => goto(1)}
+        disabled={!canPrev}
+        aria-label={t("pagination.first")}
+      >
+        <ChevronsLeft className="h-4 w-4" />
+      </button>
+      <button
+        className="rounded-xl border border-line-strong p-2 text-fg-soft hover:bg-subtle disabled:opacity-40"
+        onClick={() => goto(page - 1)}
+        disabled={!canPrev}
+        aria-label={t("pagination.previous")}
+      >
+        <ChevronLeft className="h-4 w-4" />
+      </button>
+
+      {pages.map((p) => (
+        <button
+          key={p}
+          onClick={() => goto(p)}
+          aria-label={t("pagination.page", { page: p })}
+          aria-current={p === page ? "page" : undefined}
+          className={`rounded-xl px-3 py-1.5 text-sm font-medium ${
+            p === page ? "bg-accent text-on-accent" : "border border-line-strong text-fg-soft hover:bg-subtle"
+          }`}
+        >
+          {p}
+        </button>
+      ))}
+
+      <button
+        className="rounded-xl border border-line-strong p-2 text-fg-soft hover:bg-subtle disabled:opacity-40"
+        onClick={() => goto(page + 1)}
+        disabled={!canNext}
+        aria-label={t("pagination.next")}
+      >
+        <ChevronRight className="h-4 w-4" />
+      </button>
+      <button
+        className="rounded-xl border border-line-strong p-2 text-fg-soft hover:bg-subtle disabled:opacity-40"
+        onClick={() => goto(totalPages)}
+        disabled={!canNext}
+        aria-label={t("pagination.last")}
+      >
+        <ChevronsRight className="h-4 w-4" />
+      </button>
+    </nav>
+  );
+}
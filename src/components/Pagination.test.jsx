@@ -0,0 +1,65 @@
+import React from "react";
+import { render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { setLocale, t } from "../lib/i18n.js";
+import Pagination from "./Pagination.jsx";
+
+const pageNumbers = () =>
+  screen
+    .getAllByRole("button")
+    .map((b) => b.textContent)
+    .filter(Boolean)
+    .map(Number);
+
+describe("Pagination", () => {
+  beforeEach(() => setLocale("pt-BR"));
+
+  it("não aparece com uma página só", () => {
+    const { container } = render(<Pagination page={1} totalPages={1} onChange={() => {}} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it("mostra até duas páginas de cada lado da atual", () => {
+    render(<Pagination page={5} totalPages={10} onChange={() => {}} />);
+    expect(pageNumbers()).toEqual([3, 4, 5, 6, 7]);
+    expect(screen.getByRole("button", { name: t("pagination.page", { page: 5 }) })).toHaveAttribute(
+      "aria-current",
+      "page"
+    );
+  });
+
+  it("corta a janela nas pontas", () => {
+    const { rerender } = render(<Pagination page={1} totalPages={10} onChange={() => {}} />);
+    expect(pageNumbers()).toEqual([1, 2, 3]);
+    rerender(<Pagination page={10} totalPages={10} onChange={() => {}} />);
+    expect(pageNumbers()).toEqual([8, 9, 10]);
+    rerender(<Pagination page={2} totalPages={3} onChange={() => {}} />);
+    expect(pageNumbers()).toEqual([1, 2, 3]);
+  });
+
+  it("desativa primeira/anterior na primeira página e próxima/última na última", () => {
+    const { rerender } = render(<Pagination page={1} totalPages={4} onChange={() => {}} />);
+    expect(screen.getByRole("button", { name: t("pagination.first") })).toBeDisabled();
+    expect(screen.getByRole("button", { name: t("pagination.previous") })).toBeDisabled();
+    expect(screen.getByRole("button", { name: t("pagination.next") })).toBeEnabled();
+
+    rerender(<Pagination page={4} totalPages={4} onChange={() => {}} />);
+    expect(screen.getByRole("button", { name: t("pagination.next") })).toBeDisabled();
+    expect(screen.getByRole("button", { name: t("pagination.last") })).toBeDisabled();
+    expect(screen.getByRole("button", { name: t("pagination.first") })).toBeEnabled();
+  });
+
+  it("avisa a página escolhida", async () => {
+    const user = userEvent.setup();
+    const onChange = vi.fn();
+    render(<Pagination page={3} totalPages={8} onChange={onChange} />);
+
+    await user.click(screen.getByRole("button", { name: t("pagination.next") }));
+    await user.click(screen.getByRole("button", { name: t("pagination.previous") }));
+    await user.click(screen.getByRole("button", { name: t("pagination.last") }));
+    await user.click(screen.getByRole("button", { name: t("pagination.first") }));
+    await user.click(screen.getByRole("button", { name: t("pagination.page", { page: 5 }) }));
+    expect(onChange.mock.calls.map(([p]) => p)).toEqual([4, 2, 8, 1, 5]);
+  });
+});
@@ -0,0 +1,23 @@
+import React from "react";
+import { CalendarDays } from "lucide-react";
+import useCollection from "../hooks/useCollection.js";
+import { isISODate, isOverdue } from "../lib/agenda.js";
+import { formatDate, t } from "../lib/i18n.js";
+
+// Data planejada de um favorito ainda não assistido; em destaque quando já passou
+export default function PlannedBadge({ movieId }) {
+  const { favorites } = useCollection();
+  const favorite = favorites[movieId];
+  if (!favorite || favorite.status === "watched" || !isISODate(favorite.plannedAt)) return null;
+  const overdue = isOverdue(favorite);
+  return (
+    <span
+      className={`inline-flex w-fit items-center gap-1 rounded-lg px-2 py-0.5 text-xs ${
+        overdue ? "bg-warning-subtle text-warning" : "bg-info-subtle text-info"
+      }`}
+    >
+      <CalendarDays className="h-3 w-3" />
+      {t("agenda.plannedFor", { date: formatDate(favorite.plannedAt) })}
+    </span>
+  );
+}
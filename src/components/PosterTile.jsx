@@ -0,0 +1,42 @@
+import React from "react";
+import { Film } from "lucide-react";
+import useCollection from "../hooks/useCollection.js";
+import { t } from "../lib/i18n.js";
+import { shortcutAction } from "../lib/shortcuts.js";
+
+// Mural de pôsteres: só a imagem, com título e ano ao passar o mouse (ou no foco)
+export default function PosterTile({ movie, onDetails }) {
+  const { toggleFavorite } = useCollection();
+  const hasPoster = Boolean(movie.poster);
+  return (
+    <button
+      type="button"
+      data-result
+      onClick={onDetails}
+      onKeyDown={(e) => {
+        if (shortcutAction(e) !== "favorite") return;
+        e.preventDefault();
+        toggleFavorite(movie);
+      }}
+      title={`${movie.title} (${movie.year})`}
+      className="group relative block aspect-[2/3] w-full overflow-hidden rounded-xl bg-muted text-left shadow-sm outline-none ring-accent focus-visible:ring-2"
+    >
+      {hasPoster ? (
+        <img
+          src={movie.poster}
+          alt={t("common.posterOf", { title: movie.title })}
+          loading="lazy"
+          className="h-full w-full object-cover transition group-hover:scale-105"
+        />
+      ) : (
+        <span className="flex h-full w-full flex-col items-center justify-center gap-2 p-2 text-center text-xs text-fg-subtle">
+          <Film className="h-6 w-6" aria-hidden="true" />
+          {movie.title}
+        </span>
+      )}
+      <span aria-hidden="true" className="absolute inset-x-0 bottom-0 translate-y-full bg-gradient-to-t from-black/80 to-transparent p-2 text-xs font-medium text-white transition group-hover:translate-y-0 group-focus-visible:translate-y-0">
+        {movie.title} • {movie.year}
+      </span>
+    </button>
+  );
+}
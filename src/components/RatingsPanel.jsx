@@ -0,0 +1,47 @@
+import React from "react";
+import { Star } from "lucide-react";
+import { t } from "../lib/i18n.js";
+import { normalizeRatings } from "../lib/ratings.js";
+
+// Cor da barra conforme o score (0–100)
+const barColor = (score) => (score >= 75 ? "bg-rating-good" : score >= 50 ? "bg-rating-fair" : "bg-rating-poor");
+
+/**
+ * Painel com as avaliações de cada fonte (IMDb, Rotten Tomatoes, Metacritic)
+ * numa mesma escala de 0 a 100, com barra, valor original e votos.
+ */
+export default function RatingsPanel({ data }) {
+  const ratings = normalizeRatings(data);
+  if (ratings.length === 0) return null;
+
+  return (
+    <div className="rounded-2xl border border-line bg-surface p-4">
+      <h2 className="mb-3 inline-flex items-center gap-1 text-sm font-semibold text-fg-soft">
+        <Star className="h-4 w-4 text-star" /> {t("ratings.title")}
+      </h2>
+      <ul className="flex flex-col gap-3">
+        {ratings.map((r) => (
+          <li key={r.source}>
+            <div className="flex items-baseline justify-between gap-2 text-sm">
+              <span className="font-medium text-fg-soft">{r.label}</span>
+              <span className="text-fg-muted">
+                <span className="font-semibold text-fg">{r.value}</span>
+                {r.votes && <span className="ml-1 text-xs">({t("ratings.votes", { count: r.votes })})</span>}
+              </span>
+            </div>
+            <div
+              role="meter"
+              aria-label={t("ratings.meter", { label: r.label, score: r.score })}
+              aria-valuemin={0}
+              aria-valuemax={100}
+              aria-valuenow={r.score}
+              className="mt-1 h-2 overflow-hidden rounded-full bg-muted"
+            >
+              <div className={`h-full rounded-full ${barColor(r.score)}`} style={{ width: `${r.score}%` }} />
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+import React from "react";
+import { History, X } from "lucide-react";
+import { describeFilters, searchKey } from "../lib/history.js";
+import { t } from "../lib/i18n.js";
+
+// Quantas buscas recentes aparecem sob o campo; o restante fica em #/historico
+const MAX_CHIPS = 8;
+
+// Chips das últimas buscas: clicar refaz a busca, o X a remove do histórico
+export default function RecentSearches({ searches, onSelect, onRemove }) {
+  if (searches.length === 0) return null;
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm" aria-label={t("history.recentSearches")} role="group">
+      <History className="h-4 w-4 text-fg-faint" aria-hidden="true" />
+      {searches.slice(0, MAX_CHIPS).map((entry) => {
+        const details = describeFilters(entry.filters);
+        return (
+          <span
+            key={searchKey(entry)}
+            className="inline-flex items-center rounded-full border border-line-strong bg-surface text-fg-soft"
+          >
+            <button
+              type="button"
+              onClick={() => onSelect(entry)}
+              title={details ? `${entry.term} (${details})` : entry.term}
+              className="max-w-[14rem] truncate rounded-l-full py-1 pl-3 pr-1 hover:bg-subtle"
+            >
+              {entry.term}
+              {details && <span className="ml-1 text-xs text-fg-subtle">{details}</span>}
+            </button>
+            <button
+              type="button"
+              onClick={() => onRemove(entry)}
+              aria-label={t("history.removeSearch", { term: entry.term })}
+              className="rounded-r-full p-1 pr-2 text-fg-faint hover:bg-subtle hover:text-fg-soft"
+            >
+              <X className="h-3 w-3" />
+            </button>
+          </span>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+import React from "react";
+import { t } from "../lib/i18n.js";
+import { buildHash } from "../lib/router.js";
+import PosterTile from "./PosterTile.jsx";
+
+// Quantos títulos a faixa mostra; o restante fica em #/historico
+const MAX_TILES = 12;
+
+// Faixa "Vistos recentemente" da página de busca vazia
+export default function RecentlyViewed({ views, onOpenDetails }) {
+  if (views.length === 0) return null;
+  return (
+    <section className="mt-8" aria-labelledby="vistos-recentemente">
+      <div className="mb-2 flex items-baseline justify-between gap-2">
+        <h2 id="vistos-recentemente" className="text-sm font-semibold text-fg-soft">
+          {t("history.recentlyViewed")}
+        </h2>
+        <a href={`#${buildHash("history")}`} className="text-xs text-fg-muted underline hover:text-fg">
+          {t("history.seeAll")}
+        </a>
+      </div>
+      <div className="flex gap-3 overflow-x-auto pb-2">
+        {views.slice(0, MAX_TILES).map((v) => (
+          <div key={v.id} className="w-24 flex-none">
+            <PosterTile movie={v} onDetails={() => onOpenDetails(v.id)} />
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
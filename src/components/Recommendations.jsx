@@ -0,0 +1,41 @@
+import React from "react";
+import { Loader2 } from "lucide-react";
+import { errorMessage } from "../lib/errors.js";
+import { t } from "../lib/i18n.js";
+import { describeReason } from "../lib/recommend.js";
+import PosterTile from "./PosterTile.jsx";
+
+// Grade de sugestões com o motivo de cada uma; `state` vem de useRecommendations
+export default function Recommendations({ state, onOpenDetails, emptyText }) {
+  const { items, loading, error } = state;
+
+  if (items.length === 0) {
+    if (loading) {
+      return (
+        <div role="status" className="flex items-center gap-2 text-sm text-fg-muted">
+          <Loader2 className="h-4 w-4 animate-spin" aria-hidden="true" /> {t("recommend.loading")}
+        </div>
+      );
+    }
+    if (error) {
+      return (
+        <div role="alert" className="rounded-2xl border border-danger-line bg-danger-subtle p-3 text-sm text-danger">
+          {errorMessage(error)}
+        </div>
+      );
+    }
+    return emptyText ? <p className="text-sm text-fg-subtle">{emptyText}</p> : null;
+  }
+
+  return (
+    <ul className="grid grid-cols-2 gap-4 sm:grid-cols-4 lg:grid-cols-6" aria-busy={loading}>
+      {items.map(({ title, reason }) => (
+        <li key={title.id} className="flex flex-col gap-1">
+          <PosterTile movie={title} onDetails={() => onOpenDetails(title.id)} />
+          <span className="line-clamp-1 text-sm font-medium text-fg">{title.title}</span>
+          <span className="text-xs text-fg-muted">{describeReason(reason)}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
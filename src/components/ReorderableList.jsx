@@ -0,0 +1,120 @@
+import React, { useEffect, useRef, useState } from "react";
+import { ChevronDown, ChevronUp, GripVertical } from "lucide-react";
+import { t } from "../lib/i18n.js";
+
+/**
+ * Lista ordenável à mão: arrastar e soltar (HTML5) ou teclado.
+ * Com o item focado, Alt+↑/Alt+↓ move uma posição; os botões ▲/▼ fazem o mesmo.
+ * Cada movimento é anunciado numa região aria-live e o foco acompanha o item.
+ */
+export default function ReorderableList({ items, getKey, getLabel, onMove, renderItem, label }) {
+  const [dragIndex, setDragIndex] = useState(null);
+  const [overIndex, setOverIndex] = useState(null);
+  const [announcement, setAnnouncement] = useState("");
+  const itemRefs = useRef(new Map());
+  const focusKeyRef = useRef(null);
+
+  // Depois de mover pelo teclado, devolve o foco ao item na nova posição
+  useEffect(() => {
+    const key = focusKeyRef.current;
+    if (key === null) return;
+    focusKeyRef.current = null;
+    const el = itemRefs.current.get(key);
+    if (el) el.focus();
+  }, [items]);
+
+  const move = (from, to, { keepFocus = false } = {}) => {
+    if (to < 0 || to >= items.length || from === to) return;
+    if (keepFocus) focusKeyRef.current = getKey(items[from]);
+    onMove(from, to);
+    setAnnouncement(t("reorder.moved", { label: getLabel(items[from]), position: to + 1, total: items.length }));
+  };
+
+  const onKeyDown = (e, index) => {
+    if (!e.altKey || e.target !== e.currentTarget) return;
+    if (e.key === "ArrowUp") {
+      e.preventDefault();
+      move(index, index - 1, { keepFocus: true });
+    } else if (e.key === "ArrowDown") {
+      e.preventDefault();
+      move(index, index + 1, { keepFocus: true });
+    }
+  };
+
+  const endDrag = () => {
+    setDragIndex(null);
+    setOverIndex(null);
+  };
+
+  return (
+    <>
+      <ol aria-label={label} className="flex flex-col gap-2">
+        {items.map((item, index) => {
+          const key = getKey(item);
+          const controls = {
+            moveUp: () => move(index, index - 1),
+            moveDown: () => move(index, index + 1),
+            isFirst: index === 0,
+            isLast: index === items.length - 1,
+          };
+          return (
+            <li
+              key={key}
+              ref={(el) => (el ? itemRefs.current.set(key, el) : itemRefs.current.delete(key))}
+              tabIndex={0}
+              draggable
+              aria-roledescription={t("reorder.roleDescription")}
+              aria-label={t("reorder.itemLabel", { label: getLabel(item), position: index + 1, total: items.length })}
+              onKeyDown={(e) => onKeyDown(e, index)}
+              onDragStart={(e) => {
+                setDragIndex(index);
+                e.dataTransfer.effectAllowed = "move";
+                e.dataTransfer.setData("text/plain", String(key));
+              }}
+              onDragOver={(e) => {
+                if (dragIndex === null) return;
+                e.preventDefault();
+                setOverIndex(index);
+              }}
+              onDrop={(e) => {
+                e.preventDefault();
+                if (dragIndex !== null) move(dragIndex, index);
+                endDrag();
+              }}
+              onDragEnd={endDrag}
+              className={`flex items-center gap-2 rounded-2xl border bg-surface p-2 outline-none ring-fg-faint focus-visible:ring ${
+                overIndex === index && dragIndex !== index ? "border-accent" : "border-line"
+              } ${dragIndex === index ? "opacity-50" : ""}`}
+            >
+              <GripVertical className="h-4 w-4 flex-none cursor-grab text-fg-faint" aria-hidden="true" />
+              <div className="min-w-0 flex-1">{renderItem(item, index)}</div>
+              <div className="flex flex-none flex-col">
+                <button
+                  type="button"
+                  onClick={controls.moveUp}
+                  disabled={controls.isFirst}
+                  aria-label={t("reorder.moveUp", { label: getLabel(item) })}
+                  className="rounded p-0.5 text-fg-subtle hover:bg-muted disabled:opacity-30"
+                >
+                  <ChevronUp className="h-4 w-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={controls.moveDown}
+                  disabled={controls.isLast}
+                  aria-label={t("reorder.moveDown", { label: getLabel(item) })}
+                  className="rounded p-0.5 text-fg-subtle hover:bg-muted disabled:opacity-30"
+                >
+                  <ChevronDown className="h-4 w-4" />
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ol>
+      <div aria-live="polite" className="sr-only">
+        {announcement}
+      </div>
+    </>
+  );
+}
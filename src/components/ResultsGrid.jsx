@@ -0,0 +1,80 @@
+import React, { useEffect, useRef, useState } from "react";
+import MovieCard from "./MovieCard.jsx";
+import PosterTile from "./PosterTile.jsx";
+
+// Classes do contêiner de cada disposição (ver LAYOUT_OPTIONS em lib/settings.js)
+const CONTAINER = {
+  grid: "grid grid-cols-1 gap-4 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4",
+  list: "flex flex-col gap-2",
+  wall: "grid grid-cols-3 gap-2 sm:grid-cols-4 lg:grid-cols-6",
+};
+
+// Acima disso a lista é virtualizada em blocos
+const VIRTUALIZE_AFTER = 60;
+
+// Múltiplo de 1, 2, 3, 4 e 6 colunas: cada bloco fecha linhas inteiras da grade
+const CHUNK_SIZE = 12;
+
+// Distância da tela a partir da qual um bloco vira só um espaço reservado
+const KEEP_MARGIN = "1500px 0px";
+
+/**
+ * Bloco de resultados que sai do DOM quando está longe da tela. A altura é
+ * medida no instante em que ele deixa a margem e mantida por um espaçador,
+ * para a rolagem não pular. Com `keep` fica montado mesmo longe: é o bloco do
+ * cartão em foco ou um vizinho dele, para j/k sempre achar o próximo cartão.
+ */
+function Chunk({ className, keep, onFocus, children }) {
+  const ref = useRef(null);
+  const [height, setHeight] = useState(null);
+
+  useEffect(() => {
+    const el = ref.current;
+    if (!el || typeof IntersectionObserver === "undefined") return;
+    const observer = new IntersectionObserver(
+      ([entry]) => setHeight(entry.isIntersecting ? null : el.offsetHeight),
+      { rootMargin: KEEP_MARGIN }
+    );
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  const placeholder = height !== null && !keep;
+  return (
+    <div ref={ref} style={placeholder ? { height } : undefined} onFocus={onFocus}>
+      {!placeholder && <div className={className}>{children}</div>}
+    </div>
+  );
+}
+
+// Resultados da busca na disposição escolhida (grade, lista compacta ou mural de pôsteres)
+export default function ResultsGrid({ items, layout = "grid", onOpenDetails }) {
+  const className = CONTAINER[layout] || CONTAINER.grid;
+  // Bloco com o cartão em foco; ele e os vizinhos não viram espaço reservado
+  const [focused, setFocused] = useState(null);
+  const render = (m) =>
+    layout === "wall" ? (
+      <PosterTile key={m.id} movie={m} onDetails={() => onOpenDetails(m.id)} />
+    ) : (
+      <MovieCard key={m.id} movie={m} layout={layout} onDetails={() => onOpenDetails(m.id)} />
+    );
+
+  if (items.length <= VIRTUALIZE_AFTER) return <div className={className}>{items.map(render)}</div>;
+
+  const chunks = [];
+  for (let i = 0; i < items.length; i += CHUNK_SIZE) chunks.push(items.slice(i, i + CHUNK_SIZE));
+  return (
+    <div className={`flex flex-col ${layout === "grid" ? "gap-4" : "gap-2"}`}>
+      {chunks.map((chunk, i) => (
+        <Chunk
+          key={i}
+          className={className}
+          keep={focused !== null && Math.abs(i - focused) <= 1}
+          onFocus={() => setFocused(i)}
+        >
+          {chunk.map(render)}
+        </Chunk>
+      ))}
+    </div>
+  );
+}
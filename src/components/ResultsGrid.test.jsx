@@ -0,0 +1,60 @@
+import React from "react";
+import { act, render, screen } from "@testing-library/react";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { CollectionContext } from "../hooks/useCollection.js";
+import { setLocale } from "../lib/i18n.js";
+import { RESULT_SELECTOR, nextResult } from "../lib/shortcuts.js";
+import ResultsGrid from "./ResultsGrid.jsx";
+
+const ITEMS = Array.from({ length: 72 }, (_, i) => ({
+  id: `tt${String(i + 1).padStart(7, "0")}`,
+  title: `Título ${i + 1}`,
+  year: "2000",
+  type: "movie",
+  poster: "",
+}));
+
+// IntersectionObserver de mentira: o teste decide o que está perto da tela
+let observers;
+class FakeObserver {
+  constructor(callback) {
+    this.callback = callback;
+    observers.push(this);
+  }
+  observe() {}
+  disconnect() {}
+}
+
+const cards = () => [...document.querySelectorAll(RESULT_SELECTOR)];
+
+// j/k como o App faz: o próximo cartão a partir do que está em foco
+const move = (step) => act(() => nextResult(cards(), document.activeElement.closest(RESULT_SELECTOR), step).focus());
+
+describe("ResultsGrid virtualizado", () => {
+  beforeEach(() => {
+    setLocale("pt-BR");
+    observers = [];
+    vi.stubGlobal("IntersectionObserver", FakeObserver);
+  });
+
+  it("monta o bloco vizinho para j/k atravessar a borda do que está na tela", () => {
+    render(
+      <CollectionContext.Provider value={{ toggleFavorite: () => {} }}>
+        <ResultsGrid items={ITEMS} layout="wall" onOpenDetails={() => {}} />
+      </CollectionContext.Provider>
+    );
+    // Só o primeiro bloco (12 cartões) está perto da tela
+    act(() => observers.forEach((o, i) => o.callback([{ isIntersecting: i === 0 }])));
+    expect(cards()).toHaveLength(12);
+
+    act(() => cards()[11].focus());
+    expect(cards()).toHaveLength(24);
+
+    move(1);
+    expect(document.activeElement).toBe(screen.getByTitle("Título 13 (2000)"));
+    expect(cards()).toHaveLength(36);
+
+    move(-1);
+    expect(document.activeElement).toBe(screen.getByTitle("Título 12 (2000)"));
+  });
+});
@@ -0,0 +1,177 @@
+import React, { useEffect, useId, useRef, useState } from "react";
+import { Film, Loader2, Search } from "lucide-react";
+import { isAbortError } from "../lib/errors.js";
+import { t } from "../lib/i18n.js";
+import { typeLabel } from "../lib/search.js";
+import useDebouncedValue from "../hooks/useDebouncedValue.js";
+
+/**
+ * Campo de busca com sugestões enquanto se digita (padrão ARIA "combobox").
+ * -------------------------------------------------------------
+ * - Consulta o provedor de metadados após uma pausa na digitação e a partir de MIN_LENGTH letras
+ * - Requisições obsoletas são canceladas a cada nova tecla
+ * - Setas navegam, Enter abre os detalhes da sugestão ativa, Escape fecha
+ * - Sem sugestão ativa, Enter segue o fluxo normal do formulário (busca completa)
+ */
+
+const DEBOUNCE_MS = 300;
+// A OMDb (e outros provedores) recusa termos muito curtos ("Too many results")
+const MIN_LENGTH = 3;
+const MAX_SUGGESTIONS = 6;
+
+export default function SearchCombobox({ id, provider, value, onChange, onSelect, type, disabled, placeholder }) {
+  const listId = useId();
+  const inputRef = useRef(null);
+  // Só o texto digitado gera sugestões (não o valor restaurado da URL)
+  const [typed, setTyped] = useState("");
+  const debounced = useDebouncedValue(typed, DEBOUNCE_MS);
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(-1);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    const q = debounced.trim();
+    if (disabled || q.length < MIN_LENGTH) {
+      // A busca anterior, se ainda estava em andamento, foi abortada e não desliga o indicador
+      setLoading(false);
+      setSuggestions([]);
+      setActive(-1);
+      setOpen(false);
+      return;
+    }
+    const controller = new AbortController();
+    setLoading(true);
+    provider
+      .search({ term: q, type }, { signal: controller.signal })
+      .then(({ results }) => {
+        setSuggestions(results.slice(0, MAX_SUGGESTIONS));
+        setActive(-1);
+        // Não reabre a lista se o usuário já saiu do campo
+        setOpen(document.activeElement === inputRef.current);
+      })
+      .catch((err) => {
+        if (isAbortError(err)) return;
+        setSuggestions([]);
+        setOpen(false);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+    return () => controller.abort();
+  }, [provider, debounced, type, disabled]);
+
+  const close = () => {
+    setOpen(false);
+    setActive(-1);
+  };
+
+  const choose = (movie) => {
+    close();
+    setTyped("");
+    onSelect(movie.id);
+  };
+
+  const onKeyDown = (e) => {
+    const count = suggestions.length;
+    if (e.key === "ArrowDown") {
+      if (!count) return;
+      e.preventDefault();
+      setOpen(true);
+      setActive((i) => (i + 1) % count);
+    } else if (e.key === "ArrowUp") {
+      if (!count) return;
+      e.preventDefault();
+      setOpen(true);
+      setActive((i) => (i <= 0 ? count - 1 : i - 1));
+    } else if (e.key === "Enter") {
+      if (open && active >= 0 && suggestions[active]) {
+        e.preventDefault();
+        choose(suggestions[active]);
+      } else {
+        // Busca completa pelo formulário; descarta sugestões pendentes
+        close();
+        setTyped("");
+      }
+    } else if (e.key === "Escape") {
+      if (open) {
+        e.preventDefault();
+        close();
+      }
+    }
+  };
+
+  const expanded = open && suggestions.length > 0;
+  const optionId = (i) => `${listId}-opt-${i}`;
+
+  return (
+    <div className="relative w-full">
+      <Search className="pointer-events-none absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-fg-faint" />
+      <input
+        ref={inputRef}
+        id={id}
+        type="text"
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={expanded}
+        aria-controls={listId}
+        aria-activedescendant={expanded && active >= 0 ? optionId(active) : undefined}
+        aria-label={t("search.inputLabel")}
+        autoComplete="off"
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setTyped(e.target.value);
+        }}
+        onKeyDown={onKeyDown}
+        onBlur={close}
+        onFocus={() => suggestions.length > 0 && typed && setOpen(true)}
+        placeholder={placeholder}
+        className="w-full rounded-2xl border border-line-strong bg-surface px-9 py-3 text-sm outline-none ring-line-strong placeholder:text-fg-faint focus:ring"
+      />
+      {loading && (
+        <Loader2 className="absolute right-3 top-1/2 h-4 w-4 -translate-y-1/2 animate-spin text-fg-faint" />
+      )}
+
+      <ul
+        id={listId}
+        role="listbox"
+        aria-label={t("search.suggestions")}
+        hidden={!expanded}
+        className="absolute left-0 right-0 top-full z-30 mt-1 max-h-96 overflow-auto rounded-2xl border border-line bg-surface py-1 shadow-lg"
+      >
+        {suggestions.map((m, i) => (
+          <li
+            key={m.id}
+            id={optionId(i)}
+            role="option"
+            aria-selected={i === active}
+            // mousedown em vez de click: acontece antes do blur do input
+            onMouseDown={(e) => {
+              e.preventDefault();
+              choose(m);
+            }}
+            onMouseEnter={() => setActive(i)}
+            className={`flex cursor-pointer items-center gap-3 px-3 py-2 text-sm ${
+              i === active ? "bg-muted" : ""
+            }`}
+          >
+            {m.poster ? (
+              <img src={m.poster} alt="" className="h-12 w-8 flex-none rounded object-cover" />
+            ) : (
+              <span className="flex h-12 w-8 flex-none items-center justify-center rounded bg-muted text-fg-faint">
+                <Film className="h-4 w-4" />
+              </span>
+            )}
+            <span className="min-w-0">
+              <span className="block truncate font-medium text-fg">{m.title}</span>
+              <span className="block text-xs text-fg-subtle">
+                {m.year} • {typeLabel(m.type)}
+              </span>
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
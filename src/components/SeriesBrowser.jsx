@@ -0,0 +1,171 @@
+import React, { useEffect, useState } from "react";
+import { CheckCircle2, Loader2, PlayCircle, Star } from "lucide-react";
+import useCollection from "../hooks/useCollection.js";
+import { t } from "../lib/i18n.js";
+import { errorMessage, isAbortError } from "../lib/errors.js";
+import { formatReleaseDate } from "../lib/ratings.js";
+import { episodeLabel, isEpisodeWatched, nextEpisode, watchedInSeason } from "../lib/progress.js";
+
+/**
+ * Temporadas e episódios de uma série (DetailsView com type "series").
+ * Cada temporada vem de provider.getSeason; a temporada escolhida fica na URL
+ * (?temporada=N) para que voltar de um episódio caia no mesmo lugar.
+ * Episódios e temporadas podem ser marcados como assistidos.
+ */
+export default function SeriesBrowser({ series, provider, season, onSeasonChange, onOpenEpisode }) {
+  const { progress, toggleEpisode, setSeasonWatched } = useCollection();
+  const totalSeasons = series.totalSeasons;
+  const entry = progress[series.id];
+  const next = nextEpisode(entry);
+
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [episodes, setEpisodes] = useState([]);
+
+  useEffect(() => {
+    if (!totalSeasons) return;
+    const controller = new AbortController();
+    setLoading(true);
+    setError("");
+    provider
+      .getSeason(series.id, season, { signal: controller.signal })
+      .then((data) => setEpisodes(data.episodes))
+      .catch((err) => {
+        if (isAbortError(err)) return;
+        setError(errorMessage(err));
+        setEpisodes([]);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+    return () => controller.abort();
+  }, [provider, series.id, season, totalSeasons]);
+
+  if (!totalSeasons) return null;
+
+  const numbers = episodes.map((e) => e.episode).filter(Boolean);
+  // Quantidade de episódios da temporada, para o cálculo do próximo episódio
+  const info = { season, totalSeasons, count: numbers.length ? Math.max(...numbers) : 0 };
+  const seasonDone = numbers.length > 0 && watchedInSeason(entry, season) >= numbers.length;
+  const nextInView = next && next.season === season && episodes.find((e) => e.episode === next.episode);
+
+  return (
+    <div className="rounded-2xl border border-line bg-surface p-4">
+      <div className="mb-3 flex flex-wrap items-center justify-between gap-2">
+        <h2 className="text-sm font-semibold text-fg-soft">{t("series.title")}</h2>
+        {entry && (
+          <span className="text-xs text-fg-subtle">{t("series.episodesWatched", { count: entry.watched.length })}</span>
+        )}
+      </div>
+
+      {next && (
+        <div className="mb-3 flex flex-wrap items-center gap-2 rounded-xl bg-info-subtle px-3 py-2 text-sm text-info">
+          <PlayCircle className="h-4 w-4" />
+          <span>
+            {t("series.nextEpisode")} <span className="font-semibold">{episodeLabel(next)}</span>
+            {nextInView && ` — ${nextInView.title}`}
+          </span>
+          {nextInView ? (
+            <button
+              type="button"
+              onClick={() => onOpenEpisode(nextInView.id)}
+              className="ml-auto rounded-lg px-2 py-0.5 text-xs font-medium underline hover:bg-info/10"
+            >
+              {t("common.open")}
+            </button>
+          ) : (
+            next.season !== season && (
+              <button
+                type="button"
+                onClick={() => onSeasonChange(next.season)}
+                className="ml-auto rounded-lg px-2 py-0.5 text-xs font-medium underline hover:bg-info/10"
+              >
+                {t("series.goToSeason", { season: String(next.season) })}
+              </button>
+            )
+          )}
+        </div>
+      )}
+      {!next && entry && <p className="mb-3 text-sm text-success">{t("series.done")} 🎉</p>}
+
+      <div role="group" aria-label={t("series.season")} className="mb-3 flex flex-wrap gap-1">
+        {Array.from({ length: totalSeasons }, (_, i) => i + 1).map((n) => (
+          <button
+            key={n}
+            type="button"
+            aria-pressed={n === season}
+            onClick={() => onSeasonChange(n)}
+            className={`rounded-lg px-2.5 py-1 text-sm ${
+              n === season ? "bg-accent font-semibold text-on-accent" : "border border-line-strong text-fg-soft hover:bg-subtle"
+            }`}
+          >
+            {t("series.seasonShort", { season: String(n) })}
+          </button>
+        ))}
+      </div>
+
+      {loading && (
+        <div role="status" className="flex items-center gap-2 py-4 text-sm text-fg-muted">
+          <Loader2 className="h-4 w-4 animate-spin" aria-hidden="true" /> {t("series.loadingSeason", { season: String(season) })}
+        </div>
+      )}
+
+      {!loading && error && (
+        <div role="alert" className="rounded-xl border border-danger-line bg-danger-subtle p-3 text-sm text-danger">{error}</div>
+      )}
+
+      {!loading && !error && episodes.length > 0 && (
+        <>
+          <div className="mb-2 flex items-center justify-between gap-2 text-xs text-fg-subtle">
+            <span>{t("series.seasonProgress", { watched: watchedInSeason(entry, season), count: numbers.length })}</span>
+            <button
+              type="button"
+              onClick={() => setSeasonWatched(series.id, numbers, !seasonDone, info)}
+              className="inline-flex items-center gap-1 rounded-lg border border-line-strong px-2 py-1 text-fg-soft hover:bg-subtle"
+            >
+              <CheckCircle2 className="h-3.5 w-3.5" />
+              {seasonDone ? t("series.unmarkSeason") : t("series.markSeason")}
+            </button>
+          </div>
+          <ol className="divide-y divide-line-soft">
+            {episodes.map((ep) => {
+              const watched = isEpisodeWatched(entry, season, ep.episode);
+              return (
+                <li key={ep.id || ep.episode} className="flex items-center gap-3 py-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={watched}
+                    onChange={() => toggleEpisode(series.id, ep.episode, info)}
+                    aria-label={t("series.watchedEpisode", {
+                      episode: episodeLabel({ season, episode: ep.episode }),
+                      title: ep.title,
+                    })}
+                    className="h-4 w-4 flex-none"
+                  />
+                  <span className="w-8 flex-none text-xs font-semibold text-fg-faint">E{ep.episode}</span>
+                  <button
+                    type="button"
+                    onClick={() => onOpenEpisode(ep.id)}
+                    className={`min-w-0 flex-1 truncate text-left hover:underline ${
+                      watched ? "text-fg-subtle" : "text-fg"
+                    }`}
+                  >
+                    {ep.title}
+                  </button>
+                  {ep.released && (
+                    <span className="hidden flex-none text-xs text-fg-subtle sm:inline">{formatReleaseDate(ep.released)}</span>
+                  )}
+                  {ep.rating !== null && (
+                    <span className="inline-flex flex-none items-center gap-0.5 text-xs text-star">
+                      <Star className="h-3 w-3" /> {ep.rating.toFixed(1)}
+                    </span>
+                  )}
+                </li>
+              );
+            })}
+          </ol>
+        </>
+      )}
+    </div>
+  );
+}
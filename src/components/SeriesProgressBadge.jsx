@@ -0,0 +1,20 @@
+import React from "react";
+import { PlayCircle } from "lucide-react";
+import useCollection from "../hooks/useCollection.js";
+import { t } from "../lib/i18n.js";
+import { episodeLabel, nextEpisode } from "../lib/progress.js";
+
+// Progresso de uma série nos cartões: próximo episódio ou "terminada"
+export default function SeriesProgressBadge({ seriesId }) {
+  const { progress } = useCollection();
+  const entry = progress[seriesId];
+  if (!entry) return null;
+  const next = nextEpisode(entry);
+  return (
+    <span className="inline-flex w-fit items-center gap-1 rounded-lg bg-info-subtle px-2 py-0.5 text-xs text-info">
+      <PlayCircle className="h-3 w-3" />
+      {next ? t("series.next", { episode: episodeLabel(next) }) : t("series.finished")} •{" "}
+      {t("series.watchedCount", { count: entry.watched.length })}
+    </span>
+  );
+}
@@ -0,0 +1,117 @@
+import React, { useEffect, useState } from "react";
+import { Check, Copy, Loader2, Share2 } from "lucide-react";
+import Modal from "./Modal.jsx";
+import { t } from "../lib/i18n.js";
+import { MAX_SHARED, MAX_SHARED_TITLE, encodeShare, shareUrl } from "../lib/share.js";
+
+/**
+ * Compartilhar a lista de favoritos exibida (com os filtros aplicados) por
+ * link. O link é refeito a cada mudança de título ou de "incluir anotações";
+ * copiar usa a área de transferência e, quando existe, o menu de
+ * compartilhamento do sistema (navigator.share).
+ */
+export default function ShareDialog({ favorites, onClose }) {
+  const [title, setTitle] = useState("");
+  const [includeNotes, setIncludeNotes] = useState(false);
+  const [url, setUrl] = useState("");
+  const [copied, setCopied] = useState(false);
+  const hasNotes = favorites.some((f) => f.note);
+
+  useEffect(() => {
+    let cancelled = false;
+    setUrl("");
+    setCopied(false);
+    encodeShare({ title, items: favorites, includeNotes }).then((payload) => {
+      if (!cancelled) setUrl(shareUrl(payload));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [favorites, title, includeNotes]);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+    } catch {
+      // Sem permissão: o campo fica selecionado para copiar à mão
+      document.getElementById("link-compartilhado")?.select();
+    }
+  };
+
+  const shareNative = () => navigator.share({ title: title || t("share.defaultTitle"), url }).catch(() => {});
+
+  return (
+    <Modal title={t("share.title")} onClose={onClose}>
+      <div className="flex flex-col gap-3 text-sm text-fg-soft">
+        <p>{t("share.intro", { count: Math.min(favorites.length, MAX_SHARED) })}</p>
+        {favorites.length > MAX_SHARED && (
+          <p className="rounded-2xl border border-warning-line bg-warning-subtle p-3 text-warning">
+            {t("share.truncated", { max: MAX_SHARED })}
+          </p>
+        )}
+
+        <label className="flex flex-col gap-1">
+          <span className="text-xs font-semibold text-fg-subtle">{t("share.listTitle")}</span>
+          <input
+            value={title}
+            maxLength={MAX_SHARED_TITLE}
+            onChange={(e) => setTitle(e.target.value)}
+            placeholder={t("share.defaultTitle")}
+            className="rounded-xl border border-line-strong bg-surface px-3 py-1.5"
+          />
+        </label>
+
+        <label className="inline-flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={includeNotes}
+            disabled={!hasNotes}
+            onChange={(e) => setIncludeNotes(e.target.checked)}
+          />
+          {t("share.includeNotes")}
+        </label>
+
+        <label className="flex flex-col gap-1">
+          <span className="text-xs font-semibold text-fg-subtle">{t("share.link")}</span>
+          {url ? (
+            <input
+              id="link-compartilhado"
+              readOnly
+              value={url}
+              onFocus={(e) => e.target.select()}
+              className="rounded-xl border border-line-strong bg-subtle px-3 py-1.5 font-mono text-xs"
+            />
+          ) : (
+            <span role="status" className="inline-flex items-center gap-2 py-1.5 text-fg-muted">
+              <Loader2 className="h-4 w-4 animate-spin" aria-hidden="true" /> {t("share.generating")}
+            </span>
+          )}
+        </label>
+        <p className="text-xs text-fg-subtle">{t("share.privacy", { length: url.length })}</p>
+
+        <div className="flex justify-end gap-2">
+          {typeof navigator.share === "function" && (
+            <button
+              type="button"
+              onClick={shareNative}
+              disabled={!url}
+              className="inline-flex items-center gap-2 rounded-2xl border border-line-strong px-4 py-2 hover:bg-subtle disabled:opacity-50"
+            >
+              <Share2 className="h-4 w-4" /> {t("share.native")}
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={copy}
+            disabled={!url}
+            className="inline-flex items-center gap-2 rounded-2xl bg-accent px-4 py-2 font-semibold text-on-accent hover:bg-accent-hover disabled:opacity-50"
+          >
+            {copied ? <Check className="h-4 w-4" /> : <Copy className="h-4 w-4" />}
+            <span aria-live="polite">{copied ? t("share.copied") : t("share.copy")}</span>
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,33 @@
+import React from "react";
+import { t } from "../lib/i18n.js";
+import { SHORTCUTS } from "../lib/shortcuts.js";
+import Modal from "./Modal.jsx";
+
+// Nomes exibidos para teclas que não são um caractere
+const KEY_LABELS = { Escape: "Esc", Backspace: "⌫" };
+
+// Painel aberto com "?": lista todos os atalhos de teclado
+export default function ShortcutsHelp({ onClose }) {
+  return (
+    <Modal title={t("shortcuts.title")} onClose={onClose}>
+      <dl className="grid grid-cols-[auto,1fr] items-center gap-x-4 gap-y-2 text-sm">
+        {SHORTCUTS.map((s) => (
+          <React.Fragment key={s.action}>
+            <dt className="flex gap-1">
+              {s.keys.map((key) => (
+                <kbd
+                  key={key}
+                  className="min-w-[1.75rem] rounded-md border border-line-strong bg-subtle px-1.5 py-0.5 text-center font-mono text-xs text-fg-soft"
+                >
+                  {KEY_LABELS[key] || key}
+                </kbd>
+              ))}
+            </dt>
+            <dd className="text-fg-soft">{t(s.labelKey)}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+      <p className="mt-4 text-xs text-fg-subtle">{t("shortcuts.hint")}</p>
+    </Modal>
+  );
+}
@@ -0,0 +1,76 @@
+import React from "react";
+import { AlertTriangle, Download, RotateCcw, X } from "lucide-react";
+import { t } from "../lib/i18n.js";
+import { StorageIssue } from "../lib/storage.js";
+import { downloadText } from "../lib/transfer.js";
+
+// Avisos de armazenamento local: gravação que falhou ou dado corrompido, com a saída para cada caso.
+// `stores` = [{ key, labelKey, storage }], onde `storage` é o terceiro valor de useLocalStorage.
+export default function StorageAlert({ stores }) {
+  const pending = stores.filter((s) => s.storage.issue);
+  if (pending.length === 0) return null;
+  const stamp = new Date().toISOString().slice(0, 10);
+  const buttonClass =
+    "inline-flex items-center gap-1 rounded-xl border border-warning-line bg-surface px-3 py-1.5 text-sm text-warning hover:bg-subtle";
+
+  return (
+    <div role="alert" className="w-full bg-warning-subtle p-3 shadow">
+      <ul className="mx-auto flex max-w-5xl flex-col gap-3">
+        {pending.map(({ key, labelKey, storage }) => {
+          const store = t(labelKey);
+          const corrupt = storage.issue === StorageIssue.CORRUPT;
+          return (
+            <li key={key} className="flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
+              <p className="flex items-start gap-2 text-sm text-warning">
+                <AlertTriangle className="mt-0.5 h-4 w-4 flex-none" aria-hidden="true" />
+                {t(corrupt ? "storage.corrupt" : "storage.writeFailed", { store })}
+              </p>
+              <div className="flex flex-none flex-wrap items-center gap-2">
+                {corrupt ? (
+                  <>
+                    {storage.backup && (
+                      <button
+                        type="button"
+                        onClick={() =>
+                          downloadText(`${key}-corrompido-${stamp}.json`, storage.backup, "application/json")
+                        }
+                        className={buttonClass}
+                      >
+                        <Download className="h-4 w-4" /> {t("storage.downloadCorrupt")}
+                      </button>
+                    )}
+                    <button type="button" onClick={storage.dismiss} className={buttonClass}>
+                      <X className="h-4 w-4" /> {t("storage.discard")}
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    <button type="button" onClick={storage.retry} className={buttonClass}>
+                      <RotateCcw className="h-4 w-4" /> {t("storage.retry")}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => downloadText(`${key}-${stamp}.json`, storage.snapshot(), "application/json")}
+                      className={buttonClass}
+                    >
+                      <Download className="h-4 w-4" /> {t("storage.downloadCopy")}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={storage.dismiss}
+                      aria-label={t("storage.dismiss")}
+                      title={t("storage.dismiss")}
+                      className="rounded-xl p-1.5 text-warning hover:bg-subtle"
+                    >
+                      <X className="h-4 w-4" />
+                    </button>
+                  </>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
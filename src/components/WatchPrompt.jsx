@@ -0,0 +1,32 @@
+import React from "react";
+import { CircleHelp, Eye } from "lucide-react";
+import { formatDate, t } from "../lib/i18n.js";
+
+// "Já assistiu?" para um favorito cuja data planejada passou; a resposta vira um patch do favorito
+export default function WatchPrompt({ favorite, onChange }) {
+  return (
+    <div className="flex flex-col gap-2 rounded-2xl border border-warning-line bg-warning-subtle p-3 text-sm text-warning sm:flex-row sm:items-center sm:justify-between">
+      <p className="flex items-start gap-2">
+        <CircleHelp className="mt-0.5 h-4 w-4 flex-none" aria-hidden="true" />
+        {t("agenda.prompt.question", { title: favorite.title, date: formatDate(favorite.plannedAt) })}
+      </p>
+      <div className="flex flex-none items-center gap-2">
+        <button
+          type="button"
+          onClick={() => onChange({ status: "watched", watchedAt: favorite.plannedAt })}
+          className="inline-flex items-center gap-1 rounded-xl bg-accent px-3 py-1.5 text-on-accent hover:bg-accent/90"
+        >
+          <Eye className="h-4 w-4" /> {t("agenda.prompt.yes")}
+        </button>
+        <button
+          type="button"
+          onClick={() => onChange({ plannedAt: null })}
+          title={t("agenda.prompt.noHint")}
+          className="rounded-xl border border-warning-line bg-surface px-3 py-1.5 hover:bg-subtle"
+        >
+          {t("agenda.prompt.no")}
+        </button>
+      </div>
+    </div>
+  );
+}
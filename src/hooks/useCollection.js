@@ -0,0 +1,15 @@
+import { createContext, useContext } from "react";
+
+/**
+ * Favoritos, listas e as ações sobre eles, fornecidos por App.
+ * Evita repassar as mesmas props por todas as views até cada MovieCard.
+ *
+ * { favorites, lists, toggleFavorite, toggleInList, createList,
+ *   progress, toggleEpisode, setSeasonWatched,
+ *   compareTray, toggleCompare, clearCompare }
+ */
+export const CollectionContext = createContext(null);
+
+export default function useCollection() {
+  return useContext(CollectionContext);
+}
@@ -0,0 +1,11 @@
+import { useEffect, useState } from "react";
+
+// Devolve `value` somente depois de `delay` ms sem alterações
+export default function useDebouncedValue(value, delay) {
+  const [debounced, setDebounced] = useState(value);
+  useEffect(() => {
+    const t = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(t);
+  }, [value, delay]);
+  return debounced;
+}
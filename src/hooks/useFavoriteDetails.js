@@ -0,0 +1,49 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { ErrorKind, ProviderError, isAbortError } from "../lib/errors.js";
+import { hasDetails, pickDetails } from "../lib/favorites.js";
+
+/**
+ * Completa, em segundo plano e um de cada vez, os favoritos que ainda não têm
+ * os campos de detalhes (gênero, nota IMDb…). Títulos que o provedor não encontra
+ * são pulados; erro de chave, cota ou rede interrompe até a próxima montagem.
+ */
+export default function useFavoriteDetails(favorites, provider, onDetails, { enabled = true } = {}) {
+  const [skipped, setSkipped] = useState(() => new Set());
+  const [stopped, setStopped] = useState(null);
+
+  // Ao reativar (ex.: conexão de volta), tenta de novo após uma interrupção
+  useEffect(() => {
+    if (enabled) setStopped(null);
+  }, [enabled]);
+
+  const onDetailsRef = useRef(onDetails);
+  useEffect(() => {
+    onDetailsRef.current = onDetails;
+  });
+
+  const missing = useMemo(
+    () => Object.values(favorites).filter((f) => !hasDetails(f) && !skipped.has(f.id)),
+    [favorites, skipped]
+  );
+  const nextId = missing.length ? missing[0].id : null;
+
+  useEffect(() => {
+    if (!enabled || stopped || !nextId) return;
+    const controller = new AbortController();
+    provider
+      .getById(nextId, { plot: "full", signal: controller.signal })
+      // O pôster vai junto: importações do Letterboxd/IMDb chegam sem ele
+      .then((title) => onDetailsRef.current(nextId, { ...pickDetails(title), poster: title.poster }))
+      .catch((err) => {
+        if (isAbortError(err)) return;
+        if (err instanceof ProviderError && err.kind !== ErrorKind.NOT_FOUND && err.kind !== ErrorKind.UNKNOWN) {
+          setStopped(err);
+        } else {
+          setSkipped((prev) => new Set(prev).add(nextId));
+        }
+      });
+    return () => controller.abort();
+  }, [provider, enabled, stopped, nextId]);
+
+  return { remaining: stopped ? 0 : missing.length, error: stopped };
+}
@@ -0,0 +1,130 @@
+import { useEffect, useRef, useState } from "react";
+import {
+  StorageIssue,
+  clearBackup,
+  keepLocalChanges,
+  parseStored,
+  readBackup,
+  readRaw,
+  saveBackup,
+} from "../lib/storage.js";
+
+const identity = (v) => v;
+
+// Primeira leitura: valor inicial, última versão conhecida no armazenamento e problema encontrado
+function load(key, initialValue, deserialize) {
+  const raw = readRaw(key);
+  const parsed = parseStored(raw, deserialize);
+  if (parsed.corrupt) {
+    saveBackup(key, raw);
+    return { value: initialValue, base: { raw, value: initialValue }, issue: StorageIssue.CORRUPT, backup: raw };
+  }
+  const value = parsed.found ? parsed.value : initialValue;
+  // Cópia de uma leitura corrompida anterior que o usuário ainda não descartou
+  const backup = readBackup(key);
+  return { value, base: { raw, value }, issue: backup === null ? null : StorageIssue.CORRUPT, backup };
+}
+
+/**
+ * Estado sincronizado com uma chave do localStorage (ver lib/storage.js)
+ * -------------------------------------------------------------
+ * useLocalStorage(key, initialValue, { serialize, deserialize, merge }) → [value, setValue, storage]
+ *
+ * - `deserialize`/`serialize` convertem entre o formato salvo e o usado em
+ *   memória (ex.: migração de versões antigas dos favoritos)
+ * - `merge(base, local, incoming)` junta este estado com o que outra aba
+ *   gravou; o padrão fica com a versão da outra aba se esta não mudou nada
+ * - `storage` descreve problemas para a interface avisar o usuário:
+ *   { issue, backup, retry, dismiss, snapshot } — `issue` é null ou um
+ *   StorageIssue; `snapshot()` devolve o estado atual em JSON, para baixar
+ */
+export default function useLocalStorage(
+  key,
+  initialValue,
+  { serialize = identity, deserialize = identity, merge = keepLocalChanges } = {}
+) {
+  const [initial] = useState(() => load(key, initialValue, deserialize));
+  const [value, setValue] = useState(initial.value);
+  const [issue, setIssue] = useState(initial.issue);
+  const [backup, setBackup] = useState(initial.backup);
+  // Incrementado para regravar sem mudar o valor (após juntar com outra aba ou em "tentar de novo")
+  const [revision, setRevision] = useState(0);
+
+  // Última versão vista no armazenamento (texto cru e valor convertido): a base do merge
+  const baseRef = useRef(initial.base);
+
+  // serialize/deserialize/merge são funções de módulo, mas os efeitos leem sempre as atuais
+  const optionsRef = useRef({ serialize, deserialize, merge, initialValue });
+  useEffect(() => {
+    optionsRef.current = { serialize, deserialize, merge, initialValue };
+  });
+
+  // Junta o texto que outra aba gravou com o estado desta aba
+  const syncRef = useRef(null);
+  useEffect(() => {
+    syncRef.current = (raw) => {
+      const { deserialize, merge, initialValue } = optionsRef.current;
+      const parsed = parseStored(raw, deserialize);
+      const base = baseRef.current.value;
+      if (parsed.corrupt) {
+        // Lixo gravado por fora da app: guarda a cópia e regrava o estado desta aba
+        saveBackup(key, raw);
+        setBackup(raw);
+        setIssue(StorageIssue.CORRUPT);
+        baseRef.current = { raw, value: base };
+      } else {
+        const incoming = parsed.found ? parsed.value : initialValue;
+        baseRef.current = { raw, value: incoming };
+        setValue((local) => merge(base, local, incoming));
+      }
+      setRevision((n) => n + 1);
+    };
+  });
+
+  useEffect(() => {
+    const current = readRaw(key);
+    // Outra aba gravou e o evento "storage" ainda não chegou: junta antes de gravar por cima
+    if (current !== baseRef.current.raw) {
+      syncRef.current(current);
+      return;
+    }
+    const raw = JSON.stringify(optionsRef.current.serialize(value));
+    if (raw === current) return;
+    try {
+      window.localStorage.setItem(key, raw);
+      baseRef.current = { raw, value };
+      setIssue((prev) => (prev === StorageIssue.WRITE ? null : prev));
+    } catch {
+      // Cota esgotada ou modo privado: o estado continua em memória e o usuário é avisado
+      setIssue(StorageIssue.WRITE);
+    }
+  }, [key, value, revision]);
+
+  // Gravações de outras abas (key null: a outra aba limpou todo o localStorage)
+  useEffect(() => {
+    const onStorage = (e) => {
+      if (e.key !== key && e.key !== null) return;
+      const raw = readRaw(key);
+      if (raw !== baseRef.current.raw) syncRef.current(raw);
+    };
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, [key]);
+
+  const storage = {
+    issue,
+    backup,
+    retry: () => setRevision((n) => n + 1),
+    // Fecha o aviso; para dados corrompidos, descarta também a cópia guardada
+    dismiss: () => {
+      if (issue === StorageIssue.CORRUPT) {
+        clearBackup(key);
+        setBackup(null);
+      }
+      setIssue(null);
+    },
+    snapshot: () => JSON.stringify(serialize(value), null, 2),
+  };
+
+  return [value, setValue, storage];
+}
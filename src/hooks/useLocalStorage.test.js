@@ -0,0 +1,143 @@
+import { act, renderHook } from "@testing-library/react";
+import { describe, expect, it, vi } from "vitest";
+import { StorageIssue, backupKey, mergeById } from "../lib/storage.js";
+import useLocalStorage from "./useLocalStorage.js";
+
+// Gravação feita por outra aba: muda o localStorage e dispara o evento "storage"
+function writeFromOtherTab(key, value) {
+  const raw = value === null ? null : JSON.stringify(value);
+  if (raw === null) window.localStorage.removeItem(key);
+  else window.localStorage.setItem(key, raw);
+  window.dispatchEvent(new StorageEvent("storage", { key, newValue: raw, storageArea: window.localStorage }));
+}
+
+describe("useLocalStorage", () => {
+  it("lê o valor salvo e grava as alterações", () => {
+    window.localStorage.setItem("chave", JSON.stringify({ a: 1 }));
+    const { result } = renderHook(() => useLocalStorage("chave", {}));
+    expect(result.current[0]).toEqual({ a: 1 });
+
+    act(() => result.current[1]({ a: 2 }));
+    expect(JSON.parse(window.localStorage.getItem("chave"))).toEqual({ a: 2 });
+  });
+
+  it("usa o valor inicial quando não há nada salvo", () => {
+    const { result } = renderHook(() => useLocalStorage("chave", ["padrão"]));
+    expect(result.current[0]).toEqual(["padrão"]);
+    expect(window.localStorage.getItem("chave")).toBe('["padrão"]');
+  });
+
+  it("volta ao valor inicial quando o JSON salvo está corrompido, guardando uma cópia", () => {
+    window.localStorage.setItem("chave", "{não é json");
+    const { result } = renderHook(() => useLocalStorage("chave", { ok: true }));
+    expect(result.current[0]).toEqual({ ok: true });
+    expect(result.current[2]).toMatchObject({ issue: StorageIssue.CORRUPT, backup: "{não é json" });
+    expect(window.localStorage.getItem(backupKey("chave"))).toBe("{não é json");
+    expect(window.localStorage.getItem("chave")).toBe('{"ok":true}');
+
+    act(() => result.current[2].dismiss());
+    expect(result.current[2].issue).toBeNull();
+    expect(window.localStorage.getItem(backupKey("chave"))).toBeNull();
+  });
+
+  it("lembra da cópia corrompida ainda não descartada", () => {
+    window.localStorage.setItem("chave", "1");
+    window.localStorage.setItem(backupKey("chave"), "{quebrado");
+    const { result } = renderHook(() => useLocalStorage("chave", 0));
+    expect(result.current[0]).toBe(1);
+    expect(result.current[2]).toMatchObject({ issue: StorageIssue.CORRUPT, backup: "{quebrado" });
+  });
+
+  it("volta ao valor inicial quando a migração falha", () => {
+    window.localStorage.setItem("chave", JSON.stringify({ version: 9 }));
+    const deserialize = () => {
+      throw new Error("formato desconhecido");
+    };
+    const { result } = renderHook(() => useLocalStorage("chave", "inicial", { deserialize }));
+    expect(result.current[0]).toBe("inicial");
+    expect(result.current[2].issue).toBe(StorageIssue.CORRUPT);
+  });
+
+  it("aplica serialize/deserialize na escrita e na leitura", () => {
+    window.localStorage.setItem("chave", JSON.stringify({ version: 1, items: [1, 2] }));
+    const { result } = renderHook(() =>
+      useLocalStorage("chave", [], {
+        serialize: (items) => ({ version: 1, items }),
+        deserialize: (stored) => stored.items,
+      })
+    );
+    expect(result.current[0]).toEqual([1, 2]);
+
+    act(() => result.current[1]((prev) => [...prev, 3]));
+    expect(JSON.parse(window.localStorage.getItem("chave"))).toEqual({ version: 1, items: [1, 2, 3] });
+  });
+
+  it("mantém o estado em memória e avisa quando a escrita falha (cota esgotada)", () => {
+    const setItem = vi.spyOn(Storage.prototype, "setItem").mockImplementation(() => {
+      throw new DOMException("Quota exceeded", "QuotaExceededError");
+    });
+    const { result } = renderHook(() => useLocalStorage("chave", 0));
+
+    act(() => result.current[1](5));
+    expect(result.current[0]).toBe(5);
+    expect(setItem).toHaveBeenCalled();
+    expect(window.localStorage.getItem("chave")).toBeNull();
+    expect(result.current[2].issue).toBe(StorageIssue.WRITE);
+    expect(result.current[2].snapshot()).toBe("5");
+
+    // Espaço liberado: "tentar de novo" grava e o aviso some
+    setItem.mockRestore();
+    act(() => result.current[2].retry());
+    expect(window.localStorage.getItem("chave")).toBe("5");
+    expect(result.current[2].issue).toBeNull();
+  });
+});
+
+describe("useLocalStorage entre abas", () => {
+  const favorites = { a: { title: "A" }, b: { title: "B" } };
+
+  it("adota o que outra aba gravou quando esta não mudou nada", () => {
+    window.localStorage.setItem("lista", JSON.stringify(["x"]));
+    const { result } = renderHook(() => useLocalStorage("lista", []));
+
+    act(() => writeFromOtherTab("lista", ["x", "y"]));
+    expect(result.current[0]).toEqual(["x", "y"]);
+
+    act(() => writeFromOtherTab("lista", null));
+    expect(result.current[0]).toEqual([]);
+  });
+
+  it("junta por id as edições simultâneas das duas abas", () => {
+    window.localStorage.setItem("favs", JSON.stringify(favorites));
+    const tabA = renderHook(() => useLocalStorage("favs", {}, { merge: mergeById }));
+    const tabB = renderHook(() => useLocalStorage("favs", {}, { merge: mergeById }));
+
+    // A remove "a" e edita "b"; B, antes de saber disso, acrescenta "c"
+    act(() => tabA.result.current[1]({ b: { title: "B editado" } }));
+    act(() => tabB.result.current[1]((prev) => ({ ...prev, c: { title: "C" } })));
+    // O evento da gravação de B chega em A
+    act(() => window.dispatchEvent(new StorageEvent("storage", { key: "favs" })));
+
+    const expected = { b: { title: "B editado" }, c: { title: "C" } };
+    expect(tabA.result.current[0]).toEqual(expected);
+    expect(tabB.result.current[0]).toEqual(expected);
+    expect(JSON.parse(window.localStorage.getItem("favs"))).toEqual(expected);
+  });
+
+  it("não grava por cima de outra aba cujo evento ainda não chegou", () => {
+    window.localStorage.setItem("favs", JSON.stringify(favorites));
+    const { result } = renderHook(() => useLocalStorage("favs", {}, { merge: mergeById }));
+
+    window.localStorage.setItem("favs", JSON.stringify({ ...favorites, c: { title: "C" } }));
+    act(() => result.current[1]((prev) => ({ ...prev, d: { title: "D" } })));
+
+    expect(Object.keys(JSON.parse(window.localStorage.getItem("favs")))).toEqual(["a", "b", "d", "c"]);
+    expect(Object.keys(result.current[0])).toEqual(["a", "b", "d", "c"]);
+  });
+
+  it("ignora eventos de outras chaves", () => {
+    const { result } = renderHook(() => useLocalStorage("chave", 1));
+    act(() => writeFromOtherTab("outra", 2));
+    expect(result.current[0]).toBe(1);
+  });
+});
@@ -0,0 +1,16 @@
+import { useEffect, useState } from "react";
+
+// true/false conforme navigator.onLine, atualizado pelos eventos online/offline
+export default function useOnlineStatus() {
+  const [online, setOnline] = useState(() => navigator.onLine !== false);
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine !== false);
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    return () => {
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+    };
+  }, []);
+  return online;
+}
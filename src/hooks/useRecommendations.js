@@ -0,0 +1,53 @@
+import { useEffect, useRef, useState } from "react";
+import { isAbortError } from "../lib/errors.js";
+import { loadAllTitles } from "../lib/offline.js";
+import { findRecommendations } from "../lib/recommend.js";
+
+/**
+ * Sugestões a partir dos favoritos (e do título aberto, em `seed`), ver lib/recommend.js.
+ * Calcula ao ser habilitado e quando o título aberto muda; marcar ou desmarcar
+ * favoritos não dispara novas buscas (use `refresh`), só tira da lista o que virou
+ * favorito. As sugestões anteriores continuam visíveis enquanto a nova rodada carrega.
+ * → { items, loading, error, refresh }
+ */
+export default function useRecommendations(provider, favorites, seed = null, { enabled = true } = {}) {
+  const [state, setState] = useState({ items: [], loading: true, error: null });
+  const [revision, setRevision] = useState(0);
+
+  // Os efeitos leem sempre os favoritos e o título atuais, mas só rodam quando as chaves abaixo mudam
+  const inputRef = useRef({ favorites, seed });
+  useEffect(() => {
+    inputRef.current = { favorites, seed };
+  });
+
+  const hasFavorites = Object.keys(favorites).length > 0;
+  const seedId = seed ? seed.id : null;
+  const active = enabled && provider.ready && (hasFavorites || seedId !== null);
+
+  useEffect(() => {
+    if (!active) {
+      setState({ items: [], loading: false, error: null });
+      return;
+    }
+    const controller = new AbortController();
+    setState((prev) => ({ ...prev, loading: true, error: null }));
+    loadAllTitles()
+      .then((list) => {
+        const titles = Object.fromEntries(list.filter(Boolean).map((title) => [title.id, title]));
+        const { favorites, seed } = inputRef.current;
+        return findRecommendations(provider, { favorites, titles, seed }, { signal: controller.signal });
+      })
+      .then((items) => setState({ items, loading: false, error: null }))
+      .catch((err) => {
+        if (isAbortError(err)) return;
+        setState({ items: [], loading: false, error: err });
+      });
+    return () => controller.abort();
+  }, [provider, active, seedId, revision]);
+
+  return {
+    ...state,
+    items: state.items.filter((item) => !favorites[item.title.id]),
+    refresh: () => setRevision((n) => n + 1),
+  };
+}
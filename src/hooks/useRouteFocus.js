@@ -0,0 +1,35 @@
+import { useEffect, useRef } from "react";
+
+/**
+ * Leva o foco ao <h1> do contêiner sempre que `routeKey` muda, para leitores
+ * de tela anunciarem a nova página. Páginas que carregam dados só mostram o
+ * título depois: até lá o foco fica no próprio contêiner (tabIndex -1) e
+ * passa ao <h1> quando ele aparecer, a menos que o usuário já o tenha movido.
+ * A primeira carga deixa o foco onde o navegador o colocou.
+ */
+export default function useRouteFocus(containerRef, routeKey) {
+  const firstRef = useRef(true);
+
+  useEffect(() => {
+    if (firstRef.current) {
+      firstRef.current = false;
+      return;
+    }
+    const container = containerRef.current;
+    if (!container) return;
+    const focusHeading = () => {
+      const heading = container.querySelector("h1");
+      if (!heading) return false;
+      if (!heading.hasAttribute("tabindex")) heading.setAttribute("tabindex", "-1");
+      heading.focus({ preventScroll: true });
+      return true;
+    };
+    if (focusHeading()) return;
+    container.focus({ preventScroll: true });
+    const observer = new MutationObserver(() => {
+      if (document.activeElement !== container || focusHeading()) observer.disconnect();
+    });
+    observer.observe(container, { childList: true, subtree: true });
+    return () => observer.disconnect();
+  }, [containerRef, routeKey]);
+}
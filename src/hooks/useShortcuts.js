@@ -0,0 +1,31 @@
+import { useEffect, useRef } from "react";
+import { shortcutAction } from "../lib/shortcuts.js";
+
+/**
+ * Registra handlers para as ações de lib/shortcuts.js enquanto o componente
+ * está montado. Filhos registram antes dos pais, então uma ação tratada
+ * numa página (ex.: "favorite" nos detalhes) não chega ao App.
+ *
+ * O listener fica em window: menus e diálogos que escutam em document e
+ * param a propagação (ex.: Escape no AddToListMenu) têm prioridade.
+ */
+export default function useShortcuts(handlers, enabled = true) {
+  // Os handlers costumam ser funções inline; a ref evita refazer o listener a cada render
+  const handlersRef = useRef(handlers);
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  useEffect(() => {
+    if (!enabled) return;
+    const onKey = (e) => {
+      const action = shortcutAction(e);
+      const handler = action && handlersRef.current[action];
+      if (!handler) return;
+      e.preventDefault();
+      handler(e);
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [enabled]);
+}
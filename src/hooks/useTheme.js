@@ -0,0 +1,12 @@
+import { useEffect, useState } from "react";
+import { applyTheme, resolveTheme, systemPrefersDark, watchSystemTheme } from "../lib/theme.js";
+
+// Aplica a escolha de tema ao <html> e acompanha o sistema no modo "system"
+export default function useTheme(choice) {
+  const [prefersDark, setPrefersDark] = useState(systemPrefersDark);
+  useEffect(() => watchSystemTheme(setPrefersDark), []);
+
+  const theme = resolveTheme(choice, prefersDark);
+  useEffect(() => applyTheme(theme), [theme]);
+  return theme;
+}
@@ -0,0 +1,190 @@
+import { t } from "./i18n.js";
+
+/**
+ * Agenda de títulos (#/agenda)
+ * -------------------------------------------------------------
+ * Datas são strings "AAAA-MM-DD" no fuso local, como as de <input type="date">
+ * e as de estreia (`released`) guardadas com os detalhes dos favoritos.
+ * Eventos da agenda:
+ *   planned — data em que o usuário planejou assistir (favorito.plannedAt)
+ *   release — data de estreia informada pelo provedor (favorito.released)
+ * A exportação gera um arquivo iCalendar (.ics, RFC 5545) com eventos de dia
+ * inteiro, que qualquer app de calendário importa.
+ */
+
+export const AGENDA_VIEWS = [
+  { value: "month", labelKey: "agenda.view.month" },
+  { value: "week", labelKey: "agenda.view.week" },
+];
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Data válida no formato "AAAA-MM-DD" (31/02 não passa)
+export const isISODate = (value) => ISO_DATE.test(value || "") && toISODate(parseISODate(value)) === value;
+
+// "2026-10-19" → Date local à meia-noite
+export function parseISODate(value) {
+  const [, y, m, d] = ISO_DATE.exec(value);
+  return new Date(Number(y), Number(m) - 1, Number(d));
+}
+
+// Date → "2026-10-19" (data local, não UTC)
+export function toISODate(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export const todayISO = () => toISODate(new Date());
+
+export function addDays(value, days) {
+  const date = parseISODate(value);
+  date.setDate(date.getDate() + days);
+  return toISODate(date);
+}
+
+// Mesmo dia `months` meses depois, limitado ao último dia do mês (31/01 + 1 → 28/02)
+export function addMonths(value, months) {
+  const date = parseISODate(value);
+  const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+  target.setDate(Math.min(date.getDate(), lastDay));
+  return toISODate(target);
+}
+
+// Semanas começam no domingo
+export const startOfWeek = (value) => addDays(value, -parseISODate(value).getDay());
+
+/**
+ * Dias exibidos para a data de referência: a semana dela ("week") ou as
+ * semanas completas que cobrem o mês dela ("month", 35 ou 42 dias).
+ */
+export function calendarDays(anchor, view) {
+  if (view === "week") return Array.from({ length: 7 }, (_, i) => addDays(startOfWeek(anchor), i));
+  const first = parseISODate(`${anchor.slice(0, 7)}-01`);
+  const last = toISODate(new Date(first.getFullYear(), first.getMonth() + 1, 0));
+  const days = [];
+  let day = startOfWeek(toISODate(first));
+  while (day <= last || days.length % 7 !== 0) {
+    days.push(day);
+    day = addDays(day, 1);
+  }
+  return days;
+}
+
+// Data de referência anterior/seguinte conforme a visão
+export const shiftAnchor = (anchor, view, step) =>
+  view === "week" ? addDays(anchor, 7 * step) : addMonths(anchor, step);
+
+// -----------------------
+// Estado da visão ⇄ query string
+// -----------------------
+export function readAgendaQuery(query = {}, today = todayISO()) {
+  return {
+    view: query.visao === "semana" ? "week" : "month",
+    date: isISODate(query.data) ? query.data : today,
+  };
+}
+
+export function toAgendaQuery({ view, date }, today = todayISO()) {
+  return { visao: view === "week" ? "semana" : "", data: date === today ? "" : date };
+}
+
+// -----------------------
+// Eventos
+// -----------------------
+
+/**
+ * `favorites`: map id → favorito. Devolve [{ key, date, kind, favorite }]
+ * em ordem de data e título.
+ */
+export function agendaEvents(favorites) {
+  const events = [];
+  for (const favorite of Object.values(favorites)) {
+    if (isISODate(favorite.plannedAt)) {
+      events.push({ key: `planned-${favorite.id}`, date: favorite.plannedAt, kind: "planned", favorite });
+    }
+    if (isISODate(favorite.released)) {
+      events.push({ key: `release-${favorite.id}`, date: favorite.released, kind: "release", favorite });
+    }
+  }
+  return events.sort((a, b) => a.date.localeCompare(b.date) || a.favorite.title.localeCompare(b.favorite.title));
+}
+
+// Agrupa por dia: Map "AAAA-MM-DD" → eventos
+export function eventsByDate(events) {
+  const map = new Map();
+  for (const event of events) map.set(event.date, [...(map.get(event.date) || []), event]);
+  return map;
+}
+
+// Planejado para um dia que já passou e ainda não marcado como assistido ("Já assistiu?")
+export const isOverdue = (favorite, today = todayISO()) =>
+  favorite.status !== "watched" && isISODate(favorite.plannedAt) && favorite.plannedAt < today;
+
+export const overduePlans = (favorites, today = todayISO()) =>
+  Object.values(favorites)
+    .filter((f) => isOverdue(f, today))
+    .sort((a, b) => a.plannedAt.localeCompare(b.plannedAt));
+
+// Estreias a partir de hoje
+export const upcomingReleases = (events, today = todayISO()) =>
+  events.filter((e) => e.kind === "release" && e.date >= today);
+
+// -----------------------
+// Exportação iCalendar
+// -----------------------
+
+// Texto de propriedade: barra, ponto e vírgula, vírgula e quebra de linha escapados
+const icsText = (value) =>
+  String(value).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+
+// Linhas com mais de 75 bytes continuam na seguinte, começando com espaço
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const bytes = encoder.encode(char).length;
+    if (size + bytes > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+const icsDate = (value) => value.replace(/-/g, "");
+
+/**
+ * Eventos → conteúdo do arquivo .ics. `now` (Date) vira o DTSTAMP de cada
+ * evento; o UID é estável, para que reimportar atualize em vez de duplicar.
+ */
+export function toICS(events, { now = new Date() } = {}) {
+  const stamp = now.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//CineBusca//Agenda//PT",
+    "CALSCALE:GREGORIAN",
+    `X-WR-CALNAME:${icsText(t("agenda.title"))}`,
+  ];
+  for (const { date, kind, favorite } of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${kind}-${favorite.id}@cinebusca`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(date)}`,
+      `DTEND;VALUE=DATE:${icsDate(addDays(date, 1))}`,
+      `SUMMARY:${icsText(t(`agenda.ics.${kind}`, { title: favorite.title }))}`,
+      `URL:https://www.imdb.com/title/${favorite.id}/`,
+      "END:VEVENT"
+    );
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
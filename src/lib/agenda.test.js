@@ -0,0 +1,112 @@
+import { describe, expect, it } from "vitest";
+import {
+  addMonths,
+  agendaEvents,
+  calendarDays,
+  eventsByDate,
+  isISODate,
+  overduePlans,
+  readAgendaQuery,
+  shiftAnchor,
+  toAgendaQuery,
+  toICS,
+  upcomingReleases,
+} from "./agenda.js";
+import { createFavorite } from "./favorites.js";
+
+const TODAY = "2026-10-19";
+
+const favorite = (id, title, fields = {}) => ({
+  ...createFavorite({ id, title, year: "2026", type: "movie" }),
+  ...fields,
+});
+
+const FAVORITES = {
+  tt1: favorite("tt1", "Duna: Parte Três", { plannedAt: "2026-10-24", detailsAt: "x", released: "2026-12-18" }),
+  tt2: favorite("tt2", "Cidade de Deus", { plannedAt: "2026-10-12" }),
+  tt3: favorite("tt3", "Central do Brasil", { plannedAt: "2026-10-05", status: "watched", watchedAt: "2026-10-05" }),
+  tt4: favorite("tt4", "Sem data"),
+};
+
+describe("datas", () => {
+  it("valida datas AAAA-MM-DD", () => {
+    expect(isISODate("2026-02-28")).toBe(true);
+    expect(isISODate("2026-02-31")).toBe(false);
+    expect(isISODate("19/10/2026")).toBe(false);
+    expect(isISODate(null)).toBe(false);
+  });
+
+  it("soma meses sem passar do fim do mês", () => {
+    expect(addMonths("2026-01-31", 1)).toBe("2026-02-28");
+    expect(addMonths("2026-01-15", -1)).toBe("2025-12-15");
+    expect(shiftAnchor(TODAY, "week", 1)).toBe("2026-10-26");
+    expect(shiftAnchor(TODAY, "month", -1)).toBe("2026-09-19");
+  });
+
+  it("monta semanas completas, de domingo a sábado", () => {
+    const month = calendarDays(TODAY, "month");
+    expect(month).toHaveLength(35);
+    expect(month[0]).toBe("2026-09-27");
+    expect(month[month.length - 1]).toBe("2026-10-31");
+    expect(calendarDays(TODAY, "week")).toEqual([
+      "2026-10-18",
+      "2026-10-19",
+      "2026-10-20",
+      "2026-10-21",
+      "2026-10-22",
+      "2026-10-23",
+      "2026-10-24",
+    ]);
+  });
+
+  it("guarda visão e período na query, omitindo os padrões", () => {
+    expect(readAgendaQuery({}, TODAY)).toEqual({ view: "month", date: TODAY });
+    expect(readAgendaQuery({ visao: "semana", data: "2026-02-31" }, TODAY)).toEqual({ view: "week", date: TODAY });
+    expect(toAgendaQuery({ view: "month", date: TODAY }, TODAY)).toEqual({ visao: "", data: "" });
+    expect(toAgendaQuery({ view: "week", date: "2026-11-02" }, TODAY)).toEqual({ visao: "semana", data: "2026-11-02" });
+  });
+});
+
+describe("eventos", () => {
+  it("junta datas planejadas e estreias em ordem", () => {
+    const events = agendaEvents(FAVORITES);
+    expect(events.map((e) => [e.date, e.kind, e.favorite.id])).toEqual([
+      ["2026-10-05", "planned", "tt3"],
+      ["2026-10-12", "planned", "tt2"],
+      ["2026-10-24", "planned", "tt1"],
+      ["2026-12-18", "release", "tt1"],
+    ]);
+    expect(eventsByDate(events).get("2026-10-24")).toHaveLength(1);
+    expect(upcomingReleases(events, TODAY).map((e) => e.favorite.id)).toEqual(["tt1"]);
+  });
+
+  it("pergunta só pelos planejados que passaram e não foram assistidos", () => {
+    expect(overduePlans(FAVORITES, TODAY).map((f) => f.id)).toEqual(["tt2"]);
+  });
+});
+
+describe("toICS", () => {
+  const now = new Date("2026-10-19T12:30:00.000Z");
+
+  it("gera eventos de dia inteiro com UID estável", () => {
+    const ics = toICS(agendaEvents({ tt1: FAVORITES.tt1 }), { now });
+    const lines = ics.split("\r\n");
+    expect(lines[0]).toBe("BEGIN:VCALENDAR");
+    expect(lines).toContain("UID:planned-tt1@cinebusca");
+    expect(lines).toContain("DTSTAMP:20261019T123000Z");
+    expect(lines).toContain("DTSTART;VALUE=DATE:20261024");
+    expect(lines).toContain("DTEND;VALUE=DATE:20261025");
+    expect(lines).toContain("SUMMARY:Assistir: Duna: Parte Três");
+    expect(lines).toContain("SUMMARY:Estreia: Duna: Parte Três");
+    expect(ics.endsWith("END:VCALENDAR\r\n")).toBe(true);
+  });
+
+  it("escapa o texto e dobra linhas longas", () => {
+    const long = favorite("tt5", `Vírgulas, pontos; e ${"ç".repeat(60)}`, { plannedAt: "2026-10-20" });
+    const lines = toICS(agendaEvents({ tt5: long }), { now }).split("\r\n");
+    const start = lines.findIndex((line) => line.startsWith("SUMMARY:"));
+    expect(lines[start]).toMatch(/^SUMMARY:Assistir: Vírgulas\\, pontos\\; e ç+$/);
+    expect(lines[start + 1].startsWith(" ")).toBe(true);
+    for (const line of lines) expect(new TextEncoder().encode(line).length).toBeLessThanOrEqual(75);
+  });
+});
@@ -0,0 +1,104 @@
+import { idbClear, idbDelete, idbGet, idbSet, openDb } from "./idb.js";
+
+/**
+ * Cache com TTL em dois níveis
+ * -------------------------------------------------------------
+ * 1) Memória (Map) — leitura instantânea durante a sessão
+ * 2) Persistente — IndexedDB (store "cache") ou, na falta dele, localStorage
+ *
+ * Cada entrada é salva como { value, expires }. Entradas vencidas são
+ * descartadas na leitura. Falhas de persistência nunca quebram a app:
+ * no pior caso o valor fica só em memória.
+ */
+
+const LS_PREFIX = "cinebusca:cache:";
+
+function lsGet(key) {
+  try {
+    const raw = window.localStorage.getItem(LS_PREFIX + key);
+    return raw ? JSON.parse(raw) : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+function lsSet(key, entry) {
+  try {
+    window.localStorage.setItem(LS_PREFIX + key, JSON.stringify(entry));
+  } catch {
+    // Cota estourada ou modo privado: mantém só em memória
+  }
+}
+
+function lsDelete(key) {
+  try {
+    window.localStorage.removeItem(LS_PREFIX + key);
+  } catch {
+    // ignorado: nada a remover
+  }
+}
+
+function lsClear() {
+  try {
+    Object.keys(window.localStorage)
+      .filter((k) => k.startsWith(LS_PREFIX))
+      .forEach((k) => window.localStorage.removeItem(k));
+  } catch {
+    // ignorado: localStorage indisponível
+  }
+}
+
+export function createCache({ ttl }) {
+  const memory = new Map();
+
+  const isFresh = (entry) => entry && entry.expires > Date.now();
+
+  async function get(key) {
+    const hit = memory.get(key);
+    if (isFresh(hit)) return hit.value;
+    memory.delete(key);
+
+    let entry;
+    try {
+      entry = (await openDb()) ? await idbGet("cache", key) : lsGet(key);
+    } catch {
+      entry = undefined;
+    }
+    if (!isFresh(entry)) return undefined;
+    memory.set(key, entry);
+    return entry.value;
+  }
+
+  async function set(key, value) {
+    const entry = { value, expires: Date.now() + ttl };
+    memory.set(key, entry);
+    try {
+      if (await openDb()) await idbSet("cache", key, entry);
+      else lsSet(key, entry);
+    } catch {
+      // Persistência falhou; a cópia em memória continua valendo
+    }
+  }
+
+  async function remove(key) {
+    memory.delete(key);
+    try {
+      if (await openDb()) await idbDelete("cache", key);
+      else lsDelete(key);
+    } catch {
+      // ignorado
+    }
+  }
+
+  async function clear() {
+    memory.clear();
+    try {
+      if (await openDb()) await idbClear("cache");
+      lsClear();
+    } catch {
+      // ignorado
+    }
+  }
+
+  return { get, set, remove, clear };
+}
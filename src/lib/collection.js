@@ -0,0 +1,148 @@
+import { getLocale } from "./i18n.js";
+import { parseYearSpan } from "./search.js";
+import { splitNames } from "./ratings.js";
+import { fold } from "./text.js";
+
+/**
+ * Ordenação, filtros e busca textual sobre a lista de favoritos
+ * -------------------------------------------------------------
+ * O estado fica na URL (#/favoritos?ordem=ano&dir=desc&tipo=movie&decada=1990&genero=Drama&q=…)
+ * para que uma visão filtrada possa ir para os favoritos do navegador.
+ * Os filtros pessoa/pais/idioma não têm controle próprio: chegam pelos links
+ * das estatísticas e aparecem como etiquetas removíveis.
+ */
+
+export const SORT_OPTIONS = [
+  { value: "adicionado", labelKey: "sort.added" },
+  { value: "titulo", labelKey: "sort.title" },
+  { value: "ano", labelKey: "sort.year" },
+  { value: "imdb", labelKey: "sort.imdb" },
+  { value: "nota", labelKey: "sort.score" },
+];
+
+export const DEFAULT_VIEW = {
+  sort: "adicionado",
+  dir: "desc",
+  type: "",
+  decade: "",
+  genre: "",
+  person: "",
+  country: "",
+  language: "",
+  q: "",
+};
+
+// Filtros que restringem a lista (tudo menos a ordenação)
+export const FILTER_FIELDS = ["type", "decade", "genre", "person", "country", "language", "q"];
+
+const startYear = (fav) => {
+  const span = parseYearSpan(fav.year);
+  return span ? span[0] : null;
+};
+
+// 1994 → 1990
+export function decadeOf(fav) {
+  const year = startYear(fav);
+  return year === null ? null : Math.floor(year / 10) * 10;
+}
+
+// "Drama, Crime" → ["Drama", "Crime"]
+export const listOf = (value) =>
+  (value || "")
+    .split(",")
+    .map((g) => g.trim())
+    .filter(Boolean);
+
+export const genresOf = (fav) => listOf(fav.genre);
+
+// Direção, roteiro e elenco juntos, sem repetição
+export const peopleOf = (fav) => [...new Set([fav.director, fav.writer, fav.actors].flatMap(splitNames))];
+
+// Opções disponíveis nos filtros, derivadas da própria coleção
+export function collectionFacets(list) {
+  const types = new Set();
+  const decades = new Set();
+  const genres = new Set();
+  for (const fav of list) {
+    if (fav.type) types.add(fav.type);
+    const decade = decadeOf(fav);
+    if (decade !== null) decades.add(decade);
+    genresOf(fav).forEach((g) => genres.add(g));
+  }
+  return {
+    types: [...types].sort(),
+    decades: [...decades].sort((a, b) => a - b),
+    genres: [...genres].sort((a, b) => a.localeCompare(b, getLocale())),
+  };
+}
+
+export function filterFavorites(list, { type, decade, genre, person, country, language, q }) {
+  const needle = fold(q).trim();
+  const who = fold(person || "");
+  return list.filter((fav) => {
+    if (type && fav.type !== type) return false;
+    if (decade && decadeOf(fav) !== Number(decade)) return false;
+    if (genre && !genresOf(fav).includes(genre)) return false;
+    if (who && !peopleOf(fav).some((name) => fold(name) === who)) return false;
+    if (country && !listOf(fav.country).includes(country)) return false;
+    if (language && !listOf(fav.language).includes(language)) return false;
+    if (needle) {
+      const haystack = fold([fav.title, fav.year, fav.note, fav.director, fav.actors, ...fav.tags].join(" "));
+      if (!haystack.includes(needle)) return false;
+    }
+    return true;
+  });
+}
+
+// Valores ausentes (sem nota, sem ano) vão sempre para o fim, em qualquer direção
+export function sortFavorites(list, sort, dir) {
+  const key = {
+    titulo: (f) => f.title || "",
+    ano: startYear,
+    imdb: (f) => f.rating,
+    nota: (f) => f.score,
+    adicionado: (f) => f.addedAt || "",
+  }[sort] || ((f) => f.addedAt || "");
+  const sign = dir === "asc" ? 1 : -1;
+
+  return [...list].sort((a, b) => {
+    const ka = key(a);
+    const kb = key(b);
+    if (ka === null || ka === undefined) return kb === null || kb === undefined ? 0 : 1;
+    if (kb === null || kb === undefined) return -1;
+    const cmp = typeof ka === "string" ? ka.localeCompare(kb, getLocale()) : ka - kb;
+    return cmp * sign;
+  });
+}
+
+// -----------------------
+// Estado da visão ⇄ query string
+// -----------------------
+export function readCollectionQuery(query = {}) {
+  const sort = SORT_OPTIONS.some((o) => o.value === query.ordem) ? query.ordem : DEFAULT_VIEW.sort;
+  return {
+    sort,
+    dir: query.dir === "asc" || query.dir === "desc" ? query.dir : DEFAULT_VIEW.dir,
+    type: query.tipo || "",
+    decade: /^\d{4}$/.test(query.decada || "") ? query.decada : "",
+    genre: query.genero || "",
+    person: query.pessoa || "",
+    country: query.pais || "",
+    language: query.idioma || "",
+    q: query.q || "",
+  };
+}
+
+export function toCollectionQuery(view) {
+  return {
+    ordem: view.sort === DEFAULT_VIEW.sort ? "" : view.sort,
+    dir: view.dir === DEFAULT_VIEW.dir ? "" : view.dir,
+    tipo: view.type,
+    decada: view.decade,
+    genero: view.genre,
+    pessoa: view.person,
+    pais: view.country,
+    idioma: view.language,
+    q: view.q,
+  };
+}
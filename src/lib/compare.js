@@ -0,0 +1,103 @@
+import { formatBoxOffice, formatRuntime, normalizeRatings, splitNames } from "./ratings.js";
+import { t } from "./i18n.js";
+import { toSummary } from "./model.js";
+import { fromOmdbSummary } from "./providers/omdb.js";
+import { fold } from "./text.js";
+
+/**
+ * Comparação lado a lado (#/comparar/id1,id2,…)
+ * -------------------------------------------------------------
+ * A bandeja de comparação guarda de 2 a 4 títulos (resumo, como nas listas).
+ * `compareRows` alinha os campos dos títulos completos (lib/model.js) em linhas e
+ * marca as que diferem; `sharedNames` aponta quem da equipe/elenco aparece em
+ * mais de um título.
+ */
+
+export const MIN_COMPARE = 2;
+export const MAX_COMPARE = 4;
+
+export const COMPARE_KEY = "omdbCompare";
+
+// Campos com nomes de pessoas (comparados nome a nome)
+export const PEOPLE_FIELDS = ["director", "writer", "actors"];
+
+const FIELDS = [
+  { key: "year", labelKey: "field.year" },
+  { key: "runtime", labelKey: "field.runtime", format: formatRuntime },
+  { key: "rated", labelKey: "field.rated" },
+  { key: "genre", labelKey: "field.genre" },
+  { key: "boxOffice", labelKey: "field.boxOffice", format: formatBoxOffice },
+  { key: "awards", labelKey: "field.awards" },
+  { key: "director", labelKey: "field.director" },
+  { key: "writer", labelKey: "field.writer" },
+  { key: "actors", labelKey: "field.actors" },
+  { key: "country", labelKey: "field.country" },
+  { key: "language", labelKey: "field.language" },
+];
+
+const clean = (value) => (value ? String(value) : "");
+
+// Adiciona ou remove um título da bandeja; acima do limite, nada muda
+export function toggleCompare(tray, movie) {
+  if (tray.some((m) => m.id === movie.id)) return tray.filter((m) => m.id !== movie.id);
+  if (tray.length >= MAX_COMPARE) return tray;
+  return [...tray, toSummary(movie)];
+}
+
+// Bandeja salva (sem versão): itens antigos usavam os nomes da OMDb (imdbID, Title…)
+export function migrateCompareTray(stored) {
+  if (!Array.isArray(stored)) return [];
+  return stored
+    .filter((m) => m && (m.id || m.imdbID))
+    .map((m) => (m.imdbID ? fromOmdbSummary(m) : m))
+    .slice(0, MAX_COMPARE);
+}
+
+// IDs vindos da URL: sem repetições e no máximo MAX_COMPARE
+export function normalizeCompareIds(ids = []) {
+  return [...new Set(ids.map((id) => id.trim()).filter(Boolean))].slice(0, MAX_COMPARE);
+}
+
+const differs = (values) => new Set(values.map((v) => fold(v))).size > 1;
+
+/**
+ * Linhas da tabela: [{ key, label, values, differs, people }].
+ * As avaliações viram uma linha por fonte, com o score 0–100 em `scores`.
+ */
+export function compareRows(records) {
+  const rows = FIELDS.map(({ key, labelKey, format = clean }) => {
+    const values = records.map((r) => format(r[key]));
+    return { key, label: t(labelKey), values, differs: differs(values), people: PEOPLE_FIELDS.includes(key) };
+  });
+
+  const ratings = records.map((r) => normalizeRatings(r));
+  const sources = [];
+  for (const list of ratings) {
+    for (const r of list) if (!sources.some((s) => s.source === r.source)) sources.push(r);
+  }
+  const ratingRows = sources.map(({ source, label }) => {
+    const found = ratings.map((list) => list.find((r) => r.source === source));
+    const values = found.map((r) => (r ? r.value : ""));
+    return {
+      key: `rating:${source}`,
+      label,
+      values,
+      scores: found.map((r) => (r ? r.score : null)),
+      differs: differs(values),
+      people: false,
+    };
+  });
+
+  // Avaliações logo depois da duração
+  return [...rows.slice(0, 2), ...ratingRows, ...rows.slice(2)];
+}
+
+// Nomes (comparados sem acento/caixa) que aparecem em 2+ títulos, em qualquer função
+export function sharedNames(records) {
+  const count = new Map();
+  for (const r of records) {
+    const names = new Set(PEOPLE_FIELDS.flatMap((f) => splitNames(r[f])).map(fold));
+    for (const n of names) count.set(n, (count.get(n) || 0) + 1);
+  }
+  return new Set([...count].filter(([, n]) => n > 1).map(([name]) => name));
+}
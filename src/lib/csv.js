@@ -0,0 +1,66 @@
+/**
+ * CSV mínimo (RFC 4180): aspas, aspas duplicadas, quebras de linha dentro de
+ * campos, CRLF e BOM. Suficiente para as exportações do Letterboxd e do IMDb.
+ */
+
+// Texto → array de linhas (cada linha é um array de campos)
+export function parseCsvRows(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Ignora linhas totalmente vazias
+  return rows.filter((r) => r.some((f) => f.trim() !== ""));
+}
+
+// Texto → { headers, records } com cada registro indexado pelo cabeçalho
+export function parseCsv(text) {
+  const [headers = [], ...rows] = parseCsvRows(text);
+  const names = headers.map((h) => h.trim());
+  const records = rows.map((r) => Object.fromEntries(names.map((h, i) => [h, (r[i] || "").trim()])));
+  return { headers: names, records };
+}
+
+const escapeField = (value) => {
+  const s = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// columns: [{ header, value: (row) => … }]
+export function toCsv(rows, columns) {
+  const lines = [columns.map((c) => escapeField(c.header)).join(",")];
+  for (const row of rows) lines.push(columns.map((c) => escapeField(c.value(row))).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
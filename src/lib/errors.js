@@ -0,0 +1,47 @@
+import { t } from "./i18n.js";
+
+/**
+ * Erros dos provedores de metadados
+ * -------------------------------------------------------------
+ * Todo provedor (lib/providers/) lança ProviderError com um ErrorKind, para
+ * que a interface trate "chave inválida", "sem cota", "não encontrado" etc.
+ * sem conhecer o formato de erro de cada API.
+ */
+
+export const ErrorKind = {
+  INVALID_KEY: "invalid-key",
+  LIMIT: "limit",
+  NOT_FOUND: "not-found",
+  TOO_MANY: "too-many",
+  NETWORK: "network",
+  ABORTED: "aborted",
+  UNKNOWN: "unknown",
+};
+
+export class ProviderError extends Error {
+  constructor(kind, message) {
+    super(message);
+    this.name = "ProviderError";
+    this.kind = kind;
+  }
+}
+
+export const isAbortError = (err) => err instanceof ProviderError && err.kind === ErrorKind.ABORTED;
+
+export const abortError = () => new ProviderError(ErrorKind.ABORTED, t("error.aborted"));
+
+// Mensagens amigáveis por tipo de erro (chaves do catálogo de mensagens)
+const MESSAGES = {
+  [ErrorKind.INVALID_KEY]: "error.invalidKey",
+  [ErrorKind.LIMIT]: "error.limit",
+  [ErrorKind.NOT_FOUND]: "error.notFound",
+  [ErrorKind.TOO_MANY]: "error.tooMany",
+  [ErrorKind.NETWORK]: "error.network",
+};
+
+export function errorMessage(err) {
+  const offline = typeof navigator !== "undefined" && navigator.onLine === false;
+  if (err instanceof ProviderError && err.kind === ErrorKind.NETWORK && offline) return t("error.offline");
+  if (err instanceof ProviderError && MESSAGES[err.kind]) return t(MESSAGES[err.kind]);
+  return (err && err.message) || t("error.unexpected");
+}
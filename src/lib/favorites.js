@@ -0,0 +1,220 @@
+import { fromOmdbTitle } from "./providers/omdb.js";
+
+/**
+ * Modelo dos favoritos (coleção pessoal)
+ * -------------------------------------------------------------
+ * Em memória os favoritos são um map id → registro. No localStorage
+ * ("omdbFavorites") o map vai embrulhado com a versão do formato:
+ *
+ *   { version: 4, items: { tt0133093: { id, title, …, score, note, … } } }
+ *
+ * Versões:
+ *   1 — map cru { imdbID: { imdbID, Title, Year, Poster, Type } } (sem envelope)
+ *   2 — registro com nota pessoal, anotação, status, data em que assistiu,
+ *       tags e data em que foi adicionado
+ *   3 — campos do título no modelo interno (lib/model.js) em vez dos nomes
+ *       da OMDb: id, title, year, type, poster; detalhes como rating e
+ *       runtime viram números
+ *   4 — data planejada para assistir (`plannedAt`, "AAAA-MM-DD" ou null),
+ *       usada pela agenda (#/agenda)
+ *
+ * Campos de detalhes (genre, rating, director…) são opcionais: chegam
+ * quando o título é aberto em DetailsView ou são buscados sob demanda.
+ * `detailsAt` marca quando foram obtidos.
+ */
+
+export const FAVORITES_KEY = "omdbFavorites";
+export const FAVORITES_VERSION = 4;
+
+export const STATUS_OPTIONS = [
+  { value: "want", labelKey: "status.want" },
+  { value: "watched", labelKey: "status.watched" },
+];
+
+// Campos do título completo guardados junto com o favorito
+export const DETAIL_FIELDS = [
+  "genre",
+  "rating",
+  "runtime",
+  "director",
+  "writer",
+  "actors",
+  "country",
+  "language",
+  "released",
+];
+
+// Campos numéricos ficam null quando ausentes; os de texto, ""
+const NUMERIC_DETAILS = ["rating", "runtime"];
+const detailValue = (field, value) => value ?? (NUMERIC_DETAILS.includes(field) ? null : "");
+
+// Extrai os campos de detalhes de um título completo
+export function pickDetails(title) {
+  const out = { detailsAt: new Date().toISOString() };
+  for (const field of DETAIL_FIELDS) out[field] = detailValue(field, title[field]);
+  return out;
+}
+
+export const hasDetails = (entry) => Boolean(entry.detailsAt);
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Data "AAAA-MM-DD" (como vem de <input type="date">) ou null
+const dateOrNull = (value) => (/^\d{4}-\d{2}-\d{2}$/.test(value || "") ? value : null);
+
+// Nota pessoal inteira de 1 a 10 (ou null)
+export function clampScore(value) {
+  const n = Math.round(Number(value));
+  if (!value || Number.isNaN(n)) return null;
+  return Math.min(10, Math.max(1, n));
+}
+
+// Remove espaços e duplicatas (sem diferenciar maiúsculas)
+export function normalizeTags(tags) {
+  const seen = new Set();
+  const out = [];
+  for (const raw of tags || []) {
+    const tag = String(raw).trim();
+    if (!tag || seen.has(tag.toLowerCase())) continue;
+    seen.add(tag.toLowerCase());
+    out.push(tag);
+  }
+  return out;
+}
+
+// Garante todos os campos do registro v4, preservando o que já existir
+export function normalizeFavorite(entry, fallbackAddedAt = new Date().toISOString()) {
+  const status = entry.status === "watched" ? "watched" : "want";
+  const details = {};
+  if (entry.detailsAt) {
+    details.detailsAt = entry.detailsAt;
+    for (const field of DETAIL_FIELDS) details[field] = detailValue(field, entry[field]);
+  }
+  return {
+    ...details,
+    id: entry.id,
+    title: entry.title || "",
+    year: entry.year || "",
+    type: entry.type || "",
+    poster: entry.poster || "",
+    addedAt: entry.addedAt || fallbackAddedAt,
+    score: clampScore(entry.score),
+    note: typeof entry.note === "string" ? entry.note : "",
+    status,
+    watchedAt: status === "watched" ? entry.watchedAt || null : null,
+    plannedAt: dateOrNull(entry.plannedAt),
+    tags: normalizeTags(entry.tags),
+  };
+}
+
+// Novo favorito a partir de um resultado da busca ou dos detalhes.
+// Vindo de DetailsView (título completo), já guarda os campos de detalhes.
+export const createFavorite = (movie) =>
+  normalizeFavorite(movie.genre !== undefined ? { ...movie, ...pickDetails(movie) } : movie);
+
+// Aplica uma alteração parcial mantendo as regras do modelo
+export function updateFavorite(entry, patch) {
+  const next = { ...entry, ...patch };
+  // Marcar como assistido sem data assume hoje
+  if (patch.status === "watched" && !next.watchedAt) next.watchedAt = today();
+  return normalizeFavorite(next, entry.addedAt);
+}
+
+/**
+ * Junta dois registros do mesmo título sem perder dados pessoais:
+ * o que já existe tem prioridade, campos vazios (inclusive os de detalhes)
+ * são preenchidos pelo outro, tags são unidas e "assistido" prevalece.
+ */
+export function mergeFavorite(current, incoming) {
+  if (!current) return normalizeFavorite(incoming);
+  if (!incoming) return current;
+  const watched = current.status === "watched" || incoming.status === "watched";
+  const dates = [current.addedAt, incoming.addedAt].filter(Boolean).sort();
+  return normalizeFavorite(
+    {
+      ...incoming,
+      ...current,
+      poster: current.poster || incoming.poster,
+      addedAt: dates[0],
+      score: current.score ?? incoming.score,
+      note: current.note || incoming.note,
+      status: watched ? "watched" : "want",
+      watchedAt: current.watchedAt || incoming.watchedAt,
+      plannedAt: current.plannedAt || incoming.plannedAt,
+      tags: [...(current.tags || []), ...(incoming.tags || [])],
+    },
+    dates[0]
+  );
+}
+
+export function mergeFavorites(current, incoming) {
+  const next = { ...current };
+  for (const [id, entry] of Object.entries(incoming)) next[id] = mergeFavorite(current[id], entry);
+  return next;
+}
+
+// Cada migração recebe o map da versão N e devolve o da versão N + 1
+const MIGRATIONS = {
+  1: (items) => {
+    // Sem data de inclusão conhecida: usa a data da migração. Os campos
+    // pessoais que faltarem são completados por normalizeFavorite na v3.
+    const now = new Date().toISOString();
+    return Object.fromEntries(
+      Object.values(items)
+        .filter((e) => e && e.imdbID)
+        .map((e) => [e.imdbID, { ...e, addedAt: e.addedAt || now }])
+    );
+  },
+  2: (items) => {
+    // Campos da OMDb (Title, imdbRating "8.8", Runtime "148 min"…) → modelo interno
+    return Object.fromEntries(
+      Object.values(items)
+        .filter((e) => e && e.imdbID)
+        .map((e) => {
+          const title = fromOmdbTitle(e);
+          const details = e.detailsAt ? { ...pickDetails(title), detailsAt: e.detailsAt } : {};
+          const { addedAt, score, note, status, watchedAt, tags } = e;
+          const entry = { ...title, ...details, addedAt, score, note, status, watchedAt, tags };
+          return [e.imdbID, normalizeFavorite(entry, addedAt)];
+        })
+    );
+  },
+  // Só acrescenta plannedAt (null) aos registros existentes
+  3: (items) =>
+    Object.fromEntries(
+      Object.values(items)
+        .filter((e) => e && e.id)
+        .map((e) => [e.id, normalizeFavorite(e, e.addedAt)])
+    ),
+};
+
+/**
+ * Lê qualquer versão salva e devolve o map atual. Dados irreconhecíveis ou de
+ * uma versão sem migração conhecida (de uma versão mais nova do app, por
+ * exemplo) lançam erro em vez de virar uma coleção vazia: quem lê trata como
+ * corrompido e guarda a cópia.
+ */
+export function migrateFavorites(stored) {
+  if (!stored || typeof stored !== "object" || Array.isArray(stored)) {
+    throw new Error("Favoritos em formato irreconhecível");
+  }
+
+  const wrapped = typeof stored.version === "number" && stored.items && typeof stored.items === "object";
+  let version = wrapped ? stored.version : 1;
+  let items = wrapped ? stored.items : stored;
+  // Sem envelope só existe a v1, onde todo registro tem imdbID
+  if (!wrapped && Object.values(items).some((e) => !e || !e.imdbID)) {
+    throw new Error("Favoritos em formato irreconhecível");
+  }
+  if (version !== FAVORITES_VERSION && !MIGRATIONS[version]) {
+    throw new Error(`Versão ${version} dos favoritos não suportada`);
+  }
+
+  while (version < FAVORITES_VERSION) {
+    items = MIGRATIONS[version](items);
+    version++;
+  }
+  return items;
+}
+
+export const serializeFavorites = (items) => ({ version: FAVORITES_VERSION, items });
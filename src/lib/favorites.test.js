@@ -0,0 +1,214 @@
+import { describe, expect, it } from "vitest";
+import {
+  FAVORITES_VERSION,
+  createFavorite,
+  mergeFavorite,
+  migrateFavorites,
+  serializeFavorites,
+  updateFavorite,
+} from "./favorites.js";
+import { fromOmdbTitle } from "./providers/omdb.js";
+import fixtures from "../test/fixtures/omdb.json";
+
+/**
+ * Rede de segurança do formato salvo em "omdbFavorites": amostras de cada
+ * versão já publicada precisam continuar abrindo. Ao mudar o formato, suba
+ * FAVORITES_VERSION, acrescente a migração e uma amostra nova aqui — nunca
+ * altere as antigas.
+ */
+
+const V1 = {
+  tt0133093: {
+    imdbID: "tt0133093",
+    Title: "The Matrix",
+    Year: "1999",
+    Type: "movie",
+    Poster: "https://example.com/matrix.jpg",
+  },
+  tt0317248: { imdbID: "tt0317248", Title: "Cidade de Deus", Year: "2002", Type: "movie", Poster: "N/A" },
+};
+
+const V2 = {
+  version: 2,
+  items: {
+    tt0133093: {
+      imdbID: "tt0133093",
+      Title: "The Matrix",
+      Year: "1999",
+      Type: "movie",
+      Poster: "https://example.com/matrix.jpg",
+      addedAt: "2024-05-01T10:00:00.000Z",
+      score: 9,
+      note: "Rever no cinema",
+      status: "watched",
+      watchedAt: "2024-05-02",
+      tags: ["sci-fi", "Sci-Fi", " clássico "],
+      detailsAt: "2024-05-01T10:00:05.000Z",
+      Genre: "Action, Sci-Fi",
+      imdbRating: "8.7",
+      Runtime: "136 min",
+      Director: "Lana Wachowski, Lilly Wachowski",
+      Released: "31 Mar 1999",
+    },
+    tt0903747: {
+      imdbID: "tt0903747",
+      Title: "Breaking Bad",
+      Year: "2008–2013",
+      Type: "series",
+      Poster: "N/A",
+      addedAt: "2024-06-01T10:00:00.000Z",
+      score: null,
+      note: "",
+      status: "want",
+      watchedAt: null,
+      tags: [],
+    },
+  },
+};
+
+const V3 = {
+  version: 3,
+  items: {
+    tt0133093: {
+      detailsAt: "2024-05-01T10:00:05.000Z",
+      genre: "Action, Sci-Fi",
+      rating: 8.7,
+      runtime: 136,
+      director: "Lana Wachowski, Lilly Wachowski",
+      writer: "",
+      actors: "",
+      country: "",
+      language: "",
+      released: "1999-03-31",
+      id: "tt0133093",
+      title: "The Matrix",
+      year: "1999",
+      type: "movie",
+      poster: "https://example.com/matrix.jpg",
+      addedAt: "2024-05-01T10:00:00.000Z",
+      score: 9,
+      note: "Rever no cinema",
+      status: "watched",
+      watchedAt: "2024-05-02",
+      tags: ["sci-fi", "clássico"],
+    },
+  },
+};
+
+const V4 = {
+  version: 4,
+  items: {
+    tt0133093: { ...V3.items.tt0133093, plannedAt: null },
+    tt0903747: {
+      id: "tt0903747",
+      title: "Breaking Bad",
+      year: "2008–2013",
+      type: "series",
+      poster: "",
+      addedAt: "2024-06-01T10:00:00.000Z",
+      score: null,
+      note: "",
+      status: "want",
+      watchedAt: null,
+      plannedAt: "2024-07-01",
+      tags: [],
+    },
+  },
+};
+
+describe("migrateFavorites", () => {
+  it("abre a versão atual sem alterações", () => {
+    expect(FAVORITES_VERSION).toBe(4);
+    expect(migrateFavorites(V4)).toEqual(V4.items);
+  });
+
+  it("migra a v3 sem data planejada", () => {
+    expect(migrateFavorites(V3)).toEqual({ tt0133093: V4.items.tt0133093 });
+  });
+
+  it("migra a v2 para o modelo interno sem perder dados pessoais", () => {
+    const items = migrateFavorites(V2);
+    expect(items.tt0133093).toEqual(V4.items.tt0133093);
+    expect(items.tt0903747).toEqual({
+      id: "tt0903747",
+      title: "Breaking Bad",
+      year: "2008–2013",
+      type: "series",
+      poster: "",
+      addedAt: "2024-06-01T10:00:00.000Z",
+      score: null,
+      note: "",
+      status: "want",
+      watchedAt: null,
+      plannedAt: null,
+      tags: [],
+    });
+  });
+
+  it("migra a v1 (map cru da OMDb, sem envelope)", () => {
+    const items = migrateFavorites(V1);
+    expect(Object.keys(items)).toEqual(["tt0133093", "tt0317248"]);
+    expect(items.tt0317248).toMatchObject({
+      id: "tt0317248",
+      title: "Cidade de Deus",
+      poster: "",
+      score: null,
+      note: "",
+      status: "want",
+      tags: [],
+    });
+    expect(Date.parse(items.tt0317248.addedAt)).not.toBeNaN();
+    expect(items.tt0133093).not.toHaveProperty("detailsAt");
+  });
+
+  it("recusa dados irreconhecíveis em vez de devolver uma coleção vazia", () => {
+    expect(() => migrateFavorites(null)).toThrow();
+    expect(() => migrateFavorites("texto")).toThrow();
+    expect(() => migrateFavorites([V4.items.tt0133093])).toThrow();
+    expect(() => migrateFavorites({ lixo: { semId: true } })).toThrow();
+    expect(migrateFavorites({})).toEqual({});
+  });
+
+  it("recusa versões sem migração conhecida", () => {
+    expect(() => migrateFavorites({ version: FAVORITES_VERSION + 1, items: V4.items })).toThrow();
+    expect(() => migrateFavorites({ version: 0, items: V4.items })).toThrow();
+  });
+
+  it("salva no envelope da versão atual e lê de volta igual", () => {
+    const items = migrateFavorites(V2);
+    const saved = JSON.parse(JSON.stringify(serializeFavorites(items)));
+    expect(saved.version).toBe(FAVORITES_VERSION);
+    expect(migrateFavorites(saved)).toEqual(items);
+  });
+});
+
+describe("registro de favorito", () => {
+  it("guarda os detalhes quando vem do título completo", () => {
+    const fav = createFavorite(fromOmdbTitle(fixtures.titles.tt0133093));
+    expect(fav).toMatchObject({ id: "tt0133093", genre: "Action, Sci-Fi", rating: 8.7, runtime: 136, status: "want" });
+    expect(fav.detailsAt).toBeTruthy();
+    expect(fav).not.toHaveProperty("plot");
+  });
+
+  it("marcar como assistido sem data assume hoje", () => {
+    const fav = updateFavorite(createFavorite({ id: "tt1", title: "X" }), { status: "watched", score: 14 });
+    expect(fav.watchedAt).toBe(new Date().toISOString().slice(0, 10));
+    expect(fav.score).toBe(10);
+  });
+
+  it("junta dois registros preservando os dados pessoais", () => {
+    const current = { ...V3.items.tt0133093, note: "", tags: ["favorito"], status: "want", watchedAt: null };
+    const merged = mergeFavorite(current, V3.items.tt0133093);
+    expect(merged).toMatchObject({ note: "Rever no cinema", status: "watched", watchedAt: "2024-05-02" });
+    expect(merged.tags).toEqual(["favorito", "sci-fi", "clássico"]);
+  });
+
+  it("aceita só datas planejadas no formato AAAA-MM-DD", () => {
+    const fav = createFavorite({ id: "tt1", title: "X" });
+    expect(fav.plannedAt).toBeNull();
+    expect(updateFavorite(fav, { plannedAt: "2026-10-24" }).plannedAt).toBe("2026-10-24");
+    expect(updateFavorite(fav, { plannedAt: "amanhã" }).plannedAt).toBeNull();
+    const unplanned = { ...V4.items.tt0903747, plannedAt: null };
+    expect(mergeFavorite(unplanned, V4.items.tt0903747).plannedAt).toBe("2024-07-01");
+  });
+});
@@ -0,0 +1,79 @@
+import { t } from "./i18n.js";
+import { toSummary } from "./model.js";
+import { fromOmdbSummary } from "./providers/omdb.js";
+import { TYPE_OPTIONS, normalizeFilters } from "./search.js";
+import { fold } from "./text.js";
+
+/**
+ * Histórico local (#/historico)
+ * -------------------------------------------------------------
+ * Guardado em "omdbHistory" como { version: 2, views: [...], searches: [...] },
+ * sempre do mais recente para o mais antigo:
+ *
+ *   views:    { id, title, year, type, poster, at }   — páginas de detalhes abertas
+ *   searches: { term, filters, at }                   — buscas enviadas pelo formulário
+ *
+ * Na versão 1 as visualizações usavam os nomes da OMDb (imdbID, Title…).
+ *
+ * Repetir um título ou uma busca move a entrada para o topo em vez de
+ * duplicá-la; acima de MAX_VIEWS / MAX_SEARCHES as mais antigas saem.
+ * Todas as funções são puras: recebem o histórico e devolvem um novo.
+ */
+
+export const HISTORY_KEY = "omdbHistory";
+export const HISTORY_VERSION = 2;
+
+export const MAX_VIEWS = 50;
+export const MAX_SEARCHES = 20;
+
+export const emptyHistory = () => ({ views: [], searches: [] });
+
+// Mesma busca = mesmo termo (sem acentos/caixa) e mesmos filtros
+export const searchKey = ({ term, filters }) => JSON.stringify([fold(term).trim(), normalizeFilters(filters)]);
+
+// "Séries • 1999–2004": filtros de uma busca salva, exibidos ao lado do termo
+export function describeFilters(filters) {
+  const type = TYPE_OPTIONS.find((o) => o.value === filters.type);
+  const range = filters.yearFrom || filters.yearTo ? `${filters.yearFrom || "…"}–${filters.yearTo || "…"}` : "";
+  return [type && t(type.labelKey), filters.year || range].filter(Boolean).join(" • ");
+}
+
+export function recordView(history, movie, at = new Date().toISOString()) {
+  const views = [{ ...toSummary(movie), at }, ...history.views.filter((v) => v.id !== movie.id)];
+  return { ...history, views: views.slice(0, MAX_VIEWS) };
+}
+
+export function recordSearch(history, { term, filters }, at = new Date().toISOString()) {
+  const entry = { term: term.trim(), filters: normalizeFilters(filters), at };
+  if (!entry.term) return history;
+  const key = searchKey(entry);
+  const searches = [entry, ...history.searches.filter((s) => searchKey(s) !== key)];
+  return { ...history, searches: searches.slice(0, MAX_SEARCHES) };
+}
+
+export const removeView = (history, id) => ({
+  ...history,
+  views: history.views.filter((v) => v.id !== id),
+});
+
+export const removeSearch = (history, entry) => ({
+  ...history,
+  searches: history.searches.filter((s) => searchKey(s) !== searchKey(entry)),
+});
+
+// Visualizações da versão 1 (imdbID, Title…) viram o resumo do modelo
+const migrateView = (view) => (view.imdbID ? { ...fromOmdbSummary(view), at: view.at } : view);
+
+export function migrateHistory(stored) {
+  if (!stored || typeof stored !== "object") return emptyHistory();
+  const views = Array.isArray(stored.views) ? stored.views.filter(Boolean).map(migrateView) : [];
+  const valid = views.filter((v) => v.id && v.title);
+  const searches = Array.isArray(stored.searches)
+    ? stored.searches
+        .filter((s) => s && typeof s.term === "string" && s.term.trim())
+        .map((s) => ({ term: s.term.trim(), filters: normalizeFilters(s.filters), at: s.at || "" }))
+    : [];
+  return { views: valid.slice(0, MAX_VIEWS), searches: searches.slice(0, MAX_SEARCHES) };
+}
+
+export const serializeHistory = (history) => ({ version: HISTORY_VERSION, ...history });
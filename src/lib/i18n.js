@@ -0,0 +1,84 @@
+import ptBR from "../locales/pt-BR.js";
+import enUS from "../locales/en-US.js";
+
+/**
+ * Internacionalização
+ * -------------------------------------------------------------
+ * - Catálogos em src/locales/<locale>.js: chaves planas ("nav.search") →
+ *   texto. Um texto pode ter variáveis ({count}, {title}) e formas de plural
+ *   ({ one: "…", other: "…" }, escolhidas por Intl.PluralRules com `count`).
+ * - O idioma ativo é um estado do módulo: App chama setLocale() a cada render
+ *   com o valor das configurações, e tanto componentes quanto módulos de
+ *   lib/ (mensagens de erro, rótulos) usam t() diretamente.
+ * - Chave ausente no idioma ativo cai no pt-BR; ausente em ambos, aparece a
+ *   própria chave (fácil de notar durante o desenvolvimento).
+ * - Textos vindos da OMDb (Plot, Genre…) não passam por aqui.
+ */
+
+export const DEFAULT_LOCALE = "pt-BR";
+
+export const LOCALES = [
+  { value: "pt-BR", label: "Português (Brasil)" },
+  { value: "en-US", label: "English (US)" },
+];
+
+const CATALOGS = { "pt-BR": ptBR, "en-US": enUS };
+
+let active = DEFAULT_LOCALE;
+
+export const isLocale = (value) => Object.hasOwn(CATALOGS, value);
+
+export function setLocale(locale) {
+  active = isLocale(locale) ? locale : DEFAULT_LOCALE;
+}
+
+export const getLocale = () => active;
+
+// Locale preferido do navegador, se houver catálogo para ele
+export function detectLocale(languages = typeof navigator !== "undefined" ? navigator.languages || [] : []) {
+  for (const lang of languages) {
+    if (isLocale(lang)) return lang;
+    const base = LOCALES.find((l) => l.value.split("-")[0] === String(lang).split("-")[0]);
+    if (base) return base.value;
+  }
+  return DEFAULT_LOCALE;
+}
+
+const pluralRules = {};
+const pluralOf = (locale, count) =>
+  (pluralRules[locale] ||= new Intl.PluralRules(locale)).select(Number(count) || 0);
+
+export function formatNumber(value, options) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n.toLocaleString(active, options) : String(value ?? "");
+}
+
+// Aceita Date ou "AAAA-MM-DD" (interpretado como data local, sem fuso)
+export function formatDate(value, options = { day: "2-digit", month: "2-digit", year: "numeric" }) {
+  if (!value) return "";
+  const date =
+    value instanceof Date ? value : /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toLocaleDateString(active, options);
+}
+
+function lookup(locale, key) {
+  const catalog = CATALOGS[locale];
+  if (catalog && Object.hasOwn(catalog, key)) return catalog[key];
+  return Object.hasOwn(CATALOGS[DEFAULT_LOCALE], key) ? CATALOGS[DEFAULT_LOCALE][key] : key;
+}
+
+/**
+ * t("lists.titles", { count: 3 }) → "3 títulos"
+ * Números nas variáveis saem formatados no idioma ativo.
+ */
+export function t(key, params = {}) {
+  let message = lookup(active, key);
+  if (message && typeof message === "object") {
+    message = message[pluralOf(active, params.count)] ?? message.other;
+  }
+  return String(message).replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    const value = params[name];
+    return typeof value === "number" ? formatNumber(value) : String(value);
+  });
+}
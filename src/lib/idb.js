@@ -0,0 +1,61 @@
+/**
+ * Acesso mínimo ao IndexedDB (promessas sobre a API de eventos).
+ * -------------------------------------------------------------
+ * Um único banco "cinebusca" com object stores simples de chave/valor.
+ * Quando o IndexedDB não existe (modo privado em alguns navegadores, testes),
+ * `openDb` resolve com null e quem chama decide o fallback.
+ */
+
+const DB_NAME = "cinebusca";
+const DB_VERSION = 2;
+
+// Stores criadas no upgrade; ao adicionar uma nova, incremente DB_VERSION
+// - cache: respostas da OMDb com TTL (v1)
+// - titles: detalhes completos de cada título já aberto, para uso offline (v2)
+export const STORES = ["cache", "titles"];
+
+let dbPromise = null;
+
+export function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === "undefined") return resolve(null);
+    let req;
+    try {
+      req = indexedDB.open(DB_NAME, DB_VERSION);
+    } catch {
+      return resolve(null);
+    }
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      for (const name of STORES) {
+        if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => resolve(null);
+    req.onblocked = () => resolve(null);
+  });
+  return dbPromise;
+}
+
+function run(store, mode, action) {
+  return openDb().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        if (!db) return resolve(undefined);
+        const tx = db.transaction(store, mode);
+        const req = action(tx.objectStore(store));
+        tx.oncomplete = () => resolve(req ? req.result : undefined);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      })
+  );
+}
+
+export const idbGet = (store, key) => run(store, "readonly", (s) => s.get(key));
+export const idbSet = (store, key, value) => run(store, "readwrite", (s) => s.put(value, key));
+export const idbDelete = (store, key) => run(store, "readwrite", (s) => s.delete(key));
+export const idbClear = (store) => run(store, "readwrite", (s) => s.clear());
+export const idbKeys = (store) => run(store, "readonly", (s) => s.getAllKeys());
+export const idbGetAll = (store) => run(store, "readonly", (s) => s.getAll());
@@ -0,0 +1,123 @@
+import { toSummary } from "./model.js";
+import { fromOmdbSummary } from "./providers/omdb.js";
+import { fold } from "./text.js";
+
+/**
+ * Listas nomeadas (fila do cineclube, feriado, pesquisa…)
+ * -------------------------------------------------------------
+ * Guardadas em "omdbLists" como { version: 2, lists: [...] }. A ordem do
+ * array é a ordem exibida; a ordem de `items` é a ordem manual da lista.
+ *
+ *   { id, slug, name, createdAt, items: [{ id, title, year, type, poster, addedAt }] }
+ *
+ * Os itens guardam um resumo do título (lib/model.js) para que a lista possa
+ * ser exibida sem depender dos favoritos nem de novas chamadas ao provedor.
+ * Na versão 1 os itens usavam os nomes da OMDb (imdbID, Title…).
+ * Todas as funções são puras: recebem o array de listas e devolvem um novo.
+ */
+
+export const LISTS_KEY = "omdbLists";
+export const LISTS_VERSION = 2;
+
+// "Fila do Cineclube!" → "fila-do-cineclube"
+export function slugify(name) {
+  return (
+    fold(name)
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "lista"
+  );
+}
+
+// Slug único entre as listas (ignorando a própria lista ao renomear)
+function uniqueSlug(lists, name, ignoreId) {
+  const base = slugify(name);
+  const taken = new Set(lists.filter((l) => l.id !== ignoreId).map((l) => l.slug));
+  let slug = base;
+  for (let n = 2; taken.has(slug); n++) slug = `${base}-${n}`;
+  return slug;
+}
+
+const newId = () => `l${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+export const findListBySlug = (lists, slug) => lists.find((l) => l.slug === slug);
+
+export const listsContaining = (lists, titleId) => lists.filter((l) => l.items.some((i) => i.id === titleId));
+
+// Move o elemento da posição `from` para `to` (devolve um novo array)
+export function moveItem(array, from, to) {
+  if (from === to || from < 0 || to < 0 || from >= array.length || to >= array.length) return array;
+  const next = [...array];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+}
+
+export function createList(lists, name) {
+  const list = {
+    id: newId(),
+    slug: uniqueSlug(lists, name),
+    name: name.trim(),
+    createdAt: new Date().toISOString(),
+    items: [],
+  };
+  return { lists: [...lists, list], list };
+}
+
+export function renameList(lists, id, name) {
+  return lists.map((l) => (l.id === id ? { ...l, name: name.trim(), slug: uniqueSlug(lists, name, id) } : l));
+}
+
+export const deleteList = (lists, id) => lists.filter((l) => l.id !== id);
+
+export function reorderLists(lists, from, to) {
+  return moveItem(lists, from, to);
+}
+
+const toItem = (movie) => ({ ...toSummary(movie), addedAt: new Date().toISOString() });
+
+function updateList(lists, id, update) {
+  return lists.map((l) => (l.id === id ? { ...l, items: update(l.items) } : l));
+}
+
+export function addToList(lists, id, movie) {
+  return updateList(lists, id, (items) =>
+    items.some((i) => i.id === movie.id) ? items : [...items, toItem(movie)]
+  );
+}
+
+export const removeFromList = (lists, id, titleId) =>
+  updateList(lists, id, (items) => items.filter((i) => i.id !== titleId));
+
+export function toggleInList(lists, id, movie) {
+  const list = lists.find((l) => l.id === id);
+  if (!list) return lists;
+  return list.items.some((i) => i.id === movie.id)
+    ? removeFromList(lists, id, movie.id)
+    : addToList(lists, id, movie);
+}
+
+export const reorderListItems = (lists, id, from, to) => updateList(lists, id, (items) => moveItem(items, from, to));
+
+// -----------------------
+// Persistência
+// -----------------------
+// Itens da versão 1 (imdbID, Title…) viram o resumo do modelo
+const migrateItem = (item) => (item.imdbID ? { ...fromOmdbSummary(item), addedAt: item.addedAt } : item);
+
+// Formato irreconhecível ou versão sem migração lança erro: quem lê trata como corrompido e guarda a cópia
+export function migrateLists(stored) {
+  if (!stored || typeof stored !== "object" || !Array.isArray(stored.lists)) {
+    throw new Error("Listas em formato irreconhecível");
+  }
+  if (!Number.isInteger(stored.version) || stored.version < 1 || stored.version > LISTS_VERSION) {
+    throw new Error(`Versão ${stored.version} das listas não suportada`);
+  }
+  return stored.lists
+    .filter((l) => l && l.id && l.slug)
+    .map((l) => ({
+      ...l,
+      items: Array.isArray(l.items) ? l.items.filter((i) => i && (i.id || i.imdbID)).map(migrateItem) : [],
+    }));
+}
+
+export const serializeLists = (lists) => ({ version: LISTS_VERSION, lists });
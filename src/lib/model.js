@@ -0,0 +1,48 @@
+/**
+ * Modelo interno de títulos
+ * -------------------------------------------------------------
+ * Os provedores de metadados (lib/providers/) convertem as respostas da API
+ * para estes formatos; o resto da app — coleção, listas, histórico e todas
+ * as views — só conhece o modelo interno.
+ *
+ * Resumo (resultados de busca, listas, histórico, comparação):
+ *
+ *   { id, title, year, type, poster }
+ *
+ * Título completo (provider.getById): o resumo mais
+ *
+ *   rated, runtime, genre, director, writer, actors, plot, country, language,
+ *   released, dvd, awards, boxOffice, production, website,
+ *   rating, votes, ratings: [{ source, value }],
+ *   totalSeasons, seriesId, season, episode
+ *
+ * Temporada (provider.getSeason):
+ *
+ *   { seriesId, season, totalSeasons, episodes: [{ id, title, episode, released, rating }] }
+ *
+ * Convenções:
+ * - valor ausente é "" (texto) ou null (número) — nunca um marcador da API
+ * - `type`: "movie" | "series" | "episode"; `year` é texto ("1999", "2010–2014")
+ * - `poster` e `website`: URL ou ""
+ * - `released` e `dvd`: data ISO ("2010-07-16")
+ * - `runtime` em minutos; `boxOffice` em dólares; `rating` de 0 a 10; `votes` inteiro
+ * - `genre`, `director`, `writer`, `actors`, `country`, `language`: nomes
+ *   separados por vírgula, como exibidos (ver splitNames em lib/ratings.js)
+ * - `ratings`: nota original de cada fonte ("8.8/10", "87%"); fontes conhecidas
+ *   usam os ids "imdb", "rottenTomatoes" e "metacritic"
+ * - `totalSeasons`, `season` e `episode`: números, 0 quando não se aplicam
+ */
+
+export const TITLE_TYPES = ["movie", "series", "episode"];
+
+// Campos do resumo, na ordem acima
+export const SUMMARY_FIELDS = ["id", "title", "year", "type", "poster"];
+
+// Resumo de um título qualquer do modelo (descarta detalhes e dados pessoais)
+export const toSummary = ({ id, title, year, type, poster }) => ({
+  id,
+  title: title || "",
+  year: year || "",
+  type: type || "",
+  poster: poster || "",
+});
@@ -0,0 +1,121 @@
+import { ErrorKind, ProviderError } from "./errors.js";
+import { idbClear, idbGet, idbGetAll, idbSet } from "./idb.js";
+import { fromOmdbTitle } from "./providers/omdb.js";
+
+/**
+ * Suporte offline
+ * -------------------------------------------------------------
+ * - Catálogo local: todo título completo (modelo interno, lib/model.js) é
+ *   guardado no IndexedDB (store "titles", sem prazo de validade). Sem rede,
+ *   getById recorre a ele — favoritos e títulos vistos recentemente abrem
+ *   offline. Ver withOfflineCatalog.
+ * - Fila offline: alterações em favoritos/listas feitas sem conexão ficam
+ *   registradas; ao voltar a conexão, os detalhes desses títulos são buscados
+ *   para completar a coleção e o catálogo local.
+ */
+
+// Entradas antigas guardavam a resposta crua da OMDb em `data`
+const titleOf = (entry) => (entry.title ? entry.title : entry.data ? fromOmdbTitle(entry.data) : undefined);
+
+export async function saveTitle(title) {
+  if (!title || !title.id) return;
+  try {
+    await idbSet("titles", title.id, { title, savedAt: new Date().toISOString() });
+  } catch {
+    // Sem IndexedDB: o título só não fica disponível offline
+  }
+}
+
+export async function loadTitle(id) {
+  try {
+    const entry = await idbGet("titles", id);
+    return entry ? titleOf(entry) : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+// Todos os detalhes guardados (para estatísticas e recomendações)
+export async function loadAllTitles() {
+  try {
+    const entries = (await idbGetAll("titles")) || [];
+    return entries.map(titleOf).filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Envolve um provedor com o catálogo local: detalhes completos (plot "full")
+ * são guardados e, sem rede (ou sem chave), getById usa a cópia local.
+ */
+export function withOfflineCatalog(provider) {
+  return {
+    ...provider,
+    async getById(id, options = {}) {
+      try {
+        const title = await provider.getById(id, options);
+        if ((options.plot || "full") === "full") saveTitle(title);
+        return title;
+      } catch (err) {
+        if (err instanceof ProviderError && (err.kind === ErrorKind.NETWORK || !provider.ready)) {
+          const stored = await loadTitle(id);
+          if (stored) return stored;
+        }
+        throw err;
+      }
+    },
+  };
+}
+
+// Esvazia o catálogo local (página de configurações)
+export async function clearTitles() {
+  try {
+    await idbClear("titles");
+  } catch {
+    // Sem IndexedDB não há o que apagar
+  }
+}
+
+// Pôsteres guardados pelo service worker (caches "cinebusca-posters-*")
+export async function clearPosterCache() {
+  if (typeof caches === "undefined") return;
+  try {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter((k) => k.startsWith("cinebusca-posters-")).map((k) => caches.delete(k)));
+  } catch {
+    // Cache Storage indisponível
+  }
+}
+
+// -----------------------
+// Fila de alterações feitas offline
+// -----------------------
+export const QUEUE_KEY = "cinebusca:offlineQueue";
+
+// Registros antigos identificavam o título por `imdbID`
+export function readQueue() {
+  try {
+    const queue = JSON.parse(window.localStorage.getItem(QUEUE_KEY));
+    if (!Array.isArray(queue)) return [];
+    return queue
+      .filter((c) => c && (c.id || c.imdbID))
+      .map(({ imdbID, ...change }) => (change.id ? change : { ...change, id: imdbID }));
+  } catch {
+    return [];
+  }
+}
+
+export function writeQueue(queue) {
+  try {
+    if (queue.length) window.localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+    else window.localStorage.removeItem(QUEUE_KEY);
+  } catch {
+    // ignorado: a fila é só um auxílio
+  }
+}
+
+// Um registro por título; a alteração mais recente substitui a anterior
+export function enqueue(queue, change) {
+  return [...queue.filter((c) => c.id !== change.id), { ...change, at: new Date().toISOString() }];
+}
@@ -0,0 +1,184 @@
+import { createCache } from "./cache.js";
+import { ErrorKind, ProviderError, abortError } from "./errors.js";
+import { t } from "./i18n.js";
+
+/**
+ * Cliente HTTP da OMDb API
+ * -------------------------------------------------------------
+ * - search({ s, type, y, page }), getById(id, { plot }) e getSeason(id, season)
+ *   devolvem as respostas cruas da OMDb; a conversão para o modelo interno
+ *   fica em lib/providers/omdb.js, o único lugar que conhece esse formato
+ * - validateApiKey(key) testa uma chave antes de salvá-la (página de configurações)
+ * - Cache com TTL (memória + IndexedDB/localStorage), compartilhado entre clientes
+ * - Requisições idênticas em andamento são reaproveitadas (uma só chamada de rede)
+ * - Cancelamento via AbortController: cada chamada aceita `signal`; a chamada
+ *   de rede só é abortada quando todos os interessados desistiram
+ * - Erros tipados (ProviderError.kind) em vez de uma mensagem genérica
+ */
+
+// Base padrão da API OMDb (pode ser trocada com `baseUrl`, ex.: um proxy)
+export const OMDB_BASE = "https://www.omdbapi.com/";
+
+// Respostas da OMDb mudam pouco; 24h poupa a cota diária sem dados velhos demais
+export const CACHE_TTL = 24 * 60 * 60 * 1000;
+
+// Converte o texto de `Error` da OMDb em um ErrorKind
+function classify(message = "") {
+  const m = message.toLowerCase();
+  if (m.includes("api key")) return ErrorKind.INVALID_KEY;
+  if (m.includes("limit")) return ErrorKind.LIMIT;
+  if (m.includes("not found") || m.includes("incorrect imdb id")) return ErrorKind.NOT_FOUND;
+  if (m.includes("too many")) return ErrorKind.TOO_MANY;
+  return ErrorKind.UNKNOWN;
+}
+
+// Lança ProviderError quando a OMDb responde Response: "False"
+function unwrap(data) {
+  if (data && data.Response === "False") throw new ProviderError(classify(data.Error), data.Error || "");
+  return data;
+}
+
+// Parâmetros vazios são omitidos; a ordem é fixa para servir de chave de cache
+function toQuery(params) {
+  return Object.keys(params)
+    .filter((k) => params[k] !== undefined && params[k] !== null && params[k] !== "")
+    .sort()
+    .map((k) => `${encodeURIComponent(k)}=${encodeURIComponent(params[k])}`)
+    .join("&");
+}
+
+// Título conhecido usado para testar uma chave (The Shawshank Redemption)
+const PROBE_ID = "tt0111161";
+
+/**
+ * Testa uma API Key direto na OMDb, sem cache nem requisições compartilhadas
+ * (ambos ignoram a chave). Resolve quando a chave funciona; senão lança
+ * ProviderError — INVALID_KEY para chave recusada, LIMIT para chave válida sem cota.
+ */
+export async function validateApiKey(apiKey, { signal, fetchImpl, baseUrl = OMDB_BASE } = {}) {
+  if (!apiKey) throw new ProviderError(ErrorKind.INVALID_KEY, t("error.missingKey"));
+  const doFetch = fetchImpl || ((...args) => fetch(...args));
+  let res;
+  try {
+    res = await doFetch(`${baseUrl}?apikey=${encodeURIComponent(apiKey)}&i=${PROBE_ID}`, { signal });
+  } catch (err) {
+    if (err && err.name === "AbortError") throw abortError();
+    throw new ProviderError(ErrorKind.NETWORK, (err && err.message) || t("error.networkFailure"));
+  }
+  let data;
+  try {
+    data = await res.json();
+  } catch {
+    throw new ProviderError(ErrorKind.UNKNOWN, t("error.badResponse", { status: String(res.status) }));
+  }
+  unwrap(data);
+}
+
+const sharedCache = createCache({ ttl: CACHE_TTL });
+const inflight = new Map();
+
+export const clearOmdbCache = () => sharedCache.clear();
+
+export function createOmdbClient({ apiKey, fetchImpl, baseUrl = OMDB_BASE, cache = sharedCache } = {}) {
+  const doFetch = fetchImpl || ((...args) => fetch(...args));
+
+  // Dispara a chamada de rede e registra em `inflight` (pela chave de cache) até terminar
+  function startFlight(query, key) {
+    const controller = new AbortController();
+    const flight = { key, controller, subscribers: 0 };
+    const url = `${baseUrl}?apikey=${encodeURIComponent(apiKey)}&${query}`;
+
+    flight.promise = doFetch(url, { signal: controller.signal })
+      .then(
+        async (res) => {
+          let data;
+          try {
+            data = await res.json();
+          } catch {
+            throw new ProviderError(ErrorKind.UNKNOWN, t("error.badResponse", { status: String(res.status) }));
+          }
+          // Só guarda o que não depende da chave/cota: sucesso ou "não encontrado"
+          if (data.Response !== "False" || classify(data.Error) === ErrorKind.NOT_FOUND) {
+            cache.set(key, data);
+          }
+          return data;
+        },
+        (err) => {
+          if (err && err.name === "AbortError") throw abortError();
+          throw new ProviderError(ErrorKind.NETWORK, (err && err.message) || t("error.networkFailure"));
+        }
+      )
+      .finally(() => {
+        if (inflight.get(key) === flight) inflight.delete(key);
+      });
+
+    inflight.set(key, flight);
+    return flight;
+  }
+
+  // Cada chamador acompanha o voo com o próprio signal
+  function subscribe(flight, signal) {
+    flight.subscribers++;
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const release = () => {
+        if (settled) return false;
+        settled = true;
+        flight.subscribers--;
+        if (signal) signal.removeEventListener("abort", onAbort);
+        return true;
+      };
+      const onAbort = () => {
+        if (!release()) return;
+        if (flight.subscribers === 0) {
+          if (inflight.get(flight.key) === flight) inflight.delete(flight.key);
+          flight.controller.abort();
+        }
+        reject(abortError());
+      };
+      if (signal) {
+        if (signal.aborted) return onAbort();
+        signal.addEventListener("abort", onAbort);
+      }
+      flight.promise.then(
+        (data) => release() && resolve(data),
+        (err) => release() && reject(err)
+      );
+    });
+  }
+
+  async function request(params, { signal } = {}) {
+    if (!apiKey) throw new ProviderError(ErrorKind.INVALID_KEY, t("error.missingKey"));
+    if (signal && signal.aborted) throw abortError();
+
+    // A base entra na chave: clientes apontados para servidores diferentes não se misturam
+    const query = toQuery(params);
+    const key = baseUrl === OMDB_BASE ? query : `${baseUrl}|${query}`;
+    const cached = await cache.get(key);
+    if (signal && signal.aborted) throw abortError();
+    if (cached) return unwrap(cached);
+
+    const flight = inflight.get(key) || startFlight(query, key);
+    return unwrap(await subscribe(flight, signal));
+  }
+
+  // Busca paginada (10 itens por página na OMDb)
+  async function search({ s, type, y, page = 1 }, { signal } = {}) {
+    const data = await request({ s, type, y, page }, { signal });
+    return {
+      results: Array.isArray(data.Search) ? data.Search : [],
+      total: Number(data.totalResults || 0),
+    };
+  }
+
+  // Detalhes completos de um título pelo imdbID
+  const getById = (id, { plot = "full", signal } = {}) => request({ i: id, plot }, { signal });
+
+  // Episódios de uma temporada de série: { Title, Season, totalSeasons, Episodes: [...] }
+  async function getSeason(id, season, { signal } = {}) {
+    const data = await request({ i: id, Season: season }, { signal });
+    return { ...data, Episodes: Array.isArray(data.Episodes) ? data.Episodes : [] };
+  }
+
+  return { search, getById, getSeason };
+}
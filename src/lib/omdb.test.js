@@ -0,0 +1,109 @@
+import { describe, expect, it } from "vitest";
+import { createOmdbServer, TEST_API_KEY } from "../test/omdbServer.js";
+import { ErrorKind } from "./errors.js";
+import { createOmdbClient, validateApiKey } from "./omdb.js";
+
+const setup = (apiKey = TEST_API_KEY) => {
+  const server = createOmdbServer();
+  return { server, client: createOmdbClient({ apiKey, fetchImpl: server.fetch }) };
+};
+
+describe("createOmdbClient", () => {
+  it("busca páginas de 10 itens com o total da OMDb", async () => {
+    const { client } = setup();
+    const first = await client.search({ s: "matrix", type: "movie", page: 1 });
+    expect(first.total).toBe(13);
+    expect(first.results).toHaveLength(10);
+    expect(first.results[0]).toMatchObject({ imdbID: "tt0133093", Title: "The Matrix" });
+
+    const second = await client.search({ s: "matrix", type: "movie", page: 2 });
+    expect(second.results).toHaveLength(3);
+    expect(second.results.every((r) => r.Type === "movie")).toBe(true);
+  });
+
+  it("devolve os detalhes e a temporada crus", async () => {
+    const { client } = setup();
+    const title = await client.getById("tt0133093");
+    expect(title).toMatchObject({ Title: "The Matrix", Runtime: "136 min", imdbRating: "8.7" });
+
+    const season = await client.getSeason("tt0903747", 1);
+    expect(season.Season).toBe("1");
+    expect(season.Episodes).toHaveLength(7);
+  });
+
+  describe('Response: "False"', () => {
+    const cases = [
+      ["Invalid API key!", ErrorKind.INVALID_KEY, "chave-errada", () => ({ s: "matrix" })],
+      ["Movie not found!", ErrorKind.NOT_FOUND, TEST_API_KEY, () => ({ s: "xyzzy" })],
+      ["Too many results.", ErrorKind.TOO_MANY, TEST_API_KEY, () => ({ s: "a" })],
+    ];
+    for (const [message, kind, key, params] of cases) {
+      it(`"${message}" vira ${kind}`, async () => {
+        const { client } = setup(key);
+        await expect(client.search(params())).rejects.toMatchObject({ name: "ProviderError", kind, message });
+      });
+    }
+
+    it('"Incorrect IMDb ID." vira not-found', async () => {
+      const { client } = setup();
+      await expect(client.getById("tt0000000")).rejects.toMatchObject({ kind: ErrorKind.NOT_FOUND });
+    });
+
+    it("cota esgotada vira limit", async () => {
+      const { client, server } = setup();
+      server.fail("limit");
+      await expect(client.getById("tt0133093")).rejects.toMatchObject({ kind: ErrorKind.LIMIT });
+    });
+  });
+
+  it("falha de rede vira network", async () => {
+    const { client, server } = setup();
+    server.fail("network");
+    await expect(client.search({ s: "matrix" })).rejects.toMatchObject({ kind: ErrorKind.NETWORK });
+  });
+
+  it("sem chave falha antes de ir à rede", async () => {
+    const { client, server } = setup("");
+    await expect(client.search({ s: "matrix" })).rejects.toMatchObject({ kind: ErrorKind.INVALID_KEY });
+    expect(server.requests).toHaveLength(0);
+  });
+
+  it("guarda respostas e 'não encontrado' no cache, mas não erros de chave", async () => {
+    const { client, server } = setup();
+    await client.getById("tt0133093");
+    await client.getById("tt0133093");
+    await client.search({ s: "xyzzy" }).catch(() => {});
+    await client.search({ s: "xyzzy" }).catch(() => {});
+    expect(server.requests).toHaveLength(2);
+
+    const bad = setup("chave-errada");
+    await bad.client.getById("tt0234215").catch(() => {});
+    await bad.client.getById("tt0234215").catch(() => {});
+    expect(bad.server.requests).toHaveLength(2);
+  });
+
+  it("reaproveita requisições idênticas em andamento", async () => {
+    const { client, server } = setup();
+    const [a, b] = await Promise.all([client.getById("tt0234215"), client.getById("tt0234215")]);
+    expect(a).toEqual(b);
+    expect(server.requests).toHaveLength(1);
+  });
+
+  it("cancela a chamada quando o signal é abortado", async () => {
+    const { client } = setup();
+    const controller = new AbortController();
+    const pending = client.getById("tt0903747", { signal: controller.signal });
+    controller.abort();
+    await expect(pending).rejects.toMatchObject({ kind: ErrorKind.ABORTED });
+  });
+});
+
+describe("validateApiKey", () => {
+  it("aceita a chave válida e recusa a inválida", async () => {
+    const server = createOmdbServer();
+    await expect(validateApiKey(TEST_API_KEY, { fetchImpl: server.fetch })).resolves.toBeUndefined();
+    await expect(validateApiKey("outra", { fetchImpl: server.fetch })).rejects.toMatchObject({
+      kind: ErrorKind.INVALID_KEY,
+    });
+  });
+});
@@ -0,0 +1,111 @@
+import { t } from "./i18n.js";
+
+/**
+ * Progresso de séries (episódios assistidos)
+ * -------------------------------------------------------------
+ * Guardado em "omdbProgress" como { version: 1, series: { [id da série]: entrada } }:
+ *
+ *   { watched: ["1:1", "1:2", "2:1"], seasons: { "1": 10 }, totalSeasons: 3, updatedAt }
+ *
+ * `watched` usa a chave "temporada:episódio". `seasons` guarda quantos
+ * episódios cada temporada tem (aprendido ao abrir a temporada), o que basta
+ * para calcular o próximo episódio sem nova chamada ao provedor — inclusive nos
+ * cartões das listas e favoritos.
+ * Todas as funções são puras: recebem o map de progresso e devolvem um novo.
+ */
+
+export const PROGRESS_KEY = "omdbProgress";
+export const PROGRESS_VERSION = 1;
+
+export const episodeKey = (season, episode) => `${Number(season)}:${Number(episode)}`;
+
+function parseKey(key) {
+  const [season, episode] = key.split(":").map(Number);
+  return { season, episode };
+}
+
+const emptyEntry = () => ({ watched: [], seasons: {}, totalSeasons: 0, updatedAt: "" });
+
+export const isEpisodeWatched = (entry, season, episode) =>
+  Boolean(entry && entry.watched.includes(episodeKey(season, episode)));
+
+export const watchedInSeason = (entry, season) =>
+  entry ? entry.watched.filter((k) => parseKey(k).season === Number(season)).length : 0;
+
+// Ordena "temporada:episódio" numericamente
+const byEpisode = (a, b) => {
+  const x = parseKey(a);
+  const y = parseKey(b);
+  return x.season - y.season || x.episode - y.episode;
+};
+
+function updateEntry(progress, seriesId, info, change) {
+  const current = progress[seriesId] || emptyEntry();
+  const entry = {
+    ...current,
+    totalSeasons: Number(info.totalSeasons) || current.totalSeasons,
+    seasons: info.season && info.count ? { ...current.seasons, [info.season]: info.count } : current.seasons,
+  };
+  const watched = [...new Set(change(entry.watched))].sort(byEpisode);
+  const next = { ...progress };
+  if (watched.length === 0) delete next[seriesId];
+  else next[seriesId] = { ...entry, watched, updatedAt: new Date().toISOString() };
+  return next;
+}
+
+/**
+ * Marca/desmarca um episódio. `info` = { totalSeasons, season, count }, com
+ * count = nº de episódios da temporada (quando conhecido).
+ */
+export function toggleEpisode(progress, seriesId, episode, info = {}) {
+  const key = episodeKey(info.season, episode);
+  return updateEntry(progress, seriesId, info, (watched) =>
+    watched.includes(key) ? watched.filter((k) => k !== key) : [...watched, key]
+  );
+}
+
+// Marca (ou desmarca) todos os episódios de uma temporada
+export function setSeasonWatched(progress, seriesId, episodes, watchedFlag, info = {}) {
+  const keys = episodes.map((e) => episodeKey(info.season, e));
+  return updateEntry(progress, seriesId, info, (watched) =>
+    watchedFlag ? [...watched, ...keys] : watched.filter((k) => !keys.includes(k))
+  );
+}
+
+/**
+ * Próximo episódio a assistir: o seguinte ao mais avançado já assistido.
+ * Devolve { season, episode }, ou null quando a série terminou (ou não há progresso).
+ */
+export function nextEpisode(entry) {
+  if (!entry || entry.watched.length === 0) return null;
+  const last = parseKey(entry.watched[entry.watched.length - 1]);
+  const count = entry.seasons[last.season];
+  if (!count || last.episode < count) return { season: last.season, episode: last.episode + 1 };
+  if (last.season < entry.totalSeasons) return { season: last.season + 1, episode: 1 };
+  return null;
+}
+
+// "T2E5" (ou "S2E5" em inglês) — rótulo curto usado nos cartões
+export const episodeLabel = ({ season, episode }) =>
+  t("series.episodeCode", { season: String(season), episode: String(episode) });
+
+// Formato irreconhecível ou versão sem migração lança erro: quem lê trata como corrompido e guarda a cópia
+export function migrateProgress(stored) {
+  if (!stored || typeof stored !== "object" || !stored.series || typeof stored.series !== "object") {
+    throw new Error("Progresso em formato irreconhecível");
+  }
+  if (stored.version !== PROGRESS_VERSION) throw new Error(`Versão ${stored.version} do progresso não suportada`);
+  const progress = {};
+  for (const [id, entry] of Object.entries(stored.series)) {
+    if (!entry || !Array.isArray(entry.watched)) continue;
+    progress[id] = {
+      ...emptyEntry(),
+      ...entry,
+      watched: entry.watched.filter((k) => /^\d+:\d+$/.test(k)).sort(byEpisode),
+      seasons: entry.seasons && typeof entry.seasons === "object" ? entry.seasons : {},
+    };
+  }
+  return progress;
+}
+
+export const serializeProgress = (progress) => ({ version: PROGRESS_VERSION, series: progress });
@@ -0,0 +1,319 @@
+/**
+ * Títulos de exemplo do provedor local (lib/providers/mock.js)
+ * -------------------------------------------------------------
+ * Já no modelo interno (lib/model.js). Sem pôsteres: nada aqui depende de
+ * rede. A série tem duas temporadas curtas, com os episódios cadastrados
+ * como títulos próprios (type "episode", seriesId/season/episode).
+ */
+
+const movie = (fields) => ({
+  type: "movie",
+  poster: "",
+  rated: "",
+  dvd: "",
+  awards: "",
+  boxOffice: null,
+  production: "",
+  website: "",
+  votes: null,
+  ratings: [],
+  totalSeasons: 0,
+  seriesId: "",
+  season: 0,
+  episode: 0,
+  ...fields,
+});
+
+const episode = (seriesId, season, number, fields) =>
+  movie({
+    type: "episode",
+    seriesId,
+    season,
+    episode: number,
+    genre: "Crime, Drama, Thriller",
+    country: "United States",
+    language: "English",
+    ...fields,
+  });
+
+export const FIXTURE_TITLES = [
+  movie({
+    id: "tt0133093",
+    title: "The Matrix",
+    year: "1999",
+    rated: "R",
+    runtime: 136,
+    genre: "Action, Sci-Fi",
+    director: "Lana Wachowski, Lilly Wachowski",
+    writer: "Lilly Wachowski, Lana Wachowski",
+    actors: "Keanu Reeves, Laurence Fishburne, Carrie-Anne Moss",
+    plot: "When a beautiful stranger leads computer hacker Neo to a forbidding underworld, he discovers the shocking truth. The life he knows is the elaborate deception of an evil cyber-intelligence.",
+    country: "United States, Australia",
+    language: "English",
+    released: "1999-03-31",
+    awards: "Won 4 Oscars",
+    boxOffice: 172076928,
+    rating: 8.7,
+    votes: 2100000,
+    ratings: [
+      { source: "imdb", value: "8.7/10" },
+      { source: "rottenTomatoes", value: "83%" },
+      { source: "metacritic", value: "73/100" },
+    ],
+  }),
+  movie({
+    id: "tt0234215",
+    title: "The Matrix Reloaded",
+    year: "2003",
+    rated: "R",
+    runtime: 138,
+    genre: "Action, Sci-Fi",
+    director: "Lana Wachowski, Lilly Wachowski",
+    writer: "Lilly Wachowski, Lana Wachowski",
+    actors: "Keanu Reeves, Laurence Fishburne, Carrie-Anne Moss",
+    plot: "Freedom fighters Neo, Trinity and Morpheus continue to lead the revolt against the Machine Army. They unleash their arsenal of extraordinary skills and weaponry against the systematic forces of repression.",
+    country: "United States",
+    language: "English",
+    released: "2003-05-15",
+    boxOffice: 281576461,
+    rating: 7.2,
+    votes: 650000,
+    ratings: [
+      { source: "imdb", value: "7.2/10" },
+      { source: "rottenTomatoes", value: "74%" },
+      { source: "metacritic", value: "62/100" },
+    ],
+  }),
+  movie({
+    id: "tt1375666",
+    title: "Inception",
+    year: "2010",
+    rated: "PG-13",
+    runtime: 148,
+    genre: "Action, Adventure, Sci-Fi",
+    director: "Christopher Nolan",
+    writer: "Christopher Nolan",
+    actors: "Leonardo DiCaprio, Joseph Gordon-Levitt, Elliot Page",
+    plot: "A thief who steals corporate secrets through the use of dream-sharing technology is given the inverse task of planting an idea into the mind of a C.E.O.",
+    country: "United States, United Kingdom",
+    language: "English, Japanese, French",
+    released: "2010-07-16",
+    awards: "Won 4 Oscars",
+    boxOffice: 292587330,
+    rating: 8.8,
+    votes: 2500000,
+    ratings: [
+      { source: "imdb", value: "8.8/10" },
+      { source: "rottenTomatoes", value: "87%" },
+      { source: "metacritic", value: "74/100" },
+    ],
+  }),
+  movie({
+    id: "tt0816692",
+    title: "Interstellar",
+    year: "2014",
+    rated: "PG-13",
+    runtime: 169,
+    genre: "Adventure, Drama, Sci-Fi",
+    director: "Christopher Nolan",
+    writer: "Jonathan Nolan, Christopher Nolan",
+    actors: "Matthew McConaughey, Anne Hathaway, Jessica Chastain",
+    plot: "When Earth becomes uninhabitable in the future, a farmer and ex-NASA pilot is tasked to pilot a spacecraft. Along with a team of researchers, he must find a new planet for humans.",
+    country: "United States, United Kingdom, Canada",
+    language: "English",
+    released: "2014-11-07",
+    awards: "Won 1 Oscar",
+    boxOffice: 188020017,
+    rating: 8.7,
+    votes: 2200000,
+    ratings: [
+      { source: "imdb", value: "8.7/10" },
+      { source: "rottenTomatoes", value: "73%" },
+      { source: "metacritic", value: "74/100" },
+    ],
+  }),
+  movie({
+    id: "tt0111161",
+    title: "The Shawshank Redemption",
+    year: "1994",
+    rated: "R",
+    runtime: 142,
+    genre: "Drama",
+    director: "Frank Darabont",
+    writer: "Stephen King, Frank Darabont",
+    actors: "Tim Robbins, Morgan Freeman, Bob Gunton",
+    plot: "A banker convicted of uxoricide forms a friendship over a quarter century with a hardened convict, while maintaining his innocence and trying to remain hopeful through simple compassion.",
+    country: "United States",
+    language: "English",
+    released: "1994-10-14",
+    boxOffice: 28767189,
+    rating: 9.3,
+    votes: 2900000,
+    ratings: [
+      { source: "imdb", value: "9.3/10" },
+      { source: "rottenTomatoes", value: "89%" },
+      { source: "metacritic", value: "82/100" },
+    ],
+  }),
+  movie({
+    id: "tt0317248",
+    title: "City of God",
+    year: "2002",
+    rated: "R",
+    runtime: 130,
+    genre: "Crime, Drama",
+    director: "Fernando Meirelles, Kátia Lund",
+    writer: "Paulo Lins, Bráulio Mantovani",
+    actors: "Alexandre Rodrigues, Leandro Firmino, Matheus Nachtergaele",
+    plot: "In the slums of Rio, two kids' paths diverge as one struggles to become a photographer and the other a kingpin.",
+    country: "Brazil, France, Germany",
+    language: "Portuguese",
+    released: "2003-02-13",
+    rating: 8.6,
+    votes: 800000,
+    ratings: [
+      { source: "imdb", value: "8.6/10" },
+      { source: "rottenTomatoes", value: "91%" },
+      { source: "metacritic", value: "79/100" },
+    ],
+  }),
+  movie({
+    id: "tt0140888",
+    title: "Central Station",
+    year: "1998",
+    rated: "R",
+    runtime: 110,
+    genre: "Drama",
+    director: "Walter Salles",
+    writer: "Marcos Bernstein, João Emanuel Carneiro",
+    actors: "Fernanda Montenegro, Vinícius de Oliveira, Marília Pêra",
+    plot: "An emotive journey of a former school teacher, who writes letters for illiterate people, and a young boy, whose mother has just died, as they search for the father he never knew.",
+    country: "Brazil, France",
+    language: "Portuguese",
+    released: "1998-11-20",
+    rating: 8.0,
+    ratings: [{ source: "imdb", value: "8.0/10" }],
+  }),
+  movie({
+    id: "tt0245429",
+    title: "Spirited Away",
+    year: "2001",
+    rated: "PG",
+    runtime: 125,
+    genre: "Animation, Adventure, Family",
+    director: "Hayao Miyazaki",
+    writer: "Hayao Miyazaki",
+    actors: "Rumi Hiiragi, Miyu Irino, Mari Natsuki",
+    plot: "During her family's move to the suburbs, a sullen 10-year-old girl wanders into a world ruled by gods, witches and spirits, and where humans are changed into beasts.",
+    country: "Japan",
+    language: "Japanese",
+    released: "2003-03-28",
+    awards: "Won 1 Oscar",
+    rating: 8.6,
+    ratings: [
+      { source: "imdb", value: "8.6/10" },
+      { source: "rottenTomatoes", value: "96%" },
+    ],
+  }),
+  movie({
+    id: "tt6751668",
+    title: "Parasite",
+    year: "2019",
+    rated: "R",
+    runtime: 132,
+    genre: "Drama, Thriller",
+    director: "Bong Joon Ho",
+    writer: "Bong Joon Ho, Han Jin-won",
+    actors: "Song Kang-ho, Lee Sun-kyun, Cho Yeo-jeong",
+    plot: "Greed and class discrimination threaten the newly formed symbiotic relationship between the wealthy Park family and the destitute Kim clan.",
+    country: "South Korea",
+    language: "Korean, English",
+    released: "2019-11-01",
+    awards: "Won 4 Oscars",
+    rating: 8.5,
+    ratings: [
+      { source: "imdb", value: "8.5/10" },
+      { source: "rottenTomatoes", value: "99%" },
+      { source: "metacritic", value: "96/100" },
+    ],
+  }),
+  movie({
+    id: "tt0903747",
+    title: "Breaking Bad",
+    year: "2008–2013",
+    type: "series",
+    rated: "TV-MA",
+    runtime: 49,
+    genre: "Crime, Drama, Thriller",
+    director: "",
+    writer: "Vince Gilligan",
+    actors: "Bryan Cranston, Aaron Paul, Anna Gunn",
+    plot: "A chemistry teacher diagnosed with inoperable lung cancer turns to manufacturing and selling methamphetamine with a former student in order to secure his family's future.",
+    country: "United States",
+    language: "English, Spanish",
+    released: "2008-01-20",
+    rating: 9.5,
+    ratings: [{ source: "imdb", value: "9.5/10" }],
+    totalSeasons: 2,
+  }),
+  episode("tt0903747", 1, 1, {
+    id: "tt0959621",
+    title: "Pilot",
+    year: "2008",
+    runtime: 58,
+    director: "Vince Gilligan",
+    writer: "Vince Gilligan",
+    actors: "Bryan Cranston, Anna Gunn, Aaron Paul",
+    plot: "Diagnosed with terminal lung cancer, a high school chemistry teacher resorts to cooking and selling methamphetamine in order to provide for his family.",
+    released: "2008-01-20",
+    rating: 9.0,
+  }),
+  episode("tt0903747", 1, 2, {
+    id: "tt1054724",
+    title: "Cat's in the Bag...",
+    year: "2008",
+    runtime: 48,
+    director: "Adam Bernstein",
+    writer: "Vince Gilligan",
+    actors: "Bryan Cranston, Anna Gunn, Aaron Paul",
+    plot: "Walt and Jesse attempt to tie up loose ends. The desperate situation gets more complicated with the flip of a coin.",
+    released: "2008-01-27",
+    rating: 8.6,
+  }),
+  episode("tt0903747", 1, 3, {
+    id: "tt1054725",
+    title: "...And the Bag's in the River",
+    year: "2008",
+    runtime: 48,
+    director: "Adam Bernstein",
+    writer: "Vince Gilligan",
+    actors: "Bryan Cranston, Anna Gunn, Aaron Paul",
+    plot: "Walter fights with Jesse over his drug-selling business. Skyler grows suspicious of Walt's activities.",
+    released: "2008-02-10",
+    rating: 8.7,
+  }),
+  episode("tt0903747", 2, 1, {
+    id: "tt1232244",
+    title: "Seven Thirty-Seven",
+    year: "2009",
+    runtime: 47,
+    director: "Bryan Cranston",
+    writer: "J. Roberts",
+    actors: "Bryan Cranston, Anna Gunn, Aaron Paul",
+    plot: "Walt and Jesse realize how dire their situation is. They must come up with a plan to kill Tuco before Tuco kills them first.",
+    released: "2009-03-08",
+    rating: 8.6,
+  }),
+  episode("tt0903747", 2, 2, {
+    id: "tt1232249",
+    title: "Grilled",
+    year: "2009",
+    runtime: 47,
+    director: "Charles Haid",
+    writer: "George Mastras",
+    actors: "Bryan Cranston, Anna Gunn, Aaron Paul",
+    plot: "Walt's disappearance is met with investigation by both his wife and Hank, as Tuco Salamanca keeps Walt and Jesse captive.",
+    released: "2009-03-15",
+    rating: 9.2,
+  }),
+];
@@ -0,0 +1,40 @@
+import { withOfflineCatalog } from "../offline.js";
+import { createMockProvider } from "./mock.js";
+import { createOmdbProvider } from "./omdb.js";
+
+/**
+ * Provedores de metadados
+ * -------------------------------------------------------------
+ * A app fala com um provedor, nunca direto com uma API. Todo provedor expõe:
+ *
+ *   id                     nome do provedor ("omdb", "mock"…)
+ *   needsKey               exige API Key do usuário
+ *   ready                  pode fazer consultas agora (ex.: já tem a chave)
+ *   validateKey(key)       opcional, quando needsKey: testa uma chave antes de salvá-la
+ *   search({ term, type, year, page }, { signal })  → { results: [resumo], total }
+ *   getById(id, { plot, signal })                   → título completo
+ *   getSeason(id, season, { signal })               → temporada
+ *
+ * sempre no modelo de lib/model.js, com páginas de PAGE_SIZE itens
+ * (lib/search.js) e erros ProviderError (lib/errors.js).
+ *
+ * Para outra API (ex.: TMDb): um arquivo em providers/ que converte as
+ * respostas para o modelo interno e uma entrada em PROVIDERS. `offline`
+ * indica se os detalhes vão para o catálogo local (lib/offline.js).
+ */
+
+export const PROVIDERS = {
+  omdb: { create: createOmdbProvider, offline: true },
+  mock: { create: createMockProvider, offline: false },
+};
+
+export const DEFAULT_PROVIDER = "omdb";
+
+export const isProvider = (name) => Object.hasOwn(PROVIDERS, name);
+
+// `options` vai para a fábrica do provedor (apiKey, baseUrl, latency…)
+export function createProvider(name = DEFAULT_PROVIDER, options = {}) {
+  const entry = PROVIDERS[isProvider(name) ? name : DEFAULT_PROVIDER];
+  const provider = entry.create(options);
+  return entry.offline ? withOfflineCatalog(provider) : provider;
+}
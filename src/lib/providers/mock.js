@@ -0,0 +1,90 @@
+import { ErrorKind, ProviderError, abortError } from "../errors.js";
+import { t } from "../i18n.js";
+import { toSummary } from "../model.js";
+import { PAGE_SIZE, parseYearSpan } from "../search.js";
+import { fold } from "../text.js";
+import { FIXTURE_TITLES } from "./fixtures.js";
+
+/**
+ * Provedor local, sem chave nem rede
+ * -------------------------------------------------------------
+ * Responde a partir de uma lista fixa de títulos do modelo interno (por
+ * padrão, FIXTURE_TITLES), para desenvolver a interface e rodar testes.
+ * A busca procura o termo no título e nos nomes da equipe/elenco; `latency`
+ * simula o tempo de resposta (e permite exercitar o cancelamento).
+ */
+
+// Espera cancelável, como uma requisição de verdade
+function wait(ms, signal) {
+  if (signal && signal.aborted) return Promise.reject(abortError());
+  if (!ms) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+const notFound = () => new ProviderError(ErrorKind.NOT_FOUND, t("error.notFound"));
+
+// Sinopse curta: a primeira frase
+const shortPlot = (plot) => {
+  const m = plot.match(/^.*?[.!?](\s|$)/);
+  return m ? m[0].trim() : plot;
+};
+
+export function createMockProvider({ titles = FIXTURE_TITLES, latency = 0 } = {}) {
+  const byId = new Map(titles.map((title) => [title.id, title]));
+
+  return {
+    id: "mock",
+    needsKey: false,
+    ready: true,
+
+    async search({ term, type, year, page = 1 }, { signal } = {}) {
+      await wait(latency, signal);
+      const needle = fold(term || "").trim();
+      const matches = titles.filter((title) => {
+        if (type && title.type !== type) return false;
+        if (year) {
+          const span = parseYearSpan(title.year);
+          if (!span || span[0] !== Number(year)) return false;
+        }
+        const haystack = fold([title.title, title.director, title.writer, title.actors].join(" "));
+        return needle !== "" && haystack.includes(needle);
+      });
+      if (matches.length === 0) throw notFound();
+      const start = (page - 1) * PAGE_SIZE;
+      return { results: matches.slice(start, start + PAGE_SIZE).map(toSummary), total: matches.length };
+    },
+
+    async getById(id, { plot = "full", signal } = {}) {
+      await wait(latency, signal);
+      const title = byId.get(id);
+      if (!title) throw notFound();
+      return {
+        ...title,
+        ratings: title.ratings.map((r) => ({ ...r })),
+        plot: plot === "full" ? title.plot : shortPlot(title.plot),
+      };
+    },
+
+    async getSeason(id, season, { signal } = {}) {
+      await wait(latency, signal);
+      const series = byId.get(id);
+      if (!series || series.type !== "series") throw notFound();
+      const episodes = titles
+        .filter((title) => title.seriesId === id && title.season === Number(season))
+        .sort((a, b) => a.episode - b.episode)
+        .map(({ id: episodeId, title, episode, released, rating }) => ({ id: episodeId, title, episode, released, rating }));
+      if (episodes.length === 0) throw notFound();
+      return { seriesId: id, season: Number(season), totalSeasons: series.totalSeasons, episodes };
+    },
+  };
+}
@@ -0,0 +1,146 @@
+import { createOmdbClient, validateApiKey } from "../omdb.js";
+
+/**
+ * Adaptador da OMDb
+ * -------------------------------------------------------------
+ * Único lugar que conhece o formato das respostas da OMDb (Title, imdbID,
+ * Search, totalResults, "N/A"…). Cada resposta vira o modelo interno de
+ * lib/model.js; as funções `fromOmdb*` também servem para converter dados
+ * salvos por versões antigas da app, que guardavam os registros da OMDb.
+ */
+
+const NA = "N/A";
+
+// "N/A", vazio ou ausente → ""
+const text = (value) => (value === undefined || value === null || value === NA ? "" : String(value).trim());
+
+// "1,234,567" → 1234567; "$292,587,330" → 292587330
+export function parseAmount(value) {
+  const digits = text(value).replace(/[^\d]/g, "");
+  const n = Number(digits);
+  return digits && n > 0 ? n : null;
+}
+
+// "8.8" → 8.8
+function parseRating(value) {
+  const n = parseFloat(text(value));
+  return Number.isNaN(n) ? null : n;
+}
+
+// "148 min" → 148
+function parseRuntime(value) {
+  const m = text(value).match(/(\d+)\s*min/);
+  return m ? Number(m[1]) : null;
+}
+
+const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+const pad = (n) => String(n).padStart(2, "0");
+
+// "16 Jul 2010" (detalhes) ou "2010-07-16" (temporadas) → "2010-07-16"
+export function parseOmdbDate(value) {
+  const raw = text(value);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(raw)) return raw;
+  const m = raw.match(/^(\d{1,2}) ([A-Za-z]{3}) (\d{4})$/);
+  const month = m && MONTHS[m[2].toLowerCase()];
+  return month ? `${m[3]}-${pad(month)}-${pad(m[1])}` : "";
+}
+
+// Nomes das fontes na OMDb → ids do modelo
+const SOURCES = {
+  "Internet Movie Database": "imdb",
+  "Rotten Tomatoes": "rottenTomatoes",
+  Metacritic: "metacritic",
+};
+
+// Ratings + imdbRating/Metascore (quando a fonte não veio no array) → [{ source, value }]
+function parseRatings(data) {
+  const ratings = [];
+  for (const r of Array.isArray(data.Ratings) ? data.Ratings : []) {
+    const value = r && text(r.Value);
+    if (value) ratings.push({ source: SOURCES[r.Source] || text(r.Source), value });
+  }
+  const has = (source) => ratings.some((r) => r.source === source);
+  if (!has("imdb") && text(data.imdbRating)) ratings.push({ source: "imdb", value: `${text(data.imdbRating)}/10` });
+  if (!has("metacritic") && text(data.Metascore)) {
+    ratings.push({ source: "metacritic", value: `${text(data.Metascore)}/100` });
+  }
+  return ratings;
+}
+
+const count = (value) => Number(text(value)) || 0;
+
+// Item de ?s= (ou qualquer registro com os campos básicos da OMDb) → resumo
+export const fromOmdbSummary = (data) => ({
+  id: text(data.imdbID),
+  title: text(data.Title),
+  year: text(data.Year),
+  type: text(data.Type),
+  poster: text(data.Poster),
+});
+
+// Resposta de ?i= → título completo
+export function fromOmdbTitle(data) {
+  return {
+    ...fromOmdbSummary(data),
+    rated: text(data.Rated),
+    runtime: parseRuntime(data.Runtime),
+    genre: text(data.Genre),
+    director: text(data.Director),
+    writer: text(data.Writer),
+    actors: text(data.Actors),
+    plot: text(data.Plot),
+    country: text(data.Country),
+    language: text(data.Language),
+    released: parseOmdbDate(data.Released),
+    dvd: parseOmdbDate(data.DVD),
+    awards: text(data.Awards),
+    boxOffice: parseAmount(data.BoxOffice),
+    production: text(data.Production),
+    website: text(data.Website),
+    rating: parseRating(data.imdbRating),
+    votes: parseAmount(data.imdbVotes),
+    ratings: parseRatings(data),
+    totalSeasons: count(data.totalSeasons),
+    seriesId: text(data.seriesID),
+    season: count(data.Season),
+    episode: count(data.Episode),
+  };
+}
+
+// Resposta de ?i=…&Season=N → temporada
+export const fromOmdbSeason = (id, data) => ({
+  seriesId: id,
+  season: count(data.Season),
+  totalSeasons: count(data.totalSeasons),
+  episodes: data.Episodes.map((e) => ({
+    id: text(e.imdbID),
+    title: text(e.Title),
+    episode: count(e.Episode),
+    released: parseOmdbDate(e.Released),
+    rating: parseRating(e.imdbRating),
+  })),
+});
+
+// Provedor OMDb: o cliente HTTP (cache, requisições compartilhadas, cancelamento) com as respostas convertidas
+export function createOmdbProvider({ apiKey, baseUrl, fetchImpl, cache } = {}) {
+  const client = createOmdbClient({ apiKey, baseUrl, fetchImpl, cache });
+  return {
+    id: "omdb",
+    needsKey: true,
+    ready: Boolean(apiKey),
+    validateKey: (key, options) => validateApiKey(key, { baseUrl, fetchImpl, ...options }),
+
+    async search({ term, type, year, page = 1 }, { signal } = {}) {
+      const { results, total } = await client.search({ s: term, type, y: year, page }, { signal });
+      return { results: results.map(fromOmdbSummary), total };
+    },
+
+    async getById(id, { plot = "full", signal } = {}) {
+      return fromOmdbTitle(await client.getById(id, { plot, signal }));
+    },
+
+    async getSeason(id, season, { signal } = {}) {
+      return fromOmdbSeason(id, await client.getSeason(id, season, { signal }));
+    },
+  };
+}
@@ -0,0 +1,100 @@
+import { describe, expect, it } from "vitest";
+import fixtures from "../../test/fixtures/omdb.json";
+import { createOmdbServer, TEST_API_KEY } from "../../test/omdbServer.js";
+import { ErrorKind } from "../errors.js";
+import {
+  createOmdbProvider,
+  fromOmdbSeason,
+  fromOmdbSummary,
+  fromOmdbTitle,
+  parseAmount,
+  parseOmdbDate,
+} from "./omdb.js";
+
+describe("conversão das respostas da OMDb", () => {
+  it("converte um item da busca em resumo, com N/A vazio", () => {
+    expect(fromOmdbSummary(fixtures.search.matrix[0])).toEqual({
+      id: "tt0133093",
+      title: "The Matrix",
+      year: "1999",
+      type: "movie",
+      poster: fixtures.search.matrix[0].Poster,
+    });
+    expect(fromOmdbSummary(fixtures.search.matrix[9]).poster).toBe("");
+  });
+
+  it("converte o título completo com números e datas ISO", () => {
+    const title = fromOmdbTitle(fixtures.titles.tt0133093);
+    expect(title).toMatchObject({
+      id: "tt0133093",
+      rated: "R",
+      runtime: 136,
+      genre: "Action, Sci-Fi",
+      released: "1999-03-31",
+      dvd: "",
+      boxOffice: 172076928,
+      production: "",
+      rating: 8.7,
+      votes: 2218393,
+      totalSeasons: 0,
+    });
+    expect(title.ratings).toEqual([
+      { source: "imdb", value: "8.7/10" },
+      { source: "rottenTomatoes", value: "83%" },
+      { source: "metacritic", value: "73/100" },
+    ]);
+  });
+
+  it("converte série e temporada", () => {
+    expect(fromOmdbTitle(fixtures.titles.tt0903747)).toMatchObject({ type: "series", totalSeasons: 5, director: "" });
+    const season = fromOmdbSeason("tt0903747", fixtures.seasons.tt0903747["1"]);
+    expect(season).toMatchObject({ seriesId: "tt0903747", season: 1, totalSeasons: 5 });
+    expect(season.episodes[0]).toEqual({
+      id: "tt0959621",
+      title: "Pilot",
+      episode: 1,
+      released: "2008-01-20",
+      rating: 9,
+    });
+  });
+
+  it("interpreta valores e datas da OMDb", () => {
+    expect(parseAmount("$292,587,330")).toBe(292587330);
+    expect(parseAmount("N/A")).toBeNull();
+    expect(parseOmdbDate("16 Jul 2010")).toBe("2010-07-16");
+    expect(parseOmdbDate("2010-07-16")).toBe("2010-07-16");
+    expect(parseOmdbDate("N/A")).toBe("");
+  });
+});
+
+describe("createOmdbProvider", () => {
+  const setup = (apiKey = TEST_API_KEY) => {
+    const server = createOmdbServer();
+    return { server, provider: createOmdbProvider({ apiKey, fetchImpl: server.fetch }) };
+  };
+
+  it("só fica pronto com uma chave", () => {
+    expect(setup("").provider.ready).toBe(false);
+    expect(setup().provider).toMatchObject({ id: "omdb", needsKey: true, ready: true });
+  });
+
+  it("busca, detalha e lista episódios no modelo interno", async () => {
+    const { provider, server } = setup();
+    const found = await provider.search({ term: "breaking bad", type: "series", page: 1 });
+    expect(found.total).toBe(2);
+    expect(found.results.map((r) => r.id)).toEqual(["tt0903747", "tt1557265"]);
+    expect(server.requests[0]).toEqual({ s: "breaking bad", type: "series", page: "1" });
+
+    const title = await provider.getById("tt0903747");
+    expect(title).toMatchObject({ title: "Breaking Bad", rating: 9.5 });
+
+    const season = await provider.getSeason("tt0903747", 1);
+    expect(season.episodes).toHaveLength(7);
+  });
+
+  it("propaga os erros tipados", async () => {
+    const { provider } = setup("chave-errada");
+    await expect(provider.search({ term: "matrix" })).rejects.toMatchObject({ kind: ErrorKind.INVALID_KEY });
+    await expect(setup().provider.getSeason("tt0903747", 9)).rejects.toMatchObject({ kind: ErrorKind.NOT_FOUND });
+  });
+});
@@ -0,0 +1,76 @@
+import { formatDate, getLocale } from "./i18n.js";
+
+/**
+ * Avaliações e metadados extras do título completo
+ * -------------------------------------------------------------
+ * Cada fonte tem uma escala diferente ("8.8/10", "87%", "74/100"). Aqui tudo
+ * vira um score de 0 a 100 para as barras do painel, sem perder o texto
+ * original exibido ao lado. Também formata os campos numéricos do modelo
+ * (duração, bilheteria, datas) para exibição.
+ */
+
+// Fontes conhecidas (ids do modelo, ver lib/model.js), na ordem do painel
+export const RATING_SOURCES = [
+  { source: "imdb", label: "IMDb" },
+  { source: "rottenTomatoes", label: "Rotten Tomatoes" },
+  { source: "metacritic", label: "Metacritic" },
+];
+
+// "8.8/10" → 88, "87%" → 87, "74/100" → 74; formato desconhecido → null
+export function toScore(value) {
+  if (!value) return null;
+  const text = String(value).trim();
+  const percent = text.match(/^(\d+(?:\.\d+)?)%$/);
+  if (percent) return Math.min(100, Number(percent[1]));
+  const fraction = text.match(/^(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)$/);
+  if (fraction && Number(fraction[2]) > 0) {
+    return Math.min(100, Math.round((Number(fraction[1]) / Number(fraction[2])) * 1000) / 10);
+  }
+  return null;
+}
+
+/**
+ * Lista normalizada de avaliações: [{ source, label, value, score, votes }].
+ * Fontes desconhecidas aparecem depois das conhecidas, com o próprio nome.
+ */
+export function normalizeRatings(title) {
+  if (!title) return [];
+  const raw = new Map();
+  for (const r of title.ratings || []) if (r && r.value) raw.set(r.source, r.value);
+
+  const known = RATING_SOURCES.map((s) => s.source);
+  const extra = [...raw.keys()].filter((k) => !known.includes(k)).map((k) => ({ source: k, label: k }));
+
+  return [...RATING_SOURCES, ...extra]
+    .filter((s) => raw.has(s.source))
+    .map(({ source, label }) => ({
+      source,
+      label,
+      value: raw.get(source),
+      score: toScore(raw.get(source)),
+      votes: source === "imdb" ? title.votes || null : null,
+    }))
+    .filter((r) => r.score !== null);
+}
+
+// "2010-07-16" → "16/07/2010" (no idioma ativo); sem data → ""
+export const formatReleaseDate = (value) => formatDate(value);
+
+// 148 → "148 min"
+export const formatRuntime = (minutes) => (minutes ? `${minutes} min` : "");
+
+// 292587330 → "US$ 292.587.330" (pt-BR) / "$292,587,330" (en-US)
+export function formatBoxOffice(amount, locale = getLocale()) {
+  if (!amount) return "";
+  return amount.toLocaleString(locale, { style: "currency", currency: "USD", maximumFractionDigits: 0 });
+}
+
+// "Christopher Nolan (screenplay), Jonathan Nolan (story)" → ["Christopher Nolan", "Jonathan Nolan"]
+export function splitNames(value) {
+  if (!value) return [];
+  const names = String(value)
+    .split(",")
+    .map((part) => part.replace(/\([^)]*\)/g, "").trim())
+    .filter(Boolean);
+  return [...new Set(names)];
+}
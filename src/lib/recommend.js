@@ -0,0 +1,215 @@
+import { decadeOf, genresOf } from "./collection.js";
+import { ErrorKind, ProviderError, isAbortError } from "./errors.js";
+import { getLocale, t } from "./i18n.js";
+import { toSummary } from "./model.js";
+import { splitNames } from "./ratings.js";
+import { withCatalog } from "./stats.js";
+import { fold } from "./text.js";
+
+/**
+ * Recomendações a partir da própria coleção ("Mais como este" e #/descobrir)
+ * -------------------------------------------------------------
+ * Nada sai do navegador além das buscas comuns ao provedor:
+ * 1) Perfil de gosto: gêneros, direção, elenco e décadas dos favoritos
+ *    (completados pelo catálogo local), pesando mais os de nota pessoal alta
+ * 2) Candidatos: os títulos do catálogo local (já detalhados, sem custo) e
+ *    buscas pelos títulos do que foi aberto e dos favoritos de maior nota,
+ *    sem repetição e sem o que já é favorito
+ * 3) Pontuação: cada característica em comum soma pontos; a que mais pesou
+ *    vira o motivo exibido ("porque você salvou 3 títulos de …")
+ *
+ * Limitação: a busca da OMDb (`s=`) só compara o termo com os títulos. Buscar
+ * por um diretor, ator ou gênero não traz a filmografia de ninguém, só títulos
+ * que contêm aquelas palavras; por isso nomes e gêneros só pontuam, e as
+ * buscas encontram continuações, a mesma franquia e títulos homônimos.
+ */
+
+// Peso de cada tipo de característica na pontuação
+const KIND_WEIGHT = { director: 3, actor: 1.5, genre: 1, decade: 0.5 };
+// Bônus por característica em comum com o título aberto (década não conta)
+const SEED_WEIGHT = { director: 6, actor: 3, genre: 1.5 };
+// Buscas e candidatos detalhados por rodada (cada um pode custar uma chamada ao provedor).
+// "Mais como este" aparece em qualquer página de detalhes, então gasta bem menos da cota diária.
+const BUDGET = { queries: 8, details: 24 };
+const SEED_BUDGET = { queries: 3, details: 8 };
+const DETAILS_BATCH = 4;
+const CANDIDATE_TYPES = new Set(["movie", "series"]);
+// Artigo inicial, deixado de fora do termo de busca ("The Matrix" → "Matrix")
+const LEADING_ARTICLE = /^(the|an?|os?|as?|el|las?|los|les?)\s+/i;
+
+// Nota pessoal 1–10 vira peso 0,2–2; sem nota, peso 1
+const weightOf = (fav) => (fav.score ? fav.score / 5 : 1);
+
+// Características comparáveis de um título: { director: [...], actor: [...], genre: [...], decade: [...] }
+function featuresOf(title) {
+  const decade = decadeOf(title);
+  return {
+    director: splitNames(title.director),
+    actor: splitNames(title.actors),
+    genre: genresOf(title),
+    decade: decade === null ? [] : [decade],
+  };
+}
+
+/**
+ * `favorites`: map id → favorito; `titles`: map id → título completo.
+ * Devolve { size, features: { director, actor, genre, decade } }, cada tipo
+ * um Map nome → { weight, count }.
+ */
+export function buildTasteProfile(favorites, titles = {}) {
+  const features = { director: new Map(), actor: new Map(), genre: new Map(), decade: new Map() };
+  const items = Object.values(favorites).map((fav) => withCatalog(fav, titles));
+  for (const fav of items) {
+    const weight = weightOf(fav);
+    for (const [kind, names] of Object.entries(featuresOf(fav))) {
+      for (const name of names) {
+        const entry = features[kind].get(name) || { weight: 0, count: 0 };
+        features[kind].set(name, { weight: entry.weight + weight, count: entry.count + 1 });
+      }
+    }
+  }
+  return { size: items.length, features };
+}
+
+// Os `limit` nomes mais fortes de um tipo: [{ name, weight, count }]
+export function topOf(profile, kind, limit) {
+  return [...profile.features[kind]]
+    .map(([name, entry]) => ({ name, ...entry }))
+    .sort(
+      (a, b) => b.weight - a.weight || b.count - a.count || String(a.name).localeCompare(String(b.name), getLocale())
+    )
+    .slice(0, limit);
+}
+
+// Termo de busca de um título: sem subtítulo nem artigo inicial ("The Matrix: Path of Neo" → "Matrix")
+export function titleQuery(title) {
+  const main = String(title || "").split(/:| - /)[0].trim();
+  const bare = main.replace(LEADING_ARTICLE, "");
+  return bare.length >= 3 ? bare : main;
+}
+
+// Termos de busca: primeiro o título aberto, depois os favoritos de maior peso → ["Matrix", …]
+export function candidateQueries(favorites, seed = null, max = BUDGET.queries) {
+  const sources = Object.values(favorites).sort(
+    (a, b) => weightOf(b) - weightOf(a) || String(b.addedAt || "").localeCompare(String(a.addedAt || ""))
+  );
+  if (seed) sources.unshift(seed);
+  const terms = [];
+  for (const source of sources) {
+    const term = titleQuery(source.title);
+    if (term && !terms.some((other) => fold(other) === fold(term))) terms.push(term);
+  }
+  return terms.slice(0, max);
+}
+
+/**
+ * Pontua um título completo contra o perfil (e o título aberto, se houver).
+ * Devolve null sem nada em comum, ou { score, reason }, onde `reason` é
+ * { kind, name, count } (perfil) ou { kind, name, seed } (título aberto).
+ */
+export function scoreCandidate(title, profile, seed = null) {
+  const own = seed ? featuresOf(seed) : null;
+  let score = 0;
+  let best = null;
+  const consider = (points, reason) => {
+    score += points;
+    if (!best || points > best.points) best = { points, reason };
+  };
+  for (const [kind, names] of Object.entries(featuresOf(title))) {
+    for (const name of names) {
+      const entry = profile.features[kind].get(name);
+      if (entry) consider(entry.weight * KIND_WEIGHT[kind], { kind, name, count: entry.count });
+      if (own && SEED_WEIGHT[kind] && own[kind].includes(name)) {
+        consider(SEED_WEIGHT[kind], { kind, name, seed: seed.title });
+      }
+    }
+  }
+  if (!best) return null;
+  // A nota IMDb só desempata títulos com a mesma afinidade
+  return { score: score + (title.rating || 0) / 10, reason: best.reason };
+}
+
+// Motivo legível de uma sugestão
+export function describeReason(reason) {
+  if (reason.seed) return t(`recommend.seed.${reason.kind}`, { name: reason.name, title: reason.seed });
+  return t(`recommend.because.${reason.kind}`, { count: reason.count, name: String(reason.name) });
+}
+
+// Chave inválida, cota ou rede: não adianta continuar buscando nesta rodada
+const isFatal = (err) =>
+  err instanceof ProviderError &&
+  [ErrorKind.INVALID_KEY, ErrorKind.LIMIT, ErrorKind.NETWORK].includes(err.kind);
+
+/**
+ * Busca, pontua e ordena sugestões.
+ * findRecommendations(provider, { favorites, titles, seed, limit }, { signal })
+ *   → [{ title (resumo), score, reason }]
+ * Termos sem resultado são pulados; um erro que impede continuar só é lançado
+ * se nenhuma sugestão tiver sido encontrada até ali. Com `seed` a rodada usa o
+ * orçamento menor; as respostas repetidas vêm do cache do provedor.
+ */
+export async function findRecommendations(
+  provider,
+  { favorites, titles = {}, seed = null, limit = 12 },
+  { signal } = {}
+) {
+  const profile = buildTasteProfile(favorites, titles);
+  const budget = seed ? SEED_BUDGET : BUDGET;
+  let failure = null;
+  const handle = (err) => {
+    if (isAbortError(err)) throw err;
+    if (isFatal(err)) failure = err;
+  };
+  const seen = new Set(Object.keys(favorites));
+  if (seed) seen.add(seed.id);
+  const isCandidate = (item) => item && !seen.has(item.id) && CANDIDATE_TYPES.has(item.type);
+  const scored = [];
+  const score = (title) => {
+    const match = scoreCandidate(title, profile, seed);
+    if (match) scored.push({ title: toSummary(title), ...match });
+  };
+
+  // 1) Catálogo local: títulos já abertos, com detalhes, não custam chamadas
+  for (const title of Object.values(titles)) {
+    if (!isCandidate(title)) continue;
+    seen.add(title.id);
+    score(title);
+  }
+
+  // 2) Buscas: uma página por termo, intercalando os termos para nenhum dominar
+  const batches = [];
+  for (const term of candidateQueries(favorites, seed, budget.queries)) {
+    try {
+      const { results } = await provider.search({ term }, { signal });
+      batches.push(results);
+    } catch (err) {
+      handle(err);
+      if (failure) break;
+    }
+  }
+  const candidates = [];
+  for (let i = 0; batches.some((batch) => i < batch.length); i++) {
+    for (const item of batches.map((batch) => batch[i])) {
+      if (!isCandidate(item)) continue;
+      seen.add(item.id);
+      candidates.push(item);
+    }
+  }
+
+  // 3) Detalhes dos encontrados na busca (parando no primeiro erro fatal) e pontuação
+  const pending = candidates.slice(0, budget.details);
+  for (let start = 0; start < pending.length && !failure; start += DETAILS_BATCH) {
+    const details = await Promise.all(
+      pending.slice(start, start + DETAILS_BATCH).map((item) =>
+        provider.getById(item.id, { plot: "short", signal }).catch((err) => {
+          handle(err);
+          return null;
+        })
+      )
+    );
+    details.filter(Boolean).forEach(score);
+  }
+
+  if (scored.length === 0 && failure) throw failure;
+  return scored.sort((a, b) => b.score - a.score).slice(0, limit);
+}
@@ -0,0 +1,142 @@
+import { describe, expect, it } from "vitest";
+import { ErrorKind, ProviderError } from "./errors.js";
+import { createFavorite } from "./favorites.js";
+import { toSummary } from "./model.js";
+import { createMockProvider } from "./providers/mock.js";
+import { FIXTURE_TITLES } from "./providers/fixtures.js";
+import { createOmdbProvider } from "./providers/omdb.js";
+import {
+  buildTasteProfile,
+  candidateQueries,
+  describeReason,
+  findRecommendations,
+  titleQuery,
+  topOf,
+} from "./recommend.js";
+import { createOmdbServer, TEST_API_KEY } from "../test/omdbServer.js";
+
+const byId = Object.fromEntries(FIXTURE_TITLES.map((title) => [title.id, title]));
+const INCEPTION = byId.tt1375666;
+const MATRIX = byId.tt0133093;
+
+// Favorito só com o resumo (como vem da busca); os detalhes ficam no catálogo local
+const favoritesOf = (...titles) =>
+  Object.fromEntries(titles.map((title) => [title.id, createFavorite(toSummary(title))]));
+
+describe("buildTasteProfile", () => {
+  it("completa os favoritos com o catálogo local e conta cada característica", () => {
+    const profile = buildTasteProfile(favoritesOf(INCEPTION, byId.tt0816692), byId);
+    expect(profile.size).toBe(2);
+    expect(profile.features.director.get("Christopher Nolan")).toEqual({ weight: 2, count: 2 });
+    expect(profile.features.genre.get("Sci-Fi")).toEqual({ weight: 2, count: 2 });
+    expect(profile.features.decade.get(2010)).toEqual({ weight: 2, count: 2 });
+    expect(topOf(profile, "genre", 2).map((g) => g.name)).toEqual(["Adventure", "Sci-Fi"]);
+  });
+
+  it("pesa mais os títulos com nota pessoal alta", () => {
+    const favorites = favoritesOf(INCEPTION, byId.tt0111161);
+    favorites[INCEPTION.id].score = 10;
+    favorites.tt0111161.score = 2;
+    const profile = buildTasteProfile(favorites, byId);
+    expect(profile.features.director.get("Christopher Nolan").weight).toBe(2);
+    expect(profile.features.director.get("Frank Darabont").weight).toBeCloseTo(0.4);
+    expect(topOf(profile, "director", 1)[0].name).toBe("Christopher Nolan");
+  });
+});
+
+describe("candidateQueries", () => {
+  it("busca pelo título principal, sem subtítulo nem artigo", () => {
+    expect(titleQuery("The Matrix")).toBe("Matrix");
+    expect(titleQuery("The Matrix: Path of Neo")).toBe("Matrix");
+    expect(titleQuery("O Auto da Compadecida")).toBe("Auto da Compadecida");
+    expect(titleQuery("The Fly")).toBe("Fly");
+    expect(titleQuery("It")).toBe("It");
+  });
+
+  it("começa pelo título aberto e segue pelos favoritos de maior nota, sem repetir termos", () => {
+    const favorites = favoritesOf(MATRIX, INCEPTION, byId.tt0111161);
+    favorites.tt0111161.score = 10;
+    const terms = candidateQueries(favorites, MATRIX);
+    expect(terms.slice(0, 2)).toEqual(["Matrix", "Shawshank Redemption"]);
+    expect(terms).toHaveLength(3);
+    expect(candidateQueries(favorites, MATRIX, 1)).toEqual(["Matrix"]);
+  });
+});
+
+describe("findRecommendations", () => {
+  it("sugere títulos do catálogo local fora da coleção, com o motivo", async () => {
+    const items = await findRecommendations(createMockProvider(), {
+      favorites: favoritesOf(INCEPTION),
+      titles: byId,
+    });
+    expect(items[0].title).toEqual({
+      id: "tt0816692",
+      title: "Interstellar",
+      year: "2014",
+      type: "movie",
+      poster: byId.tt0816692.poster,
+    });
+    expect(describeReason(items[0].reason)).toBe("porque você salvou 1 título de Christopher Nolan");
+    expect(items.map((item) => item.title.id)).not.toContain(INCEPTION.id);
+    expect(items.every((item) => item.title.type !== "episode")).toBe(true);
+  });
+
+  it("usa o título aberto mesmo sem favoritos", async () => {
+    const items = await findRecommendations(createMockProvider(), { favorites: {}, seed: MATRIX });
+    expect(items.map((item) => item.title.id)).toEqual(["tt0234215"]);
+    expect(describeReason(items[0].reason)).toBe("também dirigido por Lana Wachowski");
+  });
+
+  it("faz poucas buscas a partir do título aberto", async () => {
+    const provider = createMockProvider();
+    const search = provider.search;
+    const terms = [];
+    provider.search = (params, options) => {
+      terms.push(params.term);
+      return search(params, options);
+    };
+    const favorites = favoritesOf(INCEPTION, byId.tt0816692, byId.tt0111161, byId.tt0317248);
+    await findRecommendations(provider, { favorites, seed: MATRIX });
+    expect(terms).toHaveLength(3);
+    expect(terms[0]).toBe("Matrix");
+  });
+
+  it("encontra continuações com a busca real da OMDb, que só compara títulos", async () => {
+    const server = createOmdbServer();
+    const provider = createOmdbProvider({ apiKey: TEST_API_KEY, fetchImpl: server.fetch });
+    const seed = await provider.getById("tt0133093");
+    const items = await findRecommendations(provider, { favorites: {}, seed });
+    expect(server.requests).toContainEqual({ s: "Matrix", page: "1" });
+    expect(items.map((item) => item.title.id)).toEqual(["tt0234215"]);
+    expect(describeReason(items[0].reason)).toBe("também dirigido por Lana Wachowski");
+  });
+
+  it("mantém o que o catálogo já deu quando a cota acaba", async () => {
+    const provider = createMockProvider();
+    let calls = 0;
+    provider.search = () => {
+      calls += 1;
+      return Promise.reject(new ProviderError(ErrorKind.LIMIT, "cota"));
+    };
+    const items = await findRecommendations(provider, { favorites: favoritesOf(INCEPTION), titles: byId });
+    expect(items[0].title.id).toBe("tt0816692");
+    expect(calls).toBe(1);
+  });
+
+  it("lança o erro quando não encontrou nada antes dele", async () => {
+    const provider = createMockProvider();
+    provider.search = () => Promise.reject(new ProviderError(ErrorKind.INVALID_KEY, "chave"));
+    await expect(findRecommendations(provider, { favorites: favoritesOf(INCEPTION) })).rejects.toMatchObject({
+      kind: ErrorKind.INVALID_KEY,
+    });
+  });
+
+  it("pode ser cancelada", async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const input = { favorites: favoritesOf(INCEPTION), titles: byId };
+    await expect(
+      findRecommendations(createMockProvider(), input, { signal: controller.signal })
+    ).rejects.toMatchObject({ kind: ErrorKind.ABORTED });
+  });
+});
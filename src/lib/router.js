@@ -0,0 +1,120 @@
+/**
+ * Roteamento simples por hash
+ * -------------------------------------------------------------
+ * Rotas:
+ *   #/ ou #/busca?q=matrix&page=3&type=series  → search
+ *   #/detalhes/:id                            → details
+ *   #/detalhes/:id?temporada=2                → details (série, na temporada 2)
+ *   #/episodio/:id                            → episode
+ *   #/comparar/tt0054215,tt0155975            → compare
+ *   #/favoritos                               → favorites
+ *   #/listas                                  → lists
+ *   #/estatisticas                            → stats
+ *   #/descobrir                               → discover
+ *   #/agenda?visao=semana&data=2026-10-19     → agenda
+ *   #/listas/:slug                            → list
+ *   #/configuracoes                           → settings
+ *   #/historico                               → history
+ *   #/compartilhado/<payload>                 → shared (lista recebida por link, ver lib/share.js)
+ *
+ * O trecho após "?" fica em `route.search` (string crua) e `route.query` (objeto).
+ * As posições de rolagem são guardadas por hash em sessionStorage, para que
+ * voltar/avançar e recarregar a página retomem o mesmo ponto.
+ */
+
+// Segmento da URL decodificado; um escape malformado ("50%off") fica como veio
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
+
+// Utilitário para transformar hash em rota simples
+export function parseHash(hash = window.location.hash) {
+  const raw = hash.replace(/^#\/?/, ""); // remove # e /
+  const [path, search = ""] = raw.split("?");
+  const query = Object.fromEntries(new URLSearchParams(search));
+  const parts = path.split("/").filter(Boolean).map(decodeSegment);
+  const route = (name, params = {}) => ({ name, params, query, search });
+
+  if (parts[0] === "detalhes" && parts[1]) return route("details", { id: parts[1] });
+  if (parts[0] === "episodio" && parts[1]) return route("episode", { id: parts[1] });
+  if (parts[0] === "comparar" && parts[1]) return route("compare", { ids: parts[1].split(",").filter(Boolean) });
+  if (parts[0] === "favoritos") return route("favorites");
+  if (parts[0] === "listas" && parts[1]) return route("list", { slug: parts[1] });
+  if (parts[0] === "listas") return route("lists");
+  if (parts[0] === "estatisticas") return route("stats");
+  if (parts[0] === "descobrir") return route("discover");
+  if (parts[0] === "agenda") return route("agenda");
+  if (parts[0] === "configuracoes") return route("settings");
+  if (parts[0] === "historico") return route("history");
+  if (parts[0] === "compartilhado" && parts[1]) return route("shared", { payload: parts[1] });
+  return route("search");
+}
+
+// Monta a query string ignorando valores vazios
+export function toQueryString(query = {}) {
+  const qs = new URLSearchParams();
+  for (const [k, v] of Object.entries(query)) {
+    if (v !== undefined && v !== null && v !== "") qs.set(k, v);
+  }
+  return qs.toString();
+}
+
+// Caminho (sem "#") de uma rota nomeada
+export function buildHash(name, params = {}, query = {}) {
+  const qs = toQueryString(query);
+  const withQuery = (path) => (qs ? `${path}?${qs}` : path);
+  if (name === "details") return withQuery(`/detalhes/${encodeURIComponent(params.id)}`);
+  if (name === "episode") return withQuery(`/episodio/${encodeURIComponent(params.id)}`);
+  if (name === "compare") return withQuery(`/comparar/${params.ids.map(encodeURIComponent).join(",")}`);
+  if (name === "favorites") return withQuery("/favoritos");
+  if (name === "lists") return withQuery("/listas");
+  if (name === "stats") return withQuery("/estatisticas");
+  if (name === "discover") return withQuery("/descobrir");
+  if (name === "agenda") return withQuery("/agenda");
+  if (name === "settings") return withQuery("/configuracoes");
+  if (name === "history") return withQuery("/historico");
+  if (name === "shared") return withQuery(`/compartilhado/${params.payload}`);
+  if (name === "list") return withQuery(`/listas/${encodeURIComponent(params.slug)}`);
+  return qs ? `/busca?${qs}` : "/";
+}
+
+// -----------------------
+// Rolagem por hash
+// -----------------------
+const SCROLL_KEY = "cinebusca:scroll";
+
+function readScrollMap() {
+  try {
+    return JSON.parse(window.sessionStorage.getItem(SCROLL_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+export function rememberScroll(hash, y) {
+  const map = readScrollMap();
+  map[hash || "#/"] = Math.round(y);
+  try {
+    window.sessionStorage.setItem(SCROLL_KEY, JSON.stringify(map));
+  } catch {
+    // sessionStorage indisponível: a rolagem simplesmente não é restaurada
+  }
+}
+
+// Lê e descarta a posição salva (cada posição é restaurada uma única vez)
+export function takeScroll(hash) {
+  const map = readScrollMap();
+  const y = map[hash || "#/"];
+  if (typeof y !== "number") return null;
+  delete map[hash || "#/"];
+  try {
+    window.sessionStorage.setItem(SCROLL_KEY, JSON.stringify(map));
+  } catch {
+    // ignorado
+  }
+  return y;
+}
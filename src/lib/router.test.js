@@ -0,0 +1,79 @@
+import { describe, expect, it } from "vitest";
+import { buildHash, parseHash, toQueryString } from "./router.js";
+
+describe("parseHash", () => {
+  it("trata hash vazio e desconhecido como a busca", () => {
+    expect(parseHash("")).toEqual({ name: "search", params: {}, query: {}, search: "" });
+    expect(parseHash("#/")).toMatchObject({ name: "search" });
+    expect(parseHash("#/nada/aqui")).toMatchObject({ name: "search" });
+  });
+
+  it("separa a query string da busca", () => {
+    const route = parseHash("#/busca?q=matrix&page=3&type=series");
+    expect(route.name).toBe("search");
+    expect(route.query).toEqual({ q: "matrix", page: "3", type: "series" });
+    expect(route.search).toBe("q=matrix&page=3&type=series");
+  });
+
+  it("reconhece as rotas com parâmetros", () => {
+    expect(parseHash("#/detalhes/tt0133093?temporada=2")).toMatchObject({
+      name: "details",
+      params: { id: "tt0133093" },
+      query: { temporada: "2" },
+    });
+    expect(parseHash("#/episodio/tt0959621")).toMatchObject({ name: "episode", params: { id: "tt0959621" } });
+    expect(parseHash("#/comparar/tt1,tt2,")).toMatchObject({ name: "compare", params: { ids: ["tt1", "tt2"] } });
+    expect(parseHash("#/listas/para%20ver")).toMatchObject({ name: "list", params: { slug: "para ver" } });
+    expect(parseHash("#/compartilhado/abc123")).toMatchObject({ name: "shared", params: { payload: "abc123" } });
+  });
+
+  it("mantém como veio um segmento com escape malformado", () => {
+    expect(parseHash("#/listas/50%off")).toMatchObject({ name: "list", params: { slug: "50%off" } });
+  });
+
+  it("reconhece as rotas sem parâmetros", () => {
+    const names = {
+      "#/favoritos": "favorites",
+      "#/listas": "lists",
+      "#/estatisticas": "stats",
+      "#/descobrir": "discover",
+      "#/agenda": "agenda",
+      "#/configuracoes": "settings",
+      "#/historico": "history",
+    };
+    for (const [hash, name] of Object.entries(names)) expect(parseHash(hash).name).toBe(name);
+  });
+
+  it("usa window.location.hash por padrão", () => {
+    window.location.hash = "#/favoritos";
+    expect(parseHash().name).toBe("favorites");
+  });
+});
+
+describe("buildHash", () => {
+  it("omite valores vazios da query", () => {
+    expect(toQueryString({ q: "matrix", page: 2, type: "", year: null })).toBe("q=matrix&page=2");
+    expect(buildHash("search", {}, { q: "" })).toBe("/");
+    expect(buildHash("search", {}, { q: "matrix", page: 2 })).toBe("/busca?q=matrix&page=2");
+  });
+
+  it("faz o caminho inverso de parseHash", () => {
+    const routes = [
+      ["details", { id: "tt0133093" }, { temporada: "2" }],
+      ["episode", { id: "tt0959621" }, {}],
+      ["compare", { ids: ["tt0133093", "tt0234215"] }, {}],
+      ["favorites", {}, { q: "nolan" }],
+      ["lists", {}, {}],
+      ["list", { slug: "para ver" }, {}],
+      ["stats", {}, {}],
+      ["discover", {}, {}],
+      ["agenda", {}, { visao: "semana", data: "2026-10-19" }],
+      ["settings", {}, {}],
+      ["history", {}, {}],
+      ["search", {}, { q: "cidade de deus", page: "2" }],
+    ];
+    for (const [name, params, query] of routes) {
+      expect(parseHash(`#${buildHash(name, params, query)}`)).toMatchObject({ name, params, query });
+    }
+  });
+});
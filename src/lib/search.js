@@ -0,0 +1,128 @@
+import { t } from "./i18n.js";
+
+/**
+ * Utilitários de busca
+ * -------------------------------------------------------------
+ * Os provedores só filtram por ano exato (`year`). O intervalo de anos é
+ * resolvido aqui: buscamos várias páginas, filtramos localmente e paginamos
+ * o resultado.
+ */
+
+export const PAGE_SIZE = 10;
+
+// A OMDb não serve páginas além da 100ª, mesmo quando totalResults é maior
+export const MAX_OMDB_PAGES = 100;
+
+export const totalPagesOf = (total) => Math.min(Math.ceil(total / PAGE_SIZE), MAX_OMDB_PAGES);
+
+// Rolagem infinita: acrescenta uma página ignorando ids já exibidos
+export function appendUnique(list, items) {
+  const seen = new Set(list.map((m) => m.id));
+  const fresh = items.filter((m) => !seen.has(m.id) && seen.add(m.id));
+  return fresh.length ? [...list, ...fresh] : list;
+}
+
+// Limite de páginas buscadas para um intervalo (cada página custa 1 requisição)
+export const MAX_RANGE_PAGES = 10;
+
+// Rótulos são chaves do catálogo de mensagens (ver lib/i18n.js)
+export const TYPE_OPTIONS = [
+  { value: "movie", labelKey: "search.type.movie" },
+  { value: "series", labelKey: "search.type.series" },
+  { value: "episode", labelKey: "search.type.episode" },
+  { value: "", labelKey: "search.type.all" },
+];
+
+// Tipo de um título no idioma ativo ("Filme", "Series"); tipos sem rótulo (ex.: "game") ficam como vieram
+export function typeLabel(type) {
+  const option = TYPE_OPTIONS.find((o) => o.value && o.value === type);
+  return option ? t(option.labelKey, { count: 1 }) : type || "";
+}
+
+export const DEFAULT_FILTERS = { type: "movie", year: "", yearFrom: "", yearTo: "" };
+
+// "1999" → [1999, 1999]; "2010–2014" → [2010, 2014]; "2019–" → [2019, ano atual]
+export function parseYearSpan(year) {
+  const match = String(year || "").match(/(\d{4})(?:\s*[–-]\s*(\d{4})?)?/);
+  if (!match) return null;
+  const start = Number(match[1]);
+  const open = /[–-]\s*$/.test(String(year).trim());
+  const end = match[2] ? Number(match[2]) : open ? new Date().getFullYear() : start;
+  return [start, end];
+}
+
+// Considera o título dentro do intervalo quando os períodos se sobrepõem
+export function inYearRange(item, from, to) {
+  const span = parseYearSpan(item.year);
+  if (!span) return false;
+  const lo = from ? Number(from) : -Infinity;
+  const hi = to ? Number(to) : Infinity;
+  return span[1] >= lo && span[0] <= hi;
+}
+
+export const isValidYear = (value) => /^\d{4}$/.test(String(value));
+
+// Normaliza os filtros do formulário: descarta anos inválidos e ordena o intervalo
+export function normalizeFilters(filters) {
+  const f = { ...DEFAULT_FILTERS, ...filters };
+  const year = isValidYear(f.year) ? f.year : "";
+  let from = isValidYear(f.yearFrom) ? f.yearFrom : "";
+  let to = isValidYear(f.yearTo) ? f.yearTo : "";
+  if (from && to && Number(from) > Number(to)) [from, to] = [to, from];
+  // Ano exato tem precedência sobre o intervalo
+  if (year) from = to = "";
+  return { type: f.type, year, yearFrom: from, yearTo: to };
+}
+
+export const hasYearRange = (filters) => Boolean(filters.yearFrom || filters.yearTo);
+
+/**
+ * Busca até MAX_RANGE_PAGES páginas e devolve os itens dentro do intervalo.
+ * `truncated` indica que o provedor tinha mais resultados do que os examinados.
+ */
+export async function searchYearRange(provider, { term, type, yearFrom, yearTo }, { signal } = {}) {
+  const first = await provider.search({ term, type, page: 1 }, { signal });
+  const totalPages = totalPagesOf(first.total);
+  const lastPage = Math.min(totalPages, MAX_RANGE_PAGES);
+
+  const seen = new Set();
+  const items = [];
+  const collect = (list) => {
+    for (const item of list) {
+      if (seen.has(item.id)) continue;
+      seen.add(item.id);
+      if (inYearRange(item, yearFrom, yearTo)) items.push(item);
+    }
+  };
+
+  collect(first.results);
+  for (let page = 2; page <= lastPage; page++) {
+    const { results } = await provider.search({ term, type, page }, { signal });
+    collect(results);
+  }
+
+  return { items, truncated: totalPages > lastPage, scanned: seen.size };
+}
+
+// -----------------------
+// Estado da busca ⇄ query string da URL (#/busca?q=…&page=…&type=…&y=…&de=…&ate=…)
+// -----------------------
+
+// Na URL, "Todos" vira type=all; sem `type`, vale `defaultType` (o tipo padrão das configurações)
+export function readSearchQuery(query = {}, defaultType = DEFAULT_FILTERS.type) {
+  const type = query.type === "all" ? "" : query.type || defaultType;
+  const filters = normalizeFilters({ type, year: query.y, yearFrom: query.de, yearTo: query.ate });
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  return { term: (query.q || "").trim(), filters, page };
+}
+
+export function toSearchQuery({ term, filters = DEFAULT_FILTERS, page = 1 }, defaultType = DEFAULT_FILTERS.type) {
+  return {
+    q: term,
+    page: page > 1 ? page : "",
+    type: filters.type === defaultType ? "" : filters.type || "all",
+    y: filters.year,
+    de: filters.yearFrom,
+    ate: filters.yearTo,
+  };
+}
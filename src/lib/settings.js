@@ -0,0 +1,87 @@
+import { detectLocale, isLocale } from "./i18n.js";
+import { DEFAULT_FILTERS, TYPE_OPTIONS } from "./search.js";
+import { THEME_OPTIONS } from "./theme.js";
+
+/**
+ * Preferências da interface (#/configuracoes)
+ * -------------------------------------------------------------
+ * Guardadas em "omdbSettings" como
+ *   { version: 1, settings: { locale, theme, searchType, plot, layout, paging, history } }.
+ * Campos desconhecidos ou inválidos voltam ao padrão na leitura.
+ *
+ * A API Key fica à parte, em "omdbApiKey", e guarda só a chave digitada pelo
+ * usuário; a de VITE_OMDB_API_KEY é usada quando não há chave salva.
+ */
+
+export const SETTINGS_KEY = "omdbSettings";
+export const SETTINGS_VERSION = 1;
+
+export const API_KEY_STORAGE = "omdbApiKey";
+
+// Tamanho da sinopse pedido à OMDb na página de detalhes
+export const PLOT_OPTIONS = [
+  { value: "short", labelKey: "settings.plot.short" },
+  { value: "full", labelKey: "settings.plot.full" },
+];
+
+// Disposição dos resultados da busca
+export const LAYOUT_OPTIONS = [
+  { value: "grid", labelKey: "settings.layout.grid" },
+  { value: "list", labelKey: "settings.layout.list" },
+  { value: "wall", labelKey: "settings.layout.wall" },
+];
+
+// Navegação pelos resultados: páginas numeradas ou rolagem infinita
+export const PAGING_OPTIONS = [
+  { value: "pages", labelKey: "settings.paging.pages" },
+  { value: "scroll", labelKey: "settings.paging.scroll" },
+];
+
+// Registro do histórico (#/historico): ativo ou pausado
+export const HISTORY_OPTIONS = [
+  { value: "on", labelKey: "settings.history.on" },
+  { value: "paused", labelKey: "settings.history.paused" },
+];
+
+// Padrões da primeira visita (o idioma acompanha o navegador)
+export const defaultSettings = () => ({
+  locale: detectLocale(),
+  theme: "system",
+  searchType: DEFAULT_FILTERS.type,
+  plot: "full",
+  layout: "grid",
+  paging: "pages",
+  history: "on",
+});
+
+const oneOf = (options, value, fallback) => (options.some((o) => o.value === value) ? value : fallback);
+
+export function migrateSettings(stored) {
+  const defaults = defaultSettings();
+  const settings = stored && typeof stored === "object" && stored.settings ? stored.settings : {};
+  return {
+    ...defaults,
+    locale: isLocale(settings.locale) ? settings.locale : defaults.locale,
+    theme: oneOf(THEME_OPTIONS, settings.theme, defaults.theme),
+    searchType: oneOf(TYPE_OPTIONS, settings.searchType, defaults.searchType),
+    plot: oneOf(PLOT_OPTIONS, settings.plot, defaults.plot),
+    layout: oneOf(LAYOUT_OPTIONS, settings.layout, defaults.layout),
+    paging: oneOf(PAGING_OPTIONS, settings.paging, defaults.paging),
+    history: oneOf(HISTORY_OPTIONS, settings.history, defaults.history),
+  };
+}
+
+export const serializeSettings = (settings) => ({ version: SETTINGS_VERSION, settings });
+
+// De onde vem a chave em uso: "user" (digitada), "env" (VITE_OMDB_API_KEY) ou null
+export function apiKeySource(storedKey, envKey) {
+  if (storedKey && storedKey !== envKey) return "user";
+  return envKey ? "env" : null;
+}
+
+// "a1b2c3d4" → "a1••••d4"; a chave completa nunca aparece na tela
+export function maskApiKey(key) {
+  if (!key) return "";
+  if (key.length <= 4) return "•".repeat(key.length);
+  return `${key.slice(0, 2)}${"•".repeat(Math.max(4, key.length - 4))}${key.slice(-2)}`;
+}
@@ -0,0 +1,96 @@
+import { t } from "./i18n.js";
+import { buildHash } from "./router.js";
+
+/**
+ * Listas compartilhadas por link (#/compartilhado/<payload>)
+ * -------------------------------------------------------------
+ * Nada passa por servidor: o link carrega a lista inteira. O payload leva só
+ * o essencial — título opcional e os ids, cada um com a anotação
+ * opcional —; pôster, ano etc. são buscados no provedor por quem abre o link.
+ *
+ *   { v: 1, t: "Sexta", i: ["tt0133093", ["tt1375666", "anotação"]] }
+ *
+ * O JSON é comprimido com deflate (CompressionStream) e codificado em
+ * base64url. O primeiro caractere indica o formato: "z" comprimido ou "j" só
+ * base64url, usado quando o navegador não tem CompressionStream.
+ */
+
+export const SHARE_VERSION = 1;
+
+// Limites para o link continuar cabendo num chat
+export const MAX_SHARED = 100;
+export const MAX_SHARED_TITLE = 80;
+export const MAX_SHARED_NOTE = 280;
+
+const IMDB_ID = /^tt\d{7,}$/;
+
+function toBase64Url(bytes) {
+  let binary = "";
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
+
+const canCompress = () => typeof CompressionStream === "function" && typeof DecompressionStream === "function";
+
+async function pipe(bytes, stream) {
+  const buffer = await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+  return new Uint8Array(buffer);
+}
+
+/**
+ * Lista de favoritos → payload. `items` = [{ id, note }]; as anotações só
+ * entram com `includeNotes`. Acima de MAX_SHARED, os primeiros são mantidos.
+ */
+export async function encodeShare({ title = "", items, includeNotes = false }) {
+  const data = {
+    v: SHARE_VERSION,
+    i: items.slice(0, MAX_SHARED).map(({ id, note }) => {
+      const text = includeNotes && note ? note.trim().slice(0, MAX_SHARED_NOTE) : "";
+      return text ? [id, text] : id;
+    }),
+  };
+  const name = title.trim().slice(0, MAX_SHARED_TITLE);
+  if (name) data.t = name;
+  const bytes = new TextEncoder().encode(JSON.stringify(data));
+  if (!canCompress()) return `j${toBase64Url(bytes)}`;
+  return `z${toBase64Url(await pipe(bytes, new CompressionStream("deflate-raw")))}`;
+}
+
+/**
+ * Payload → { title, items: [{ id, note }] }. Entradas inválidas são
+ * descartadas; um payload ilegível lança erro com mensagem para o usuário.
+ */
+export async function decodeShare(payload) {
+  let data;
+  try {
+    const format = payload[0];
+    let bytes = fromBase64Url(payload.slice(1));
+    if (format === "z") bytes = await pipe(bytes, new DecompressionStream("deflate-raw"));
+    else if (format !== "j") throw new Error("formato");
+    data = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    throw new Error(t("share.invalid"));
+  }
+  if (!data || data.v !== SHARE_VERSION || !Array.isArray(data.i)) throw new Error(t("share.invalid"));
+
+  const seen = new Set();
+  const items = [];
+  for (const entry of data.i.slice(0, MAX_SHARED)) {
+    const [id, note] = Array.isArray(entry) ? entry : [entry, ""];
+    if (typeof id !== "string" || !IMDB_ID.test(id) || seen.has(id)) continue;
+    seen.add(id);
+    items.push({ id, note: typeof note === "string" ? note.slice(0, MAX_SHARED_NOTE) : "" });
+  }
+  const title = typeof data.t === "string" ? data.t.slice(0, MAX_SHARED_TITLE) : "";
+  return { title, items };
+}
+
+// Link completo para a rota compartilhada, a partir do endereço atual
+export function shareUrl(payload, location = window.location) {
+  return `${location.origin}${location.pathname}#${buildHash("shared", { payload })}`;
+}
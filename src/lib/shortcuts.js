@@ -0,0 +1,56 @@
+/**
+ * Atalhos de teclado
+ * -------------------------------------------------------------
+ * SHORTCUTS alimenta o painel de ajuda ("?") e `shortcutAction` traduz um
+ * keydown na ação correspondente. Não são atalhos: teclas com Ctrl/Alt/Meta,
+ * digitadas em campos de texto ou dentro de um diálogo aberto, e eventos que
+ * um componente já tratou (preventDefault).
+ *
+ * Quem responde a cada ação: App (search, next, prev, back, help), a busca
+ * (prevPage, nextPage), o cartão em foco (open, favorite) e a página de
+ * detalhes (favorite).
+ */
+
+export const SHORTCUTS = [
+  { keys: ["/"], action: "search", labelKey: "shortcuts.search" },
+  { keys: ["j"], action: "next", labelKey: "shortcuts.next" },
+  { keys: ["k"], action: "prev", labelKey: "shortcuts.prev" },
+  { keys: ["Enter"], action: "open", labelKey: "shortcuts.open" },
+  { keys: ["f"], action: "favorite", labelKey: "shortcuts.favorite" },
+  { keys: ["Escape", "Backspace"], action: "back", labelKey: "shortcuts.back" },
+  { keys: ["["], action: "prevPage", labelKey: "shortcuts.prevPage" },
+  { keys: ["]"], action: "nextPage", labelKey: "shortcuts.nextPage" },
+  { keys: ["?"], action: "help", labelKey: "shortcuts.help" },
+];
+
+// Campo de busca principal, alvo do atalho "/"
+export const SEARCH_INPUT_ID = "campo-busca";
+
+// Itens percorridos por j/k (cartões de resultado, favoritos, listas)
+export const RESULT_SELECTOR = "[data-result]";
+
+const NON_TEXT_INPUTS = new Set(["checkbox", "radio", "button", "submit", "reset", "range", "color", "file"]);
+
+function isEditable(target) {
+  if (!target || !target.tagName) return false;
+  if (target.isContentEditable) return true;
+  if (target.tagName === "TEXTAREA" || target.tagName === "SELECT") return true;
+  return target.tagName === "INPUT" && !NON_TEXT_INPUTS.has(target.type);
+}
+
+export function shortcutAction(event) {
+  if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return null;
+  const { target } = event;
+  if (isEditable(target)) return null;
+  if (target && typeof target.closest === "function" && target.closest('[aria-modal="true"]')) return null;
+  const found = SHORTCUTS.find((s) => s.keys.includes(event.key));
+  return found ? found.action : null;
+}
+
+// Próximo (ou anterior) item da lista a partir do que está em foco; sem foco na lista, começa pela ponta
+export function nextResult(items, current, step) {
+  if (items.length === 0) return null;
+  const index = items.indexOf(current);
+  if (index === -1) return step > 0 ? items[0] : items[items.length - 1];
+  return items[Math.min(items.length - 1, Math.max(0, index + step))];
+}
@@ -0,0 +1,77 @@
+import { decadeOf, genresOf, listOf } from "./collection.js";
+import { splitNames } from "./ratings.js";
+import { getLocale, t } from "./i18n.js";
+
+/**
+ * Estatísticas da coleção (#/estatisticas)
+ * -------------------------------------------------------------
+ * Calculadas sobre os favoritos; campos de detalhes que o favorito ainda não
+ * tem são completados com o catálogo local de títulos (IndexedDB), sem novas
+ * chamadas ao provedor. Cada grupo traz `query`, o filtro equivalente em
+ * #/favoritos, para que cada barra do gráfico leve à lista filtrada.
+ */
+
+const TOP = 10;
+
+// Favorito com os campos que faltam preenchidos pelo catálogo local (também usado em lib/recommend.js)
+export function withCatalog(fav, titles) {
+  const stored = titles[fav.id];
+  if (!stored) return fav;
+  const merged = { ...fav };
+  for (const field of ["genre", "director", "writer", "actors", "country", "language", "runtime", "rating"]) {
+    if (!merged[field] && stored[field]) merged[field] = stored[field];
+  }
+  return merged;
+}
+
+// Conta ocorrências e devolve [{ key, count }] em ordem decrescente
+function tally(items, keysOf) {
+  const counts = new Map();
+  for (const item of items) {
+    for (const key of new Set(keysOf(item))) counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return [...counts]
+    .map(([key, count]) => ({ key, count }))
+    .sort((a, b) => b.count - a.count || String(a.key).localeCompare(String(b.key), getLocale()));
+}
+
+// 1895 → "1 dia, 7 h 35 min"
+export function formatDuration(minutes) {
+  const days = Math.floor(minutes / 1440);
+  const time = t("stats.hoursMinutes", { hours: Math.floor((minutes % 1440) / 60), minutes: minutes % 60 });
+  return days ? `${t("stats.days", { count: days })}, ${time}` : time;
+}
+
+/**
+ * `favorites`: map id → favorito; `titles`: map id → título completo.
+ * Devolve { total, withDetails, averageImdb, ratedCount, runtime, timedCount,
+ *           decades, genres, directors, actors, countries, languages }.
+ */
+export function collectionStats(favorites, titles = {}) {
+  const items = Object.values(favorites).map((fav) => withCatalog(fav, titles));
+
+  const ratings = items.map((f) => f.rating).filter((n) => typeof n === "number");
+  const runtimes = items.map((f) => f.runtime).filter((n) => typeof n === "number");
+
+  const label = (group, toQuery, toLabel = String) =>
+    group.map(({ key, count }) => ({ key, count, label: toLabel(key), query: toQuery(key) }));
+
+  return {
+    total: items.length,
+    withDetails: items.filter((f) => f.genre || f.director).length,
+    averageImdb: ratings.length ? ratings.reduce((a, b) => a + b, 0) / ratings.length : null,
+    ratedCount: ratings.length,
+    runtime: runtimes.reduce((a, b) => a + b, 0),
+    timedCount: runtimes.length,
+    decades: label(
+      tally(items, (f) => (decadeOf(f) === null ? [] : [decadeOf(f)])).sort((a, b) => a.key - b.key),
+      (d) => ({ decada: String(d) }),
+      (d) => t("collection.decade", { decade: String(d) })
+    ),
+    genres: label(tally(items, genresOf), (g) => ({ genero: g })),
+    directors: label(tally(items, (f) => splitNames(f.director)).slice(0, TOP), (p) => ({ pessoa: p })),
+    actors: label(tally(items, (f) => splitNames(f.actors)).slice(0, TOP), (p) => ({ pessoa: p })),
+    countries: label(tally(items, (f) => listOf(f.country)).slice(0, TOP), (c) => ({ pais: c })),
+    languages: label(tally(items, (f) => listOf(f.language)).slice(0, TOP), (l) => ({ idioma: l })),
+  };
+}
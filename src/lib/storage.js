@@ -0,0 +1,96 @@
+/**
+ * Armazenamento local resiliente (base de hooks/useLocalStorage.js)
+ * -------------------------------------------------------------
+ * - Cada chave guarda JSON; coleção e preferências vão num envelope com a
+ *   versão do formato ({ version, … }), lido pelas funções migrate* de cada módulo
+ * - Valor ilegível (JSON quebrado ou migração que falha) é "corrompido", não
+ *   "vazio": o texto original é copiado para `<chave>:corrompido` antes de a
+ *   app gravar por cima, para o usuário baixá-lo e recuperar o que der
+ * - Várias abas: quem grava por último não apaga o que a outra fez. A cada
+ *   gravação de outra aba (evento "storage"), as duas versões são juntadas
+ *   contra a última versão conhecida (merge de três vias): o que só uma das
+ *   abas mudou é mantido; se as duas mudaram o mesmo item, vale a desta aba
+ */
+
+export const StorageIssue = {
+  WRITE: "write",
+  CORRUPT: "corrupt",
+};
+
+export const backupKey = (key) => `${key}:corrompido`;
+
+// Leitura que nunca lança (localStorage pode estar bloqueado pelo navegador)
+export function readRaw(key) {
+  try {
+    return window.localStorage.getItem(key);
+  } catch {
+    return null;
+  }
+}
+
+// Converte o texto salvo: { found: false } | { found: true, value } | { found: true, corrupt: true }
+export function parseStored(raw, deserialize = (v) => v) {
+  if (raw === null || raw === undefined) return { found: false };
+  try {
+    return { found: true, value: deserialize(JSON.parse(raw)) };
+  } catch {
+    return { found: true, corrupt: true };
+  }
+}
+
+// Guarda a cópia do valor corrompido; devolve false se nem isso couber
+export function saveBackup(key, raw) {
+  try {
+    window.localStorage.setItem(backupKey(key), raw);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export const readBackup = (key) => readRaw(backupKey(key));
+
+export function clearBackup(key) {
+  try {
+    window.localStorage.removeItem(backupKey(key));
+  } catch {
+    // ignorado: nada a remover
+  }
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Valor único (ex.: uma lista ordenada): a versão da outra aba vale se esta não mudou nada
+export const keepLocalChanges = (base, local, incoming) => (same(local, base) ? incoming : local);
+
+/**
+ * Merge de três vias por chave de um objeto (favoritos por id, preferências
+ * por campo…): cada chave vem da aba que a alterou em relação a `base`;
+ * remoções contam como alteração.
+ */
+export function mergeById(base, local, incoming) {
+  const before = base || {};
+  const mine = local || {};
+  const theirs = incoming || {};
+  const out = {};
+  for (const id of new Set([...Object.keys(mine), ...Object.keys(theirs)])) {
+    const value = same(mine[id], before[id]) ? theirs[id] : mine[id];
+    if (value !== undefined) out[id] = value;
+  }
+  // Sem mudança efetiva, mantém a mesma referência (evita re-render e regravação)
+  return same(out, mine) && local ? local : out;
+}
+
+/**
+ * O mesmo para um array de objetos com `id` (listas nomeadas): cada item vem
+ * da aba que o alterou. A ordem é a desta aba, ou a da outra se só ela
+ * reordenou; itens que só a outra aba criou entram no fim.
+ */
+export function mergeListById(base, local, incoming) {
+  const ids = (list) => (list || []).map((item) => item.id);
+  const byId = (list) => Object.fromEntries((list || []).map((item) => [item.id, item]));
+  const merged = mergeById(byId(base), byId(local), byId(incoming));
+  const order = same(ids(local), ids(base)) ? ids(incoming) : ids(local);
+  const out = [...new Set([...order, ...ids(incoming)])].filter((id) => id in merged).map((id) => merged[id]);
+  return same(out, local) && local ? local : out;
+}
@@ -0,0 +1,70 @@
+import { describe, expect, it } from "vitest";
+import { keepLocalChanges, mergeById, mergeListById, parseStored } from "./storage.js";
+
+describe("parseStored", () => {
+  it("distingue ausente, válido e corrompido", () => {
+    expect(parseStored(null)).toEqual({ found: false });
+    expect(parseStored('{"a":1}', (v) => v.a)).toEqual({ found: true, value: 1 });
+    expect(parseStored("{a:1")).toEqual({ found: true, corrupt: true });
+    expect(
+      parseStored("1", () => {
+        throw new Error("versão desconhecida");
+      })
+    ).toEqual({ found: true, corrupt: true });
+  });
+});
+
+describe("mergeById", () => {
+  const base = { a: 1, b: 2, c: 3 };
+
+  it("mantém o que cada lado mudou", () => {
+    const local = { a: 10, b: 2, c: 3, d: 4 };
+    const incoming = { a: 1, b: 20, e: 5 };
+    expect(mergeById(base, local, incoming)).toEqual({ a: 10, b: 20, d: 4, e: 5 });
+  });
+
+  it("fica com a versão desta aba quando os dois lados mudaram o mesmo id", () => {
+    expect(mergeById(base, { ...base, a: "local" }, { ...base, a: "outra" })).toEqual({ ...base, a: "local" });
+    expect(mergeById(base, { ...base, a: "local" }, { b: 2, c: 3 })).toEqual({ ...base, a: "local" });
+  });
+
+  it("devolve a mesma referência quando nada muda para esta aba", () => {
+    const local = { ...base, a: 10 };
+    expect(mergeById(base, local, base)).toBe(local);
+  });
+});
+
+describe("keepLocalChanges", () => {
+  it("adota a outra versão só se esta não mudou", () => {
+    expect(keepLocalChanges(["x"], ["x"], ["x", "y"])).toEqual(["x", "y"]);
+    expect(keepLocalChanges(["x"], ["z"], ["x", "y"])).toEqual(["z"]);
+  });
+});
+
+describe("mergeListById", () => {
+  const base = [
+    { id: "a", name: "A" },
+    { id: "b", name: "B" },
+  ];
+
+  it("junta listas criadas e editadas em abas diferentes", () => {
+    const local = [...base, { id: "c", name: "C" }];
+    const incoming = [{ id: "a", name: "A2" }, base[1], { id: "d", name: "D" }];
+    expect(mergeListById(base, local, incoming)).toEqual([
+      { id: "a", name: "A2" },
+      { id: "b", name: "B" },
+      { id: "c", name: "C" },
+      { id: "d", name: "D" },
+    ]);
+  });
+
+  it("segue a ordem da outra aba só quando esta não reordenou nem removeu nada", () => {
+    expect(mergeListById(base, base, [base[1], base[0]])).toEqual([base[1], base[0]]);
+    expect(mergeListById(base, [base[1]], [base[1], base[0]])).toEqual([base[1]]);
+  });
+
+  it("devolve a mesma referência quando nada muda para esta aba", () => {
+    const local = [...base];
+    expect(mergeListById(base, local, base)).toBe(local);
+  });
+});
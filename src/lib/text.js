@@ -0,0 +1,6 @@
+// Remove acentos e caixa: base para busca textual, comparação de títulos e slugs
+export const fold = (text) =>
+  String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
@@ -0,0 +1,43 @@
+/**
+ * Tema claro/escuro
+ * -------------------------------------------------------------
+ * A escolha ("light", "dark" ou "system") fica nas configurações; o tema
+ * efetivo é a classe "dark" no <html>, que troca os tokens de cor de
+ * src/index.css. O script no <head> de index.html aplica a mesma regra antes
+ * da primeira pintura, para a página não abrir no tema errado: mudanças na
+ * regra ou na chave das configurações precisam ser repetidas lá.
+ */
+
+export const THEME_OPTIONS = [
+  { value: "light", labelKey: "theme.light" },
+  { value: "dark", labelKey: "theme.dark" },
+  { value: "system", labelKey: "theme.system" },
+];
+
+const DARK_QUERY = "(prefers-color-scheme: dark)";
+
+export const systemPrefersDark = () =>
+  typeof window !== "undefined" && typeof window.matchMedia === "function" && window.matchMedia(DARK_QUERY).matches;
+
+// "system" segue o sistema operacional; o resultado é sempre "light" ou "dark"
+export const resolveTheme = (choice, prefersDark = systemPrefersDark()) =>
+  choice === "dark" || (choice !== "light" && prefersDark) ? "dark" : "light";
+
+// Próxima opção do botão da Navbar (claro → escuro → sistema → claro)
+export function nextTheme(choice) {
+  const index = THEME_OPTIONS.findIndex((o) => o.value === choice);
+  return THEME_OPTIONS[(index + 1) % THEME_OPTIONS.length].value;
+}
+
+export function applyTheme(theme) {
+  document.documentElement.classList.toggle("dark", theme === "dark");
+}
+
+// Avisa quando o sistema troca de tema; devolve a função que para de escutar
+export function watchSystemTheme(onChange) {
+  if (typeof window.matchMedia !== "function") return () => {};
+  const media = window.matchMedia(DARK_QUERY);
+  const listener = (e) => onChange(e.matches);
+  media.addEventListener("change", listener);
+  return () => media.removeEventListener("change", listener);
+}
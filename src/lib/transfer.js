@@ -0,0 +1,302 @@
+import { parseCsv, toCsv } from "./csv.js";
+import { migrateFavorites, normalizeFavorite, serializeFavorites } from "./favorites.js";
+import { ErrorKind, ProviderError, errorMessage, isAbortError } from "./errors.js";
+import { toSummary } from "./model.js";
+import { parseYearSpan } from "./search.js";
+import { fold } from "./text.js";
+import { t } from "./i18n.js";
+
+/**
+ * Importação e exportação dos favoritos
+ * -------------------------------------------------------------
+ * Exporta: backup JSON versionado e CSV.
+ * Importa: os dois formatos acima, o CSV exportado pelo Letterboxd
+ * (watchlist/watched/ratings/diary/reviews) e os CSVs de lista/avaliações do IMDb.
+ *
+ * Fluxo de importação:
+ *   parseImportFile(texto, nome) → linhas normalizadas
+ *   resolveImportRows(provider, linhas) → cada linha vira matched | ambiguous | failed
+ *   buildImportMap(resultados, escolhas) → map de favoritos pronto para mesclar/substituir
+ *
+ * As linhas já usam os campos do modelo (id, title, year…); os cabeçalhos do
+ * CSV próprio continuam os da OMDb (imdbID, Title…) para manter o formato.
+ */
+
+export const BACKUP_KIND = "cinebusca-favorites";
+export const BACKUP_VERSION = 1;
+
+export const FORMATS = {
+  JSON: "json",
+  CSV: "csv",
+  LETTERBOXD: "letterboxd",
+  IMDB: "imdb",
+};
+
+// Nome do formato para a interface, no idioma ativo
+export const formatLabel = (format) => t(`import.format.${format}`);
+
+const IMDB_ID = /^tt\d{7,}$/;
+
+// -----------------------
+// Exportação
+// -----------------------
+export function exportJson(favorites) {
+  const backup = {
+    kind: BACKUP_KIND,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    favorites: serializeFavorites(favorites),
+  };
+  return JSON.stringify(backup, null, 2);
+}
+
+const CSV_COLUMNS = [
+  { header: "imdbID", value: (f) => f.id },
+  { header: "Title", value: (f) => f.title },
+  { header: "Year", value: (f) => f.year },
+  { header: "Type", value: (f) => f.type },
+  { header: "Poster", value: (f) => f.poster },
+  { header: "Score", value: (f) => f.score },
+  { header: "Status", value: (f) => f.status },
+  { header: "WatchedAt", value: (f) => f.watchedAt },
+  { header: "PlannedAt", value: (f) => f.plannedAt },
+  { header: "Tags", value: (f) => f.tags.join("; ") },
+  { header: "Note", value: (f) => f.note },
+  { header: "AddedAt", value: (f) => f.addedAt },
+];
+
+export const exportCsv = (favorites) => toCsv(Object.values(favorites), CSV_COLUMNS);
+
+// Dispara o download de um arquivo gerado no navegador
+export function downloadText(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// -----------------------
+// Leitura dos arquivos
+// -----------------------
+
+// "tvMiniSeries" → "series" (tipos do IMDb para os do modelo)
+function imdbType(titleType = "") {
+  const t = titleType.toLowerCase().replace(/\s+/g, "");
+  if (t.includes("episode")) return "episode";
+  if (t.includes("series")) return "series";
+  return "movie";
+}
+
+const cleanScore = (value) => {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : null;
+};
+
+// Data/hora do arquivo → ISO; vazia ou inválida fica sem data (não derruba a importação inteira)
+const isoDate = (value) => {
+  const date = new Date(value || NaN);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+};
+
+const splitTags = (value, sep) =>
+  String(value || "")
+    .split(sep)
+    .map((t) => t.trim())
+    .filter(Boolean);
+
+function fromBackup(data) {
+  // Aceita o backup completo e também o conteúdo cru de "omdbFavorites"
+  const stored = data && data.kind === BACKUP_KIND ? data.favorites : data;
+  try {
+    return Object.values(migrateFavorites(stored));
+  } catch {
+    const versioned = stored && typeof stored.version === "number";
+    throw new Error(t(versioned ? "import.error.unsupportedVersion" : "import.error.unknownFormat"));
+  }
+}
+
+function fromCineBuscaCsv(records) {
+  return records.map((r) => ({
+    id: r.imdbID,
+    title: r.Title,
+    year: r.Year,
+    type: r.Type,
+    poster: r.Poster,
+    score: cleanScore(r.Score),
+    status: r.Status === "watched" ? "watched" : "want",
+    watchedAt: r.WatchedAt || null,
+    plannedAt: r.PlannedAt || null,
+    tags: splitTags(r.Tags, ";"),
+    note: r.Note || "",
+    addedAt: r.AddedAt || undefined,
+  }));
+}
+
+function fromLetterboxd(records, filename) {
+  // watchlist.csv é o único arquivo do Letterboxd com títulos ainda não vistos
+  const watchlist = /watchlist/i.test(filename);
+  return records.map((r) => {
+    const stars = cleanScore(r.Rating);
+    const watchedAt = r["Watched Date"] || (!watchlist ? r.Date : "") || null;
+    return {
+      title: r.Name,
+      year: r.Year,
+      score: stars ? Math.round(stars * 2) : null,
+      status: watchlist && !stars ? "want" : "watched",
+      watchedAt: watchlist ? null : watchedAt,
+      tags: splitTags(r.Tags, ","),
+      note: r.Review || "",
+      addedAt: watchlist ? isoDate(r.Date) : undefined,
+    };
+  });
+}
+
+function fromImdb(records) {
+  return records.map((r) => {
+    const score = cleanScore(r["Your Rating"]);
+    return {
+      id: r.Const,
+      title: r.Title || r["Original Title"],
+      year: r.Year,
+      type: imdbType(r["Title Type"]),
+      score,
+      status: score ? "watched" : "want",
+      watchedAt: score && r["Date Rated"] ? r["Date Rated"] : null,
+      tags: [],
+      note: r.Description || "",
+      addedAt: isoDate(r.Created),
+    };
+  });
+}
+
+/**
+ * Detecta o formato e devolve { format, rows }. Cada linha recebe `line`
+ * (posição no arquivo, a partir de 1) para ser identificada na prévia.
+ */
+export function parseImportFile(text, filename = "") {
+  const trimmed = String(text || "").replace(/^\uFEFF/, "").trim();
+  let format;
+  let rows;
+
+  if (trimmed.startsWith("{")) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch {
+      throw new Error(t("import.error.corruptJson"));
+    }
+    format = FORMATS.JSON;
+    rows = fromBackup(data);
+  } else {
+    const { headers, records } = parseCsv(trimmed);
+    if (headers.includes("imdbID") && headers.includes("Title")) {
+      format = FORMATS.CSV;
+      rows = fromCineBuscaCsv(records);
+    } else if (headers.includes("Letterboxd URI") || (headers.includes("Name") && headers.includes("Year"))) {
+      format = FORMATS.LETTERBOXD;
+      rows = fromLetterboxd(records, filename);
+    } else if (headers.includes("Const")) {
+      format = FORMATS.IMDB;
+      rows = fromImdb(records);
+    } else {
+      throw new Error(t("import.error.unknownFormat"));
+    }
+  }
+
+  return { format, rows: rows.map((row, i) => ({ ...row, line: i + 1 })) };
+}
+
+// -----------------------
+// Associação com o provedor de metadados
+// -----------------------
+
+// Erros que afetam todas as linhas seguintes: não adianta continuar
+const FATAL = new Set([ErrorKind.INVALID_KEY, ErrorKind.LIMIT, ErrorKind.NETWORK]);
+const isFatal = (err) => err instanceof ProviderError && FATAL.has(err.kind);
+
+const startYear = (year) => {
+  const span = parseYearSpan(year);
+  return span ? span[0] : null;
+};
+
+// Compara títulos ignorando acentos, caixa e pontuação ("Dune, Part Two" = "Dune: Part Two")
+const titleKey = (title) => fold(title).replace(/[^a-z0-9]+/g, " ").trim();
+
+async function resolveByTitle(provider, row, signal) {
+  const year = startYear(row.year);
+  let results = [];
+  try {
+    ({ results } = await provider.search({ term: row.title, year: year || undefined }, { signal }));
+  } catch (err) {
+    if (!(err instanceof ProviderError) || (err.kind !== ErrorKind.NOT_FOUND && err.kind !== ErrorKind.TOO_MANY)) {
+      throw err;
+    }
+  }
+  const exact = results.filter(
+    (r) => titleKey(r.title) === titleKey(row.title) && (!year || startYear(r.year) === year)
+  );
+  if (exact.length === 1) return { status: "matched", movie: toSummary(exact[0]) };
+  const candidates = (exact.length ? exact : results).slice(0, 5).map(toSummary);
+  if (candidates.length) return { status: "ambiguous", candidates };
+  return { status: "failed", reason: t("import.error.notFound") };
+}
+
+export async function resolveImportRows(provider, rows, { signal, onProgress } = {}) {
+  const results = [];
+  let fatal = null;
+
+  for (const row of rows) {
+    if (fatal) {
+      results.push({ row, status: "failed", reason: fatal });
+      continue;
+    }
+    try {
+      if (row.id && IMDB_ID.test(row.id)) {
+        // Já tem o ID: só consulta o provedor se faltar o título
+        if (row.title) {
+          results.push({ row, status: "matched", movie: toSummary(row) });
+        } else {
+          const title = await provider.getById(row.id, { signal });
+          results.push({ row, status: "matched", movie: toSummary(title) });
+        }
+      } else if (row.title) {
+        results.push({ row, ...(await resolveByTitle(provider, row, signal)) });
+      } else {
+        results.push({ row, status: "failed", reason: t("import.error.emptyRow") });
+      }
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      if (isFatal(err)) fatal = errorMessage(err);
+      results.push({ row, status: "failed", reason: errorMessage(err) });
+    }
+    if (onProgress) onProgress(results.length, rows.length);
+  }
+  return results;
+}
+
+/**
+ * Monta o map de favoritos a partir dos resultados. `choices` traz, para cada
+ * linha ambígua (pela posição `line`), o id escolhido na prévia.
+ */
+export function buildImportMap(results, choices = {}) {
+  const map = {};
+  for (const result of results) {
+    let movie = result.status === "matched" ? result.movie : null;
+    if (result.status === "ambiguous" && choices[result.row.line]) {
+      movie = result.candidates.find((c) => c.id === choices[result.row.line]) || null;
+    }
+    if (!movie) continue;
+    // A linha traz os dados pessoais (e, em backups, os campos de detalhes);
+    // normalizeFavorite descarta o que não faz parte do registro, como `line`
+    map[movie.id] = normalizeFavorite({
+      ...result.row,
+      ...movie,
+      poster: movie.poster || result.row.poster || "",
+    });
+  }
+  return map;
+}
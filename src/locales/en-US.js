@@ -0,0 +1,474 @@
+/**
+ * Catálogo en-US
+ * -------------------------------------------------------------
+ * Mesmas chaves de pt-BR.js; chave ausente aqui cai no texto em português.
+ */
+export default {
+  "app.footer": "Built with React + Tailwind and data from OMDb. This project is for educational purposes only.",
+
+  "common.back": "Back",
+  "common.cancel": "Cancel",
+  "common.clear": "Clear",
+  "common.close": "Close",
+  "common.loading": "Loading…",
+  "common.open": "Open",
+  "common.posterOf": "Poster of {title}",
+  "common.noPoster": "No poster",
+  "common.noPosterOf": "No poster for {title}",
+  "common.remove": "Remove",
+  "common.save": "Save",
+
+  "apiKey.promptBefore": "Enter your",
+  "apiKey.promptAfter": "to enable searching. You can get one for free at omdbapi.com/apikey.aspx.",
+  "apiKey.placeholder": "Paste your API Key here",
+
+  "nav.search": "Search",
+  "nav.favorites": "Favorites",
+  "nav.discover": "Discover",
+  "nav.lists": "Lists",
+  "nav.agenda": "Schedule",
+  "nav.stats": "Statistics",
+  "nav.history": "History",
+  "nav.settings": "Settings",
+  "nav.language": "Language",
+  "nav.offline": "Offline",
+  "nav.offlineHint": "No connection: favorites, lists and titles you already opened are still available",
+  "nav.pending": { one: "{count} change queued", other: "{count} changes queued" },
+  "nav.main": "Main navigation",
+  "nav.skipToContent": "Skip to content",
+
+  "theme.label": "Theme",
+  "theme.light": "Light",
+  "theme.dark": "Dark",
+  "theme.system": "System",
+  "theme.current": "Theme: {theme} (click to change)",
+
+  "shortcuts.title": "Keyboard shortcuts",
+  "shortcuts.hint": "Shortcuts are off while you type in a field.",
+  "shortcuts.search": "Go to the search field",
+  "shortcuts.next": "Next result",
+  "shortcuts.prev": "Previous result",
+  "shortcuts.open": "Open details of the focused result",
+  "shortcuts.favorite": "Toggle favorite (focused result or open title)",
+  "shortcuts.back": "Go back",
+  "shortcuts.prevPage": "Previous page",
+  "shortcuts.nextPage": "Next page",
+  "shortcuts.help": "Show this list",
+
+  "pagination.label": "Pagination",
+  "pagination.first": "First page",
+  "pagination.previous": "Previous",
+  "pagination.next": "Next",
+  "pagination.last": "Last page",
+  "pagination.page": "Page {page}",
+
+  "search.typeLabel": "Type",
+  "search.type.movie": { one: "Movie", other: "Movies" },
+  "search.type.series": { one: "Series", other: "Series" },
+  "search.type.episode": { one: "Episode", other: "Episodes" },
+  "search.type.all": "All",
+  "search.year": "Year",
+  "search.yearPlaceholder": "e.g. 2021",
+  "search.yearFrom": "From",
+  "search.yearTo": "to",
+  "search.rangeEmpty": "No titles found in the given year range.",
+  "search.placeholder": "Search by title (e.g. Matrix, Inception, City of God)",
+  "search.inputLabel": "Search titles",
+  "search.suggestions": "Suggestions",
+  "search.needsKey": "Enter the API Key to enable searching",
+  "search.submit": "Search",
+  "search.showing": {
+    one: "Showing {shown} of {count} result",
+    other: "Showing {shown} of {count} results",
+  },
+  "search.rangeScanned": {
+    one: "in the year range ({count} title checked)",
+    other: "in the year range ({count} titles checked)",
+  },
+  "search.rangeTruncated":
+    "The range was only applied to the first {count} OMDb results. Refine the search term to see the rest.",
+  "search.pageLimit": "OMDb returns at most {count} results per search. Refine the search term to see the rest.",
+  "search.loadingMore": "Loading more results…",
+  "search.retry": "Try again",
+  "search.end": "End of results",
+  "search.empty": "Start by searching for a movie in the field above.",
+
+  "card.details": "Details",
+
+  "details.loading": "Loading details…",
+  "details.myCollection": "My collection",
+
+  "field.plot": "Plot",
+  "field.director": "Director",
+  "field.writer": "Writer",
+  "field.actors": "Cast",
+  "field.countryLanguage": "Country/Language",
+  "field.country": "Country",
+  "field.language": "Language",
+  "field.genre": "Genre",
+  "field.year": "Year",
+  "field.runtime": "Runtime",
+  "field.rated": "Rated",
+  "field.released": "Released",
+  "field.dvd": "DVD",
+  "field.awards": "Awards",
+  "field.boxOffice": "Box office",
+  "field.production": "Production",
+  "field.website": "Official website",
+
+  "ratings.title": "Ratings",
+  "ratings.votes": { one: "{count} vote", other: "{count} votes" },
+  "ratings.meter": "{label}: {score} out of 100",
+
+  "names.searchFor": "Search for “{name}”",
+
+  "status.want": "Want to watch",
+  "status.watched": "Watched",
+
+  "sort.added": "Date added",
+  "sort.title": "Title",
+  "sort.year": "Year",
+  "sort.imdb": "IMDb rating",
+  "sort.score": "My rating",
+
+  "favorites.empty": "You haven't added any movies to your favorites yet.",
+  "favorites.total": "Total favorites: {count}",
+  "favorites.showing": "showing {count}",
+  "favorites.seeStats": "see statistics",
+  "favorites.enriching": {
+    one: "Fetching genre and rating for {count} title…",
+    other: "Fetching genre and rating for {count} titles…",
+  },
+  "favorites.noMatch": "No favorites match the filters.",
+  "favorites.edit": "Edit rating, status and tags",
+  "favorites.confirmRemove": "Remove \"{title}\" from favorites? Your rating, note and tags will be lost.",
+  "favorites.score": "{score}/10",
+  "favorites.watchedOn": "on {date}",
+
+  "collection.searchPlaceholder": "Search favorites (title, note, tag, cast…)",
+  "collection.searchLabel": "Search favorites",
+  "collection.sortBy": "Sort by",
+  "collection.ascending": "Ascending",
+  "collection.descending": "Descending",
+  "collection.allTypes": "All types",
+  "collection.decadeLabel": "Decade",
+  "collection.allDecades": "All decades",
+  "collection.decade": "{decade}s",
+  "collection.allGenres": "All genres",
+  "collection.person": "Person",
+  "collection.removeFilter": "Remove filter {name}",
+  "collection.clearFilters": "Clear filters",
+
+  "editor.status": "Status",
+  "editor.watchedOn": "on",
+  "editor.plannedFor": "Planned for",
+  "editor.tags": "Tags",
+  "editor.removeTag": "Remove tag {tag}",
+  "editor.tagsPlaceholder": "e.g. club, horror, 2025",
+  "editor.note": "Note",
+  "editor.addedOn": "Added on {date}",
+
+  "lists.title": "My lists",
+  "lists.all": "All lists",
+  "lists.addTo": "Add to list…",
+  "lists.inLists": { one: "In {count} list", other: "In {count} lists" },
+  "lists.menuLabel": "Lists for {title}",
+  "lists.newPlaceholderShort": "New list…",
+  "lists.newPlaceholder": "New list name (e.g. Film club queue)",
+  "lists.newListName": "New list name",
+  "lists.newName": "New name for the list",
+  "lists.saveName": "Save name",
+  "lists.create": "Create list",
+  "lists.createWithTitle": "Create list with this title",
+  "lists.rename": "Rename {name}",
+  "lists.delete": "Delete {name}",
+  "lists.confirmDelete": {
+    one: "Delete the list \"{name}\"? Its {count} title will not be removed from favorites.",
+    other: "Delete the list \"{name}\"? Its {count} titles will not be removed from favorites.",
+  },
+  "lists.titles": { one: "{count} title", other: "{count} titles" },
+  "lists.titlesOf": "Titles in {name}",
+  "lists.empty": "No lists yet. Create one above or use “Add to list…” on any title.",
+  "lists.emptyList": "This list is empty. Use “Add to list…” in search results or on a title's details.",
+  "lists.notFound": "List not found. It may have been renamed or deleted.",
+  "lists.reorderHint": "drag or use Alt+arrows to reorder",
+  "lists.removeItem": "Remove {title} from the list",
+
+  "reorder.roleDescription": "reorderable item",
+  "reorder.itemLabel": "{label}, position {position} of {total}. Alt+arrows to move.",
+  "reorder.moved": "{label} moved to position {position} of {total}.",
+  "reorder.moveUp": "Move {label} up",
+  "reorder.moveDown": "Move {label} down",
+
+  "import.open": "Import…",
+  "import.title": "Import favorites",
+  "import.accepts":
+    "Accepts the JSON backup or CSV exported by CineBusca, the Letterboxd export (watchlist, watched, ratings, diary) and IMDb list or ratings CSVs.",
+  "import.chooseFile": "Choose file",
+  "import.resolving": "{format}: matching titles… {done}/{total}",
+  "import.matched": { one: "{count} found", other: "{count} found" },
+  "import.ambiguous": {
+    one: "{count} ambiguous — pick the right title",
+    other: "{count} ambiguous — pick the right titles",
+  },
+  "import.failed": { one: "{count} not imported", other: "{count} not imported" },
+  "import.line": "Line {line}",
+  "import.skip": "Skip",
+  "import.mode": "How to import",
+  "import.merge": "Merge with current favorites (nothing is deleted)",
+  "import.replace": "Replace all current favorites",
+  "import.submit": { one: "Import {count} title", other: "Import {count} titles" },
+  "import.confirmReplace": {
+    one: "Replace your {count} current favorite with the {imported} imported ones?",
+    other: "Replace your {count} current favorites with the {imported} imported ones?",
+  },
+  "import.format.json": "CineBusca JSON backup",
+  "import.format.csv": "CineBusca CSV",
+  "import.format.letterboxd": "Letterboxd export",
+  "import.format.imdb": "IMDb list/ratings",
+  "import.error.empty": "The file has no titles.",
+  "import.error.corruptJson": "The JSON file is corrupted and could not be read.",
+  "import.error.unsupportedVersion": "The backup comes from a CineBusca version this app does not recognize.",
+  "import.error.unknownFormat": "Unrecognized format. Use a CineBusca backup or a Letterboxd or IMDb CSV.",
+  "import.error.notFound": "Title not found on OMDb.",
+  "import.error.emptyRow": "Row has neither a title nor an imdbID.",
+
+  "share.open": "Share…",
+  "share.title": "Share favorites",
+  "share.intro": {
+    one: "Creates a link with {count} title (the favorites on screen, with the current filters).",
+    other: "Creates a link with {count} titles (the favorites on screen, with the current filters).",
+  },
+  "share.truncated": "Only the first {max} go into the link.",
+  "share.listTitle": "List title (optional)",
+  "share.defaultTitle": "My favorites",
+  "share.includeNotes": "Include my notes",
+  "share.link": "Link",
+  "share.generating": "Creating link…",
+  "share.privacy": "The whole list lives in the link itself ({length} characters); nothing is sent to a server.",
+  "share.copy": "Copy link",
+  "share.copied": "Link copied",
+  "share.native": "Send…",
+  "share.invalid": "This shared list link is incomplete or corrupted.",
+  "share.receivedTitle": "Shared list",
+  "share.receivedCount": { one: "{count} title", other: "{count} titles" },
+  "share.needsKey": "Enter your OMDb API key to load the titles in this list.",
+  "share.loading": "Loading titles… {done}/{total}",
+  "share.importSelected": { one: "Import {count} selected", other: "Import {count} selected" },
+  "share.importAll": { one: "Import {count} title", other: "Import all ({count})" },
+  "share.imported": {
+    one: "{count} title added to your favorites.",
+    other: "{count} titles added to your favorites.",
+  },
+  "share.select": "Select {title}",
+  "share.owned": "Already in your favorites",
+  "share.failed": { one: "{count} title couldn't be loaded", other: "{count} titles couldn't be loaded" },
+
+  "series.title": "Seasons and episodes",
+  "series.series": "Series",
+  "series.season": "Season",
+  "series.seasonShort": "S{season}",
+  "series.seasonNumber": "season {season}",
+  "series.episodeCode": "S{season}E{episode}",
+  "series.episodesWatched": { one: "{count} episode watched", other: "{count} episodes watched" },
+  "series.watchedCount": { one: "{count} watched", other: "{count} watched" },
+  "series.seasonProgress": "{watched} of {count} watched",
+  "series.nextEpisode": "Next episode:",
+  "series.next": "Next: {episode}",
+  "series.finished": "Series finished",
+  "series.done": "You finished the series.",
+  "series.goToSeason": "Go to season {season}",
+  "series.loadingSeason": "Loading season {season}…",
+  "series.markSeason": "Mark season as watched",
+  "series.unmarkSeason": "Unmark season",
+  "series.watchedEpisode": "Watched {episode}: {title}",
+
+  "episode.episode": "Episode",
+  "episode.loading": "Loading episode…",
+  "episode.imageOf": "Still from {title}",
+  "episode.watched": "I watched this episode",
+
+  "compare.title": "Compare titles",
+  "compare.action": "Compare",
+  "compare.actionFor": "Compare {title}",
+  "compare.tray": "Comparison tray",
+  "compare.trayFull": "The comparison holds up to {count} titles",
+  "compare.needMore": "Pick at least {count} titles",
+  "compare.removeFromTray": "Remove {title} from the comparison",
+  "compare.legendDiffers": "different values",
+  "compare.legendName": "name",
+  "compare.legendShared": "shared between titles",
+  "compare.sharedHint": "Also in another title of the comparison",
+  "compare.loading": { one: "Loading {count} title…", other: "Loading {count} titles…" },
+  "compare.field": "Field",
+
+  "stats.title": "Statistics",
+  "stats.empty": "Add favorites to see statistics about your collection.",
+  "stats.basis": { one: "Based on {count} favorite", other: "Based on {count} favorites" },
+  "stats.missingDetails": {
+    one: "{count} still without details (open the favorites page to complete it)",
+    other: "{count} still without details (open the favorites page to complete them)",
+  },
+  "stats.averageImdb": "Average IMDb rating",
+  "stats.rated": { one: "{count} title with a rating", other: "{count} titles with a rating" },
+  "stats.runtime": "Total runtime",
+  "stats.timed": { one: "{count} title with a runtime", other: "{count} titles with a runtime" },
+  "stats.hoursMinutes": "{hours} h {minutes} min",
+  "stats.days": { one: "{count} day", other: "{count} days" },
+  "stats.byDecade": "By decade",
+  "stats.byGenre": "By genre",
+  "stats.topDirectors": "Most frequent directors",
+  "stats.topActors": "Most frequent actors",
+  "stats.countries": "Countries",
+  "stats.languages": "Languages",
+  "stats.chartsPending": "Charts appear once your favorites have details.",
+
+  "recommend.title": "Discover",
+  "recommend.intro": "Suggestions based on your favorites: the genres, directors, cast and decades that show up most (and the scores you gave).",
+  "recommend.profile": "Your taste profile",
+  "recommend.refresh": "Refresh suggestions",
+  "recommend.loading": "Looking for suggestions…",
+  "recommend.empty": "No suggestions yet. Open your favorites' details to refine your profile.",
+  "recommend.noFavorites": "Add titles to your favorites to get suggestions based on your taste.",
+  "recommend.needsKey": "Enter the API Key to look for suggestions",
+  "recommend.offline": "Offline: suggestions come back when the connection does.",
+  "recommend.moreLikeThis": "More like this",
+  "recommend.show": "Show suggestions",
+  "recommend.because.director": {
+    one: "because you saved {count} title by {name}",
+    other: "because you saved {count} titles by {name}",
+  },
+  "recommend.because.actor": {
+    one: "because you saved {count} title with {name}",
+    other: "because you saved {count} titles with {name}",
+  },
+  "recommend.because.genre": {
+    one: "because {count} of your favorites is {name}",
+    other: "because {count} of your favorites are {name}",
+  },
+  "recommend.because.decade": {
+    one: "because {count} of your favorites is from the {name}s",
+    other: "because {count} of your favorites are from the {name}s",
+  },
+  "recommend.seed.director": "also directed by {name}",
+  "recommend.seed.actor": "also with {name}",
+  "recommend.seed.genre": "{name}, like {title}",
+
+  "agenda.title": "Schedule",
+  "agenda.intro": "Plan when to watch each favorite. Releases use the release date reported by OMDb.",
+  "agenda.noFavorites": "Add titles to your favorites to plan when to watch them.",
+  "agenda.empty": "Nothing scheduled yet: pick a favorite and a date above.",
+  "agenda.fetching": {
+    one: "Fetching the release date of {count} favorite…",
+    other: "Fetching the release dates of {count} favorites…",
+  },
+  "agenda.view.label": "Schedule view",
+  "agenda.view.month": "Month",
+  "agenda.view.week": "Week",
+  "agenda.previous": "Previous period",
+  "agenda.next": "Next period",
+  "agenda.today": "Today",
+  "agenda.export": "Export .ics",
+  "agenda.pickTitle": "Title",
+  "agenda.pickDate": "Date",
+  "agenda.choose": "Choose a favorite",
+  "agenda.schedule": "Schedule",
+  "agenda.pickDay": "Schedule on {date}",
+  "agenda.release": "Release: {title}",
+  "agenda.upcoming": "Upcoming releases",
+  "agenda.plannedFor": "Planned for {date}",
+  "agenda.prompts": "Did you watch it?",
+  "agenda.prompt.question": "You planned to watch {title} on {date}. Did you watch it?",
+  "agenda.prompt.yes": "Yes, I watched it",
+  "agenda.prompt.no": "Not yet",
+  "agenda.prompt.noHint": "Removes the title from the schedule",
+  "agenda.ics.planned": "Watch: {title}",
+  "agenda.ics.release": "Release: {title}",
+
+  "settings.title": "Settings",
+  "settings.preferences": "Preferences",
+  "settings.searchType": "Default search type",
+  "settings.plot": "Plot on the details page",
+  "settings.plot.short": "Short",
+  "settings.plot.full": "Full",
+  "settings.layout": "Results layout",
+  "settings.layout.grid": "Card grid",
+  "settings.layout.list": "Compact list",
+  "settings.layout.wall": "Poster wall",
+  "settings.paging": "Results navigation",
+  "settings.paging.pages": "Numbered pages",
+  "settings.paging.scroll": "Infinite scroll",
+  "settings.history": "History",
+  "settings.history.on": "Record opened titles and searches",
+  "settings.history.paused": "Paused",
+  "settings.key.title": "OMDb API Key",
+  "settings.key.none": "No key configured: searching is disabled.",
+  "settings.key.source.user": "Entered by you and saved in this browser",
+  "settings.key.source.env": "Set in VITE_OMDB_API_KEY (.env)",
+  "settings.key.test": "Test key",
+  "settings.key.confirmRemove":
+    "Remove the key saved in this browser? If VITE_OMDB_API_KEY is set in .env, it will be used again.",
+  "settings.key.enter": "Enter your key",
+  "settings.key.replace": "Replace with another key",
+  "settings.key.help": "The key is tested against OMDb as you type. Get one for free at omdbapi.com/apikey.aspx.",
+  "settings.key.checking": "Checking the key…",
+  "settings.key.valid": "Valid key.",
+  "settings.key.unverified": "Could not confirm the key: {reason}",
+  "settings.data.title": "Cache and data",
+  "settings.data.run": "Delete",
+  "settings.data.done": "Done.",
+  "settings.data.cache": "Clear cache",
+  "settings.data.cacheHelp":
+    "Deletes search and details responses kept for up to 24 h and the saved posters. Favorites, lists and the offline catalog are unchanged; the next searches count against the key's quota again.",
+  "settings.data.titles": "Delete offline catalog",
+  "settings.data.titlesHelp":
+    "Deletes the full details of titles you already opened. Without a connection they won't open until viewed again, and statistics may lose data for favorites that still lack details.",
+  "settings.data.collection": "Delete collection",
+  "settings.data.collectionHelp":
+    "Deletes all favorites (with ratings, notes and tags), lists, series progress, the comparison tray and pending offline changes. This cannot be undone: export a backup from the favorites page first.",
+  "settings.data.history": "Delete history",
+  "settings.data.historyHelp": "Deletes opened titles and recent searches. Favorites and lists are not affected.",
+  "settings.data.settings": "Reset preferences",
+  "settings.data.settingsHelp":
+    "Resets language, theme, default search type, plot length, results layout and navigation, and history recording. The API Key, the collection and the history are not deleted.",
+
+  "history.title": "History",
+  "history.empty": "Nothing here yet: titles you open and searches you make show up on this page.",
+  "history.paused": "History recording is paused. To resume it, go to",
+  "history.clear": "Clear history",
+  "history.confirmClear": "Delete the whole history of titles and searches?",
+  "history.views": { one: "{count} opened title", other: "{count} opened titles" },
+  "history.searches": { one: "{count} search", other: "{count} searches" },
+  "history.removeView": "Remove {title} from history",
+  "history.removeSearch": "Remove the search \"{term}\" from history",
+  "history.recentSearches": "Recent searches",
+  "history.recentlyViewed": "Recently viewed",
+  "history.seeAll": "See full history",
+
+  "storage.writeFailed":
+    "Could not save {store} in this browser (storage is full or in private mode). Changes only last while this tab is open.",
+  "storage.corrupt":
+    "The saved data for {store} was corrupted and could not be read. A copy was kept: download it to recover what you can (favorites can be imported back).",
+  "storage.retry": "Try saving again",
+  "storage.downloadCopy": "Download a copy",
+  "storage.downloadCorrupt": "Download corrupted data",
+  "storage.discard": "Discard copy",
+  "storage.dismiss": "Dismiss",
+  "storage.store.favorites": "your favorites",
+  "storage.store.lists": "your lists",
+  "storage.store.progress": "series progress",
+  "storage.store.history": "your history",
+  "storage.store.settings": "your preferences",
+
+  "error.invalidKey": "Invalid API Key. Check the key you entered.",
+  "error.limit": "OMDb daily request limit reached. Try again tomorrow.",
+  "error.notFound": "No titles found.",
+  "error.tooMany": "Too many results for this term. Try to be more specific.",
+  "error.network": "Could not reach OMDb. Check your internet connection and try again.",
+  "error.offline": "You are offline. Favorites and titles you already opened are still available.",
+  "error.unexpected": "An unexpected error occurred.",
+  "error.aborted": "Request cancelled.",
+  "error.badResponse": "Invalid response from OMDb (HTTP {status}).",
+  "error.networkFailure": "Network failure.",
+  "error.missingKey": "API Key not provided.",
+};
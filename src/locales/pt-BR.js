@@ -0,0 +1,480 @@
+/**
+ * Catálogo pt-BR (idioma padrão e de fallback)
+ * -------------------------------------------------------------
+ * Chaves planas agrupadas pelo prefixo da tela. Textos com `count` podem ter
+ * formas { one, other }. Mantenha as mesmas chaves em en-US.js.
+ */
+export default {
+  "app.footer": "Construído com React + Tailwind e dados da OMDb. Este projeto é somente para fins educativos.",
+
+  "common.back": "Voltar",
+  "common.cancel": "Cancelar",
+  "common.clear": "Limpar",
+  "common.close": "Fechar",
+  "common.loading": "Carregando…",
+  "common.open": "Abrir",
+  "common.posterOf": "Pôster de {title}",
+  "common.noPoster": "Sem pôster",
+  "common.noPosterOf": "Sem pôster de {title}",
+  "common.remove": "Remover",
+  "common.save": "Salvar",
+
+  "apiKey.promptBefore": "Informe sua",
+  "apiKey.promptAfter":
+    "para habilitar as buscas. Você pode obter uma gratuitamente em omdbapi.com/apikey.aspx.",
+  "apiKey.placeholder": "Cole sua API Key aqui",
+
+  "nav.search": "Buscar",
+  "nav.favorites": "Favoritos",
+  "nav.discover": "Descobrir",
+  "nav.lists": "Listas",
+  "nav.agenda": "Agenda",
+  "nav.stats": "Estatísticas",
+  "nav.history": "Histórico",
+  "nav.settings": "Configurações",
+  "nav.language": "Idioma",
+  "nav.offline": "Offline",
+  "nav.offlineHint": "Sem conexão: favoritos, listas e títulos já abertos continuam disponíveis",
+  "nav.pending": { one: "{count} alteração na fila", other: "{count} alterações na fila" },
+  "nav.main": "Navegação principal",
+  "nav.skipToContent": "Pular para o conteúdo",
+
+  "theme.label": "Tema",
+  "theme.light": "Claro",
+  "theme.dark": "Escuro",
+  "theme.system": "Do sistema",
+  "theme.current": "Tema: {theme} (clique para trocar)",
+
+  "shortcuts.title": "Atalhos de teclado",
+  "shortcuts.hint": "Os atalhos não valem enquanto você digita num campo.",
+  "shortcuts.search": "Ir para o campo de busca",
+  "shortcuts.next": "Próximo resultado",
+  "shortcuts.prev": "Resultado anterior",
+  "shortcuts.open": "Abrir os detalhes do resultado em foco",
+  "shortcuts.favorite": "Favoritar ou desfavoritar (resultado em foco ou título aberto)",
+  "shortcuts.back": "Voltar",
+  "shortcuts.prevPage": "Página anterior",
+  "shortcuts.nextPage": "Próxima página",
+  "shortcuts.help": "Mostrar esta lista",
+
+  "pagination.label": "Paginação",
+  "pagination.first": "Primeira página",
+  "pagination.previous": "Anterior",
+  "pagination.next": "Próxima",
+  "pagination.last": "Última página",
+  "pagination.page": "Página {page}",
+
+  "search.typeLabel": "Tipo",
+  "search.type.movie": { one: "Filme", other: "Filmes" },
+  "search.type.series": { one: "Série", other: "Séries" },
+  "search.type.episode": { one: "Episódio", other: "Episódios" },
+  "search.type.all": "Todos",
+  "search.year": "Ano",
+  "search.yearPlaceholder": "ex.: 2021",
+  "search.yearFrom": "De",
+  "search.yearTo": "até",
+  "search.rangeEmpty": "Nenhum título encontrado no intervalo de anos informado.",
+  "search.placeholder": "Busque por título (ex.: Matrix, Inception, Cidade de Deus)",
+  "search.inputLabel": "Buscar títulos",
+  "search.suggestions": "Sugestões",
+  "search.needsKey": "Informe a API Key para habilitar a busca",
+  "search.submit": "Buscar",
+  "search.showing": {
+    one: "Exibindo {shown} de {count} resultado",
+    other: "Exibindo {shown} de {count} resultados",
+  },
+  "search.rangeScanned": {
+    one: "no intervalo de anos ({count} título examinado)",
+    other: "no intervalo de anos ({count} títulos examinados)",
+  },
+  "search.rangeTruncated":
+    "O intervalo foi aplicado apenas aos primeiros {count} resultados da OMDb. Refine o termo para ver os demais.",
+  "search.pageLimit": "A OMDb entrega no máximo {count} resultados por busca. Refine o termo para ver os demais.",
+  "search.loadingMore": "Carregando mais resultados…",
+  "search.retry": "Tentar de novo",
+  "search.end": "Fim dos resultados",
+  "search.empty": "Comece buscando por um filme no campo acima.",
+
+  "card.details": "Detalhes",
+
+  "details.loading": "Carregando detalhes…",
+  "details.myCollection": "Minha coleção",
+
+  "field.plot": "Sinopse",
+  "field.director": "Direção",
+  "field.writer": "Roteiro",
+  "field.actors": "Elenco",
+  "field.countryLanguage": "País/Idioma",
+  "field.country": "País",
+  "field.language": "Idioma",
+  "field.genre": "Gênero",
+  "field.year": "Ano",
+  "field.runtime": "Duração",
+  "field.rated": "Classificação",
+  "field.released": "Lançamento",
+  "field.dvd": "DVD",
+  "field.awards": "Prêmios",
+  "field.boxOffice": "Bilheteria",
+  "field.production": "Produtora",
+  "field.website": "Site oficial",
+
+  "ratings.title": "Avaliações",
+  "ratings.votes": { one: "{count} voto", other: "{count} votos" },
+  "ratings.meter": "{label}: {score} de 100",
+
+  "names.searchFor": "Buscar por “{name}”",
+
+  "status.want": "Quero ver",
+  "status.watched": "Assisti",
+
+  "sort.added": "Data de inclusão",
+  "sort.title": "Título",
+  "sort.year": "Ano",
+  "sort.imdb": "Nota IMDb",
+  "sort.score": "Minha nota",
+
+  "favorites.empty": "Você ainda não adicionou filmes aos favoritos.",
+  "favorites.total": "Total de favoritos: {count}",
+  "favorites.showing": "exibindo {count}",
+  "favorites.seeStats": "ver estatísticas",
+  "favorites.enriching": {
+    one: "Obtendo gênero e nota de {count} título…",
+    other: "Obtendo gênero e nota de {count} títulos…",
+  },
+  "favorites.noMatch": "Nenhum favorito corresponde aos filtros.",
+  "favorites.edit": "Editar nota, status e tags",
+  "favorites.confirmRemove": "Remover \"{title}\" dos favoritos? Sua nota, anotação e tags serão perdidas.",
+  "favorites.score": "{score}/10",
+  "favorites.watchedOn": "em {date}",
+
+  "collection.searchPlaceholder": "Buscar nos favoritos (título, anotação, tag, elenco…)",
+  "collection.searchLabel": "Buscar nos favoritos",
+  "collection.sortBy": "Ordenar por",
+  "collection.ascending": "Crescente",
+  "collection.descending": "Decrescente",
+  "collection.allTypes": "Todos os tipos",
+  "collection.decadeLabel": "Década",
+  "collection.allDecades": "Todas as décadas",
+  "collection.decade": "Anos {decade}",
+  "collection.allGenres": "Todos os gêneros",
+  "collection.person": "Pessoa",
+  "collection.removeFilter": "Remover filtro {name}",
+  "collection.clearFilters": "Limpar filtros",
+
+  "editor.status": "Status",
+  "editor.watchedOn": "em",
+  "editor.plannedFor": "Planejado para",
+  "editor.tags": "Tags",
+  "editor.removeTag": "Remover tag {tag}",
+  "editor.tagsPlaceholder": "ex.: clube, terror, 2025",
+  "editor.note": "Anotação",
+  "editor.addedOn": "Adicionado em {date}",
+
+  "lists.title": "Minhas listas",
+  "lists.all": "Todas as listas",
+  "lists.addTo": "Adicionar à lista…",
+  "lists.inLists": { one: "Em {count} lista", other: "Em {count} listas" },
+  "lists.menuLabel": "Listas de {title}",
+  "lists.newPlaceholderShort": "Nova lista…",
+  "lists.newPlaceholder": "Nome da nova lista (ex.: Fila do cineclube)",
+  "lists.newListName": "Nome da nova lista",
+  "lists.newName": "Novo nome da lista",
+  "lists.saveName": "Salvar nome",
+  "lists.create": "Criar lista",
+  "lists.createWithTitle": "Criar lista com este título",
+  "lists.rename": "Renomear {name}",
+  "lists.delete": "Excluir {name}",
+  "lists.confirmDelete": {
+    one: "Excluir a lista \"{name}\"? O {count} título dela não será removido dos favoritos.",
+    other: "Excluir a lista \"{name}\"? Os {count} títulos dela não serão removidos dos favoritos.",
+  },
+  "lists.titles": { one: "{count} título", other: "{count} títulos" },
+  "lists.titlesOf": "Títulos de {name}",
+  "lists.empty": "Nenhuma lista ainda. Crie uma acima ou use “Adicionar à lista…” em qualquer título.",
+  "lists.emptyList": "Lista vazia. Use “Adicionar à lista…” nos resultados da busca ou nos detalhes de um título.",
+  "lists.notFound": "Lista não encontrada. Ela pode ter sido renomeada ou excluída.",
+  "lists.reorderHint": "arraste ou use Alt+setas para reordenar",
+  "lists.removeItem": "Remover {title} da lista",
+
+  "reorder.roleDescription": "item reordenável",
+  "reorder.itemLabel": "{label}, posição {position} de {total}. Alt+setas para mover.",
+  "reorder.moved": "{label} movido para a posição {position} de {total}.",
+  "reorder.moveUp": "Mover {label} para cima",
+  "reorder.moveDown": "Mover {label} para baixo",
+
+  "import.open": "Importar…",
+  "import.title": "Importar favoritos",
+  "import.accepts":
+    "Aceita o backup JSON ou o CSV exportados pelo CineBusca, a exportação do Letterboxd (watchlist, watched, ratings, diary) e os CSVs de lista ou de avaliações do IMDb.",
+  "import.chooseFile": "Escolher arquivo",
+  "import.resolving": "{format}: associando títulos… {done}/{total}",
+  "import.matched": { one: "{count} encontrado", other: "{count} encontrados" },
+  "import.ambiguous": {
+    one: "{count} ambíguo — escolha o título certo",
+    other: "{count} ambíguos — escolha o título certo",
+  },
+  "import.failed": { one: "{count} não importado", other: "{count} não importados" },
+  "import.line": "Linha {line}",
+  "import.skip": "Ignorar",
+  "import.mode": "Como importar",
+  "import.merge": "Mesclar com os favoritos atuais (nada é apagado)",
+  "import.replace": "Substituir todos os favoritos atuais",
+  "import.submit": { one: "Importar {count} título", other: "Importar {count} títulos" },
+  "import.confirmReplace": {
+    one: "Substituir o {count} favorito atual pelos {imported} importados?",
+    other: "Substituir os {count} favoritos atuais pelos {imported} importados?",
+  },
+  "import.format.json": "Backup JSON do CineBusca",
+  "import.format.csv": "CSV do CineBusca",
+  "import.format.letterboxd": "Exportação do Letterboxd",
+  "import.format.imdb": "Lista/avaliações do IMDb",
+  "import.error.empty": "O arquivo não tem nenhum título.",
+  "import.error.corruptJson": "O arquivo JSON está corrompido e não pôde ser lido.",
+  "import.error.unsupportedVersion": "O backup é de uma versão do CineBusca que este app não reconhece.",
+  "import.error.unknownFormat":
+    "Formato não reconhecido. Use um backup do CineBusca, o CSV do Letterboxd ou do IMDb.",
+  "import.error.notFound": "Título não encontrado na OMDb.",
+  "import.error.emptyRow": "Linha sem título nem imdbID.",
+
+  "share.open": "Compartilhar…",
+  "share.title": "Compartilhar favoritos",
+  "share.intro": {
+    one: "Gera um link com {count} título (os favoritos exibidos, com os filtros aplicados).",
+    other: "Gera um link com {count} títulos (os favoritos exibidos, com os filtros aplicados).",
+  },
+  "share.truncated": "Só os {max} primeiros entram no link.",
+  "share.listTitle": "Título da lista (opcional)",
+  "share.defaultTitle": "Meus favoritos",
+  "share.includeNotes": "Incluir minhas anotações",
+  "share.link": "Link",
+  "share.generating": "Gerando link…",
+  "share.privacy": "A lista vai inteira no próprio link ({length} caracteres); nada é enviado a um servidor.",
+  "share.copy": "Copiar link",
+  "share.copied": "Link copiado",
+  "share.native": "Enviar…",
+  "share.invalid": "Este link de lista compartilhada está incompleto ou corrompido.",
+  "share.receivedTitle": "Lista compartilhada",
+  "share.receivedCount": { one: "{count} título", other: "{count} títulos" },
+  "share.needsKey": "Informe sua API Key da OMDb para carregar os títulos desta lista.",
+  "share.loading": "Carregando títulos… {done}/{total}",
+  "share.importSelected": { one: "Importar {count} selecionado", other: "Importar {count} selecionados" },
+  "share.importAll": { one: "Importar {count} título", other: "Importar todos ({count})" },
+  "share.imported": {
+    one: "{count} título adicionado aos seus favoritos.",
+    other: "{count} títulos adicionados aos seus favoritos.",
+  },
+  "share.select": "Selecionar {title}",
+  "share.owned": "Já está nos seus favoritos",
+  "share.failed": { one: "{count} título não carregado", other: "{count} títulos não carregados" },
+
+  "series.title": "Temporadas e episódios",
+  "series.series": "Série",
+  "series.season": "Temporada",
+  "series.seasonShort": "T{season}",
+  "series.seasonNumber": "temporada {season}",
+  "series.episodeCode": "T{season}E{episode}",
+  "series.episodesWatched": {
+    one: "{count} episódio assistido",
+    other: "{count} episódios assistidos",
+  },
+  "series.watchedCount": { one: "{count} assistido", other: "{count} assistidos" },
+  "series.seasonProgress": "{watched} de {count} assistidos",
+  "series.nextEpisode": "Próximo episódio:",
+  "series.next": "Próximo: {episode}",
+  "series.finished": "Série terminada",
+  "series.done": "Você terminou a série.",
+  "series.goToSeason": "Ir para a temporada {season}",
+  "series.loadingSeason": "Carregando temporada {season}…",
+  "series.markSeason": "Marcar temporada como assistida",
+  "series.unmarkSeason": "Desmarcar temporada",
+  "series.watchedEpisode": "Assisti {episode}: {title}",
+
+  "episode.episode": "Episódio",
+  "episode.loading": "Carregando episódio…",
+  "episode.imageOf": "Imagem de {title}",
+  "episode.watched": "Assisti este episódio",
+
+  "compare.title": "Comparar títulos",
+  "compare.action": "Comparar",
+  "compare.actionFor": "Comparar {title}",
+  "compare.tray": "Bandeja de comparação",
+  "compare.trayFull": "A comparação aceita até {count} títulos",
+  "compare.needMore": "Escolha ao menos {count} títulos",
+  "compare.removeFromTray": "Tirar {title} da comparação",
+  "compare.legendDiffers": "valores diferentes",
+  "compare.legendName": "nome",
+  "compare.legendShared": "em comum entre os títulos",
+  "compare.sharedHint": "Também está em outro título da comparação",
+  "compare.loading": { one: "Carregando {count} título…", other: "Carregando {count} títulos…" },
+  "compare.field": "Campo",
+
+  "stats.title": "Estatísticas",
+  "stats.empty": "Adicione favoritos para ver as estatísticas da sua coleção.",
+  "stats.basis": { one: "Calculadas sobre {count} favorito", other: "Calculadas sobre {count} favoritos" },
+  "stats.missingDetails": {
+    one: "{count} ainda sem detalhes (abra a página de favoritos para completá-lo)",
+    other: "{count} ainda sem detalhes (abra a página de favoritos para completá-los)",
+  },
+  "stats.averageImdb": "Nota IMDb média",
+  "stats.rated": { one: "{count} título com nota", other: "{count} títulos com nota" },
+  "stats.runtime": "Duração total",
+  "stats.timed": { one: "{count} título com duração", other: "{count} títulos com duração" },
+  "stats.hoursMinutes": "{hours} h {minutes} min",
+  "stats.days": { one: "{count} dia", other: "{count} dias" },
+  "stats.byDecade": "Por década",
+  "stats.byGenre": "Por gênero",
+  "stats.topDirectors": "Diretores mais frequentes",
+  "stats.topActors": "Atores mais frequentes",
+  "stats.countries": "Países",
+  "stats.languages": "Idiomas",
+  "stats.chartsPending": "Os gráficos aparecem quando os favoritos tiverem detalhes.",
+
+  "recommend.title": "Descobrir",
+  "recommend.intro": "Sugestões a partir dos seus favoritos: gêneros, direção, elenco e décadas que mais aparecem (e as notas que você deu).",
+  "recommend.profile": "Seu perfil",
+  "recommend.refresh": "Atualizar sugestões",
+  "recommend.loading": "Procurando sugestões…",
+  "recommend.empty": "Nenhuma sugestão por enquanto. Abra os detalhes dos favoritos para refinar o perfil.",
+  "recommend.noFavorites": "Adicione títulos aos favoritos para receber sugestões baseadas no seu gosto.",
+  "recommend.needsKey": "Informe a API Key para buscar sugestões",
+  "recommend.offline": "Sem conexão: as sugestões voltam quando a rede voltar.",
+  "recommend.moreLikeThis": "Mais como este",
+  "recommend.show": "Ver sugestões",
+  "recommend.because.director": {
+    one: "porque você salvou {count} título de {name}",
+    other: "porque você salvou {count} títulos de {name}",
+  },
+  "recommend.because.actor": {
+    one: "porque você salvou {count} título com {name}",
+    other: "porque você salvou {count} títulos com {name}",
+  },
+  "recommend.because.genre": {
+    one: "porque {count} dos seus favoritos é de {name}",
+    other: "porque {count} dos seus favoritos são de {name}",
+  },
+  "recommend.because.decade": {
+    one: "porque {count} dos seus favoritos é dos anos {name}",
+    other: "porque {count} dos seus favoritos são dos anos {name}",
+  },
+  "recommend.seed.director": "também dirigido por {name}",
+  "recommend.seed.actor": "também com {name}",
+  "recommend.seed.genre": "{name}, como {title}",
+
+  "agenda.title": "Agenda",
+  "agenda.intro": "Planeje quando assistir cada favorito. As estreias usam a data de lançamento informada pela OMDb.",
+  "agenda.noFavorites": "Adicione títulos aos favoritos para planejar quando assisti-los.",
+  "agenda.empty": "Nada na agenda ainda: escolha um favorito e uma data acima.",
+  "agenda.fetching": {
+    one: "Buscando a data de estreia de {count} favorito…",
+    other: "Buscando a data de estreia de {count} favoritos…",
+  },
+  "agenda.view.label": "Visão da agenda",
+  "agenda.view.month": "Mês",
+  "agenda.view.week": "Semana",
+  "agenda.previous": "Período anterior",
+  "agenda.next": "Próximo período",
+  "agenda.today": "Hoje",
+  "agenda.export": "Exportar .ics",
+  "agenda.pickTitle": "Título",
+  "agenda.pickDate": "Data",
+  "agenda.choose": "Escolha um favorito",
+  "agenda.schedule": "Agendar",
+  "agenda.pickDay": "Agendar em {date}",
+  "agenda.release": "Estreia: {title}",
+  "agenda.upcoming": "Próximas estreias",
+  "agenda.plannedFor": "Planejado para {date}",
+  "agenda.prompts": "Já assistiu?",
+  "agenda.prompt.question": "Você planejou assistir {title} em {date}. Já assistiu?",
+  "agenda.prompt.yes": "Sim, assisti",
+  "agenda.prompt.no": "Ainda não",
+  "agenda.prompt.noHint": "Tira o título da agenda",
+  "agenda.ics.planned": "Assistir: {title}",
+  "agenda.ics.release": "Estreia: {title}",
+
+  "settings.title": "Configurações",
+  "settings.preferences": "Preferências",
+  "settings.searchType": "Tipo padrão da busca",
+  "settings.plot": "Sinopse nos detalhes",
+  "settings.plot.short": "Curta",
+  "settings.plot.full": "Completa",
+  "settings.layout": "Disposição dos resultados",
+  "settings.layout.grid": "Grade de cartões",
+  "settings.layout.list": "Lista compacta",
+  "settings.layout.wall": "Mural de pôsteres",
+  "settings.paging": "Navegação dos resultados",
+  "settings.paging.pages": "Páginas numeradas",
+  "settings.paging.scroll": "Rolagem infinita",
+  "settings.history": "Histórico",
+  "settings.history.on": "Registrar títulos abertos e buscas",
+  "settings.history.paused": "Pausado",
+  "settings.key.title": "API Key da OMDb",
+  "settings.key.none": "Nenhuma chave configurada: as buscas ficam desabilitadas.",
+  "settings.key.source.user": "Informada por você e salva neste navegador",
+  "settings.key.source.env": "Definida em VITE_OMDB_API_KEY (.env)",
+  "settings.key.test": "Testar chave",
+  "settings.key.confirmRemove":
+    "Remover a chave salva neste navegador? Se houver VITE_OMDB_API_KEY no .env, ela volta a ser usada.",
+  "settings.key.enter": "Informe sua chave",
+  "settings.key.replace": "Trocar por outra chave",
+  "settings.key.help": "A chave é testada na OMDb enquanto você digita. Crie uma gratuitamente em omdbapi.com/apikey.aspx.",
+  "settings.key.checking": "Verificando a chave…",
+  "settings.key.valid": "Chave válida.",
+  "settings.key.unverified": "Não foi possível confirmar a chave: {reason}",
+  "settings.data.title": "Cache e dados",
+  "settings.data.run": "Apagar",
+  "settings.data.done": "Feito.",
+  "settings.data.cache": "Limpar cache",
+  "settings.data.cacheHelp":
+    "Apaga as respostas de busca e detalhes guardadas por até 24 h e os pôsteres salvos. Favoritos, listas e o catálogo offline não mudam; as próximas buscas voltam a consumir a cota da chave.",
+  "settings.data.titles": "Apagar catálogo offline",
+  "settings.data.titlesHelp":
+    "Apaga os detalhes completos dos títulos já abertos. Sem rede, eles deixam de abrir até serem vistos de novo, e as estatísticas podem perder dados de favoritos ainda sem detalhes.",
+  "settings.data.collection": "Apagar coleção",
+  "settings.data.collectionHelp":
+    "Apaga todos os favoritos (com notas, anotações e tags), as listas, o progresso das séries, a bandeja de comparação e as alterações offline pendentes. Não pode ser desfeito: exporte um backup na página de favoritos antes.",
+  "settings.data.history": "Apagar histórico",
+  "settings.data.historyHelp": "Apaga os títulos abertos e as buscas recentes. Favoritos e listas não mudam.",
+  "settings.data.settings": "Restaurar preferências",
+  "settings.data.settingsHelp":
+    "Volta idioma, tema, tipo padrão da busca, sinopse, disposição e navegação dos resultados e o registro do histórico ao padrão. A API Key, a coleção e o histórico não são apagados.",
+
+  "history.title": "Histórico",
+  "history.empty": "Nada por aqui ainda: os títulos abertos e as buscas feitas aparecem nesta página.",
+  "history.paused": "O registro do histórico está pausado. Para retomar, vá em",
+  "history.clear": "Limpar histórico",
+  "history.confirmClear": "Apagar todo o histórico de títulos e buscas?",
+  "history.views": { one: "{count} título aberto", other: "{count} títulos abertos" },
+  "history.searches": { one: "{count} busca", other: "{count} buscas" },
+  "history.removeView": "Remover {title} do histórico",
+  "history.removeSearch": "Remover a busca \"{term}\" do histórico",
+  "history.recentSearches": "Buscas recentes",
+  "history.recentlyViewed": "Vistos recentemente",
+  "history.seeAll": "Ver histórico completo",
+
+  "storage.writeFailed":
+    "Não foi possível salvar {store} neste navegador (armazenamento cheio ou modo privado). As alterações valem só enquanto esta aba estiver aberta.",
+  "storage.corrupt":
+    "Os dados salvos de {store} estavam corrompidos e não puderam ser lidos. Uma cópia foi guardada: baixe-a para recuperar o que der (os favoritos podem ser importados de volta).",
+  "storage.retry": "Tentar salvar de novo",
+  "storage.downloadCopy": "Baixar cópia",
+  "storage.downloadCorrupt": "Baixar dados corrompidos",
+  "storage.discard": "Descartar cópia",
+  "storage.dismiss": "Fechar aviso",
+  "storage.store.favorites": "seus favoritos",
+  "storage.store.lists": "suas listas",
+  "storage.store.progress": "o progresso das séries",
+  "storage.store.history": "o histórico",
+  "storage.store.settings": "suas preferências",
+
+  "error.invalidKey": "API Key inválida. Verifique a chave informada.",
+  "error.limit": "Limite diário de requisições da OMDb atingido. Tente novamente amanhã.",
+  "error.notFound": "Nenhum título encontrado.",
+  "error.tooMany": "Muitos resultados para esse termo. Tente ser mais específico.",
+  "error.network": "Sem conexão com a OMDb. Verifique sua internet e tente novamente.",
+  "error.offline": "Você está offline. Favoritos e títulos já abertos continuam disponíveis.",
+  "error.unexpected": "Ocorreu um erro inesperado.",
+  "error.aborted": "Requisição cancelada.",
+  "error.badResponse": "Resposta inválida da OMDb (HTTP {status}).",
+  "error.networkFailure": "Falha de rede.",
+  "error.missingKey": "API Key não informada.",
+};
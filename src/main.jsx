@@ -1,6 +1,7 @@
 import React from 'react'
 import { createRoot } from 'react-dom/client'
 import App from './App.jsx'
+import './index.css'
 
 createRoot(document.getElementById('root')).render(
   <React.StrictMode>
@@ -8,3 +9,11 @@ createRoot(document.getElementById('root')).render(
   </React.StrictMode>
 )
 
+// Service worker (PWA/offline) só no build de produção: no dev ele atrapalharia o HMR
+if (import.meta.env.PROD && "serviceWorker" in navigator) {
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch(() => {
+      // Sem service worker a app continua funcionando, só não fica disponível offline
+    })
+  })
+}
@@ -0,0 +1,69 @@
+import fixtures from "./fixtures/omdb.json";
+
+/**
+ * OMDb local para os testes
+ * -------------------------------------------------------------
+ * Implementação de `fetch` que responde como a OMDb a partir de respostas
+ * gravadas (fixtures/omdb.json), sem rede:
+ *
+ *   ?s=termo&type=&y=&page=   → Search paginado (10 por página), filtrado por tipo/ano
+ *   ?i=id&plot=               → título completo
+ *   ?i=id&Season=N            → episódios da temporada
+ *
+ * Erros seguem o formato real — HTTP 200/401 com { Response: "False", Error } —
+ * para exercitar a classificação de lib/omdb.js. `fail("network" | "limit")`
+ * simula queda de rede ou cota esgotada; `requests` guarda os parâmetros de
+ * cada chamada (sem a chave), para contar idas à rede.
+ */
+
+export const TEST_API_KEY = "test-key";
+
+const PAGE_SIZE = 10;
+
+const reply = (status, body) =>
+  new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } });
+
+const failure = (message) => ({ Response: "False", Error: message });
+
+function searchResponse(data, { s, type, y, page = "1" }) {
+  const term = s.trim().toLowerCase();
+  const recorded = data.search[term];
+  if (!recorded) return failure(term.length < 3 ? "Too many results." : "Movie not found!");
+  const matches = recorded.filter((item) => (!type || item.Type === type) && (!y || item.Year.startsWith(y)));
+  const start = (Number(page) - 1) * PAGE_SIZE;
+  const slice = matches.slice(start, start + PAGE_SIZE);
+  if (slice.length === 0) return failure("Movie not found!");
+  return { Search: slice, totalResults: String(matches.length), Response: "True" };
+}
+
+function respond(data, params) {
+  if (params.s) return searchResponse(data, params);
+  if (params.i && params.Season) {
+    return (data.seasons[params.i] && data.seasons[params.i][params.Season]) || failure("Series or season not found!");
+  }
+  if (params.i) return data.titles[params.i] || failure("Incorrect IMDb ID.");
+  return failure("Something went wrong.");
+}
+
+export function createOmdbServer({ apiKey = TEST_API_KEY, data = fixtures } = {}) {
+  const requests = [];
+  let mode = null;
+
+  async function fetch(url, { signal } = {}) {
+    if (signal && signal.aborted) throw new DOMException("The operation was aborted.", "AbortError");
+    const { apikey, ...params } = Object.fromEntries(new URL(url).searchParams);
+    requests.push(params);
+    if (mode === "network") throw new TypeError("Failed to fetch");
+    if (mode === "limit") return reply(401, failure("Request limit reached!"));
+    if (apikey !== apiKey) return reply(401, failure("Invalid API key!"));
+    return reply(200, respond(data, params));
+  }
+
+  return {
+    fetch,
+    requests,
+    fail: (kind = null) => {
+      mode = kind;
+    },
+  };
+}
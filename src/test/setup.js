@@ -0,0 +1,18 @@
+import "@testing-library/jest-dom/vitest";
+import { cleanup } from "@testing-library/react";
+import { afterEach, vi } from "vitest";
+import { clearOmdbCache } from "../lib/omdb.js";
+
+// jsdom não implementa rolagem; a app chama scrollTo a cada troca de rota
+window.scrollTo = () => {};
+
+// Cada teste começa sem DOM, armazenamento, cache da OMDb nem rota anterior
+afterEach(async () => {
+  cleanup();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+  await clearOmdbCache();
+  window.localStorage.clear();
+  window.sessionStorage.clear();
+  window.history.replaceState(null, "", "/");
+});
@@ -0,0 +1,275 @@
+import React, { useMemo, useState } from "react";
+import { CalendarPlus, ChevronLeft, ChevronRight, Download, Eye, Ticket } from "lucide-react";
+import WatchPrompt from "../components/WatchPrompt.jsx";
+import useFavoriteDetails from "../hooks/useFavoriteDetails.js";
+import {
+  AGENDA_VIEWS,
+  agendaEvents,
+  calendarDays,
+  eventsByDate,
+  overduePlans,
+  readAgendaQuery,
+  shiftAnchor,
+  toAgendaQuery,
+  toICS,
+  todayISO,
+  upcomingReleases,
+} from "../lib/agenda.js";
+import { formatDate, getLocale, t } from "../lib/i18n.js";
+import { downloadText } from "../lib/transfer.js";
+
+// Quantas estreias a lista "Próximas estreias" mostra
+const MAX_UPCOMING = 10;
+
+const buttonClass =
+  "inline-flex items-center gap-1 rounded-xl border border-line-strong px-3 py-1.5 text-sm text-fg-soft hover:bg-subtle disabled:opacity-50";
+
+// Título do período exibido: "outubro de 2026" ou "18/10/2026 – 24/10/2026"
+function periodLabel(days, anchor, view) {
+  if (view === "week") return `${formatDate(days[0])} – ${formatDate(days[days.length - 1])}`;
+  return formatDate(anchor, { month: "long", year: "numeric" });
+}
+
+// Um evento dentro do dia: título planejado (assistido ou não) ou estreia
+function AgendaEvent({ event, onOpenDetails }) {
+  const { kind, favorite } = event;
+  const watched = kind === "planned" && favorite.status === "watched";
+  const Icon = kind === "release" ? Ticket : watched ? Eye : CalendarPlus;
+  return (
+    <li>
+      <button
+        type="button"
+        onClick={() => onOpenDetails(favorite.id)}
+        title={favorite.title}
+        className={`flex w-full items-center gap-1 rounded-md px-1 py-0.5 text-left text-xs hover:bg-subtle ${
+          kind === "release" ? "text-info" : watched ? "text-success" : "text-fg-soft"
+        }`}
+      >
+        <Icon className="h-3 w-3 flex-none" aria-hidden="true" />
+        <span className="truncate">
+          {kind === "release" ? t("agenda.release", { title: favorite.title }) : favorite.title}
+        </span>
+      </button>
+    </li>
+  );
+}
+
+/**
+ * Agenda (#/agenda): favoritos com data planejada e estreias, em visão de mês
+ * ou de semana. A visão e o período ficam na URL (?visao=semana&data=…).
+ * Favoritos sem detalhes são completados em segundo plano para trazer a data
+ * de estreia.
+ */
+export default function AgendaView({
+  provider,
+  favoritesMap,
+  online,
+  query,
+  onQueryChange,
+  onUpdateFavorite,
+  onOpenDetails,
+}) {
+  const today = todayISO();
+  const { view, date: anchor } = readAgendaQuery(query, today);
+  const setView = (next) => onQueryChange(toAgendaQuery({ view, date: anchor, ...next }, today));
+
+  const enrich = useFavoriteDetails(favoritesMap, provider, onUpdateFavorite, { enabled: online });
+
+  const events = useMemo(() => agendaEvents(favoritesMap), [favoritesMap]);
+  const byDate = useMemo(() => eventsByDate(events), [events]);
+  const days = useMemo(() => calendarDays(anchor, view), [anchor, view]);
+  const prompts = overduePlans(favoritesMap, today);
+  const upcoming = upcomingReleases(events, today).slice(0, MAX_UPCOMING);
+
+  // Formulário "Agendar": favoritos ainda não assistidos, em ordem alfabética
+  const schedulable = useMemo(
+    () =>
+      Object.values(favoritesMap)
+        .filter((f) => f.status !== "watched")
+        .sort((a, b) => a.title.localeCompare(b.title, getLocale())),
+    [favoritesMap]
+  );
+  const [draft, setDraft] = useState({ id: "", date: today });
+  const schedule = (e) => {
+    e.preventDefault();
+    if (!draft.id || !draft.date) return;
+    onUpdateFavorite(draft.id, { plannedAt: draft.date });
+    setDraft((prev) => ({ ...prev, id: "" }));
+  };
+
+  const exportSchedule = () => downloadText(`agenda-${today}.ics`, toICS(events), "text/calendar");
+
+  if (Object.keys(favoritesMap).length === 0) {
+    return (
+      <section className="mx-auto max-w-5xl px-4 py-6">
+        <h1 className="mb-4 text-xl font-bold text-fg">{t("agenda.title")}</h1>
+        <p className="mt-10 text-center text-fg-subtle">{t("agenda.noFavorites")}</p>
+      </section>
+    );
+  }
+
+  return (
+    <section className="mx-auto flex max-w-5xl flex-col gap-4 px-4 py-6">
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <h1 className="text-xl font-bold text-fg">{t("agenda.title")}</h1>
+          <p className="text-sm text-fg-muted">{t("agenda.intro")}</p>
+          {enrich.remaining > 0 && (
+            <p role="status" className="text-xs text-fg-subtle">
+              {t("agenda.fetching", { count: enrich.remaining })}
+            </p>
+          )}
+        </div>
+        <button type="button" onClick={exportSchedule} disabled={events.length === 0} className={buttonClass}>
+          <Download className="h-4 w-4" /> {t("agenda.export")}
+        </button>
+      </div>
+
+      {prompts.length > 0 && (
+        <div className="flex flex-col gap-2" aria-label={t("agenda.prompts")} role="group">
+          {prompts.map((favorite) => (
+            <WatchPrompt
+              key={favorite.id}
+              favorite={favorite}
+              onChange={(patch) => onUpdateFavorite(favorite.id, patch)}
+            />
+          ))}
+        </div>
+      )}
+
+      {schedulable.length > 0 && (
+        <form onSubmit={schedule} className="flex flex-wrap items-end gap-2 rounded-2xl border border-line bg-surface p-3">
+          <label className="flex flex-col gap-1 text-xs font-semibold text-fg-subtle">
+            {t("agenda.pickTitle")}
+            <select
+              value={draft.id}
+              onChange={(e) => setDraft((prev) => ({ ...prev, id: e.target.value }))}
+              className="min-w-48 rounded-xl border border-line-strong bg-surface px-2 py-1.5 text-sm font-normal text-fg-soft"
+            >
+              <option value="">{t("agenda.choose")}</option>
+              {schedulable.map((f) => (
+                <option key={f.id} value={f.id}>
+                  {f.year ? `${f.title} (${f.year})` : f.title}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1 text-xs font-semibold text-fg-subtle">
+            {t("agenda.pickDate")}
+            <input
+              type="date"
+              value={draft.date}
+              onChange={(e) => setDraft((prev) => ({ ...prev, date: e.target.value }))}
+              className="rounded-xl border border-line-strong bg-surface px-2 py-1.5 text-sm font-normal text-fg-soft"
+            />
+          </label>
+          <button type="submit" disabled={!draft.id || !draft.date} className={buttonClass}>
+            <CalendarPlus className="h-4 w-4" /> {t("agenda.schedule")}
+          </button>
+        </form>
+      )}
+
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center gap-1">
+          <button
+            type="button"
+            onClick={() => setView({ date: shiftAnchor(anchor, view, -1) })}
+            aria-label={t("agenda.previous")}
+            className="rounded-xl p-1.5 text-fg-soft hover:bg-muted"
+          >
+            <ChevronLeft className="h-4 w-4" />
+          </button>
+          <button type="button" onClick={() => setView({ date: today })} className={buttonClass}>
+            {t("agenda.today")}
+          </button>
+          <button
+            type="button"
+            onClick={() => setView({ date: shiftAnchor(anchor, view, 1) })}
+            aria-label={t("agenda.next")}
+            className="rounded-xl p-1.5 text-fg-soft hover:bg-muted"
+          >
+            <ChevronRight className="h-4 w-4" />
+          </button>
+          <h2 className="ml-2 text-base font-semibold capitalize text-fg">{periodLabel(days, anchor, view)}</h2>
+        </div>
+        <div role="group" aria-label={t("agenda.view.label")} className="flex gap-1">
+          {AGENDA_VIEWS.map((option) => (
+            <button
+              key={option.value}
+              type="button"
+              aria-pressed={view === option.value}
+              onClick={() => setView({ view: option.value })}
+              className={`rounded-xl px-3 py-1.5 text-sm ${
+                view === option.value ? "bg-accent text-on-accent" : "text-fg-soft hover:bg-muted"
+              }`}
+            >
+              {t(option.labelKey)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-7 gap-px overflow-hidden rounded-2xl border border-line bg-line">
+        {days.slice(0, 7).map((day) => (
+          <div key={`weekday-${day}`} className="bg-subtle px-2 py-1 text-center text-xs font-semibold text-fg-subtle">
+            {formatDate(day, { weekday: "short" })}
+          </div>
+        ))}
+        {days.map((day) => {
+          const outside = view === "month" && day.slice(0, 7) !== anchor.slice(0, 7);
+          const dayEvents = byDate.get(day) || [];
+          return (
+            <div
+              key={day}
+              aria-label={formatDate(day, { day: "numeric", month: "long" })}
+              aria-current={day === today ? "date" : undefined}
+              className={`flex flex-col gap-1 bg-surface p-1 ${view === "week" ? "min-h-48" : "min-h-24"} ${
+                outside ? "opacity-50" : ""
+              }`}
+            >
+              <button
+                type="button"
+                onClick={() => setDraft((prev) => ({ ...prev, date: day }))}
+                title={t("agenda.pickDay", { date: formatDate(day) })}
+                className={`w-fit rounded-full px-1.5 text-xs ${
+                  day === today ? "bg-accent font-semibold text-on-accent" : "text-fg-muted hover:bg-muted"
+                }`}
+              >
+                {Number(day.slice(8))}
+              </button>
+              {dayEvents.length > 0 && (
+                <ul className="flex flex-col gap-0.5">
+                  {dayEvents.map((event) => (
+                    <AgendaEvent key={event.key} event={event} onOpenDetails={onOpenDetails} />
+                  ))}
+                </ul>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {events.length === 0 && <p className="text-center text-sm text-fg-subtle">{t("agenda.empty")}</p>}
+
+      {upcoming.length > 0 && (
+        <div>
+          <h2 className="mb-2 text-sm font-semibold text-fg-soft">{t("agenda.upcoming")}</h2>
+          <ul className="divide-y divide-line-soft rounded-2xl border border-line bg-surface">
+            {upcoming.map(({ key, date, favorite }) => (
+              <li key={key} className="flex items-center justify-between gap-3 p-2 text-sm">
+                <button
+                  type="button"
+                  onClick={() => onOpenDetails(favorite.id)}
+                  className="truncate text-left text-fg hover:underline"
+                >
+                  {favorite.title}
+                </button>
+                <span className="flex-none text-xs text-fg-muted">{formatDate(date)}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </section>
+  );
+}
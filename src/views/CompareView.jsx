@@ -0,0 +1,159 @@
+import React, { useEffect, useState } from "react";
+import { Loader2, Users, X } from "lucide-react";
+import { t } from "../lib/i18n.js";
+import { errorMessage, isAbortError } from "../lib/errors.js";
+import { compareRows, sharedNames } from "../lib/compare.js";
+import { splitNames } from "../lib/ratings.js";
+import { fold } from "../lib/text.js";
+import { PosterFallback } from "../components/MovieCard.jsx";
+
+// Nomes de uma célula, destacando os que aparecem em mais de um título
+function PeopleCell({ value, shared }) {
+  const names = splitNames(value);
+  if (names.length === 0) return <span className="text-fg-faint">—</span>;
+  return (
+    <ul className="flex flex-wrap gap-1">
+      {names.map((name) => {
+        const common = shared.has(fold(name));
+        return (
+          <li
+            key={name}
+            className={common ? "rounded-md bg-success-subtle px-1.5 font-medium text-success" : "px-0.5"}
+            title={common ? t("compare.sharedHint") : undefined}
+          >
+            {name}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+/**
+ * Comparação lado a lado (#/comparar/id1,id2,…): os títulos completos são
+ * buscados em paralelo e exibidos em colunas alinhadas. Linhas com valores
+ * diferentes ficam destacadas; nas avaliações, o maior score vai em negrito.
+ */
+export default function CompareView({ provider, ids, onRemove, onOpenDetails }) {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [records, setRecords] = useState([]);
+  const key = ids.join(",");
+
+  useEffect(() => {
+    if (!provider.ready || !key) return;
+    const controller = new AbortController();
+    setLoading(true);
+    setError("");
+    Promise.all(key.split(",").map((id) => provider.getById(id, { plot: "full", signal: controller.signal })))
+      .then(setRecords)
+      .catch((err) => {
+        if (isAbortError(err)) return;
+        setError(errorMessage(err));
+        setRecords([]);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+    return () => controller.abort();
+  }, [provider, key]);
+
+  const rows = compareRows(records).filter((r) => r.values.some(Boolean));
+  const shared = sharedNames(records);
+
+  return (
+    <section className="mx-auto max-w-6xl px-4 py-6">
+      <h1 className="mb-1 text-xl font-bold text-fg">{t("compare.title")}</h1>
+      <p className="mb-4 flex flex-wrap items-center gap-3 text-xs text-fg-subtle">
+        <span className="inline-flex items-center gap-1">
+          <span className="h-3 w-3 rounded bg-warning-subtle ring-1 ring-warning-line" /> {t("compare.legendDiffers")}
+        </span>
+        <span className="inline-flex items-center gap-1">
+          <Users className="h-3 w-3" />
+          <span className="rounded-md bg-success-subtle px-1 text-success">{t("compare.legendName")}</span>{" "}
+          {t("compare.legendShared")}
+        </span>
+      </p>
+
+      {loading && (
+        <div role="status" className="mt-10 flex items-center justify-center gap-2 text-fg-muted">
+          <Loader2 className="h-5 w-5 animate-spin" aria-hidden="true" />
+          <span>{t("compare.loading", { count: ids.length })}</span>
+        </div>
+      )}
+
+      {!loading && error && (
+        <div role="alert" className="rounded-2xl border border-danger-line bg-danger-subtle p-4 text-danger">{error}</div>
+      )}
+
+      {!loading && !error && records.length > 0 && (
+        <div className="overflow-x-auto rounded-2xl border border-line bg-surface">
+          <table className="w-full min-w-[640px] table-fixed text-sm">
+            <thead>
+              <tr className="align-top">
+                <th scope="col" className="w-32 p-3 text-left text-xs font-semibold text-fg-subtle">
+                  <span className="sr-only">{t("compare.field")}</span>
+                </th>
+                {records.map((r) => (
+                  <th key={r.id} scope="col" className="p-3 text-left font-normal">
+                    <div className="mb-2 w-24 overflow-hidden rounded-lg border border-line">
+                      {r.poster ? (
+                        <img src={r.poster} alt="" className="h-36 w-24 object-cover" />
+                      ) : (
+                        <PosterFallback title={r.title} />
+                      )}
+                    </div>
+                    <div className="flex items-start gap-1">
+                      <button
+                        type="button"
+                        onClick={() => onOpenDetails(r.id)}
+                        className="flex-1 text-left font-semibold text-fg hover:underline"
+                      >
+                        {r.title}
+                      </button>
+                      {ids.length > 2 && (
+                        <button
+                          type="button"
+                          onClick={() => onRemove(r.id)}
+                          aria-label={t("compare.removeFromTray", { title: r.title })}
+                          className="rounded-lg p-1 text-fg-faint hover:bg-muted hover:text-fg-soft"
+                        >
+                          <X className="h-4 w-4" />
+                        </button>
+                      )}
+                    </div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => {
+                const best = row.scores ? Math.max(...row.scores.filter((s) => s !== null)) : null;
+                return (
+                  <tr key={row.key} className={`border-t border-line-soft align-top ${row.differs ? "bg-warning-subtle" : ""}`}>
+                    <th scope="row" className="p-3 text-left text-xs font-semibold text-fg-subtle">
+                      {row.label}
+                    </th>
+                    {row.values.map((value, i) => (
+                      <td key={records[i].id} className="p-3 text-fg">
+                        {row.people ? (
+                          <PeopleCell value={value} shared={shared} />
+                        ) : value ? (
+                          <span className={row.scores && row.differs && row.scores[i] === best ? "font-bold" : ""}>
+                            {value}
+                          </span>
+                        ) : (
+                          <span className="text-fg-faint">—</span>
+                        )}
+                      </td>
+                    ))}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
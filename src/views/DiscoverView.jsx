@@ -0,0 +1,103 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { RefreshCw } from "lucide-react";
+import Recommendations from "../components/Recommendations.jsx";
+import useRecommendations from "../hooks/useRecommendations.js";
+import { t } from "../lib/i18n.js";
+import { loadAllTitles } from "../lib/offline.js";
+import { buildTasteProfile, topOf } from "../lib/recommend.js";
+import { buildHash } from "../lib/router.js";
+
+// Quantos nomes de cada tipo o resumo do perfil mostra
+const PROFILE_TOP = 5;
+
+// Tipo do perfil → rótulo e filtro equivalente em #/favoritos
+const PROFILE_GROUPS = [
+  { kind: "genre", labelKey: "field.genre", toQuery: (name) => ({ genero: name }) },
+  { kind: "director", labelKey: "field.director", toQuery: (name) => ({ pessoa: name }) },
+  { kind: "actor", labelKey: "field.actors", toQuery: (name) => ({ pessoa: name }) },
+  {
+    kind: "decade",
+    labelKey: "collection.decadeLabel",
+    toQuery: (decade) => ({ decada: String(decade) }),
+    toLabel: (decade) => t("collection.decade", { decade: String(decade) }),
+  },
+];
+
+// Página de sugestões a partir da coleção (#/descobrir)
+export default function DiscoverView({ provider, favoritesMap, online, onOpenDetails }) {
+  // Detalhes guardados no catálogo offline completam o perfil de favoritos sem detalhes
+  const [titles, setTitles] = useState({});
+  useEffect(() => {
+    let active = true;
+    loadAllTitles().then((list) => {
+      if (active) setTitles(Object.fromEntries(list.filter(Boolean).map((title) => [title.id, title])));
+    });
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  const profile = useMemo(() => buildTasteProfile(favoritesMap, titles), [favoritesMap, titles]);
+  const recommendations = useRecommendations(provider, favoritesMap, null, { enabled: online });
+
+  let notice = "";
+  if (profile.size === 0) notice = t("recommend.noFavorites");
+  else if (!provider.ready) notice = t("recommend.needsKey");
+  else if (!online) notice = t("recommend.offline");
+
+  return (
+    <section className="mx-auto max-w-5xl px-4 py-6">
+      <div className="mb-4 flex items-start justify-between gap-3">
+        <div>
+          <h1 className="text-xl font-bold text-fg">{t("recommend.title")}</h1>
+          <p className="text-sm text-fg-muted">{t("recommend.intro")}</p>
+        </div>
+        {!notice && (
+          <button
+            type="button"
+            onClick={recommendations.refresh}
+            disabled={recommendations.loading}
+            className="inline-flex flex-none items-center gap-2 rounded-xl border border-line-strong px-3 py-1.5 text-sm text-fg-soft hover:bg-subtle disabled:opacity-50"
+          >
+            <RefreshCw className={`h-4 w-4 ${recommendations.loading ? "animate-spin" : ""}`} aria-hidden="true" />
+            {t("recommend.refresh")}
+          </button>
+        )}
+      </div>
+
+      {profile.size > 0 && (
+        <div className="mb-6 rounded-2xl border border-line bg-surface p-4">
+          <h2 className="mb-2 text-sm font-semibold text-fg-soft">{t("recommend.profile")}</h2>
+          <dl className="grid grid-cols-1 gap-2 sm:grid-cols-2">
+            {PROFILE_GROUPS.map(({ kind, labelKey, toQuery, toLabel = String }) => {
+              const top = topOf(profile, kind, PROFILE_TOP);
+              if (top.length === 0) return null;
+              return (
+                <div key={kind}>
+                  <dt className="text-xs font-semibold text-fg-subtle">{t(labelKey)}</dt>
+                  <dd className="mt-1 flex flex-wrap gap-1">
+                    {top.map(({ name, count }) => (
+                      <a
+                        key={name}
+                        href={`#${buildHash("favorites", {}, toQuery(name))}`}
+                        className="rounded-full bg-muted px-2 py-0.5 text-xs text-fg-soft hover:bg-subtle"
+                      >
+                        {toLabel(name)} ({count})
+                      </a>
+                    ))}
+                  </dd>
+                </div>
+              );
+            })}
+          </dl>
+        </div>
+      )}
+
+      {notice ? (
+        <p className="mt-10 text-center text-fg-subtle">{notice}</p>
+      ) : (
+        <Recommendations state={recommendations} onOpenDetails={onOpenDetails} emptyText={t("recommend.empty")} />
+      )}
+    </section>
+  );
+}
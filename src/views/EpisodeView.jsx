@@ -0,0 +1,134 @@
+import React, { useEffect, useState } from "react";
+import { ArrowLeft, Loader2 } from "lucide-react";
+import useCollection from "../hooks/useCollection.js";
+import { t } from "../lib/i18n.js";
+import { errorMessage, isAbortError } from "../lib/errors.js";
+import { formatReleaseDate, formatRuntime } from "../lib/ratings.js";
+import { episodeLabel, isEpisodeWatched } from "../lib/progress.js";
+import { PosterFallback } from "../components/MovieCard.jsx";
+import InfoField from "../components/InfoField.jsx";
+import NameLinks from "../components/NameLinks.jsx";
+import RatingsPanel from "../components/RatingsPanel.jsx";
+
+// Página de um episódio (#/episodio/:id), com atalho de volta para a série
+export default function EpisodeView({ provider, id, plot, onOpenSeries, onSearchName }) {
+  const { progress, toggleEpisode } = useCollection();
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [data, setData] = useState(null);
+  const [series, setSeries] = useState(null);
+
+  useEffect(() => {
+    if (!provider.ready || !id) return;
+    const controller = new AbortController();
+    setLoading(true);
+    setError("");
+    provider
+      .getById(id, { plot, signal: controller.signal })
+      .then((title) => {
+        setData(title);
+        if (!title.seriesId) return setSeries(null);
+        // O nome da série não vem no episódio; a resposta costuma já estar em cache
+        return provider.getById(title.seriesId, { signal: controller.signal }).then(setSeries, (err) => {
+          if (isAbortError(err)) throw err;
+          setSeries(null);
+        });
+      })
+      .catch((err) => {
+        if (isAbortError(err)) return;
+        setError(errorMessage(err));
+        setData(null);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+    return () => controller.abort();
+  }, [provider, id, plot]);
+
+  const season = data && data.season;
+  const episode = data && data.episode;
+  const seriesId = data && data.seriesId;
+  const watched = data && isEpisodeWatched(progress[seriesId], season, episode);
+
+  return (
+    <section className="mx-auto max-w-4xl px-4 py-6">
+      {seriesId && (
+        <button
+          onClick={() => onOpenSeries(seriesId, season)}
+          className="mb-4 inline-flex items-center gap-2 rounded-2xl border border-line-strong px-3 py-1.5 text-sm text-fg-soft hover:bg-subtle"
+        >
+          <ArrowLeft className="h-4 w-4" /> {series ? series.title : t("series.series")} •{" "}
+          {t("series.seasonNumber", { season: String(season) })}
+        </button>
+      )}
+
+      {loading && (
+        <div role="status" className="mt-10 flex items-center justify-center gap-2 text-fg-muted">
+          <Loader2 className="h-5 w-5 animate-spin" aria-hidden="true" />
+          <span>{t("episode.loading")}</span>
+        </div>
+      )}
+
+      {!loading && error && (
+        <div role="alert" className="rounded-2xl border border-danger-line bg-danger-subtle p-4 text-danger">{error}</div>
+      )}
+
+      {!loading && !error && data && (
+        <div className="grid grid-cols-1 gap-6 md:grid-cols-[200px,1fr]">
+          <div className="overflow-hidden rounded-2xl border border-line bg-surface">
+            {data.poster ? (
+              <img src={data.poster} alt={t("episode.imageOf", { title: data.title })} className="h-full w-full object-cover" />
+            ) : (
+              <PosterFallback title={data.title} />
+            )}
+          </div>
+          <div className="flex flex-col gap-3">
+            <div>
+              <p className="text-xs font-semibold uppercase tracking-wide text-fg-subtle">
+                {series ? series.title : t("episode.episode")} • {episodeLabel({ season, episode })}
+              </p>
+              <h1 className="text-2xl font-bold text-fg">{data.title}</h1>
+              <p className="text-sm text-fg-muted">
+                {[formatReleaseDate(data.released) || data.year, formatRuntime(data.runtime)].filter(Boolean).join(" • ")}
+              </p>
+            </div>
+
+            {seriesId && (
+              <label className="inline-flex w-fit items-center gap-2 rounded-xl border border-line-strong px-3 py-1.5 text-sm text-fg-soft">
+                <input
+                  type="checkbox"
+                  checked={watched}
+                  onChange={() =>
+                    toggleEpisode(seriesId, episode, { season, totalSeasons: series && series.totalSeasons })
+                  }
+                />
+                {t("episode.watched")}
+              </label>
+            )}
+
+            <RatingsPanel data={data} />
+
+            <div>
+              <h2 className="mb-1 text-sm font-semibold text-fg-soft">{t("field.plot")}</h2>
+              <p className="text-sm leading-relaxed text-fg-soft">{data.plot}</p>
+            </div>
+
+            <div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
+              <InfoField label={t("field.director")} value={data.director}>
+                <NameLinks value={data.director} onSearch={onSearchName} />
+              </InfoField>
+              <InfoField label={t("field.writer")} value={data.writer}>
+                <NameLinks value={data.writer} onSearch={onSearchName} />
+              </InfoField>
+              <InfoField label={t("field.actors")} value={data.actors}>
+                <NameLinks value={data.actors} onSearch={onSearchName} />
+              </InfoField>
+            </div>
+
+            <div className="text-xs text-fg-subtle">ID: {data.id}</div>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
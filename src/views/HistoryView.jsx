@@ -0,0 +1,124 @@
+import React from "react";
+import { Film, PauseCircle, Search, Trash2 } from "lucide-react";
+import { describeFilters, searchKey } from "../lib/history.js";
+import { formatDate, t } from "../lib/i18n.js";
+import { buildHash } from "../lib/router.js";
+
+// Data e hora de uma entrada do histórico
+const DATE_TIME = { day: "2-digit", month: "2-digit", year: "numeric", hour: "2-digit", minute: "2-digit" };
+
+function RemoveButton({ label, onClick }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      aria-label={label}
+      className="rounded-lg p-1.5 text-danger hover:bg-danger-subtle"
+    >
+      <Trash2 className="h-4 w-4" />
+    </button>
+  );
+}
+
+/**
+ * Histórico (#/historico): títulos abertos e buscas enviadas, do mais
+ * recente para o mais antigo. Cada entrada pode ser removida; "Limpar
+ * histórico" apaga tudo (com confirmação).
+ */
+export default function HistoryView({ history, paused, onOpenDetails, onSearch, onRemoveView, onRemoveSearch, onClear }) {
+  const { views, searches } = history;
+  const empty = views.length === 0 && searches.length === 0;
+
+  const clear = () => {
+    if (window.confirm(t("history.confirmClear"))) onClear();
+  };
+
+  return (
+    <section className="mx-auto flex max-w-3xl flex-col gap-6 px-4 py-6">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h1 className="text-xl font-bold text-fg">{t("history.title")}</h1>
+        {!empty && (
+          <button
+            type="button"
+            onClick={clear}
+            className="inline-flex items-center gap-2 rounded-xl border border-danger-line px-3 py-1.5 text-sm text-danger hover:bg-danger-subtle"
+          >
+            <Trash2 className="h-4 w-4" /> {t("history.clear")}
+          </button>
+        )}
+      </div>
+
+      {paused && (
+        <p role="status" className="flex items-center gap-2 rounded-2xl border border-warning-line bg-warning-subtle p-3 text-sm text-warning">
+          <PauseCircle className="h-4 w-4 flex-none" aria-hidden="true" />
+          <span>
+            {t("history.paused")}{" "}
+            <a href={`#${buildHash("settings")}`} className="underline">
+              {t("nav.settings")}
+            </a>
+          </span>
+        </p>
+      )}
+
+      {empty && <p className="mt-6 text-center text-fg-subtle">{t("history.empty")}</p>}
+
+      {views.length > 0 && (
+        <div>
+          <h2 className="mb-2 text-sm font-semibold text-fg-soft">
+            {t("history.views", { count: views.length })}
+          </h2>
+          <ul className="divide-y divide-line-soft rounded-2xl border border-line bg-surface">
+            {views.map((v) => (
+              <li key={v.id} className="flex items-center gap-3 p-2">
+                {v.poster ? (
+                  <img src={v.poster} alt="" loading="lazy" className="h-16 w-11 flex-none rounded object-cover" />
+                ) : (
+                  <span className="flex h-16 w-11 flex-none items-center justify-center rounded bg-muted text-fg-faint">
+                    <Film className="h-4 w-4" />
+                  </span>
+                )}
+                <button
+                  type="button"
+                  onClick={() => onOpenDetails(v.id)}
+                  className="min-w-0 flex-1 text-left"
+                >
+                  <span className="block truncate font-medium text-fg hover:underline">{v.title}</span>
+                  <span className="block text-xs text-fg-subtle">
+                    {v.year} • {formatDate(v.at, DATE_TIME)}
+                  </span>
+                </button>
+                <RemoveButton label={t("history.removeView", { title: v.title })} onClick={() => onRemoveView(v.id)} />
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {searches.length > 0 && (
+        <div>
+          <h2 className="mb-2 text-sm font-semibold text-fg-soft">
+            {t("history.searches", { count: searches.length })}
+          </h2>
+          <ul className="divide-y divide-line-soft rounded-2xl border border-line bg-surface">
+            {searches.map((s) => {
+              const details = describeFilters(s.filters);
+              return (
+                <li key={searchKey(s)} className="flex items-center gap-3 p-2">
+                  <Search className="ml-2 h-4 w-4 flex-none text-fg-faint" aria-hidden="true" />
+                  <button type="button" onClick={() => onSearch(s)} className="min-w-0 flex-1 text-left">
+                    <span className="block truncate font-medium text-fg hover:underline">{s.term}</span>
+                    <span className="block text-xs text-fg-subtle">
+                      {details && `${details} • `}
+                      {formatDate(s.at, DATE_TIME)}
+                    </span>
+                  </button>
+                  <RemoveButton label={t("history.removeSearch", { term: s.term })} onClick={() => onRemoveSearch(s)} />
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,79 @@
+import React from "react";
+import { ArrowLeft, Film, Trash2 } from "lucide-react";
+import ReorderableList from "../components/ReorderableList.jsx";
+import SeriesProgressBadge from "../components/SeriesProgressBadge.jsx";
+import { t } from "../lib/i18n.js";
+
+// Página de uma lista (#/listas/:slug) com ordenação manual dos títulos
+export default function ListView({ list, onBack, onRemoveItem, onMoveItem, onOpenDetails }) {
+  const back = (
+    <button
+      onClick={onBack}
+      className="mb-4 inline-flex items-center gap-2 rounded-2xl border border-line-strong px-3 py-1.5 text-sm text-fg-soft hover:bg-subtle"
+    >
+      <ArrowLeft className="h-4 w-4" /> {t("lists.all")}
+    </button>
+  );
+
+  if (!list) {
+    return (
+      <section className="mx-auto max-w-3xl px-4 py-6">
+        {back}
+        <p className="text-center text-fg-subtle">{t("lists.notFound")}</p>
+      </section>
+    );
+  }
+
+  return (
+    <section className="mx-auto max-w-3xl px-4 py-6">
+      {back}
+      <h1 className="text-xl font-bold text-fg">{list.name}</h1>
+      <p className="mb-4 text-sm text-fg-muted">
+        {t("lists.titles", { count: list.items.length })} • {t("lists.reorderHint")}
+      </p>
+
+      {list.items.length === 0 ? (
+        <p className="mt-10 text-center text-fg-subtle">{t("lists.emptyList")}</p>
+      ) : (
+        <ReorderableList
+          label={t("lists.titlesOf", { name: list.name })}
+          items={list.items}
+          getKey={(m) => m.id}
+          getLabel={(m) => m.title}
+          onMove={onMoveItem}
+          renderItem={(m, index) => (
+            <div className="flex items-center gap-3">
+              <span className="w-6 flex-none text-right text-sm font-semibold text-fg-faint">{index + 1}</span>
+              {m.poster ? (
+                <img src={m.poster} alt="" className="h-16 w-11 flex-none rounded object-cover" />
+              ) : (
+                <span className="flex h-16 w-11 flex-none items-center justify-center rounded bg-muted text-fg-faint">
+                  <Film className="h-4 w-4" />
+                </span>
+              )}
+              <button
+                type="button"
+                onClick={() => onOpenDetails(m.id)}
+                className="min-w-0 flex-1 text-left"
+              >
+                <span className="block truncate font-medium text-fg hover:underline">{m.title}</span>
+                <span className="block text-xs text-fg-subtle">
+                  {m.year} • {m.type}
+                </span>
+              </button>
+              {m.type === "series" && <SeriesProgressBadge seriesId={m.id} />}
+              <button
+                type="button"
+                onClick={() => onRemoveItem(m.id)}
+                aria-label={t("lists.removeItem", { title: m.title })}
+                className="rounded-lg p-1.5 text-danger hover:bg-danger-subtle"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+          )}
+        />
+      )}
+    </section>
+  );
+}
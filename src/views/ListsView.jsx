@@ -0,0 +1,138 @@
+import React, { useState } from "react";
+import { Check, ListPlus, Pencil, Trash2, X } from "lucide-react";
+import ReorderableList from "../components/ReorderableList.jsx";
+import { t } from "../lib/i18n.js";
+
+// Nome da lista editável no lugar (Enter salva, Escape cancela)
+function ListName({ list, onOpen, onRename }) {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(list.name);
+
+  if (!editing) {
+    return (
+      <div className="flex items-center gap-2">
+        <button
+          type="button"
+          onClick={onOpen}
+          className="truncate text-left font-medium text-fg hover:underline"
+        >
+          {list.name}
+        </button>
+        <span className="text-xs text-fg-subtle">{t("lists.titles", { count: list.items.length })}</span>
+        <button
+          type="button"
+          onClick={() => {
+            setDraft(list.name);
+            setEditing(true);
+          }}
+          aria-label={t("lists.rename", { name: list.name })}
+          className="ml-auto rounded-lg p-1.5 text-fg-subtle hover:bg-muted"
+        >
+          <Pencil className="h-4 w-4" />
+        </button>
+      </div>
+    );
+  }
+
+  const save = () => {
+    if (draft.trim()) onRename(draft);
+    setEditing(false);
+  };
+
+  return (
+    <form
+      className="flex items-center gap-2"
+      onSubmit={(e) => {
+        e.preventDefault();
+        save();
+      }}
+    >
+      <input
+        autoFocus
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={(e) => e.key === "Escape" && setEditing(false)}
+        aria-label={t("lists.newName")}
+        className="min-w-0 flex-1 rounded-lg border border-line-strong px-2 py-1 text-sm outline-none ring-line-strong focus:ring"
+      />
+      <button type="submit" aria-label={t("lists.saveName")} className="rounded-lg p-1.5 text-success hover:bg-muted">
+        <Check className="h-4 w-4" />
+      </button>
+      <button
+        type="button"
+        onClick={() => setEditing(false)}
+        aria-label={t("common.cancel")}
+        className="rounded-lg p-1.5 text-fg-subtle hover:bg-muted"
+      >
+        <X className="h-4 w-4" />
+      </button>
+    </form>
+  );
+}
+
+// Página de gerenciamento das listas: criar, renomear, excluir e reordenar
+export default function ListsView({ lists, onCreate, onRename, onDelete, onMove, onOpen }) {
+  const [name, setName] = useState("");
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onCreate(name);
+    setName("");
+  };
+
+  const confirmDelete = (list) => {
+    const msg = t("lists.confirmDelete", { name: list.name, count: list.items.length });
+    if (window.confirm(msg)) onDelete(list.id);
+  };
+
+  return (
+    <section className="mx-auto max-w-3xl px-4 py-6">
+      <h1 className="mb-4 text-xl font-bold text-fg">{t("lists.title")}</h1>
+
+      <form onSubmit={submit} className="mb-6 flex items-center gap-2">
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder={t("lists.newPlaceholder")}
+          aria-label={t("lists.newListName")}
+          className="w-full rounded-2xl border border-line-strong bg-surface px-3 py-2 text-sm outline-none ring-line-strong focus:ring"
+        />
+        <button
+          type="submit"
+          disabled={!name.trim()}
+          className="inline-flex flex-none items-center gap-2 rounded-2xl bg-accent px-4 py-2 text-sm font-semibold text-on-accent hover:bg-accent-hover disabled:opacity-50"
+        >
+          <ListPlus className="h-4 w-4" /> {t("lists.create")}
+        </button>
+      </form>
+
+      {lists.length === 0 ? (
+        <p className="text-center text-fg-subtle">{t("lists.empty")}</p>
+      ) : (
+        <ReorderableList
+          label={t("nav.lists")}
+          items={lists}
+          getKey={(l) => l.id}
+          getLabel={(l) => l.name}
+          onMove={onMove}
+          renderItem={(list) => (
+            <div className="flex items-center gap-2">
+              <div className="min-w-0 flex-1">
+                <ListName list={list} onOpen={() => onOpen(list.slug)} onRename={(n) => onRename(list.id, n)} />
+              </div>
+              <button
+                type="button"
+                onClick={() => confirmDelete(list)}
+                aria-label={t("lists.delete", { name: list.name })}
+                className="rounded-lg p-1.5 text-danger hover:bg-danger-subtle"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+          )}
+        />
+      )}
+    </section>
+  );
+}
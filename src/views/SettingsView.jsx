@@ -0,0 +1,360 @@
+import React, { useEffect, useRef, useState } from "react";
+import { AlertTriangle, CheckCircle2, KeyRound, Loader2, Trash2, XCircle } from "lucide-react";
+import { LOCALES, t } from "../lib/i18n.js";
+import { ErrorKind, errorMessage, isAbortError } from "../lib/errors.js";
+import { clearOmdbCache } from "../lib/omdb.js";
+import { clearPosterCache, clearTitles } from "../lib/offline.js";
+import { TYPE_OPTIONS } from "../lib/search.js";
+import { THEME_OPTIONS } from "../lib/theme.js";
+import { HISTORY_OPTIONS, LAYOUT_OPTIONS, PAGING_OPTIONS, PLOT_OPTIONS, maskApiKey } from "../lib/settings.js";
+
+// Chaves da OMDb têm 8 caracteres; antes disso não vale gastar uma requisição
+const MIN_KEY_LENGTH = 8;
+
+// Pausa após a digitação antes de testar a chave
+const CHECK_DELAY = 500;
+
+// Testa a chave no provedor e informa o resultado: checking → valid | invalid | error
+function checkKey(provider, key, signal, onResult) {
+  onResult({ status: "checking" });
+  return provider.validateKey(key, { signal }).then(
+    () => onResult({ status: "valid" }),
+    (err) => {
+      if (isAbortError(err)) return;
+      const status = err.kind === ErrorKind.INVALID_KEY ? "invalid" : "error";
+      onResult({ status, message: errorMessage(err) });
+    }
+  );
+}
+
+function KeyStatus({ check }) {
+  if (check.status === "checking") {
+    return (
+      <p role="status" className="inline-flex items-center gap-1 text-xs text-fg-subtle">
+        <Loader2 className="h-3 w-3 animate-spin" /> {t("settings.key.checking")}
+      </p>
+    );
+  }
+  if (check.status === "valid") {
+    return (
+      <p role="status" className="inline-flex items-center gap-1 text-xs text-success">
+        <CheckCircle2 className="h-3 w-3" /> {t("settings.key.valid")}
+      </p>
+    );
+  }
+  if (check.status === "invalid") {
+    return (
+      <p role="alert" className="inline-flex items-center gap-1 text-xs text-danger">
+        <XCircle className="h-3 w-3" /> {check.message}
+      </p>
+    );
+  }
+  if (check.status === "error") {
+    return (
+      <p role="alert" className="inline-flex items-center gap-1 text-xs text-warning">
+        <AlertTriangle className="h-3 w-3" /> {t("settings.key.unverified", { reason: check.message })}
+      </p>
+    );
+  }
+  return null;
+}
+
+function Section({ title, children }) {
+  return (
+    <section className="rounded-2xl border border-line bg-surface p-4">
+      <h2 className="mb-3 text-sm font-semibold text-fg-soft">{title}</h2>
+      {children}
+    </section>
+  );
+}
+
+// Chave em uso (mascarada, com a origem), teste, remoção e troca com validação ao vivo
+function ApiKeySection({ provider, apiKey, source, onSave, onRemove }) {
+  const [draft, setDraft] = useState("");
+  const [check, setCheck] = useState({ status: "idle" });
+  const [current, setCurrent] = useState({ status: "idle" });
+  const testRef = useRef(null);
+  const candidate = draft.trim();
+
+  useEffect(() => {
+    if (candidate.length < MIN_KEY_LENGTH) {
+      setCheck({ status: "idle" });
+      return;
+    }
+    const controller = new AbortController();
+    setCheck({ status: "checking" });
+    const timer = setTimeout(() => checkKey(provider, candidate, controller.signal, setCheck), CHECK_DELAY);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [provider, candidate]);
+
+  // Resultado do teste vale só para a chave testada
+  useEffect(() => {
+    setCurrent({ status: "idle" });
+    return () => testRef.current && testRef.current.abort();
+  }, [apiKey]);
+
+  const testCurrent = () => {
+    if (testRef.current) testRef.current.abort();
+    testRef.current = new AbortController();
+    checkKey(provider, apiKey, testRef.current.signal, setCurrent);
+  };
+
+  // Sem confirmação online (rede, cota), a chave ainda pode ser salva; recusada, não
+  const canSave = candidate.length >= MIN_KEY_LENGTH && (check.status === "valid" || check.status === "error");
+
+  const save = (e) => {
+    e.preventDefault();
+    if (!canSave) return;
+    onSave(candidate);
+    setDraft("");
+  };
+
+  const remove = () => {
+    if (window.confirm(t("settings.key.confirmRemove"))) onRemove();
+  };
+
+  return (
+    <Section title={t("settings.key.title")}>
+      {apiKey ? (
+        <div className="mb-4 flex flex-col gap-2 text-sm">
+          <div className="flex flex-wrap items-center gap-2">
+            <KeyRound className="h-4 w-4 text-fg-subtle" />
+            <code className="rounded-lg bg-muted px-2 py-0.5 font-mono text-fg">{maskApiKey(apiKey)}</code>
+            <span className="text-xs text-fg-subtle">{t(`settings.key.source.${source}`)}</span>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              type="button"
+              onClick={testCurrent}
+              disabled={current.status === "checking"}
+              className="rounded-xl border border-line-strong px-3 py-1.5 text-fg-soft hover:bg-subtle disabled:opacity-50"
+            >
+              {t("settings.key.test")}
+            </button>
+            {source === "user" && (
+              <button
+                type="button"
+                onClick={remove}
+                className="inline-flex items-center gap-1 rounded-xl px-3 py-1.5 text-danger hover:bg-danger-subtle"
+              >
+                <Trash2 className="h-4 w-4" /> {t("common.remove")}
+              </button>
+            )}
+            <KeyStatus check={current} />
+          </div>
+        </div>
+      ) : (
+        <p className="mb-4 text-sm text-fg-muted">{t("settings.key.none")}</p>
+      )}
+
+      <form onSubmit={save} className="flex flex-col gap-2">
+        <label className="flex flex-col gap-1 text-sm text-fg-soft">
+          {apiKey ? t("settings.key.replace") : t("settings.key.enter")}
+          <span className="flex items-center gap-2">
+            <input
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              placeholder={t("apiKey.placeholder")}
+              autoComplete="off"
+              spellCheck={false}
+              className="w-64 rounded-xl border border-line-strong px-3 py-2 font-mono text-sm outline-none ring-line-strong focus:ring"
+            />
+            <button
+              type="submit"
+              disabled={!canSave}
+              className="rounded-xl bg-accent px-3 py-2 text-sm font-semibold text-on-accent hover:bg-accent-hover disabled:opacity-50"
+            >
+              {t("common.save")}
+            </button>
+          </span>
+        </label>
+        <KeyStatus check={check} />
+        <p className="text-xs text-fg-subtle">{t("settings.key.help")}</p>
+      </form>
+    </Section>
+  );
+}
+
+function RadioGroup({ legend, name, options, value, onChange }) {
+  return (
+    <fieldset className="flex flex-col gap-1 text-sm text-fg-soft">
+      <legend className="mb-1 text-xs font-semibold text-fg-subtle">{legend}</legend>
+      {options.map((opt) => (
+        <label key={opt.value} className="inline-flex items-center gap-2">
+          <input type="radio" name={name} checked={value === opt.value} onChange={() => onChange(opt.value)} />
+          {t(opt.labelKey)}
+        </label>
+      ))}
+    </fieldset>
+  );
+}
+
+// Uma ação de limpeza: o texto explica exatamente o que é apagado
+function DataAction({ title, description, onRun }) {
+  const [state, setState] = useState("idle");
+
+  const run = async () => {
+    if (!window.confirm(`${title}\n\n${description}`)) return;
+    setState("running");
+    await onRun();
+    setState("done");
+  };
+
+  return (
+    <li className="flex flex-col gap-2 py-3 sm:flex-row sm:items-start sm:justify-between">
+      <div>
+        <h3 className="text-sm font-medium text-fg">{title}</h3>
+        <p className="text-xs text-fg-muted">{description}</p>
+      </div>
+      <div className="flex flex-none items-center gap-2">
+        {state === "done" && (
+          <span role="status" className="text-xs text-success">
+            {t("settings.data.done")}
+          </span>
+        )}
+        <button
+          type="button"
+          onClick={run}
+          disabled={state === "running"}
+          className="rounded-xl border border-danger-line px-3 py-1.5 text-sm text-danger hover:bg-danger-subtle disabled:opacity-50"
+        >
+          {t("settings.data.run")}
+        </button>
+      </div>
+    </li>
+  );
+}
+
+/**
+ * Página de configurações (#/configuracoes): API Key (quando o provedor de
+ * metadados exige uma), preferências de busca e exibição, e a área de
+ * limpeza de cache e dados.
+ */
+export default function SettingsView({
+  provider,
+  apiKey,
+  keySource,
+  onSaveKey,
+  onRemoveKey,
+  settings,
+  onSettingsChange,
+  onResetCollection,
+  onClearHistory,
+  onResetSettings,
+}) {
+  const set = (field) => (value) => onSettingsChange({ [field]: value });
+  const selectClass = "w-fit rounded-xl border border-line-strong bg-surface px-3 py-1.5 text-sm";
+
+  return (
+    <section className="mx-auto flex max-w-3xl flex-col gap-4 px-4 py-6">
+      <h1 className="text-xl font-bold text-fg">{t("settings.title")}</h1>
+
+      {provider.needsKey && (
+        <ApiKeySection
+          provider={provider}
+          apiKey={apiKey}
+          source={keySource}
+          onSave={onSaveKey}
+          onRemove={onRemoveKey}
+        />
+      )}
+
+      <Section title={t("settings.preferences")}>
+        <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+          <label className="flex flex-col gap-1 text-xs font-semibold text-fg-subtle">
+            {t("nav.language")}
+            <select value={settings.locale} onChange={(e) => set("locale")(e.target.value)} className={selectClass}>
+              {LOCALES.map((l) => (
+                <option key={l.value} value={l.value}>
+                  {l.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1 text-xs font-semibold text-fg-subtle">
+            {t("settings.searchType")}
+            <select
+              value={settings.searchType}
+              onChange={(e) => set("searchType")(e.target.value)}
+              className={selectClass}
+            >
+              {TYPE_OPTIONS.map((opt) => (
+                <option key={opt.value} value={opt.value}>
+                  {t(opt.labelKey)}
+                </option>
+              ))}
+            </select>
+          </label>
+          <RadioGroup
+            legend={t("theme.label")}
+            name="theme"
+            options={THEME_OPTIONS}
+            value={settings.theme}
+            onChange={set("theme")}
+          />
+          <RadioGroup
+            legend={t("settings.plot")}
+            name="plot"
+            options={PLOT_OPTIONS}
+            value={settings.plot}
+            onChange={set("plot")}
+          />
+          <RadioGroup
+            legend={t("settings.layout")}
+            name="layout"
+            options={LAYOUT_OPTIONS}
+            value={settings.layout}
+            onChange={set("layout")}
+          />
+          <RadioGroup
+            legend={t("settings.paging")}
+            name="paging"
+            options={PAGING_OPTIONS}
+            value={settings.paging}
+            onChange={set("paging")}
+          />
+          <RadioGroup
+            legend={t("settings.history")}
+            name="history"
+            options={HISTORY_OPTIONS}
+            value={settings.history}
+            onChange={set("history")}
+          />
+        </div>
+      </Section>
+
+      <Section title={t("settings.data.title")}>
+        <ul className="divide-y divide-line-soft">
+          <DataAction
+            title={t("settings.data.cache")}
+            description={t("settings.data.cacheHelp")}
+            onRun={() => Promise.all([clearOmdbCache(), clearPosterCache()])}
+          />
+          <DataAction
+            title={t("settings.data.titles")}
+            description={t("settings.data.titlesHelp")}
+            onRun={clearTitles}
+          />
+          <DataAction
+            title={t("settings.data.collection")}
+            description={t("settings.data.collectionHelp")}
+            onRun={onResetCollection}
+          />
+          <DataAction
+            title={t("settings.data.history")}
+            description={t("settings.data.historyHelp")}
+            onRun={onClearHistory}
+          />
+          <DataAction
+            title={t("settings.data.settings")}
+            description={t("settings.data.settingsHelp")}
+            onRun={onResetSettings}
+          />
+        </ul>
+      </Section>
+    </section>
+  );
+}
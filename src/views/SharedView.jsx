@@ -0,0 +1,188 @@
+import React, { useEffect, useState } from "react";
+import { AlertTriangle, Download, Loader2, Star } from "lucide-react";
+import { t } from "../lib/i18n.js";
+import { isAbortError } from "../lib/errors.js";
+import { decodeShare } from "../lib/share.js";
+import { buildImportMap, resolveImportRows } from "../lib/transfer.js";
+import { PosterFallback } from "../components/MovieCard.jsx";
+
+/**
+ * Lista recebida por link (#/compartilhado/<payload>), só para leitura: o
+ * payload é decodificado, cada título é buscado no provedor (um por vez, como na
+ * importação) e quem abriu escolhe quais importar para os próprios
+ * favoritos. A importação sempre mescla: nada do que já existe é apagado.
+ */
+export default function SharedView({ provider, payload, favoritesMap, onImport, onOpenDetails }) {
+  const [shared, setShared] = useState(null);
+  const [error, setError] = useState("");
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [results, setResults] = useState([]);
+  const [selected, setSelected] = useState(() => new Set());
+  const [imported, setImported] = useState(0);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setShared(null);
+    setError("");
+    setResults([]);
+    setImported(0);
+    decodeShare(payload)
+      .then(async (decoded) => {
+        setShared(decoded);
+        if (!provider.ready) return;
+        const rows = decoded.items.map((item, i) => ({ line: i + 1, ...item }));
+        setProgress({ done: 0, total: rows.length });
+        const resolved = await resolveImportRows(provider, rows, {
+          signal: controller.signal,
+          onProgress: (done, total) => setProgress({ done, total }),
+        });
+        setResults(resolved);
+        // Começa com tudo marcado; o que já está nos favoritos é ignorado em `chosen`
+        setSelected(new Set(resolved.filter((r) => r.status === "matched").map((r) => r.movie.id)));
+      })
+      .catch((err) => {
+        if (!isAbortError(err)) setError(err.message);
+      });
+    return () => controller.abort();
+  }, [provider, payload]);
+
+  const matched = results.filter((r) => r.status === "matched");
+  const failed = results.filter((r) => r.status === "failed");
+  const available = matched.filter((r) => !favoritesMap[r.movie.id]);
+  const chosen = available.filter((r) => selected.has(r.movie.id));
+  const loading = shared && provider.ready && results.length === 0 && progress.total > 0;
+
+  const toggle = (id) =>
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+
+  const importResults = (list) => {
+    const map = buildImportMap(list);
+    const count = Object.keys(map).length;
+    if (!count) return;
+    onImport(map, "merge");
+    setImported((n) => n + count);
+  };
+
+  if (error) {
+    return (
+      <section className="mx-auto max-w-3xl px-4 py-6">
+        <h1 className="mb-3 text-xl font-bold text-fg">{t("share.receivedTitle")}</h1>
+        <p role="alert" className="flex items-center gap-2 rounded-2xl border border-danger-line bg-danger-subtle p-3 text-danger">
+          <AlertTriangle className="h-4 w-4 flex-none" aria-hidden="true" /> {error}
+        </p>
+      </section>
+    );
+  }
+
+  return (
+    <section className="mx-auto flex max-w-3xl flex-col gap-4 px-4 py-6">
+      <div>
+        <h1 className="text-xl font-bold text-fg">{(shared && shared.title) || t("share.receivedTitle")}</h1>
+        {shared && (
+          <p className="text-sm text-fg-subtle">{t("share.receivedCount", { count: shared.items.length })}</p>
+        )}
+      </div>
+
+      {!provider.ready && shared && (
+        <p className="rounded-2xl border border-warning-line bg-warning-subtle p-3 text-sm text-warning">{t("share.needsKey")}</p>
+      )}
+
+      {(!shared || loading) && (
+        <div role="status" className="flex flex-col items-center gap-3 py-6 text-sm text-fg-muted">
+          <Loader2 className="h-6 w-6 animate-spin" aria-hidden="true" />
+          {loading && <p>{t("share.loading", { done: progress.done, total: progress.total })}</p>}
+          {loading && <progress value={progress.done} max={progress.total} className="w-full" />}
+        </div>
+      )}
+
+      {matched.length > 0 && (
+        <>
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <span role="status" className="text-sm text-fg-muted">
+              {imported > 0 && t("share.imported", { count: imported })}
+            </span>
+            <div className="flex flex-wrap gap-2">
+              <button
+                type="button"
+                onClick={() => importResults(chosen)}
+                disabled={chosen.length === 0}
+                className="inline-flex items-center gap-2 rounded-2xl border border-line-strong px-4 py-2 text-sm text-fg-soft hover:bg-subtle disabled:opacity-50"
+              >
+                <Download className="h-4 w-4" /> {t("share.importSelected", { count: chosen.length })}
+              </button>
+              <button
+                type="button"
+                onClick={() => importResults(available)}
+                disabled={available.length === 0}
+                className="inline-flex items-center gap-2 rounded-2xl bg-accent px-4 py-2 text-sm font-semibold text-on-accent hover:bg-accent-hover disabled:opacity-50"
+              >
+                <Download className="h-4 w-4" /> {t("share.importAll", { count: available.length })}
+              </button>
+            </div>
+          </div>
+
+          <ul className="divide-y divide-line-soft rounded-2xl border border-line bg-surface">
+            {matched.map(({ movie, row }) => {
+              const owned = Boolean(favoritesMap[movie.id]);
+              return (
+                <li key={movie.id} className="flex items-start gap-3 p-2">
+                  <input
+                    type="checkbox"
+                    checked={owned || selected.has(movie.id)}
+                    disabled={owned}
+                    onChange={() => toggle(movie.id)}
+                    aria-label={t("share.select", { title: movie.title })}
+                    className="mt-6 flex-none"
+                  />
+                  {movie.poster ? (
+                    <img src={movie.poster} alt="" loading="lazy" className="h-16 w-11 flex-none rounded object-cover" />
+                  ) : (
+                    <PosterFallback className="h-16 w-11 flex-none rounded" title={movie.title} />
+                  )}
+                  <div className="min-w-0 flex-1">
+                    <button
+                      type="button"
+                      onClick={() => onOpenDetails(movie.id)}
+                      className="block max-w-full truncate text-left font-medium text-fg hover:underline"
+                    >
+                      {movie.title}
+                    </button>
+                    <span className="flex items-center gap-2 text-xs text-fg-subtle">
+                      {movie.year}
+                      {owned && (
+                        <span className="inline-flex items-center gap-1 text-success">
+                          <Star className="h-3 w-3" aria-hidden="true" /> {t("share.owned")}
+                        </span>
+                      )}
+                    </span>
+                    {row.note && <p className="mt-1 whitespace-pre-line text-sm text-fg-soft">“{row.note}”</p>}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        </>
+      )}
+
+      {failed.length > 0 && (
+        <details>
+          <summary className="cursor-pointer text-sm font-semibold text-danger">
+            <AlertTriangle className="mr-1 inline h-4 w-4" /> {t("share.failed", { count: failed.length })}
+          </summary>
+          <ul className="mt-2 pl-5 text-xs text-fg-muted">
+            {failed.map((r) => (
+              <li key={r.row.line}>
+                {r.row.id} — {r.reason}
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+    </section>
+  );
+}
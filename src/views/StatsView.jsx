@@ -0,0 +1,94 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { BarChart3, Clock, Film, Star } from "lucide-react";
+import BarChart from "../components/BarChart.jsx";
+import { formatNumber, t } from "../lib/i18n.js";
+import { loadAllTitles } from "../lib/offline.js";
+import { buildHash } from "../lib/router.js";
+import { collectionStats, formatDuration } from "../lib/stats.js";
+
+function Figure({ icon, label, value, detail }) {
+  return (
+    <div className="rounded-2xl border border-line bg-surface p-4">
+      <div className="flex items-center gap-2 text-xs font-semibold text-fg-subtle">
+        {icon} {label}
+      </div>
+      <div className="mt-1 text-2xl font-bold text-fg">{value}</div>
+      {detail && <div className="text-xs text-fg-subtle">{detail}</div>}
+    </div>
+  );
+}
+
+// Cada barra leva à lista de favoritos com o filtro correspondente
+const withLinks = (group) => group.map((g) => ({ ...g, href: `#${buildHash("favorites", {}, g.query)}` }));
+
+// Página de estatísticas da coleção (#/estatisticas)
+export default function StatsView({ favoritesMap }) {
+  // Detalhes guardados no catálogo offline completam favoritos sem detalhes
+  const [titles, setTitles] = useState({});
+  useEffect(() => {
+    let active = true;
+    loadAllTitles().then((list) => {
+      if (active) setTitles(Object.fromEntries(list.filter(Boolean).map((title) => [title.id, title])));
+    });
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  const stats = useMemo(() => collectionStats(favoritesMap, titles), [favoritesMap, titles]);
+
+  if (stats.total === 0) {
+    return (
+      <section className="mx-auto max-w-5xl px-4 py-6">
+        <h1 className="mb-4 text-xl font-bold text-fg">{t("stats.title")}</h1>
+        <p className="mt-10 text-center text-fg-subtle">{t("stats.empty")}</p>
+      </section>
+    );
+  }
+
+  return (
+    <section className="mx-auto max-w-5xl px-4 py-6">
+      <h1 className="text-xl font-bold text-fg">{t("stats.title")}</h1>
+      <p className="mb-4 text-sm text-fg-muted">
+        {t("stats.basis", { count: stats.total })}
+        {stats.withDetails < stats.total &&
+          ` • ${t("stats.missingDetails", { count: stats.total - stats.withDetails })}`}
+      </p>
+
+      <div className="mb-6 grid grid-cols-1 gap-3 sm:grid-cols-3">
+        <Figure icon={<Film className="h-4 w-4" />} label={t("nav.favorites")} value={formatNumber(stats.total)} />
+        <Figure
+          icon={<Star className="h-4 w-4" />}
+          label={t("stats.averageImdb")}
+          value={
+            stats.averageImdb === null
+              ? "—"
+              : formatNumber(stats.averageImdb, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+          }
+          detail={t("stats.rated", { count: stats.ratedCount })}
+        />
+        <Figure
+          icon={<Clock className="h-4 w-4" />}
+          label={t("stats.runtime")}
+          value={formatDuration(stats.runtime)}
+          detail={t("stats.timed", { count: stats.timedCount })}
+        />
+      </div>
+
+      <div className="grid grid-cols-1 gap-4 lg:grid-cols-2">
+        <BarChart title={t("stats.byDecade")} items={withLinks(stats.decades)} />
+        <BarChart title={t("stats.byGenre")} items={withLinks(stats.genres)} color="rgb(var(--chart-1))" />
+        <BarChart title={t("stats.topDirectors")} items={withLinks(stats.directors)} color="rgb(var(--chart-2))" />
+        <BarChart title={t("stats.topActors")} items={withLinks(stats.actors)} color="rgb(var(--chart-3))" />
+        <BarChart title={t("stats.countries")} items={withLinks(stats.countries)} color="rgb(var(--chart-4))" />
+        <BarChart title={t("stats.languages")} items={withLinks(stats.languages)} color="rgb(var(--chart-5))" />
+      </div>
+
+      {stats.withDetails === 0 && (
+        <p className="mt-6 inline-flex items-center gap-2 text-sm text-fg-subtle">
+          <BarChart3 className="h-4 w-4" /> {t("stats.chartsPending")}
+        </p>
+      )}
+    </section>
+  );
+}
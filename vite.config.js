@@ -4,4 +4,15 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // https://vitest.dev/config/
+  test: {
+    environment: 'jsdom',
+    setupFiles: ['./src/test/setup.js'],
+    // Testes nunca usam a chave/provedor de um .env local
+    env: {
+      VITE_OMDB_API_KEY: '',
+      VITE_METADATA_PROVIDER: '',
+      VITE_OMDB_BASE_URL: '',
+    },
+  },
 })